@@ -3,11 +3,21 @@ import axios from 'axios';
 import {
   Users, Clock, FileText, Download, Plus, X,
   Upload, Calendar, Filter, ChevronDown, Trash2,
-  Eye, BarChart3, TrendingUp, CheckSquare, ChevronLeft, ChevronRight, Edit, Crop, Image, LogOut, Shield
+  Eye, BarChart3, TrendingUp, CheckSquare, ChevronLeft, ChevronRight, Edit, Crop, Image, LogOut, Shield, Copy, History,
+  Archive, RotateCcw, AlertOctagon, CheckCircle
 } from 'lucide-react';
 import { useAuth } from './contexts/AuthContext';
 import Login from './components/Login';
 import AdminPanel from './components/AdminPanel';
+import RateHistory from './components/RateHistory';
+import ProjectBudget from './components/ProjectBudget';
+import LineItemsEditor, { EMPTY_LINE_ITEM } from './components/LineItemsEditor';
+import ReportTemplateFields, { toResponseValues, resolveReportTemplate } from './components/ReportTemplateFields';
+import BlockersEditor, { toBlockerRows, blockersPayload } from './components/BlockersEditor';
+import BlockersBoard from './components/BlockersBoard';
+import ReportReview, { REPORT_STATUSES, ReportStatusBadge } from './components/ReportReview';
+import ReportComments from './components/ReportComments';
+import Notifications from './components/Notifications';
 
 // In production on Render, use relative path (same domain)
 // In development, use localhost
@@ -17,12 +27,16 @@ const API_URL = process.env.NODE_ENV === 'production'
 
 // Helper to get base URL for static files (images)
 const getImageURL = (filepath) => {
-  // If filepath is already a full URL (Cloudinary), return it as-is
+  // If filepath is already a full URL (S3, Cloudinary), return it as-is
   if (filepath && (filepath.startsWith('http://') || filepath.startsWith('https://'))) {
     return filepath;
   }
-  // Otherwise, construct local URL (for backwards compatibility with old local files)
   const baseURL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5000';
+  // Local storage paths are served by the API server (e.g. /uploads/eod-monitoring/123.png)
+  if (filepath && filepath.startsWith('/')) {
+    return `${baseURL}${filepath}`;
+  }
+  // Bare filenames from old local uploads
   return `${baseURL}/uploads/${filepath}`;
 };
 
@@ -40,26 +54,274 @@ const formatDate = (dateString) => {
   return date.toLocaleDateString('en-US', options);
 };
 
+// Human readable file size, e.g. "245 KB"
+const formatFileSize = (bytes) => {
+  if (!bytes) return null;
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Badge for screenshots that look like ones attached to the employee's other reports
+const DuplicateBadge = ({ duplicates }) => {
+  if (!duplicates || duplicates.length === 0) return null;
+
+  const dates = [...new Set(duplicates.map(d => formatDate(d.report_date)))];
+
+  return (
+    <div
+      title={`Similar to screenshot(s) from ${dates.join(', ')}`}
+      style={{
+        position: 'absolute',
+        top: '0.5rem',
+        left: '0.5rem',
+        background: 'rgba(245, 158, 11, 0.9)',
+        color: '#1a1a2e',
+        padding: '0.2rem 0.5rem',
+        borderRadius: '6px',
+        fontSize: '0.7rem',
+        fontWeight: '600',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.25rem'
+      }}
+    >
+      <Copy size={12} />
+      Possible reuse
+    </div>
+  );
+};
+
+const REVISION_FIELD_LABELS = {
+  employee_id: 'Employee',
+  date: 'Date',
+  hours: 'Hours',
+  project: 'Project/App',
+  line_items: 'Line Items',
+  description: 'Description',
+  sections: 'Sections',
+  blocker_list: 'Blockers'
+};
+
+// One entry of a report's revision history: who changed what, old value struck through
+const RevisionEntry = ({ revision, employees }) => {
+  const { fields = {}, screenshots_added = [], screenshots_removed = [], captions_changed = [] } = revision.changes;
+
+  const displayValue = (field, value) => {
+    if (value === null || value === undefined) return '(empty)';
+    if (field === 'employee_id') {
+      const employee = employees.find(e => e.id === value);
+      return employee ? employee.name : `#${value}`;
+    }
+    if (field === 'hours') return `${parseFloat(value).toFixed(2)}h`;
+    if (field === 'date') return formatDate(value);
+    return value;
+  };
+
+  const lineStyle = { fontSize: '0.85rem', color: '#c7d2fe', marginTop: '0.35rem', whiteSpace: 'pre-wrap', wordWrap: 'break-word' };
+  const oldStyle = { color: '#fca5a5', textDecoration: 'line-through' };
+  const newStyle = { color: '#86efac' };
+
+  return (
+    <div style={{
+      padding: '0.75rem',
+      background: 'rgba(99, 102, 241, 0.08)',
+      border: '1px solid rgba(99, 102, 241, 0.2)',
+      borderRadius: '8px'
+    }}>
+      <div style={{ fontSize: '0.75rem', color: '#9fa8da' }}>
+        {revision.changed_by_username || 'Unknown'} · {new Date(revision.changed_at).toLocaleString()}
+      </div>
+      {Object.entries(fields).map(([field, change]) => (
+        <div key={field} style={lineStyle}>
+          <strong>{REVISION_FIELD_LABELS[field] || field}:</strong>{' '}
+          <span style={oldStyle}>{displayValue(field, change.old)}</span>
+          {' → '}
+          <span style={newStyle}>{displayValue(field, change.new)}</span>
+        </div>
+      ))}
+      {screenshots_added.map(screenshot => (
+        <div key={`added-${screenshot.id}`} style={lineStyle}>
+          <strong>Screenshot added:</strong> <span style={newStyle}>{screenshot.filename}</span>
+        </div>
+      ))}
+      {screenshots_removed.map(screenshot => (
+        <div key={`removed-${screenshot.id}`} style={lineStyle}>
+          <strong>Screenshot removed:</strong> <span style={oldStyle}>{screenshot.filename}</span>
+        </div>
+      ))}
+      {captions_changed.map(caption => (
+        <div key={`caption-${caption.id}`} style={lineStyle}>
+          <strong>Caption ({caption.filename}):</strong>{' '}
+          <span style={oldStyle}>{caption.old || '(empty)'}</span>
+          {' → '}
+          <span style={newStyle}>{caption.new || '(empty)'}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const EMPLOYMENT_STATUSES = {
+  active: { label: 'Active', color: '#10b981' },
+  on_leave: { label: 'On leave', color: '#f59e0b' },
+  archived: { label: 'Archived', color: '#9ca3af' }
+};
+
+const EMPTY_EMPLOYEE_FORM = {
+  name: '', email: '', role: '', status: 'active', start_date: '', end_date: '', hourly_rate: '', currency: ''
+};
+
+// Line items of a saved report as rows of the line item editor
+const toLineItems = (entries = []) => (entries.length === 0 ? [EMPTY_LINE_ITEM] : entries.map(entry => ({
+  project: entry.project || '',
+  task: entry.task || '',
+  hours: String(parseFloat(entry.hours)),
+  note: entry.note || ''
+})));
+
+// YYYY-MM-DD for a date input from a DATE column, '' when unset
+const toDateInput = (value) => value ? new Date(value).toISOString().split('T')[0] : '';
+
+// Cost amount, prefixed with the currency when the rates priced in one
+const formatCost = (value, currencies = []) =>
+  `${currencies.length === 1 ? `${currencies[0]} ` : ''}${(parseFloat(value) || 0).toFixed(2)}`;
+
+// Breakdowns offered by the analytics cost section (the /api/costs period values)
+const COST_PERIODS = { week: 'Week', month: 'Month', pay_period: 'Pay Period' };
+
+// Heading of a /api/costs period row
+const costPeriodLabel = (period, entry) => {
+  if (!entry.period_start) return 'Not in a pay period';
+  const start = new Date(`${entry.period_start}T00:00:00`);
+  if (period === 'month') return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  if (period === 'week') return `Week of ${start.toLocaleDateString()}`;
+  return `${start.toLocaleDateString()} – ${new Date(`${entry.period_end}T00:00:00`).toLocaleDateString()}`;
+};
+
+// Query string of the report filters for GET /api/reports
+const reportFilterParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.employee_id) params.append('employee_id', filters.employee_id);
+  if (filters.start_date) params.append('start_date', filters.start_date);
+  if (filters.end_date) params.append('end_date', filters.end_date);
+  if (filters.project) params.append('project', filters.project);
+  if (filters.has_response) params.append('has_response', filters.has_response);
+  if (filters.status) params.append('status', filters.status);
+  return params;
+};
+
+// Replace the reports with the given ids by their refreshed versions, in the
+// order GET /api/reports returns them (newest date first). Those not
+// refreshed were deleted or no longer match the filters.
+const mergeReports = (reports, ids, refreshed) => {
+  const merged = reports.filter(report => !ids.includes(report.id));
+  for (const report of refreshed) {
+    const index = merged.findIndex(other =>
+      other.date < report.date || (other.date === report.date && other.created_at < report.created_at));
+    merged.splice(index === -1 ? merged.length : index, 0, report);
+  }
+  return merged;
+};
+
+// How long live events are collected before the changes are fetched, so a
+// bulk change is refreshed with one request
+const LIVE_UPDATE_DELAY_MS = 500;
+
+// Employee card for the Employees tab, with status and employment dates
+const EmployeeCard = ({ employee, onEdit, onSetStatus, onDelete }) => {
+  const status = EMPLOYMENT_STATUSES[employee.status] || EMPLOYMENT_STATUSES.active;
+
+  return (
+    <div className="card" style={employee.status === 'archived' ? { opacity: 0.75 } : undefined}>
+      <div className="card-header">
+        <div>
+          <div className="card-title">{employee.name}</div>
+          <div className="card-subtitle">{employee.role}</div>
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button className="icon-btn" onClick={() => onEdit(employee)} title="Edit employee">
+            <Edit size={18} />
+          </button>
+          {employee.status === 'archived' ? (
+            <button className="icon-btn" onClick={() => onSetStatus(employee, 'active')} title="Reactivate employee">
+              <RotateCcw size={18} />
+            </button>
+          ) : (
+            <button className="icon-btn" onClick={() => onSetStatus(employee, 'archived')} title="Archive employee">
+              <Archive size={18} />
+            </button>
+          )}
+          <button className="icon-btn danger" onClick={() => onDelete(employee.id)} title="Delete employee">
+            <Trash2 size={18} />
+          </button>
+        </div>
+      </div>
+      <div style={{ marginTop: '0.75rem' }}>
+        <span style={{
+          padding: '0.2rem 0.6rem',
+          borderRadius: '12px',
+          fontSize: '0.75rem',
+          fontWeight: 600,
+          color: status.color,
+          background: `${status.color}22`,
+          border: `1px solid ${status.color}55`
+        }}>
+          {status.label}
+        </span>
+      </div>
+      <div style={{ marginTop: '1rem' }}>
+        <div className="detail-label">Email</div>
+        <div style={{ color: '#c7d2fe', marginTop: '0.25rem' }}>{employee.email}</div>
+      </div>
+      {(employee.start_date || employee.end_date) && (
+        <div style={{ marginTop: '1rem' }}>
+          <div className="detail-label">Employment</div>
+          <div style={{ color: '#c7d2fe', marginTop: '0.25rem' }}>
+            {employee.start_date ? formatDate(employee.start_date) : 'Unknown'}
+            {' – '}
+            {employee.end_date ? formatDate(employee.end_date) : 'present'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Configure axios to send credentials with all requests
 axios.defaults.withCredentials = true;
 
 function App() {
   // Authentication
-  const { user, loading: authLoading, logout, isAdmin, isEmployee, isViewer } = useAuth();
+  const {
+    user, loading: authLoading, logout, isAdmin, isManager, isEmployee, isViewer,
+    elevation, elevate, endElevation, isElevated
+  } = useAuth();
+  // Viewers and managers only read (managers review their teams' reports)
+  const canEditReports = isAdmin() || isEmployee();
+  const canReviewReports = isAdmin() || isManager();
+  // Managers can't review their own reports
+  const canReviewReport = (report) => isAdmin() || (isManager() && report.employee_id !== user.employee_id);
+  const canSeeMissingEods = isAdmin() || isManager() || isViewer();
 
   const [activeTab, setActiveTab] = useState('dashboard');
   const [employees, setEmployees] = useState([]);
   const [reports, setReports] = useState([]);
   const [stats, setStats] = useState({});
+  // Employees who haven't reported today (GET /api/missing-eods)
+  const [missingEods, setMissingEods] = useState(null);
+  const [missingEodsReloadKey, setMissingEodsReloadKey] = useState(0);
   const [loading, setLoading] = useState(false);
   const [projects, setProjects] = useState([]);
+  const [reportTemplates, setReportTemplates] = useState([]);
 
   // Gallery state
   const [galleryScreenshots, setGalleryScreenshots] = useState([]);
   const [galleryFilters, setGalleryFilters] = useState({
     employee_id: '',
     start_date: '',
-    end_date: ''
+    end_date: '',
+    reused_only: false
   });
   const [galleryLoading, setGalleryLoading] = useState(false);
 
@@ -75,6 +337,11 @@ function App() {
   const [showEditReportModal, setShowEditReportModal] = useState(false);
   const [showQuickAddModal, setShowQuickAddModal] = useState(false);
   const [selectedReport, setSelectedReport] = useState(null);
+  // Amendments to a report in a closed pay period (shown in Report Details)
+  const [amendments, setAmendments] = useState([]);
+  const [amendmentForm, setAmendmentForm] = useState({ hours_delta: '', reason: '' });
+  const [submittingAmendment, setSubmittingAmendment] = useState(false);
+  const [revisions, setRevisions] = useState([]);
   const [editingReport, setEditingReport] = useState(null);
   const [showGallery, setShowGallery] = useState(false);
   const [galleryImages, setGalleryImages] = useState([]);
@@ -84,8 +351,8 @@ function App() {
   const [quickForm, setQuickForm] = useState({
     employee_id: '',
     date: new Date().toISOString().split('T')[0],
-    hours: '',
-    project: ''
+    entries: [EMPTY_LINE_ITEM],
+    responses: {}
   });
   const [lastReport, setLastReport] = useState(null);
   
@@ -126,12 +393,13 @@ function App() {
   const [isEditFormDirty, setIsEditFormDirty] = useState(false);
   const [isQuickFormDirty, setIsQuickFormDirty] = useState(false);
 
-  // Admin Mode for bypassing 3-day edit restriction
-  const [adminMode, setAdminMode] = useState(false);
+  // Server-verified elevation for editing reports once a lock policy has locked them
   const [showAdminPasswordModal, setShowAdminPasswordModal] = useState(false);
   const [adminPassword, setAdminPassword] = useState('');
   const [adminPasswordError, setAdminPasswordError] = useState('');
+  const [elevating, setElevating] = useState(false);
   const [reportToEditAfterAuth, setReportToEditAfterAuth] = useState(null);
+  const [elevationSecondsLeft, setElevationSecondsLeft] = useState(0);
 
   // Screenshot Management
   const [editingScreenshots, setEditingScreenshots] = useState([]);
@@ -144,7 +412,9 @@ function App() {
     employee_id: '',
     start_date: '',
     end_date: '',
-    project: ''
+    project: '',
+    has_response: '',
+    status: ''
   });
   
   // Analytics filters
@@ -156,24 +426,58 @@ function App() {
   });
   const [analyticsData, setAnalyticsData] = useState([]);
   const [projectAnalytics, setProjectAnalytics] = useState([]);
+  // Costs per period of the analytics selection (admins and viewers)
+  const [costPeriod, setCostPeriod] = useState('month');
+  const [costBreakdown, setCostBreakdown] = useState(null);
+  // Budget status of the analytics projects, by project name
+  const [projectBudgets, setProjectBudgets] = useState({});
   
   // Forms
-  const [employeeForm, setEmployeeForm] = useState({ name: '', email: '', role: '' });
+  const [employeeForm, setEmployeeForm] = useState(EMPTY_EMPLOYEE_FORM);
+  // Employee being edited in the employee modal (null when adding), and the
+  // form values it opened with for the unsaved changes check
+  const [editingEmployee, setEditingEmployee] = useState(null);
+  const [employeeFormBaseline, setEmployeeFormBaseline] = useState(EMPTY_EMPLOYEE_FORM);
+  const [employeeStatusFilter, setEmployeeStatusFilter] = useState('');
+  const [showArchivedEmployees, setShowArchivedEmployees] = useState(false);
+
+  // Archived employees keep their history but are left out of report entry and analytics pickers
+  const currentEmployees = employees.filter(e => e.status !== 'archived');
+  const archivedEmployees = employees.filter(e => e.status === 'archived');
+  // Filters and analytics list every project; reports can only be filed under active ones
+  const projectNames = projects.map(project => project.name);
+  const activeProjectNames = projects.filter(project => project.status === 'active').map(project => project.name);
   const [reportForm, setReportForm] = useState({
     employee_id: '',
     date: new Date().toISOString().split('T')[0],
-    hours: '',
-    project: '',
+    entries: [EMPTY_LINE_ITEM],
+    responses: {},
+    blockers: [],
     description: '',
     screenshots: []
   });
   const [screenshotPreviews, setScreenshotPreviews] = useState([]);
 
+  // Template of the report being written: an edited report keeps the one it
+  // was filed with, a new one gets the template of its projects or employee
+  const templateForForm = (form) => resolveReportTemplate(
+    reportTemplates,
+    employees.find(e => String(e.id) === String(form.employee_id)),
+    form.entries.map(entry => entry.project)
+  );
+  const reportFormTemplate = editingReport
+    ? reportTemplates.find(t => t.id === editingReport.template_id) || null
+    : templateForForm(reportForm);
+  const quickFormTemplate = templateForForm(quickForm);
+  // Template fields the reports can be filtered on, by key
+  const responseFields = [...new Map(reportTemplates.flatMap(t => t.fields).map(field => [field.key, field])).values()];
+
   useEffect(() => {
     fetchEmployees();
     fetchReports();
     fetchStats();
     fetchProjects();
+    fetchReportTemplates();
   }, []);
 
   useEffect(() => {
@@ -190,6 +494,59 @@ function App() {
     setShowBulkActions(selectedReports.length > 0);
   }, [selectedReports]);
 
+  // Count down the remaining elevation time once per second
+  useEffect(() => {
+    if (!elevation) {
+      setElevationSecondsLeft(0);
+      return;
+    }
+
+    const tick = () => {
+      const secondsLeft = Math.max(0, Math.round((new Date(elevation.expires_at) - new Date()) / 1000));
+      setElevationSecondsLeft(secondsLeft);
+      return secondsLeft;
+    };
+
+    tick();
+    const interval = setInterval(() => {
+      if (tick() === 0) clearInterval(interval);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [elevation]);
+
+  // Load the history (and amendments, for reports in a closed pay period) of the opened report
+  useEffect(() => {
+    setAmendments([]);
+    setAmendmentForm({ hours_delta: '', reason: '' });
+    setRevisions([]);
+    if (!selectedReport) return;
+
+    fetchRevisions(selectedReport.id);
+    if (selectedReport.lock?.frozen) {
+      fetchAmendments(selectedReport.id);
+    }
+  }, [selectedReport]);
+
+  // Carry the employee's open blockers over into a new report, keeping the
+  // new ones already typed in
+  useEffect(() => {
+    if (!showReportModal || !reportForm.employee_id) return;
+
+    const fetchOpenBlockers = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/blockers?employee_id=${reportForm.employee_id}&status=open`);
+        setReportForm(form => ({
+          ...form,
+          blockers: [...toBlockerRows(response.data), ...form.blockers.filter(blocker => !blocker.id)]
+        }));
+      } catch (error) {
+        console.error('Error fetching open blockers:', error);
+      }
+    };
+
+    fetchOpenBlockers();
+  }, [showReportModal, reportForm.employee_id]);
+
   // Auto-calculate analytics when filters change
   useEffect(() => {
     if (activeTab === 'analytics' && (analyticsFilters.selected_employees.length > 0 || analyticsFilters.selected_projects.length > 0)) {
@@ -197,6 +554,58 @@ function App() {
     }
   }, [analyticsFilters.selected_employees, analyticsFilters.selected_projects, analyticsFilters.start_date, analyticsFilters.end_date, activeTab]);
 
+  // Cost breakdown of the analytics selection. The server prices each report
+  // at the rate in effect on its date.
+  const canSeeCosts = isAdmin() || isManager() || isViewer();
+  useEffect(() => {
+    const { selected_employees, selected_projects, start_date, end_date } = analyticsFilters;
+    if (activeTab !== 'analytics' || !canSeeCosts || (selected_employees.length === 0 && selected_projects.length === 0)) {
+      setCostBreakdown(null);
+      return;
+    }
+
+    const fetchCostBreakdown = async () => {
+      try {
+        const params = new URLSearchParams({ period: costPeriod });
+        selected_employees.forEach(id => params.append('employee_id', id));
+        selected_projects.forEach(project => params.append('project', project));
+        if (start_date) params.append('start_date', start_date);
+        if (end_date) params.append('end_date', end_date);
+
+        const response = await axios.get(`${API_URL}/costs?${params}`);
+        setCostBreakdown(response.data);
+      } catch (error) {
+        console.error('Error fetching costs:', error);
+        setCostBreakdown(null);
+      }
+    };
+
+    fetchCostBreakdown();
+  }, [analyticsFilters, costPeriod, canSeeCosts, activeTab]);
+
+  // Budgets of the projects in the Project Breakdown. Budgets cover the whole
+  // project or the current month, whatever the analytics date range.
+  useEffect(() => {
+    if (activeTab !== 'analytics' || !canSeeCosts || projectAnalytics.length === 0) {
+      setProjectBudgets({});
+      return;
+    }
+
+    const fetchProjectBudgets = async () => {
+      try {
+        const params = new URLSearchParams();
+        projectAnalytics.forEach(projData => params.append('project', projData.project_name));
+        const response = await axios.get(`${API_URL}/budgets?${params}`);
+        setProjectBudgets(Object.fromEntries(response.data.map(budget => [budget.project, budget])));
+      } catch (error) {
+        console.error('Error fetching budgets:', error);
+        setProjectBudgets({});
+      }
+    };
+
+    fetchProjectBudgets();
+  }, [projectAnalytics, canSeeCosts, activeTab]);
+
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (!showGallery) return;
@@ -280,19 +689,17 @@ function App() {
 
   // Track Employee Form Changes
   useEffect(() => {
-    const hasChanges = 
-      employeeForm.name !== '' ||
-      employeeForm.email !== '' ||
-      employeeForm.role !== '';
+    const hasChanges = Object.keys(employeeForm).some(key => employeeForm[key] !== employeeFormBaseline[key]);
     setIsEmployeeFormDirty(hasChanges);
-  }, [employeeForm]);
+  }, [employeeForm, employeeFormBaseline]);
 
   // Track Report Form Changes
   useEffect(() => {
     const hasChanges = 
       reportForm.employee_id !== '' ||
-      reportForm.hours !== '' ||
-      reportForm.project !== '' ||
+      reportForm.entries.some(entry => Object.values(entry).some(value => value !== '')) ||
+      Object.values(reportForm.responses).some(value => value !== '' && value !== false) ||
+      reportForm.blockers.some(blocker => (blocker.id ? blocker.status === 'resolved' : blocker.description !== '')) ||
       reportForm.description !== '' ||
       reportForm.screenshots.length > 0;
     setIsReportFormDirty(hasChanges);
@@ -302,8 +709,8 @@ function App() {
   useEffect(() => {
     const hasChanges = 
       quickForm.employee_id !== '' ||
-      quickForm.hours !== '' ||
-      quickForm.project !== '';
+      quickForm.entries.some(entry => Object.values(entry).some(value => value !== '')) ||
+      Object.values(quickForm.responses).some(value => value !== '' && value !== false);
     setIsQuickFormDirty(hasChanges);
   }, [quickForm]);
 
@@ -316,8 +723,9 @@ function App() {
     
     const hasChanges = 
       reportForm.employee_id !== editingReport.employee_id.toString() ||
-      reportForm.hours !== editingReport.hours.toString() ||
-      reportForm.project !== (editingReport.project || '') ||
+      JSON.stringify(reportForm.entries) !== JSON.stringify(toLineItems(editingReport.entries)) ||
+      JSON.stringify(reportForm.responses) !== JSON.stringify(toResponseValues(editingReport.responses)) ||
+      JSON.stringify(reportForm.blockers) !== JSON.stringify(toBlockerRows(editingReport.blockers)) ||
       reportForm.description !== (editingReport.description || '') ||
       reportForm.screenshots.length > 0;
     setIsEditFormDirty(hasChanges);
@@ -350,15 +758,19 @@ function App() {
     }
   };
 
+  const fetchReportTemplates = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/report-templates`);
+      setReportTemplates(response.data);
+    } catch (error) {
+      console.error('Error fetching report templates:', error);
+    }
+  };
+
   const fetchReports = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams();
-      if (filters.employee_id) params.append('employee_id', filters.employee_id);
-      if (filters.start_date) params.append('start_date', filters.start_date);
-      if (filters.end_date) params.append('end_date', filters.end_date);
-      if (filters.project) params.append('project', filters.project);
-      
+      const params = reportFilterParams(filters);
       const response = await axios.get(`${API_URL}/reports?${params}`);
       setReports(response.data);
     } catch (error) {
@@ -377,6 +789,90 @@ function App() {
     }
   };
 
+  useEffect(() => {
+    if (!canSeeMissingEods) return;
+
+    const fetchMissingEods = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/missing-eods`);
+        setMissingEods(response.data);
+      } catch (error) {
+        console.error('Error fetching missing EODs:', error);
+      }
+    };
+
+    fetchMissingEods();
+  }, [canSeeMissingEods, missingEodsReloadKey]);
+
+  // Live updates: reports and employees changed elsewhere (GET /api/events)
+  // are merged in without reloading. Changed reports are fetched again with
+  // the current filters, then the stats and missing EODs are refreshed.
+  const applyLiveUpdateRef = useRef(null);
+  applyLiveUpdateRef.current = async (reportIds) => {
+    fetchStats();
+    setMissingEodsReloadKey(key => key + 1);
+    if (reportIds.length === 0) return;
+
+    try {
+      const params = reportFilterParams(filters);
+      reportIds.forEach(id => params.append('id', id));
+      const response = await axios.get(`${API_URL}/reports?${params}`);
+      const refreshedIds = response.data.map(report => report.id);
+      setReports(prev => mergeReports(prev, reportIds, response.data));
+      setSelectedReports(prev => prev.filter(id => !reportIds.includes(id) || refreshedIds.includes(id)));
+    } catch (error) {
+      console.error('Error fetching changed reports:', error);
+    }
+  };
+
+  const userId = user ? user.id : null;
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    const source = new EventSource(`${API_URL}/events`, { withCredentials: true });
+    const changedReportIds = new Set();
+    let timer = null;
+
+    const scheduleUpdate = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const reportIds = [...changedReportIds];
+        changedReportIds.clear();
+        applyLiveUpdateRef.current(reportIds);
+      }, LIVE_UPDATE_DELAY_MS);
+    };
+
+    const handleReportEvent = (e) => {
+      changedReportIds.add(JSON.parse(e.data).id);
+      scheduleUpdate();
+    };
+
+    // Employees arrive whole, as GET /api/employees lists them
+    const handleEmployeeEvent = (e) => {
+      const { id, after } = JSON.parse(e.data);
+      setEmployees(prev => {
+        const others = prev.filter(employee => employee.id !== id);
+        return after ? [...others, after].sort((a, b) => a.name.localeCompare(b.name)) : others;
+      });
+      if (after) {
+        setReports(prev => prev.map(report => report.employee_id === id
+          ? { ...report, employee_name: after.name, employee_email: after.email, employee_role: after.role }
+          : report));
+      }
+      scheduleUpdate();
+    };
+
+    ['created', 'updated', 'deleted'].forEach(action => {
+      source.addEventListener(`report.${action}`, handleReportEvent);
+      source.addEventListener(`employee.${action}`, handleEmployeeEvent);
+    });
+
+    return () => {
+      clearTimeout(timer);
+      source.close();
+    };
+  }, [userId]);
+
   // Undo System
   const performDelete = async (type, id) => {
     try {
@@ -390,7 +886,13 @@ function App() {
         fetchStats();
       }
     } catch (error) {
-      alert(`Error deleting ${type}`);
+      alert(error.response?.data?.error || `Error deleting ${type}`);
+      // The item was already removed from the list, reload to bring it back
+      if (type === 'employee') {
+        fetchEmployees();
+      } else {
+        fetchReports();
+      }
     }
   };
 
@@ -446,7 +948,9 @@ function App() {
       }
     }
     setShowEmployeeModal(false);
-    setEmployeeForm({ name: '', email: '', role: '' });
+    setEmployeeForm(EMPTY_EMPLOYEE_FORM);
+    setEmployeeFormBaseline(EMPTY_EMPLOYEE_FORM);
+    setEditingEmployee(null);
     setIsEmployeeFormDirty(false);
   };
 
@@ -460,8 +964,9 @@ function App() {
     setReportForm({
       employee_id: '',
       date: new Date().toISOString().split('T')[0],
-      hours: '',
-      project: '',
+      entries: [EMPTY_LINE_ITEM],
+      responses: {},
+      blockers: [],
       description: '',
       screenshots: []
     });
@@ -483,8 +988,9 @@ function App() {
     setReportForm({
       employee_id: '',
       date: new Date().toISOString().split('T')[0],
-      hours: '',
-      project: '',
+      entries: [EMPTY_LINE_ITEM],
+      responses: {},
+      blockers: [],
       description: '',
       screenshots: []
     });
@@ -509,24 +1015,78 @@ function App() {
     setQuickForm({
       employee_id: '',
       date: new Date().toISOString().split('T')[0],
-      hours: '',
-      project: ''
+      entries: [EMPTY_LINE_ITEM],
+      responses: {}
     });
     setLastReport(null);
     setIsQuickFormDirty(false);
   };
 
+  const openAddEmployeeModal = () => {
+    setEditingEmployee(null);
+    setEmployeeForm(EMPTY_EMPLOYEE_FORM);
+    setEmployeeFormBaseline(EMPTY_EMPLOYEE_FORM);
+    setShowEmployeeModal(true);
+  };
+
+  const openEditEmployeeModal = (employee) => {
+    const form = {
+      name: employee.name,
+      email: employee.email,
+      role: employee.role,
+      status: employee.status || 'active',
+      start_date: toDateInput(employee.start_date),
+      end_date: toDateInput(employee.end_date)
+    };
+    setEditingEmployee(employee);
+    setEmployeeForm(form);
+    setEmployeeFormBaseline(form);
+    setShowEmployeeModal(true);
+  };
+
   const handleAddEmployee = async (e) => {
     e.preventDefault();
     try {
-      await axios.post(`${API_URL}/employees`, employeeForm);
-      setEmployeeForm({ name: '', email: '', role: '' });
+      if (editingEmployee) {
+        // Rates of an existing employee are saved by the rate history editor
+        await axios.put(`${API_URL}/employees/${editingEmployee.id}`, employeeForm);
+      } else {
+        await axios.post(`${API_URL}/employees`, employeeForm);
+      }
+      setEmployeeForm(EMPTY_EMPLOYEE_FORM);
+      setEmployeeFormBaseline(EMPTY_EMPLOYEE_FORM);
+      setEditingEmployee(null);
       setIsEmployeeFormDirty(false);
       setShowEmployeeModal(false);
       fetchEmployees();
       fetchStats();
     } catch (error) {
-      alert(error.response?.data?.error || 'Error adding employee');
+      alert(error.response?.data?.error || (editingEmployee ? 'Error updating employee' : 'Error adding employee'));
+    }
+  };
+
+  // Archive or reactivate an employee. Archived employees keep their reports
+  // but drop out of missing EODs and report entry, and their logins are deactivated.
+  const handleSetEmployeeStatus = async (employee, status) => {
+    if (status === 'archived' &&
+      !window.confirm(`Archive ${employee.name}? Their reports are kept, but they no longer need to submit EODs and their user accounts are deactivated.`)) {
+      return;
+    }
+
+    try {
+      await axios.put(`${API_URL}/employees/${employee.id}`, {
+        name: employee.name,
+        email: employee.email,
+        role: employee.role,
+        status,
+        start_date: toDateInput(employee.start_date),
+        // Archiving without an end date ends the employment today
+        end_date: status === 'archived' ? toDateInput(employee.end_date) : ''
+      });
+      fetchEmployees();
+      fetchStats();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error updating employee');
     }
   };
 
@@ -539,14 +1099,12 @@ function App() {
   const handleAddReport = async (e) => {
     e.preventDefault();
     
-    // Convert hours to decimal format
-    const decimalHours = convertTimeToHours(reportForm.hours);
-    
     const formData = new FormData();
     formData.append('employee_id', reportForm.employee_id);
     formData.append('date', reportForm.date);
-    formData.append('hours', decimalHours);
-    formData.append('project', reportForm.project);
+    formData.append('entries', JSON.stringify(lineItemsPayload(reportForm.entries)));
+    if (reportFormTemplate) formData.append('responses', JSON.stringify(reportForm.responses));
+    formData.append('blockers', JSON.stringify(blockersPayload(reportForm.blockers)));
     formData.append('description', reportForm.description);
     
     // Append screenshots and their captions
@@ -565,8 +1123,9 @@ function App() {
       setReportForm({
         employee_id: '',
         date: new Date().toISOString().split('T')[0],
-        hours: '',
-        project: '',
+        entries: [EMPTY_LINE_ITEM],
+        responses: {},
+        blockers: [],
         description: '',
         screenshots: []
       });
@@ -647,21 +1206,84 @@ function App() {
     setCurrentImageIndex((prev) => (prev - 1 + galleryImages.length) % galleryImages.length);
   };
 
+  // Lock status comes from the server's lock policies (report.lock). Admins and
+  // an active elevation bypass it (checked again by the server), but not a
+  // closed pay period.
   const isReportEditable = (report) => {
-    // Admin mode bypasses the 3-day restriction
-    if (adminMode) return true;
+    const lock = report.lock;
+    if (lock?.frozen) return false;
+    if (isAdmin() || isElevated()) return true;
+
+    if (!lock || !lock.locks_at) return true;
+
+    // Also catch reports that locked while the page was open
+    return !lock.locked && new Date(lock.locks_at) > new Date();
+  };
 
-    const reportDate = new Date(report.created_at);
-    const now = new Date();
-    const daysDifference = (now - reportDate) / (1000 * 60 * 60 * 24);
-    return daysDifference <= 3;
+  const lockedReportTitle = (report) => report.lock?.frozen
+    ? `Report locked (${report.lock.reason}) - Open details to add an amendment`
+    : `Report locked (${report.lock?.reason || 'edit window closed'}) - Click to confirm your password`;
+
+  // Closed pay periods can't be unlocked, corrections are made as amendments
+  const handleLockedReportClick = (report) => {
+    if (report.lock?.frozen) {
+      setSelectedReport(report);
+      return;
+    }
+    setReportToEditAfterAuth(report);
+    setShowAdminPasswordModal(true);
+  };
+
+  // Report details for a notification about a report
+  const openNotifiedReport = async (reportId) => {
+    try {
+      const response = await axios.get(`${API_URL}/reports/${reportId}`);
+      setSelectedReport(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error loading report');
+    }
+  };
+
+  const fetchRevisions = async (reportId) => {
+    try {
+      const response = await axios.get(`${API_URL}/reports/${reportId}/revisions`);
+      setRevisions(response.data);
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+    }
+  };
+
+  const fetchAmendments = async (reportId) => {
+    try {
+      const response = await axios.get(`${API_URL}/reports/${reportId}/amendments`);
+      setAmendments(response.data);
+    } catch (error) {
+      console.error('Error fetching amendments:', error);
+    }
+  };
+
+  const handleAmendmentSubmit = async (e) => {
+    e.preventDefault();
+    setSubmittingAmendment(true);
+    try {
+      await axios.post(`${API_URL}/reports/${selectedReport.id}/amendments`, amendmentForm);
+      setAmendmentForm({ hours_delta: '', reason: '' });
+      fetchAmendments(selectedReport.id);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error adding amendment');
+    } finally {
+      setSubmittingAmendment(false);
+    }
   };
 
-  const handleAdminPasswordSubmit = (e) => {
+  const handleAdminPasswordSubmit = async (e) => {
     e.preventDefault();
 
-    if (adminPassword === 'eod_admin') {
-      setAdminMode(true);
+    setElevating(true);
+    const result = await elevate(adminPassword);
+    setElevating(false);
+
+    if (result.success) {
       setShowAdminPasswordModal(false);
       setAdminPassword('');
       setAdminPasswordError('');
@@ -672,7 +1294,7 @@ function App() {
         setReportToEditAfterAuth(null);
       }
     } else {
-      setAdminPasswordError('Incorrect password');
+      setAdminPasswordError(result.error);
       setAdminPassword('');
     }
   };
@@ -691,8 +1313,9 @@ function App() {
     setReportForm({
       employee_id: report.employee_id,
       date: dateValue,
-      hours: report.hours,
-      project: report.project || '',
+      entries: toLineItems(report.entries),
+      responses: toResponseValues(report.responses),
+      blockers: toBlockerRows(report.blockers),
       description: report.description || '',
       screenshots: []
     });
@@ -751,14 +1374,12 @@ function App() {
   const handleUpdateReport = async (e) => {
     e.preventDefault();
 
-    // Convert hours to decimal format
-    const decimalHours = convertTimeToHours(reportForm.hours);
-
     const formData = new FormData();
     formData.append('employee_id', reportForm.employee_id);
     formData.append('date', reportForm.date);
-    formData.append('hours', decimalHours);
-    formData.append('project', reportForm.project);
+    formData.append('entries', JSON.stringify(lineItemsPayload(reportForm.entries)));
+    if (reportFormTemplate) formData.append('responses', JSON.stringify(reportForm.responses));
+    formData.append('blockers', JSON.stringify(blockersPayload(reportForm.blockers)));
     formData.append('description', reportForm.description);
 
     // Append new screenshots if any
@@ -783,8 +1404,9 @@ function App() {
       setReportForm({
         employee_id: '',
         date: new Date().toISOString().split('T')[0],
-        hours: '',
-        project: '',
+        entries: [EMPTY_LINE_ITEM],
+        responses: {},
+        blockers: [],
         description: '',
         screenshots: []
       });
@@ -811,7 +1433,7 @@ function App() {
   };
 
   const clearFilters = () => {
-    setFilters({ employee_id: '', start_date: '', end_date: '', project: '' });
+    setFilters({ employee_id: '', start_date: '', end_date: '', project: '', has_response: '', status: '' });
   };
 
   const fetchAnalytics = async () => {
@@ -836,15 +1458,16 @@ function App() {
 
         // Filter reports by employee
         let employeeReports = allReports.filter(r => r.employee_id === parseInt(empId));
+        let totalHours = employeeReports.reduce((sum, r) => sum + parseFloat(r.hours || 0), 0);
 
-        // If projects are also selected, filter by those projects
+        // If projects are also selected, only count line items in those projects
         if (analyticsFilters.selected_projects.length > 0) {
-          employeeReports = employeeReports.filter(r =>
-            analyticsFilters.selected_projects.includes(r.project)
-          );
+          const inProjects = (entry) => analyticsFilters.selected_projects.includes(entry.project);
+          employeeReports = employeeReports.filter(r => r.entries.some(inProjects));
+          totalHours = employeeReports.reduce((sum, r) =>
+            sum + r.entries.filter(inProjects).reduce((entrySum, entry) => entrySum + parseFloat(entry.hours || 0), 0), 0);
         }
 
-        const totalHours = employeeReports.reduce((sum, r) => sum + parseFloat(r.hours || 0), 0);
         const reportCount = employeeReports.length;
 
         return {
@@ -860,9 +1483,10 @@ function App() {
 
       setAnalyticsData(employeeTotals);
 
-      // Calculate totals for selected projects
+      // Calculate totals for selected projects from the line items filed under them
       const projectTotals = analyticsFilters.selected_projects.map(proj => {
-        let projectReports = allReports.filter(r => r.project === proj);
+        const inProject = (entry) => entry.project === proj;
+        let projectReports = allReports.filter(r => r.entries.some(inProject));
 
         // If employees are also selected, filter by those employees
         if (analyticsFilters.selected_employees.length > 0) {
@@ -871,7 +1495,8 @@ function App() {
           );
         }
 
-        const totalHours = projectReports.reduce((sum, r) => sum + parseFloat(r.hours || 0), 0);
+        const totalHours = projectReports.reduce((sum, r) =>
+          sum + r.entries.filter(inProject).reduce((entrySum, entry) => entrySum + parseFloat(entry.hours || 0), 0), 0);
         const reportCount = projectReports.length;
         const uniqueEmployees = [...new Set(projectReports.map(r => r.employee_id))].length;
 
@@ -900,7 +1525,9 @@ function App() {
       if (galleryFilters.start_date) params.append('start_date', galleryFilters.start_date);
       if (galleryFilters.end_date) params.append('end_date', galleryFilters.end_date);
 
-      const response = await axios.get(`${API_URL}/gallery?${params}`);
+      // Admins can narrow the gallery to possible reused screenshots
+      const endpoint = galleryFilters.reused_only ? 'admin/screenshots/duplicates' : 'gallery';
+      const response = await axios.get(`${API_URL}/${endpoint}?${params}`);
       setGalleryScreenshots(response.data);
     } catch (error) {
       console.error('Error fetching gallery:', error);
@@ -911,7 +1538,7 @@ function App() {
   };
 
   const clearGalleryFilters = () => {
-    setGalleryFilters({ employee_id: '', start_date: '', end_date: '' });
+    setGalleryFilters({ employee_id: '', start_date: '', end_date: '', reused_only: false });
     setGalleryScreenshots([]);
   };
 
@@ -943,10 +1570,10 @@ function App() {
 
   const toggleSelectAllEmployees = () => {
     // If all are selected, clear selection; otherwise select all
-    if (analyticsFilters.selected_employees.length === employees.length) {
+    if (analyticsFilters.selected_employees.length === currentEmployees.length) {
       setAnalyticsFilters({...analyticsFilters, selected_employees: []});
     } else {
-      const allIds = employees.map(e => e.id.toString());
+      const allIds = currentEmployees.map(e => e.id.toString());
       setAnalyticsFilters({...analyticsFilters, selected_employees: allIds});
     }
   };
@@ -956,7 +1583,7 @@ function App() {
     if (analyticsFilters.selected_projects.length === projects.length) {
       setAnalyticsFilters({...analyticsFilters, selected_projects: []});
     } else {
-      setAnalyticsFilters({...analyticsFilters, selected_projects: [...projects]});
+      setAnalyticsFilters({...analyticsFilters, selected_projects: projectNames});
     }
   };
 
@@ -993,6 +1620,14 @@ function App() {
     return '';
   };
 
+  // Line items as sent to the server, with hours in decimal format
+  const lineItemsPayload = (entries) => entries.map(entry => ({
+    project: entry.project,
+    task: entry.task,
+    hours: convertTimeToHours(entry.hours),
+    note: entry.note
+  }));
+
   // Format decimal hours to readable string for display
   const formatHoursDisplay = (hours) => {
     if (!hours) return '';
@@ -1010,8 +1645,8 @@ function App() {
     setQuickForm({
       employee_id: '',
       date: new Date().toISOString().split('T')[0],
-      hours: '8',
-      project: ''
+      entries: [{ ...EMPTY_LINE_ITEM, hours: '8' }],
+      responses: {}
     });
     setLastReport(null);
     setShowQuickAddModal(true);
@@ -1028,8 +1663,8 @@ function App() {
         setQuickForm({
           employee_id: employeeId,
           date: new Date().toISOString().split('T')[0],
-          hours: response.data.hours.toString(),
-          project: response.data.project || ''
+          entries: toLineItems(response.data.entries),
+          responses: {}
         });
       } else {
         setLastReport(null);
@@ -1042,22 +1677,19 @@ function App() {
   const handleQuickSubmit = async (e) => {
     e.preventDefault();
     
-    // Convert hours to decimal format
-    const decimalHours = convertTimeToHours(quickForm.hours);
-    
     try {
       await axios.post(`${API_URL}/reports`, {
         employee_id: quickForm.employee_id,
         date: quickForm.date,
-        hours: decimalHours,
-        project: quickForm.project,
+        entries: lineItemsPayload(quickForm.entries),
+        responses: quickFormTemplate ? quickForm.responses : undefined,
         description: ''
       });
       setQuickForm({
         employee_id: '',
         date: new Date().toISOString().split('T')[0],
-        hours: '',
-        project: ''
+        entries: [EMPTY_LINE_ITEM],
+        responses: {}
       });
       setLastReport(null);
       setIsQuickFormDirty(false);
@@ -1098,10 +1730,30 @@ function App() {
       fetchReports();
       fetchStats();
     } catch (error) {
-      alert('Error deleting reports');
+      alert(error.response?.data?.error || 'Error deleting reports');
+    }
+  };
+
+  const handleBulkApprove = async () => {
+    if (!window.confirm(`Approve ${selectedReports.length} selected reports?`)) return;
+
+    try {
+      await axios.post(`${API_URL}/reports/bulk-approve`, {
+        report_ids: selectedReports
+      }, { withCredentials: true });
+      setSelectedReports([]);
+      fetchReports();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error approving reports');
     }
   };
 
+  // The opened report after a review, and the list it came from
+  const handleReportReviewed = (review) => {
+    setSelectedReport(report => ({ ...report, ...review }));
+    fetchReports();
+  };
+
   // List View Sorting
   const sortReports = (reportsToSort) => {
     return [...reportsToSort].sort((a, b) => {
@@ -1181,8 +1833,8 @@ function App() {
       const hoursChangePercent = lastWeekHours > 0 ? ((hoursChange / lastWeekHours) * 100).toFixed(1) : 0;
 
       // Average hours per employee
-      const thisWeekAvg = employees.length > 0 ? thisWeekHours / employees.length : 0;
-      const lastWeekAvg = employees.length > 0 ? lastWeekHours / employees.length : 0;
+      const thisWeekAvg = currentEmployees.length > 0 ? thisWeekHours / currentEmployees.length : 0;
+      const lastWeekAvg = currentEmployees.length > 0 ? lastWeekHours / currentEmployees.length : 0;
       const avgChange = thisWeekAvg - lastWeekAvg;
       const avgChangePercent = lastWeekAvg > 0 ? ((avgChange / lastWeekAvg) * 100).toFixed(1) : 0;
 
@@ -1212,9 +1864,11 @@ function App() {
       // Project focus
       const projectHours = {};
       thisWeekReports.forEach(r => {
-        if (r.project) {
-          projectHours[r.project] = (projectHours[r.project] || 0) + parseFloat(r.hours || 0);
-        }
+        r.entries.forEach(entry => {
+          if (entry.project) {
+            projectHours[entry.project] = (projectHours[entry.project] || 0) + parseFloat(entry.hours || 0);
+          }
+        });
       });
       const topProject = Object.keys(projectHours).length > 0
         ? Object.entries(projectHours).sort((a, b) => b[1] - a[1])[0]
@@ -2081,6 +2735,13 @@ function App() {
               <FileText size={18} />
               Reports
             </button>
+            <button
+              className={`nav-tab ${activeTab === 'blockers' ? 'active' : ''}`}
+              onClick={() => setActiveTab('blockers')}
+            >
+              <AlertOctagon size={18} />
+              Blockers
+            </button>
             <button
               className={`nav-tab ${activeTab === 'analytics' ? 'active' : ''}`}
               onClick={() => setActiveTab('analytics')}
@@ -2114,7 +2775,7 @@ function App() {
               Gallery
             </button>
           </nav>
-          {adminMode && (
+          {elevationSecondsLeft > 0 && (
             <div style={{
               padding: '0.5rem 1rem',
               background: 'rgba(251, 191, 36, 0.2)',
@@ -2127,9 +2788,9 @@ function App() {
               color: '#fbbf24',
               fontWeight: '600'
             }}>
-              🔓 Admin Mode Active
+              🔓 Elevated Access · {Math.floor(elevationSecondsLeft / 60)}:{String(elevationSecondsLeft % 60).padStart(2, '0')} left
               <button
-                onClick={() => setAdminMode(false)}
+                onClick={endElevation}
                 style={{
                   background: 'transparent',
                   border: 'none',
@@ -2140,7 +2801,7 @@ function App() {
                   fontSize: '0.75rem',
                   textDecoration: 'underline'
                 }}
-                title="Exit admin mode"
+                title="End elevated access"
               >
                 Exit
               </button>
@@ -2156,6 +2817,7 @@ function App() {
             borderRadius: '8px',
             border: '1px solid rgba(255, 255, 255, 0.1)'
           }}>
+            <Notifications onOpenReport={openNotifiedReport} />
             <div style={{ textAlign: 'right' }}>
               <div style={{
                 fontSize: '0.9rem',
@@ -2259,9 +2921,37 @@ function App() {
               </div>
             </div>
 
+            {canSeeMissingEods && missingEods && (
+              <div className="card" style={{ marginBottom: '2rem' }}>
+                <div className="card-header">
+                  <div className="card-title">Missing EODs Today</div>
+                  <span style={{ fontSize: '0.9rem', color: '#9fa8da' }}>
+                    {missingEods.total_employees - missingEods.missing} of {missingEods.total_employees} reported
+                  </span>
+                </div>
+                {missingEods.missing_employees.length === 0 ? (
+                  <div style={{ color: '#10b981' }}>Everyone has reported today</div>
+                ) : (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    {missingEods.missing_employees.map(employee => (
+                      <span key={employee.id} style={{
+                        padding: '0.3rem 0.75rem',
+                        borderRadius: '12px',
+                        background: 'rgba(245, 158, 11, 0.15)',
+                        color: '#f59e0b',
+                        fontSize: '0.85rem'
+                      }}>
+                        {employee.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="section-header">
               <h2 className="section-title">Recent EOD Reports</h2>
-              {!isViewer() && (
+              {canEditReports && (
                 <div style={{ display: 'flex', gap: '0.75rem' }}>
                   <button className="btn btn-secondary" onClick={handleQuickAddClick}>
                     <Clock size={18} />
@@ -2424,7 +3114,7 @@ function App() {
                         >
                           <Eye size={18} />
                         </button>
-                        {!isViewer() && (
+                        {canEditReports && (
                           <>
                             {isReportEditable(report) ? (
                               <button
@@ -2438,11 +3128,8 @@ function App() {
                             ) : (
                               <button
                                 className="icon-btn"
-                                onClick={() => {
-                                  setReportToEditAfterAuth(report);
-                                  setShowAdminPasswordModal(true);
-                                }}
-                                title="Report locked (older than 3 days) - Click to enter admin password"
+                                onClick={() => handleLockedReportClick(report)}
+                                title={lockedReportTitle(report)}
                                 style={{ opacity: 0.5, color: '#f59e0b' }}
                               >
                                 <Edit size={18} />
@@ -2518,11 +3205,39 @@ function App() {
                     onChange={(e) => setFilters({...filters, project: e.target.value})}
                   >
                     <option value="">All Projects</option>
-                    {projects.map(proj => (
+                    {projectNames.map(proj => (
                       <option key={proj} value={proj}>{proj}</option>
                     ))}
                   </select>
                 </div>
+
+                <div className="filter-group">
+                  <label className="filter-label">Has Section</label>
+                  <select
+                    className="filter-select"
+                    value={filters.has_response}
+                    onChange={(e) => setFilters({...filters, has_response: e.target.value})}
+                  >
+                    <option value="">Any</option>
+                    {responseFields.map(field => (
+                      <option key={field.key} value={field.key}>{field.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="filter-group">
+                  <label className="filter-label">Status</label>
+                  <select
+                    className="filter-select"
+                    value={filters.status}
+                    onChange={(e) => setFilters({...filters, status: e.target.value})}
+                  >
+                    <option value="">Any</option>
+                    {Object.entries(REPORT_STATUSES).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
                 
                 <div className="filter-group">
                   <label className="filter-label">Start Date</label>
@@ -2588,7 +3303,7 @@ function App() {
                   </button>
                 </div>
 
-                {!isViewer() && (
+                {canEditReports && (
                   <button className="btn btn-primary" onClick={() => setShowReportModal(true)}>
                     <Plus size={18} />
                     New Report
@@ -2624,10 +3339,18 @@ function App() {
                     <X size={18} />
                     Clear
                   </button>
-                  <button className="btn btn-danger" onClick={handleBulkDelete}>
-                    <Trash2 size={18} />
-                    Delete Selected
-                  </button>
+                  {canReviewReports && (
+                    <button className="btn btn-primary" onClick={handleBulkApprove}>
+                      <CheckCircle size={18} />
+                      Approve Selected
+                    </button>
+                  )}
+                  {canEditReports && (
+                    <button className="btn btn-danger" onClick={handleBulkDelete}>
+                      <Trash2 size={18} />
+                      Delete Selected
+                    </button>
+                  )}
                 </div>
               </div>
             )}
@@ -2665,6 +3388,9 @@ function App() {
                           <div style={{ flex: 1 }}>
                             <div className="card-title">{report.employee_name}</div>
                             <div className="card-subtitle">{report.employee_role}</div>
+                            <div style={{ marginTop: '0.5rem' }}>
+                              <ReportStatusBadge status={report.status} />
+                            </div>
                             {report.project && (
                               <div style={{ 
                                 marginTop: '0.5rem',
@@ -2688,13 +3414,13 @@ function App() {
                           >
                             <Eye size={18} />
                           </button>
-                          {!isViewer() && (
+                          {canEditReports && (
                             <>
                               {isReportEditable(report) ? (
                                 <button
                                   className="icon-btn"
                                   onClick={() => handleEditReport(report)}
-                                  title="Edit report (within 3 days)"
+                                  title="Edit report"
                                   style={{ color: '#67e8f9' }}
                                 >
                                   <Edit size={18} />
@@ -2702,11 +3428,8 @@ function App() {
                               ) : (
                                 <button
                                   className="icon-btn"
-                                  onClick={() => {
-                                    setReportToEditAfterAuth(report);
-                                    setShowAdminPasswordModal(true);
-                                  }}
-                                  title="Report locked (older than 3 days) - Click to enter admin password"
+                                  onClick={() => handleLockedReportClick(report)}
+                                  title={lockedReportTitle(report)}
                                   style={{ opacity: 0.5, color: '#f59e0b' }}
                                 >
                                   <Edit size={18} />
@@ -2753,8 +3476,9 @@ function App() {
                           {report.screenshots.map((screenshot, idx) => (
                             <div key={screenshot.id} style={{ position: 'relative' }}>
                               <img
-                                src={getImageURL(screenshot.filepath)}
+                                src={getImageURL(screenshot.thumbnail_url || screenshot.filepath)}
                                 alt={screenshot.filename}
+                                loading="lazy"
                                 className="screenshot-thumb"
                                 onClick={() => openGallery(report.screenshots, idx)}
                               />
@@ -2794,7 +3518,7 @@ function App() {
                           alignItems: 'center',
                           gap: '0.5rem'
                         }}>
-                          🔒 Report locked (older than 3 days)
+                          🔒 Report locked ({report.lock?.reason || 'edit window closed'})
                         </div>
                       )}
                     </div>
@@ -2902,6 +3626,17 @@ function App() {
                         >
                           Hours {sortBy === 'hours' && (sortOrder === 'asc' ? '↑' : '↓')}
                         </th>
+                        <th style={{ 
+                          padding: '1rem',
+                          textAlign: 'left',
+                          color: '#a5b4fc',
+                          fontSize: '0.85rem',
+                          fontWeight: 600,
+                          textTransform: 'uppercase',
+                          letterSpacing: '0.05em'
+                        }}>
+                          Status
+                        </th>
                         <th style={{ 
                           padding: '1rem',
                           textAlign: 'left',
@@ -2995,6 +3730,9 @@ function App() {
                           }}>
                             {parseFloat(report.hours).toFixed(2)}h
                           </td>
+                          <td style={{ padding: '1rem' }}>
+                            <ReportStatusBadge status={report.status} />
+                          </td>
                           <td style={{ 
                             padding: '1rem',
                             color: '#a5b4fc',
@@ -3011,7 +3749,7 @@ function App() {
                               >
                                 <Eye size={18} />
                               </button>
-                              {!isViewer() && (
+                              {canEditReports && (
                                 <>
                                   {isReportEditable(report) ? (
                                     <button
@@ -3025,11 +3763,8 @@ function App() {
                                   ) : (
                                     <button
                                       className="icon-btn"
-                                      onClick={() => {
-                                        setReportToEditAfterAuth(report);
-                                        setShowAdminPasswordModal(true);
-                                      }}
-                                      title="Report locked (older than 3 days) - Click to enter admin password"
+                                      onClick={() => handleLockedReportClick(report)}
+                                      title={lockedReportTitle(report)}
                                       style={{ opacity: 0.5, color: '#f59e0b' }}
                                     >
                                       <Edit size={18} />
@@ -3226,7 +3961,7 @@ function App() {
                             fontWeight: 600
                           }}
                         >
-                          {analyticsFilters.selected_employees.length === employees.length ? 'Clear' : 'All'}
+                          {analyticsFilters.selected_employees.length === currentEmployees.length ? 'Clear' : 'All'}
                         </button>
                       </div>
                       <div style={{
@@ -3236,7 +3971,7 @@ function App() {
                         flexDirection: 'column',
                         gap: '0.5rem'
                       }}>
-                        {employees.map(emp => (
+                        {currentEmployees.map(emp => (
                           <label
                             key={emp.id}
                             style={{
@@ -3332,7 +4067,7 @@ function App() {
                           }}>
                             No projects
                           </div>
-                        ) : projects.map(proj => (
+                        ) : projectNames.map(proj => (
                           <label
                             key={proj}
                             style={{
@@ -3744,14 +4479,137 @@ function App() {
                                   </div>
                                 </div>
                               </div>
+
+                              {projectBudgets[projData.project_name] && (
+                                <ProjectBudget budget={projectBudgets[projData.project_name]} />
+                              )}
                             </div>
                           );
                         })}
                     </div>
                   </>
                 )}
-              </>
-            )}
+
+                {/* Cost by Period */}
+                {costBreakdown && (
+                  <>
+                    <div style={{
+                      margin: '2.5rem 0 1.5rem',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '1rem',
+                      flexWrap: 'wrap'
+                    }}>
+                      <h3 style={{
+                        fontSize: '1.25rem',
+                        fontWeight: 700,
+                        color: '#fff',
+                        margin: 0
+                      }}>
+                        Cost by Period
+                      </h3>
+                      <div style={{
+                        padding: '0.35rem 0.75rem',
+                        background: 'rgba(16, 185, 129, 0.2)',
+                        borderRadius: '20px',
+                        fontSize: '0.85rem',
+                        color: '#6ee7b7'
+                      }}>
+                        {formatCost(costBreakdown.summary.total_cost, costBreakdown.summary.currencies)} total
+                      </div>
+                      <select
+                        className="filter-select"
+                        value={costPeriod}
+                        onChange={(e) => setCostPeriod(e.target.value)}
+                        style={{ marginLeft: 'auto' }}
+                      >
+                        {Object.entries(COST_PERIODS).map(([value, label]) => (
+                          <option key={value} value={value}>By {label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {costBreakdown.periods.length === 0 ? (
+                      <div style={{ color: '#a5b4fc', fontSize: '0.9rem' }}>No reported hours in this range</div>
+                    ) : (
+                      <div style={{ display: 'grid', gap: '1rem' }}>
+                        {costBreakdown.periods.map(entry => {
+                          const maxCost = Math.max(...costBreakdown.periods.map(p => p.total_cost));
+                          const percentage = maxCost > 0 ? (entry.total_cost / maxCost) * 100 : 0;
+
+                          return (
+                            <div
+                              key={entry.period_start || 'none'}
+                              style={{
+                                background: 'rgba(15, 20, 40, 0.8)',
+                                padding: '1.25rem 1.5rem',
+                                borderRadius: '16px',
+                                border: '1px solid rgba(255, 255, 255, 0.1)'
+                              }}
+                            >
+                              <div style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'flex-start',
+                                marginBottom: '0.75rem'
+                              }}>
+                                <div>
+                                  <div style={{ fontSize: '1.05rem', fontWeight: 700, color: '#fff', marginBottom: '0.25rem' }}>
+                                    {costPeriodLabel(costBreakdown.period, entry)}
+                                  </div>
+                                  <div style={{ fontSize: '0.85rem', color: '#a5b4fc' }}>
+                                    {entry.total_hours.toFixed(1)}h · {entry.report_count} report{entry.report_count !== 1 ? 's' : ''}
+                                  </div>
+                                </div>
+                                <div style={{
+                                  fontSize: '1.5rem',
+                                  fontWeight: 700,
+                                  color: '#10b981',
+                                  fontFamily: 'JetBrains Mono, monospace'
+                                }}>
+                                  {formatCost(entry.total_cost, costBreakdown.summary.currencies)}
+                                </div>
+                              </div>
+
+                              <div style={{
+                                width: '100%',
+                                height: '8px',
+                                background: 'rgba(15, 20, 40, 0.8)',
+                                borderRadius: '10px',
+                                overflow: 'hidden',
+                                marginBottom: '0.75rem'
+                              }}>
+                                <div style={{
+                                  width: `${percentage}%`,
+                                  height: '100%',
+                                  background: 'linear-gradient(90deg, #10b981 0%, #059669 100%)',
+                                  transition: 'width 0.5s ease'
+                                }} />
+                              </div>
+
+                              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1.25rem', fontSize: '0.85rem', color: '#c7d2fe' }}>
+                                {entry.employees.map(emp => (
+                                  <span key={emp.employee_id}>
+                                    {emp.employee_name}: {formatCost(emp.total_cost, costBreakdown.summary.currencies)} ({emp.total_hours.toFixed(1)}h)
+                                  </span>
+                                ))}
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+
+                    {costBreakdown.amendments.length > 0 && (
+                      <div style={{ fontSize: '0.85rem', color: '#a5b4fc', marginTop: '1rem' }}>
+                        Amendments made in this range: {costBreakdown.summary.amendment_hours.toFixed(1)}h,{' '}
+                        {formatCost(costBreakdown.summary.amendment_cost, costBreakdown.summary.currencies)} (not included above)
+                      </div>
+                    )}
+                  </>
+                )}
+              </>
+            )}
               </div>
               {/* End Right Side - Main Content */}
 
@@ -3762,53 +4620,99 @@ function App() {
 
         {/* Admin Tab */}
         {activeTab === 'admin' && isAdmin() && (
-          <AdminPanel employees={employees} />
+          <AdminPanel
+            employees={employees}
+            onTrashChange={() => {
+              fetchEmployees();
+              fetchReports();
+              fetchStats();
+              fetchProjects();
+            }}
+            onProjectsChange={() => {
+              fetchProjects();
+              fetchReports();
+            }}
+            onTemplatesChange={fetchReportTemplates}
+          />
         )}
 
         {/* Employees Tab */}
         {activeTab === 'employees' && (
           <>
             <div className="section-header">
-              <h2 className="section-title">Team Members ({employees.length})</h2>
-              <button className="btn btn-primary" onClick={() => setShowEmployeeModal(true)}>
-                <Plus size={18} />
-                Add Employee
-              </button>
+              <h2 className="section-title">Team Members ({currentEmployees.length})</h2>
+              <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+                <select
+                  className="filter-select"
+                  value={employeeStatusFilter}
+                  onChange={(e) => setEmployeeStatusFilter(e.target.value)}
+                >
+                  <option value="">All statuses</option>
+                  <option value="active">{EMPLOYMENT_STATUSES.active.label}</option>
+                  <option value="on_leave">{EMPLOYMENT_STATUSES.on_leave.label}</option>
+                </select>
+                <button className="btn btn-primary" onClick={openAddEmployeeModal}>
+                  <Plus size={18} />
+                  Add Employee
+                </button>
+              </div>
             </div>
 
-            {employees.length === 0 ? (
+            {currentEmployees.length === 0 ? (
               <div className="empty-state">
                 <Users size={64} className="empty-icon" />
                 <p>No employees yet. Add your first team member!</p>
               </div>
             ) : (
               <div className="employees-grid">
-                {employees.map(employee => (
-                  <div key={employee.id} className="card">
-                    <div className="card-header">
-                      <div>
-                        <div className="card-title">{employee.name}</div>
-                        <div className="card-subtitle">{employee.role}</div>
-                      </div>
-                      <button 
-                        className="icon-btn danger"
-                        onClick={() => handleDeleteEmployee(employee.id)}
-                      >
-                        <Trash2 size={18} />
-                      </button>
-                    </div>
-                    <div style={{ marginTop: '1rem' }}>
-                      <div className="detail-label">Email</div>
-                      <div style={{ color: '#c7d2fe', marginTop: '0.25rem' }}>{employee.email}</div>
-                    </div>
-                  </div>
-                ))}
+                {currentEmployees
+                  .filter(employee => !employeeStatusFilter || employee.status === employeeStatusFilter)
+                  .map(employee => (
+                    <EmployeeCard
+                      key={employee.id}
+                      employee={employee}
+                      onEdit={openEditEmployeeModal}
+                      onSetStatus={handleSetEmployeeStatus}
+                      onDelete={handleDeleteEmployee}
+                    />
+                  ))}
               </div>
             )}
+
+            {archivedEmployees.length > 0 && (
+              <>
+                <div className="section-header" style={{ marginTop: '2.5rem' }}>
+                  <h2 className="section-title">Archived ({archivedEmployees.length})</h2>
+                  <button className="btn btn-secondary" onClick={() => setShowArchivedEmployees(!showArchivedEmployees)}>
+                    <Archive size={18} />
+                    {showArchivedEmployees ? 'Hide' : 'Show'}
+                  </button>
+                </div>
+
+                {showArchivedEmployees && (
+                  <div className="employees-grid">
+                    {archivedEmployees.map(employee => (
+                      <EmployeeCard
+                        key={employee.id}
+                        employee={employee}
+                        onEdit={openEditEmployeeModal}
+                        onSetStatus={handleSetEmployeeStatus}
+                        onDelete={handleDeleteEmployee}
+                      />
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
           </>
         )}
       </div>
 
+        {/* Blockers Tab */}
+        {activeTab === 'blockers' && (
+          <BlockersBoard employees={employees} projectNames={projectNames} readOnly={isViewer()} />
+        )}
+
         {/* Gallery Tab */}
         {activeTab === 'gallery' && (
           <>
@@ -3864,6 +4768,20 @@ function App() {
                     onChange={(e) => setGalleryFilters({...galleryFilters, end_date: e.target.value})}
                   />
                 </div>
+
+                {isAdmin() && (
+                  <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label className="form-label">Show</label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.75rem 0', cursor: 'pointer' }}>
+                      <input
+                        type="checkbox"
+                        checked={galleryFilters.reused_only}
+                        onChange={(e) => setGalleryFilters({...galleryFilters, reused_only: e.target.checked})}
+                      />
+                      Possible reused screenshots only
+                    </label>
+                  </div>
+                )}
               </div>
               <div style={{
                 padding: '0 1.5rem 1.5rem',
@@ -3913,8 +4831,9 @@ function App() {
                         onClick={() => openGallery(galleryScreenshots, index)}
                       >
                         <img
-                          src={getImageURL(screenshot.filepath)}
+                          src={getImageURL(screenshot.thumbnail_url || screenshot.filepath)}
                           alt={screenshot.filename}
+                          loading="lazy"
                           style={{
                             position: 'absolute',
                             top: 0,
@@ -3938,6 +4857,7 @@ function App() {
                           <Eye size={14} style={{ display: 'inline', marginRight: '0.25rem', verticalAlign: 'middle' }} />
                           View
                         </div>
+                        <DuplicateBadge duplicates={screenshot.duplicates} />
                       </div>
                       <div style={{ padding: '1rem' }}>
                         <div style={{
@@ -3962,6 +4882,26 @@ function App() {
                             "{screenshot.caption}"
                           </div>
                         )}
+                        {(screenshot.width || screenshot.size_bytes) && (
+                          <div style={{
+                            fontSize: '0.75rem',
+                            color: '#64748b'
+                          }}>
+                            {[
+                              screenshot.width && screenshot.height ? `${screenshot.width}×${screenshot.height}` : null,
+                              formatFileSize(screenshot.size_bytes)
+                            ].filter(Boolean).join(' · ')}
+                          </div>
+                        )}
+                        {screenshot.duplicates && screenshot.duplicates.length > 0 && (
+                          <div style={{
+                            fontSize: '0.75rem',
+                            color: '#f59e0b',
+                            marginTop: '0.25rem'
+                          }}>
+                            Similar to: {[...new Set(screenshot.duplicates.map(d => formatDate(d.report_date)))].join(', ')}
+                          </div>
+                        )}
                         <div style={{
                           fontSize: '0.75rem',
                           color: '#64748b',
@@ -4001,7 +4941,7 @@ function App() {
         <div className="modal-overlay" onClick={handleCancelAdminPassword}>
           <div className="modal" style={{ maxWidth: '400px' }} onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3 className="modal-title">🔐 Admin Access Required</h3>
+              <h3 className="modal-title">🔐 Elevated Access Required</h3>
               <button className="close-btn" onClick={handleCancelAdminPassword}>
                 <X size={20} />
               </button>
@@ -4016,11 +4956,12 @@ function App() {
                 fontSize: '0.9rem',
                 color: '#fbbf24'
               }}>
-                ⚠️ This report is older than 3 days. Enter admin password to edit.
+                ⚠️ This report is locked{reportToEditAfterAuth?.lock?.reason ? ` (${reportToEditAfterAuth.lock.reason})` : ''}.{' '}
+                Confirm your password to unlock editing for a limited time.
               </div>
 
               <div className="form-group">
-                <label className="form-label">Admin Password</label>
+                <label className="form-label">Your Password</label>
                 <input
                   type="password"
                   className="form-input"
@@ -4029,7 +4970,7 @@ function App() {
                     setAdminPassword(e.target.value);
                     setAdminPasswordError('');
                   }}
-                  placeholder="Enter admin password"
+                  placeholder="Enter your password"
                   autoFocus
                   required
                   style={adminPasswordError ? { borderColor: '#ef4444' } : {}}
@@ -4049,8 +4990,8 @@ function App() {
                 <button type="button" className="btn btn-secondary" onClick={handleCancelAdminPassword}>
                   Cancel
                 </button>
-                <button type="submit" className="btn btn-primary">
-                  Unlock & Edit
+                <button type="submit" className="btn btn-primary" disabled={elevating}>
+                  {elevating ? 'Verifying...' : 'Unlock & Edit'}
                 </button>
               </div>
             </form>
@@ -4063,7 +5004,7 @@ function App() {
         <div className="modal-overlay" onClick={() => handleModalClickOutside('employee')}>
           <div className={`modal ${blinkingModal === 'employee' ? 'modal-blink' : ''}`} onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3 className="modal-title">Add New Employee</h3>
+              <h3 className="modal-title">{editingEmployee ? 'Edit Employee' : 'Add New Employee'}</h3>
               <button className="close-btn" onClick={handleCloseEmployeeModal}>
                 <X size={20} />
               </button>
@@ -4104,10 +5045,80 @@ function App() {
                   placeholder="Software Engineer"
                 />
               </div>
-              
+
+              <div className="form-group">
+                <label className="form-label">Status</label>
+                <select
+                  className="form-select"
+                  value={employeeForm.status}
+                  onChange={(e) => setEmployeeForm({...employeeForm, status: e.target.value})}
+                >
+                  {Object.entries(EMPLOYMENT_STATUSES).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {employeeForm.status === 'archived' && editingEmployee?.status !== 'archived' && (
+                  <div style={{ fontSize: '0.8rem', color: '#f59e0b', marginTop: '0.35rem' }}>
+                    Archiving deactivates the employee's user accounts
+                  </div>
+                )}
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                <div className="form-group">
+                  <label className="form-label">Start Date</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={employeeForm.start_date}
+                    onChange={(e) => setEmployeeForm({...employeeForm, start_date: e.target.value})}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">End Date</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={employeeForm.end_date}
+                    min={employeeForm.start_date || undefined}
+                    onChange={(e) => setEmployeeForm({...employeeForm, end_date: e.target.value})}
+                  />
+                </div>
+              </div>
+
+              {editingEmployee ? (
+                <RateHistory employeeId={editingEmployee.id} onChange={fetchEmployees} />
+              ) : (
+                <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '1rem' }}>
+                  <div className="form-group">
+                    <label className="form-label">Hourly Rate</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      className="form-input"
+                      value={employeeForm.hourly_rate}
+                      onChange={(e) => setEmployeeForm({...employeeForm, hourly_rate: e.target.value})}
+                      placeholder="0.00"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Currency</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      maxLength={3}
+                      value={employeeForm.currency}
+                      onChange={(e) => setEmployeeForm({...employeeForm, currency: e.target.value.toUpperCase()})}
+                      placeholder="USD"
+                    />
+                  </div>
+                </div>
+              )}
+
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                <Plus size={18} />
-                Add Employee
+                {editingEmployee ? <Edit size={18} /> : <Plus size={18} />}
+                {editingEmployee ? 'Save Changes' : 'Add Employee'}
               </button>
             </form>
           </div>
@@ -4134,7 +5145,7 @@ function App() {
                   required
                 >
                   <option value="">Select Employee</option>
-                  {employees.map(emp => (
+                  {currentEmployees.map(emp => (
                     <option key={emp.id} value={emp.id}>{emp.name} - {emp.role}</option>
                   ))}
                 </select>
@@ -4151,38 +5162,26 @@ function App() {
                 />
               </div>
               
-              <div className="form-group">
-                <label className="form-label">Project/App *</label>
-                <input 
-                  type="text"
-                  list="projects-list"
-                  className="form-input"
-                  value={reportForm.project}
-                  onChange={(e) => setReportForm({...reportForm, project: e.target.value})}
-                  required
-                  placeholder="e.g., Mobile App, Website Redesign, API Development"
-                />
-                <datalist id="projects-list">
-                  {projects.map(proj => (
-                    <option key={proj} value={proj} />
-                  ))}
-                </datalist>
-              </div>
-              
-              <div className="form-group">
-                <label className="form-label">Hours Worked *</label>
-                <input 
-                  type="text"
-                  className="form-input"
-                  value={reportForm.hours}
-                  onChange={(e) => setReportForm({...reportForm, hours: e.target.value})}
-                  required
-                  placeholder="8 or 7:30 or 7:30:45"
-                />
-                <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '0.25rem' }}>
-                  Enter as decimal (8.5) or time format (7:30:00)
-                </div>
-              </div>
+              <LineItemsEditor
+                entries={reportForm.entries}
+                onChange={(entries) => setReportForm({...reportForm, entries})}
+                parseHours={convertTimeToHours}
+                projectNames={activeProjectNames}
+                listId="projects-list"
+              />
+
+              <ReportTemplateFields
+                template={reportFormTemplate}
+                values={reportForm.responses}
+                onChange={(responses) => setReportForm({...reportForm, responses})}
+              />
+
+              <BlockersEditor
+                blockers={reportForm.blockers}
+                onChange={(blockers) => setReportForm({...reportForm, blockers})}
+                owners={currentEmployees}
+                listId="projects-list"
+              />
               
               <div className="form-group">
                 <label className="form-label">Description</label>
@@ -4337,38 +5336,26 @@ function App() {
                 />
               </div>
               
-              <div className="form-group">
-                <label className="form-label">Project/App *</label>
-                <input 
-                  type="text"
-                  list="projects-list-edit"
-                  className="form-input"
-                  value={reportForm.project}
-                  onChange={(e) => setReportForm({...reportForm, project: e.target.value})}
-                  required
-                  placeholder="e.g., Mobile App, Website Redesign"
-                />
-                <datalist id="projects-list-edit">
-                  {projects.map(proj => (
-                    <option key={proj} value={proj} />
-                  ))}
-                </datalist>
-              </div>
-              
-              <div className="form-group">
-                <label className="form-label">Hours Worked *</label>
-                <input 
-                  type="text"
-                  className="form-input"
-                  value={reportForm.hours}
-                  onChange={(e) => setReportForm({...reportForm, hours: e.target.value})}
-                  required
-                  placeholder="8 or 7:30 or 7:30:45"
-                />
-                <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '0.25rem' }}>
-                  Enter as decimal (8.5) or time format (7:30:00)
-                </div>
-              </div>
+              <LineItemsEditor
+                entries={reportForm.entries}
+                onChange={(entries) => setReportForm({...reportForm, entries})}
+                parseHours={convertTimeToHours}
+                projectNames={activeProjectNames}
+                listId="projects-list-edit"
+              />
+
+              <ReportTemplateFields
+                template={reportFormTemplate}
+                values={reportForm.responses}
+                onChange={(responses) => setReportForm({...reportForm, responses})}
+              />
+
+              <BlockersEditor
+                blockers={reportForm.blockers}
+                onChange={(blockers) => setReportForm({...reportForm, blockers})}
+                owners={currentEmployees}
+                listId="projects-list-edit"
+              />
               
               <div className="form-group">
                 <label className="form-label">Description</label>
@@ -4395,7 +5382,7 @@ function App() {
                         border: '1px solid rgba(255, 255, 255, 0.1)'
                       }}>
                         <img
-                          src={getImageURL(screenshot.filepath)}
+                          src={getImageURL(screenshot.thumbnail_url || screenshot.filepath)}
                           alt={screenshot.filename}
                           style={{
                             width: '120px',
@@ -4576,6 +5563,100 @@ function App() {
                   </div>
                 )}
               </div>
+
+              <ReportReview
+                key={selectedReport.id}
+                report={selectedReport}
+                canReview={canReviewReport(selectedReport)}
+                onReviewed={handleReportReviewed}
+              />
+
+              {selectedReport.entries && selectedReport.entries.length > 0 && (
+                <div>
+                  <div className="detail-label">Line Items</div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '0.5rem' }}>
+                    {selectedReport.entries.map(entry => (
+                      <div key={entry.id} style={{
+                        display: 'flex',
+                        alignItems: 'baseline',
+                        gap: '0.75rem',
+                        padding: '0.5rem 0.75rem',
+                        background: 'rgba(102, 126, 234, 0.08)',
+                        borderRadius: '8px',
+                        borderLeft: `3px solid ${entry.project_color || '#667eea'}`
+                      }}>
+                        <div style={{ flex: 1, color: '#c7d2fe' }}>
+                          <div>
+                            📱 {entry.project || 'No project'}
+                            {entry.task && <span style={{ color: '#9fa8da' }}> · {entry.task}</span>}
+                          </div>
+                          {entry.note && (
+                            <div style={{ fontSize: '0.85rem', color: '#9fa8da', marginTop: '0.25rem' }}>{entry.note}</div>
+                          )}
+                        </div>
+                        <div style={{ fontFamily: 'JetBrains Mono, monospace', color: '#fff' }}>
+                          {parseFloat(entry.hours).toFixed(2)}h
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedReport.responses && selectedReport.responses.length > 0 && (
+                <div>
+                  <div className="detail-label">Sections</div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', marginTop: '0.5rem' }}>
+                    {selectedReport.responses.map(response => (
+                      <div key={response.key}>
+                        <div style={{ fontSize: '0.85rem', color: '#9fa8da' }}>{response.label}</div>
+                        <div style={{ color: '#c7d2fe', whiteSpace: 'pre-wrap', wordWrap: 'break-word' }}>
+                          {response.type === 'checkbox'
+                            ? (response.value ? '✓ Yes' : '✗ No')
+                            : (response.value === null ? '—' : String(response.value))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedReport.blockers && selectedReport.blockers.length > 0 && (
+                <div>
+                  <div className="detail-label">Blockers</div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '0.5rem' }}>
+                    {selectedReport.blockers.map(blocker => (
+                      <div key={blocker.id} style={{
+                        display: 'flex',
+                        alignItems: 'baseline',
+                        gap: '0.75rem',
+                        padding: '0.5rem 0.75rem',
+                        background: blocker.status === 'open' ? 'rgba(239, 68, 68, 0.08)' : 'rgba(16, 185, 129, 0.08)',
+                        borderRadius: '8px'
+                      }}>
+                        <div style={{ flex: 1, color: '#c7d2fe' }}>
+                          <div>{blocker.description}</div>
+                          <div style={{ fontSize: '0.8rem', color: '#9fa8da', marginTop: '0.25rem' }}>
+                            Owner: {blocker.owner_name || 'Unassigned'}
+                            {blocker.project && ` · 📱 ${blocker.project}`}
+                            {blocker.report_id !== selectedReport.id && ' · carried over'}
+                          </div>
+                        </div>
+                        <span style={{
+                          fontSize: '0.75rem',
+                          padding: '0.15rem 0.5rem',
+                          borderRadius: '10px',
+                          background: blocker.status === 'open' ? 'rgba(239, 68, 68, 0.2)' : 'rgba(16, 185, 129, 0.2)',
+                          color: blocker.status === 'open' ? '#ef4444' : '#10b981',
+                          whiteSpace: 'nowrap'
+                        }}>
+                          {blocker.status === 'open' ? `Open · ${blocker.age_days}d` : 'Resolved'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
               
               {selectedReport.description && (
                 <div>
@@ -4599,11 +5680,12 @@ function App() {
                     {selectedReport.screenshots.map((screenshot, idx) => (
                       <div key={screenshot.id} style={{ position: 'relative' }}>
                         <img
-                          src={getImageURL(screenshot.filepath)}
+                          src={getImageURL(screenshot.preview_url || screenshot.filepath)}
                           alt={screenshot.filename}
                           className="screenshot-thumb"
                           onClick={() => openGallery(selectedReport.screenshots, idx)}
                         />
+                        <DuplicateBadge duplicates={screenshot.duplicates} />
                         {screenshot.caption && (
                           <div style={{
                             position: 'absolute',
@@ -4628,6 +5710,80 @@ function App() {
                   </div>
                 </div>
               )}
+
+              {selectedReport.lock?.frozen && (
+                <div>
+                  <div className="detail-label">Amendments</div>
+                  <div style={{ fontSize: '0.85rem', color: '#9fa8da', margin: '0.5rem 0' }}>
+                    🔒 Locked: {selectedReport.lock.reason}. Corrections are recorded as amendments and reported separately.
+                  </div>
+                  {amendments.length > 0 && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                      {amendments.map(amendment => (
+                        <div key={amendment.id} style={{
+                          padding: '0.5rem 0.75rem',
+                          background: 'rgba(251, 191, 36, 0.1)',
+                          border: '1px solid rgba(251, 191, 36, 0.2)',
+                          borderRadius: '8px',
+                          fontSize: '0.85rem',
+                          color: '#c7d2fe'
+                        }}>
+                          <strong style={{ color: parseFloat(amendment.hours_delta) < 0 ? '#fca5a5' : '#86efac' }}>
+                            {parseFloat(amendment.hours_delta) > 0 ? '+' : ''}{parseFloat(amendment.hours_delta).toFixed(2)}h
+                          </strong>
+                          {' '}{amendment.reason}
+                          <div style={{ fontSize: '0.75rem', color: '#9fa8da', marginTop: '0.25rem' }}>
+                            {amendment.created_by_username || 'Unknown'} · {new Date(amendment.created_at).toLocaleString()}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {canEditReports && (
+                    <form onSubmit={handleAmendmentSubmit} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                      <input
+                        type="number"
+                        step="0.25"
+                        className="form-input"
+                        placeholder="Hours change (e.g. -1.5)"
+                        value={amendmentForm.hours_delta}
+                        onChange={(e) => setAmendmentForm({ ...amendmentForm, hours_delta: e.target.value })}
+                        style={{ width: '180px' }}
+                        required
+                      />
+                      <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Reason"
+                        value={amendmentForm.reason}
+                        onChange={(e) => setAmendmentForm({ ...amendmentForm, reason: e.target.value })}
+                        style={{ flex: 1, minWidth: '180px' }}
+                        required
+                      />
+                      <button type="submit" className="btn btn-primary" disabled={submittingAmendment}>
+                        {submittingAmendment ? 'Saving...' : 'Add Amendment'}
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+
+              {/* Viewers only read; everyone else sees only reports they may comment on */}
+              <ReportComments reportId={selectedReport.id} canComment={!isViewer()} currentUserId={user.id} />
+
+              {revisions.length > 0 && (
+                <div>
+                  <div className="detail-label" style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                    <History size={14} />
+                    History ({revisions.length})
+                  </div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '0.75rem' }}>
+                    {revisions.map(revision => (
+                      <RevisionEntry key={revision.id} revision={revision} employees={employees} />
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -4636,7 +5792,7 @@ function App() {
       {/* Quick Add Modal */}
       {showQuickAddModal && (
         <div className="modal-overlay" onClick={() => handleModalClickOutside('quick')}>
-          <div className={`modal ${blinkingModal === 'quick' ? 'modal-blink' : ''}`} onClick={(e) => e.stopPropagation()} style={{ maxWidth: '500px' }}>
+          <div className={`modal ${blinkingModal === 'quick' ? 'modal-blink' : ''}`} onClick={(e) => e.stopPropagation()} style={{ maxWidth: '640px' }}>
             <div className="modal-header">
               <h3 className="modal-title">⚡ Quick EOD Entry</h3>
               <button className="close-btn" onClick={handleCloseQuickModal}>
@@ -4654,7 +5810,7 @@ function App() {
                   required
                 >
                   <option value="">Select Employee</option>
-                  {employees.map(emp => (
+                  {currentEmployees.map(emp => (
                     <option key={emp.id} value={emp.id}>{emp.name}</option>
                   ))}
                 </select>
@@ -4680,13 +5836,12 @@ function App() {
                     className="btn btn-secondary"
                     onClick={() => setQuickForm({
                       ...quickForm,
-                      project: lastReport.project,
-                      hours: lastReport.hours.toString()
+                      entries: toLineItems(lastReport.entries)
                     })}
                     style={{ width: '100%', fontSize: '0.9rem' }}
                   >
                     <Clock size={16} />
-                    Use Same Project & Hours
+                    Use Same Line Items
                   </button>
                 </div>
               )}
@@ -4702,38 +5857,19 @@ function App() {
                 />
               </div>
               
-              <div className="form-group">
-                <label className="form-label">Project/App *</label>
-                <input 
-                  type="text"
-                  list="projects-list-quick"
-                  className="form-input"
-                  value={quickForm.project}
-                  onChange={(e) => setQuickForm({...quickForm, project: e.target.value})}
-                  required
-                  placeholder="e.g., Mobile App"
-                />
-                <datalist id="projects-list-quick">
-                  {projects.map(proj => (
-                    <option key={proj} value={proj} />
-                  ))}
-                </datalist>
-              </div>
-              
-              <div className="form-group">
-                <label className="form-label">Hours Worked *</label>
-                <input 
-                  type="text"
-                  className="form-input"
-                  value={quickForm.hours}
-                  onChange={(e) => setQuickForm({...quickForm, hours: e.target.value})}
-                  required
-                  placeholder="8 or 7:30 or 7:30:45"
-                />
-                <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '0.25rem' }}>
-                  Enter as decimal (8.5) or time format (7:30:00)
-                </div>
-              </div>
+              <LineItemsEditor
+                entries={quickForm.entries}
+                onChange={(entries) => setQuickForm({...quickForm, entries})}
+                parseHours={convertTimeToHours}
+                projectNames={activeProjectNames}
+                listId="projects-list-quick"
+              />
+
+              <ReportTemplateFields
+                template={quickFormTemplate}
+                values={quickForm.responses}
+                onChange={(responses) => setQuickForm({...quickForm, responses})}
+              />
               
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
                 <Clock size={18} />
@@ -5149,7 +6285,7 @@ function App() {
         }}>
           <div style={{ flex: 1 }}>
             <div style={{ fontWeight: 600, marginBottom: '0.25rem' }}>
-              ✓ {deletedItem.type === 'employee' ? 'Employee' : 'Report'} deleted
+              ✓ {deletedItem.type === 'employee' ? 'Employee' : 'Report'} moved to trash
             </div>
             <div style={{ fontSize: '0.85rem', opacity: 0.9 }}>
               Click undo to restore
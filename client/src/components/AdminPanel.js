@@ -1,12 +1,49 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { Users, Plus, Edit, Trash2, Shield, Eye, Calendar, X, AlertCircle } from 'lucide-react';
+import { Users, Plus, Edit, Trash2, Shield, Eye, Calendar, X, AlertCircle, HardDrive, Lock, Unlock, ScrollText, FolderKanban, ClipboardList, UserCog } from 'lucide-react';
+import AuditLog from './AuditLog';
+import Projects from './Projects';
+import ReportTemplates from './ReportTemplates';
+import Teams from './Teams';
+import Trash from './Trash';
 
 const API_URL = process.env.NODE_ENV === 'production'
   ? '/api'
   : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
 
-const AdminPanel = ({ employees }) => {
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const LOCK_POLICY_TYPES = {
+  rolling_days: 'Rolling days after submission',
+  weekly_cutoff: 'Weekly cutoff',
+  period_close: 'Period close'
+};
+
+const EMPTY_LOCK_POLICY_FORM = {
+  name: '',
+  type: 'rolling_days',
+  days: 3,
+  cutoff_weekday: 1,
+  cutoff_time: '10:00',
+  closed_through: '',
+  enabled: true
+};
+
+// Human-readable rule for a lock policy row
+const describeLockPolicy = (policy) => {
+  switch (policy.type) {
+    case 'rolling_days':
+      return `Locks ${policy.days} day(s) after the report is submitted`;
+    case 'weekly_cutoff':
+      return `Locks at the first ${WEEKDAYS[policy.cutoff_weekday]} ${policy.cutoff_time.slice(0, 5)} after the report date`;
+    case 'period_close':
+      return `Reports dated on or before ${policy.closed_through.split('T')[0]} are locked`;
+    default:
+      return policy.type;
+  }
+};
+
+const AdminPanel = ({ employees, onTrashChange, onProjectsChange, onTemplatesChange }) => {
   const [users, setUsers] = useState([]);
   const [viewerAccesses, setViewerAccesses] = useState([]);
   const [showUserModal, setShowUserModal] = useState(false);
@@ -14,7 +51,16 @@ const AdminPanel = ({ employees }) => {
   const [editingUser, setEditingUser] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [view, setView] = useState('management');
   const [loading, setLoading] = useState(false);
+  const [reconcileResult, setReconcileResult] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [lockPolicies, setLockPolicies] = useState([]);
+  const [showLockPolicyModal, setShowLockPolicyModal] = useState(false);
+  const [editingLockPolicy, setEditingLockPolicy] = useState(null);
+  const [lockPolicyForm, setLockPolicyForm] = useState(EMPTY_LOCK_POLICY_FORM);
+  const [payPeriods, setPayPeriods] = useState([]);
+  const [payPeriodForm, setPayPeriodForm] = useState({ start_date: '', end_date: '' });
 
   const [userForm, setUserForm] = useState({
     username: '',
@@ -32,6 +78,8 @@ const AdminPanel = ({ employees }) => {
   useEffect(() => {
     fetchUsers();
     fetchViewerAccesses();
+    fetchLockPolicies();
+    fetchPayPeriods();
   }, []);
 
   const fetchUsers = async () => {
@@ -156,6 +204,183 @@ const AdminPanel = ({ employees }) => {
     }
   };
 
+  const fetchLockPolicies = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/report-lock-policies`, {
+        withCredentials: true
+      });
+      setLockPolicies(response.data);
+    } catch (err) {
+      console.error('Error fetching lock policies:', err);
+    }
+  };
+
+  const openLockPolicyModal = (policy) => {
+    setEditingLockPolicy(policy);
+    setLockPolicyForm(policy ? {
+      name: policy.name,
+      type: policy.type,
+      days: policy.days ?? EMPTY_LOCK_POLICY_FORM.days,
+      cutoff_weekday: policy.cutoff_weekday ?? EMPTY_LOCK_POLICY_FORM.cutoff_weekday,
+      cutoff_time: policy.cutoff_time ? policy.cutoff_time.slice(0, 5) : EMPTY_LOCK_POLICY_FORM.cutoff_time,
+      closed_through: policy.closed_through ? policy.closed_through.split('T')[0] : '',
+      enabled: policy.enabled
+    } : EMPTY_LOCK_POLICY_FORM);
+    setShowLockPolicyModal(true);
+  };
+
+  const handleSaveLockPolicy = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setLoading(true);
+
+    try {
+      if (editingLockPolicy) {
+        await axios.put(`${API_URL}/admin/report-lock-policies/${editingLockPolicy.id}`, lockPolicyForm, {
+          withCredentials: true
+        });
+        setSuccess('Lock policy updated successfully!');
+      } else {
+        await axios.post(`${API_URL}/admin/report-lock-policies`, lockPolicyForm, {
+          withCredentials: true
+        });
+        setSuccess('Lock policy created successfully!');
+      }
+      setShowLockPolicyModal(false);
+      setEditingLockPolicy(null);
+      fetchLockPolicies();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save lock policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleLockPolicy = async (policy) => {
+    try {
+      await axios.put(`${API_URL}/admin/report-lock-policies/${policy.id}`, {
+        ...policy,
+        cutoff_time: policy.cutoff_time ? policy.cutoff_time.slice(0, 5) : null,
+        closed_through: policy.closed_through ? policy.closed_through.split('T')[0] : null,
+        enabled: !policy.enabled
+      }, {
+        withCredentials: true
+      });
+      fetchLockPolicies();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update lock policy');
+    }
+  };
+
+  const handleDeleteLockPolicy = async (policyId) => {
+    if (!window.confirm('Are you sure you want to delete this lock policy?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/admin/report-lock-policies/${policyId}`, {
+        withCredentials: true
+      });
+      setSuccess('Lock policy deleted successfully!');
+      fetchLockPolicies();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete lock policy');
+    }
+  };
+
+  const fetchPayPeriods = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/pay-periods`, {
+        withCredentials: true
+      });
+      setPayPeriods(response.data);
+    } catch (err) {
+      console.error('Error fetching pay periods:', err);
+    }
+  };
+
+  const handleCreatePayPeriod = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      await axios.post(`${API_URL}/admin/pay-periods`, payPeriodForm, {
+        withCredentials: true
+      });
+      setSuccess('Pay period created successfully!');
+      setPayPeriodForm({ start_date: '', end_date: '' });
+      fetchPayPeriods();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create pay period');
+    }
+  };
+
+  // action is 'close' or 'reopen'
+  const handlePayPeriodStatus = async (period, action) => {
+    const message = action === 'close'
+      ? 'Close this pay period? Its reports will be locked for everyone and corrections will need amendments.'
+      : 'Reopen this pay period? Its reports will become editable again.';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_URL}/admin/pay-periods/${period.id}/${action}`, {}, {
+        withCredentials: true
+      });
+      setSuccess(action === 'close' ? 'Pay period closed!' : 'Pay period reopened!');
+      fetchPayPeriods();
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to ${action} pay period`);
+    }
+  };
+
+  const handleDeletePayPeriod = async (periodId) => {
+    if (!window.confirm('Are you sure you want to delete this pay period?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/admin/pay-periods/${periodId}`, {
+        withCredentials: true
+      });
+      setSuccess('Pay period deleted successfully!');
+      fetchPayPeriods();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete pay period');
+    }
+  };
+
+  // Dry run lists orphans only; purge deletes orphaned files and rows with missing files
+  const handleReconcileStorage = async (dryRun) => {
+    if (!dryRun && !window.confirm(
+      `Delete ${reconcileResult.orphaned_files.length} orphaned file(s) from storage and ` +
+      `${reconcileResult.missing_files.length} screenshot record(s) with missing files? This action cannot be undone.`
+    )) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    setReconciling(true);
+
+    try {
+      const response = await axios.post(`${API_URL}/admin/storage/reconcile`, { dry_run: dryRun }, {
+        withCredentials: true
+      });
+      setReconcileResult(response.data);
+      if (!dryRun) {
+        setSuccess(`Purged ${response.data.purged_files} file(s) and ${response.data.purged_rows} screenshot record(s)`);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reconcile screenshot storage');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
   const openEditModal = (user) => {
     setEditingUser(user);
     setUserForm({
@@ -177,8 +402,102 @@ const AdminPanel = ({ employees }) => {
     return new Date(expiresAt) < new Date();
   };
 
+  const viewTabs = (
+    <div className="nav-tabs" style={{ marginBottom: '1.5rem' }}>
+      <button
+        className={`nav-tab ${view === 'management' ? 'active' : ''}`}
+        onClick={() => setView('management')}
+      >
+        <Users size={18} />
+        Management
+      </button>
+      <button
+        className={`nav-tab ${view === 'teams' ? 'active' : ''}`}
+        onClick={() => setView('teams')}
+      >
+        <UserCog size={18} />
+        Teams
+      </button>
+      <button
+        className={`nav-tab ${view === 'projects' ? 'active' : ''}`}
+        onClick={() => setView('projects')}
+      >
+        <FolderKanban size={18} />
+        Projects
+      </button>
+      <button
+        className={`nav-tab ${view === 'templates' ? 'active' : ''}`}
+        onClick={() => setView('templates')}
+      >
+        <ClipboardList size={18} />
+        Templates
+      </button>
+      <button
+        className={`nav-tab ${view === 'audit' ? 'active' : ''}`}
+        onClick={() => setView('audit')}
+      >
+        <ScrollText size={18} />
+        Audit
+      </button>
+      <button
+        className={`nav-tab ${view === 'trash' ? 'active' : ''}`}
+        onClick={() => setView('trash')}
+      >
+        <Trash2 size={18} />
+        Trash
+      </button>
+    </div>
+  );
+
+  if (view === 'teams') {
+    return (
+      <div>
+        {viewTabs}
+        <Teams employees={employees} />
+      </div>
+    );
+  }
+
+  if (view === 'projects') {
+    return (
+      <div>
+        {viewTabs}
+        <Projects onChange={onProjectsChange} />
+      </div>
+    );
+  }
+
+  if (view === 'templates') {
+    return (
+      <div>
+        {viewTabs}
+        <ReportTemplates employees={employees} onChange={onTemplatesChange} />
+      </div>
+    );
+  }
+
+  if (view === 'audit') {
+    return (
+      <div>
+        {viewTabs}
+        <AuditLog />
+      </div>
+    );
+  }
+
+  if (view === 'trash') {
+    return (
+      <div>
+        {viewTabs}
+        <Trash onChange={onTrashChange} />
+      </div>
+    );
+  }
+
   return (
     <div>
+      {viewTabs}
+
       {/* Alerts */}
       {error && (
         <div style={{
@@ -276,9 +595,11 @@ const AdminPanel = ({ employees }) => {
                       borderRadius: '12px',
                       fontSize: '0.85rem',
                       background: user.role === 'admin' ? 'rgba(239, 68, 68, 0.2)' :
+                                 user.role === 'manager' ? 'rgba(245, 158, 11, 0.2)' :
                                  user.role === 'employee' ? 'rgba(59, 130, 246, 0.2)' :
                                  'rgba(156, 163, 175, 0.2)',
                       color: user.role === 'admin' ? '#ef4444' :
+                             user.role === 'manager' ? '#f59e0b' :
                              user.role === 'employee' ? '#3b82f6' :
                              '#9ca3af',
                       textTransform: 'capitalize'
@@ -396,6 +717,291 @@ const AdminPanel = ({ employees }) => {
         </div>
       </div>
 
+      {/* Pay Periods Section */}
+      <div className="section-header" style={{ marginTop: '3rem' }}>
+        <h2 className="section-title">Pay Periods ({payPeriods.length})</h2>
+      </div>
+
+      <div className="card">
+        <form onSubmit={handleCreatePayPeriod} style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '1rem' }}>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>Start Date</label>
+            <input
+              type="date"
+              value={payPeriodForm.start_date}
+              onChange={(e) => setPayPeriodForm({ ...payPeriodForm, start_date: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>End Date</label>
+            <input
+              type="date"
+              value={payPeriodForm.end_date}
+              onChange={(e) => setPayPeriodForm({ ...payPeriodForm, end_date: e.target.value })}
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-primary">
+            <Plus size={18} />
+            Add Period
+          </button>
+        </form>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Period</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Reports</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Hours</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Amendments</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Status</th>
+                <th style={{ padding: '1rem', textAlign: 'right', color: '#9fa8da' }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {payPeriods.map(period => {
+                const closed = period.status === 'closed';
+
+                return (
+                  <tr key={period.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                    <td style={{ padding: '1rem' }}>
+                      {new Date(period.start_date).toLocaleDateString()} – {new Date(period.end_date).toLocaleDateString()}
+                    </td>
+                    <td style={{ padding: '1rem', fontSize: '0.9rem', color: '#9fa8da' }}>{period.report_count}</td>
+                    <td style={{ padding: '1rem', fontSize: '0.9rem', color: '#9fa8da' }}>{parseFloat(period.total_hours).toFixed(2)}h</td>
+                    <td style={{ padding: '1rem', fontSize: '0.9rem', color: '#9fa8da' }}>{period.amendment_count}</td>
+                    <td style={{ padding: '1rem' }}>
+                      <span style={{
+                        padding: '0.25rem 0.75rem',
+                        borderRadius: '12px',
+                        fontSize: '0.85rem',
+                        background: closed ? 'rgba(239, 68, 68, 0.2)' : 'rgba(34, 197, 94, 0.2)',
+                        color: closed ? '#ef4444' : '#22c55e'
+                      }}>
+                        {closed ? 'Closed' : 'Open'}
+                      </span>
+                      {closed && (
+                        <div style={{ fontSize: '0.75rem', color: '#9fa8da', marginTop: '0.25rem' }}>
+                          {new Date(period.closed_at).toLocaleString()}{period.closed_by_username ? ` by ${period.closed_by_username}` : ''}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ padding: '1rem', textAlign: 'right' }}>
+                      <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+                        {closed ? (
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => handlePayPeriodStatus(period, 'reopen')}
+                            style={{ fontSize: '0.85rem', padding: '0.4rem 0.8rem' }}
+                          >
+                            <Unlock size={16} />
+                            Reopen
+                          </button>
+                        ) : (
+                          <>
+                            <button
+                              className="btn btn-secondary"
+                              onClick={() => handlePayPeriodStatus(period, 'close')}
+                              style={{ fontSize: '0.85rem', padding: '0.4rem 0.8rem' }}
+                            >
+                              <Lock size={16} />
+                              Close
+                            </button>
+                            <button
+                              className="icon-btn danger"
+                              onClick={() => handleDeletePayPeriod(period.id)}
+                              title="Delete pay period"
+                            >
+                              <Trash2 size={18} />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Report Lock Policies Section */}
+      <div className="section-header" style={{ marginTop: '3rem' }}>
+        <h2 className="section-title">Report Lock Policies ({lockPolicies.length})</h2>
+        <button className="btn btn-primary" onClick={() => openLockPolicyModal(null)}>
+          <Plus size={18} />
+          Add Policy
+        </button>
+      </div>
+
+      <div className="card">
+        <p style={{ color: '#9fa8da', marginTop: 0, fontSize: '0.9rem' }}>
+          A report locks as soon as any enabled policy applies. Locked reports can only be edited or deleted with elevated access.
+          {lockPolicies.filter(p => p.enabled).length === 0 && ' No policy is enabled, so reports never lock.'}
+        </p>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Name</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Rule</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Status</th>
+                <th style={{ padding: '1rem', textAlign: 'right', color: '#9fa8da' }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lockPolicies.map(policy => (
+                <tr key={policy.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={{ padding: '1rem' }}>{policy.name}</td>
+                  <td style={{ padding: '1rem', fontSize: '0.9rem', color: '#9fa8da' }}>
+                    {describeLockPolicy(policy)}
+                  </td>
+                  <td style={{ padding: '1rem' }}>
+                    <span style={{
+                      padding: '0.25rem 0.75rem',
+                      borderRadius: '12px',
+                      fontSize: '0.85rem',
+                      background: policy.enabled ? 'rgba(34, 197, 94, 0.2)' : 'rgba(156, 163, 175, 0.2)',
+                      color: policy.enabled ? '#22c55e' : '#9ca3af'
+                    }}>
+                      {policy.enabled ? 'Enabled' : 'Disabled'}
+                    </span>
+                  </td>
+                  <td style={{ padding: '1rem', textAlign: 'right' }}>
+                    <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => handleToggleLockPolicy(policy)}
+                        style={{ fontSize: '0.85rem', padding: '0.4rem 0.8rem' }}
+                      >
+                        {policy.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        className="icon-btn"
+                        onClick={() => openLockPolicyModal(policy)}
+                        title="Edit policy"
+                        style={{ color: '#67e8f9' }}
+                      >
+                        <Edit size={18} />
+                      </button>
+                      <button
+                        className="icon-btn danger"
+                        onClick={() => handleDeleteLockPolicy(policy.id)}
+                        title="Delete policy"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Storage Reconciliation Section */}
+      <div className="section-header" style={{ marginTop: '3rem' }}>
+        <h2 className="section-title">Screenshot Storage</h2>
+        <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <button className="btn btn-secondary" onClick={() => handleReconcileStorage(true)} disabled={reconciling}>
+            <HardDrive size={18} />
+            {reconciling ? 'Scanning...' : 'Scan for Orphans'}
+          </button>
+          {reconcileResult && reconcileResult.dry_run &&
+            (reconcileResult.orphaned_files.length > 0 || reconcileResult.missing_files.length > 0) && (
+            <button className="btn btn-danger" onClick={() => handleReconcileStorage(false)} disabled={reconciling}>
+              <Trash2 size={18} />
+              Purge Orphans
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        {!reconcileResult ? (
+          <p style={{ color: '#9fa8da', margin: 0 }}>
+            Compare stored screenshot files with report screenshots to find files nothing points to
+            and screenshots whose file is gone. Scanning does not change anything.
+          </p>
+        ) : (
+          <div>
+            <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+              <div>
+                <div className="detail-label">Provider</div>
+                <div className="detail-value" style={{ textTransform: 'capitalize' }}>{reconcileResult.provider}</div>
+              </div>
+              <div>
+                <div className="detail-label">Stored Files</div>
+                <div className="detail-value">{reconcileResult.stored_files}</div>
+              </div>
+              <div>
+                <div className="detail-label">Screenshot Records</div>
+                <div className="detail-value">{reconcileResult.screenshot_rows}</div>
+              </div>
+              <div>
+                <div className="detail-label">Orphaned Files</div>
+                <div className="detail-value" style={{ color: reconcileResult.orphaned_files.length > 0 ? '#f59e0b' : '#22c55e' }}>
+                  {reconcileResult.orphaned_files.length}
+                </div>
+              </div>
+              <div>
+                <div className="detail-label">Missing Files</div>
+                <div className="detail-value" style={{ color: reconcileResult.missing_files.length > 0 ? '#f59e0b' : '#22c55e' }}>
+                  {reconcileResult.missing_files.length}
+                </div>
+              </div>
+            </div>
+
+            {reconcileResult.other_provider_rows > 0 && (
+              <p style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+                {reconcileResult.other_provider_rows} screenshot record(s) belong to another storage provider and were not checked.
+              </p>
+            )}
+
+            {reconcileResult.orphaned_files.length > 0 && (
+              <div style={{ marginBottom: '1rem' }}>
+                <div className="detail-label">Orphaned files</div>
+                <ul style={{ margin: '0.5rem 0', paddingLeft: '1.25rem', fontSize: '0.85rem', color: '#9fa8da' }}>
+                  {reconcileResult.orphaned_files.slice(0, 20).map(key => (
+                    <li key={key}>{key}</li>
+                  ))}
+                </ul>
+                {reconcileResult.orphaned_files.length > 20 && (
+                  <div style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+                    ...and {reconcileResult.orphaned_files.length - 20} more
+                  </div>
+                )}
+              </div>
+            )}
+
+            {reconcileResult.missing_files.length > 0 && (
+              <div style={{ marginBottom: '1rem' }}>
+                <div className="detail-label">Screenshots with missing files</div>
+                <ul style={{ margin: '0.5rem 0', paddingLeft: '1.25rem', fontSize: '0.85rem', color: '#9fa8da' }}>
+                  {reconcileResult.missing_files.slice(0, 20).map(row => (
+                    <li key={row.id}>#{row.id} {row.filename} (report {row.report_id})</li>
+                  ))}
+                </ul>
+                {reconcileResult.missing_files.length > 20 && (
+                  <div style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+                    ...and {reconcileResult.missing_files.length - 20} more
+                  </div>
+                )}
+              </div>
+            )}
+
+            {reconcileResult.errors.length > 0 && (
+              <div style={{ fontSize: '0.85rem', color: '#ef4444' }}>
+                {reconcileResult.errors.length} file(s) could not be deleted - check the server log
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* User Modal */}
       {showUserModal && (
         <div className="modal-overlay" onClick={() => setShowUserModal(false)}>
@@ -442,12 +1048,13 @@ const AdminPanel = ({ employees }) => {
                   required
                 >
                   <option value="admin">Admin</option>
+                  <option value="manager">Manager</option>
                   <option value="employee">Employee</option>
                   <option value="viewer">Viewer</option>
                 </select>
               </div>
 
-              {userForm.role === 'employee' && (
+              {['employee', 'manager'].includes(userForm.role) && (
                 <div className="form-group">
                   <label>Link to Employee (Optional)</label>
                   <select
@@ -567,6 +1174,121 @@ const AdminPanel = ({ employees }) => {
           </div>
         </div>
       )}
+      {/* Lock Policy Modal */}
+      {showLockPolicyModal && (
+        <div className="modal-overlay" onClick={() => setShowLockPolicyModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3 className="modal-title">
+                <Lock size={20} style={{ display: 'inline', marginRight: '8px' }} />
+                {editingLockPolicy ? 'Edit Lock Policy' : 'Add Lock Policy'}
+              </h3>
+              <button className="modal-close" onClick={() => setShowLockPolicyModal(false)}>
+                <X size={24} />
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveLockPolicy}>
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={lockPolicyForm.name}
+                  onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, name: e.target.value })}
+                  required
+                  placeholder="e.g., Payroll cutoff"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Type</label>
+                <select
+                  value={lockPolicyForm.type}
+                  onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, type: e.target.value })}
+                >
+                  {Object.entries(LOCK_POLICY_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {lockPolicyForm.type === 'rolling_days' && (
+                <div className="form-group">
+                  <label>Days after submission</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={lockPolicyForm.days}
+                    onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, days: e.target.value })}
+                    required
+                  />
+                </div>
+              )}
+
+              {lockPolicyForm.type === 'weekly_cutoff' && (
+                <>
+                  <div className="form-group">
+                    <label>Cutoff day (first one after the report date)</label>
+                    <select
+                      value={lockPolicyForm.cutoff_weekday}
+                      onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, cutoff_weekday: parseInt(e.target.value) })}
+                    >
+                      {WEEKDAYS.map((day, index) => (
+                        <option key={day} value={index}>{day}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>Cutoff time</label>
+                    <input
+                      type="time"
+                      value={lockPolicyForm.cutoff_time}
+                      onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, cutoff_time: e.target.value })}
+                      required
+                    />
+                  </div>
+                </>
+              )}
+
+              {lockPolicyForm.type === 'period_close' && (
+                <div className="form-group">
+                  <label>Closed through (reports on or before this date are locked)</label>
+                  <input
+                    type="date"
+                    value={lockPolicyForm.closed_through}
+                    onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, closed_through: e.target.value })}
+                    required
+                  />
+                </div>
+              )}
+
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <input
+                    type="checkbox"
+                    checked={lockPolicyForm.enabled}
+                    onChange={(e) => setLockPolicyForm({ ...lockPolicyForm, enabled: e.target.checked })}
+                  />
+                  Enabled
+                </label>
+              </div>
+
+              <div className="modal-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setShowLockPolicyModal(false)}
+                >
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={loading}>
+                  {loading ? 'Saving...' : 'Save Policy'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
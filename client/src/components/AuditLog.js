@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Download, Search, ChevronLeft, ChevronRight, AlertCircle } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const EMPTY_FILTERS = { q: '', action: '', start_date: '', end_date: '' };
+
+// Query string for the applied filters, skipping empty ones
+const filterParams = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return params;
+};
+
+// Admin audit log: searchable, paginated list of audit_events with CSV export
+const AuditLog = () => {
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ events: [], total: 0, page: 1, page_size: 50, actions: [] });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const params = filterParams(filters);
+        params.append('page', page);
+        const response = await axios.get(`${API_URL}/admin/audit-events?${params}`, {
+          withCredentials: true
+        });
+        setResult(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch audit events');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [filters, page]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters(draftFilters);
+  };
+
+  const handleReset = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await axios.get(`${API_URL}/admin/audit-events/export/csv?${filterParams(filters)}`, {
+        withCredentials: true,
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit_events_${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export audit events');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(result.total / result.page_size));
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2 className="section-title">Audit Log ({result.total})</h2>
+        <button className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+          <Download size={18} />
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#c00'
+        }}>
+          <AlertCircle size={18} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="card">
+        <form onSubmit={handleSearch} style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '1rem' }}>
+          <div className="form-group" style={{ marginBottom: 0, flex: 1, minWidth: '200px' }}>
+            <label>Search</label>
+            <input
+              type="text"
+              value={draftFilters.q}
+              onChange={(e) => setDraftFilters({ ...draftFilters, q: e.target.value })}
+              placeholder="User, action, IP, details..."
+            />
+          </div>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>Action</label>
+            <select
+              value={draftFilters.action}
+              onChange={(e) => setDraftFilters({ ...draftFilters, action: e.target.value })}
+            >
+              <option value="">All actions</option>
+              {result.actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>From</label>
+            <input
+              type="date"
+              value={draftFilters.start_date}
+              onChange={(e) => setDraftFilters({ ...draftFilters, start_date: e.target.value })}
+            />
+          </div>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>To</label>
+            <input
+              type="date"
+              value={draftFilters.end_date}
+              onChange={(e) => setDraftFilters({ ...draftFilters, end_date: e.target.value })}
+            />
+          </div>
+          <button type="submit" className="btn btn-primary">
+            <Search size={18} />
+            Search
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={handleReset}>
+            Reset
+          </button>
+        </form>
+
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Time</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Actor</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Action</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Target</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>IP / Client</th>
+                <th style={{ padding: '1rem', textAlign: 'left', color: '#9fa8da' }}>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.events.map(event => (
+                <tr key={event.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={{ padding: '1rem', fontSize: '0.85rem', color: '#9fa8da', whiteSpace: 'nowrap' }}>
+                    {new Date(event.occurred_at).toLocaleString()}
+                  </td>
+                  <td style={{ padding: '1rem' }}>{event.actor_username || '-'}</td>
+                  <td style={{ padding: '1rem' }}>
+                    <span style={{
+                      padding: '0.25rem 0.75rem',
+                      borderRadius: '12px',
+                      fontSize: '0.8rem',
+                      background: event.action.endsWith('_failed') ? 'rgba(239, 68, 68, 0.2)' : 'rgba(59, 130, 246, 0.2)',
+                      color: event.action.endsWith('_failed') ? '#ef4444' : '#3b82f6',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {event.action}
+                    </span>
+                  </td>
+                  <td style={{ padding: '1rem', fontSize: '0.85rem', color: '#9fa8da' }}>
+                    {event.target_type ? `${event.target_type}${event.target_id ? ` #${event.target_id}` : ''}` : '-'}
+                  </td>
+                  <td style={{ padding: '1rem', fontSize: '0.8rem', color: '#9fa8da', maxWidth: '200px' }}>
+                    <div>{event.ip || '-'}</div>
+                    <div title={event.user_agent || ''} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {event.user_agent || ''}
+                    </div>
+                  </td>
+                  <td style={{ padding: '1rem', fontSize: '0.8rem', color: '#c7d2fe', fontFamily: 'monospace', wordBreak: 'break-word' }}>
+                    {Object.keys(event.payload || {}).length > 0 ? JSON.stringify(event.payload) : '-'}
+                  </td>
+                </tr>
+              ))}
+              {!loading && result.events.length === 0 && (
+                <tr>
+                  <td colSpan={6} style={{ padding: '2rem', textAlign: 'center', color: '#9fa8da' }}>
+                    No audit events match these filters
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem', marginTop: '1rem' }}>
+          <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+            Page {result.page} of {totalPages}
+          </span>
+          <button
+            className="icon-btn"
+            onClick={() => setPage(page - 1)}
+            disabled={loading || page <= 1}
+            title="Previous page"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <button
+            className="icon-btn"
+            onClick={() => setPage(page + 1)}
+            disabled={loading || page >= totalPages}
+            title="Next page"
+          >
+            <ChevronRight size={18} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
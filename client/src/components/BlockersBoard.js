@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { AlertCircle, AlertOctagon, CheckCircle, RotateCcw, X } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const EMPTY_FILTERS = { employee_id: '', owner_id: '', project: '', status: 'open' };
+
+// Badge color for how long a blocker has been open
+const ageColor = (days) => {
+  if (days >= 7) return '#ef4444';
+  if (days >= 3) return '#f59e0b';
+  return '#10b981';
+};
+
+// Team Blockers board: blockers raised in reports with their owner, project
+// and age in days, oldest open ones first. Unless readOnly, they can be
+// resolved, reopened and reassigned here. employees fill the employee and
+// owner filters.
+const BlockersBoard = ({ employees, projectNames, readOnly }) => {
+  const [blockers, setBlockers] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchBlockers = async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) params.append(key, value);
+        });
+        const response = await axios.get(`${API_URL}/blockers?${params}`, { withCredentials: true });
+        setBlockers(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch blockers');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBlockers();
+  }, [filters, reloadKey]);
+
+  const updateBlocker = async (blocker, changes) => {
+    setError('');
+    try {
+      await axios.put(`${API_URL}/blockers/${blocker.id}`, changes, { withCredentials: true });
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update blocker');
+    }
+  };
+
+  const openCount = blockers.filter(blocker => blocker.status === 'open').length;
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2 className="section-title">🚧 Blockers</h2>
+        <p className="section-subtitle">
+          {filters.status === 'resolved' ? `${blockers.length} resolved` : `${openCount} open`}, oldest first
+        </p>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#c00'
+        }}>
+          <AlertCircle size={18} />
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#c00', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="filters">
+        <div className="filters-grid">
+          <div className="filter-group">
+            <label className="filter-label">Raised By</label>
+            <select
+              className="filter-select"
+              value={filters.employee_id}
+              onChange={(e) => setFilters({ ...filters, employee_id: e.target.value })}
+            >
+              <option value="">Everyone</option>
+              {employees.map(employee => (
+                <option key={employee.id} value={employee.id}>{employee.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label className="filter-label">Owner</label>
+            <select
+              className="filter-select"
+              value={filters.owner_id}
+              onChange={(e) => setFilters({ ...filters, owner_id: e.target.value })}
+            >
+              <option value="">Anyone</option>
+              {employees.map(employee => (
+                <option key={employee.id} value={employee.id}>{employee.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label className="filter-label">Project/App</label>
+            <select
+              className="filter-select"
+              value={filters.project}
+              onChange={(e) => setFilters({ ...filters, project: e.target.value })}
+            >
+              <option value="">All Projects</option>
+              {projectNames.map(project => (
+                <option key={project} value={project}>{project}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label className="filter-label">Status</label>
+            <select
+              className="filter-select"
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            >
+              <option value="open">Open</option>
+              <option value="resolved">Resolved</option>
+              <option value="">All</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : blockers.length === 0 ? (
+        <div className="empty-state">
+          <CheckCircle size={48} style={{ opacity: 0.5, marginBottom: '1rem' }} />
+          <p>No blockers here</p>
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '1rem' }}>
+          {blockers.map(blocker => (
+            <div
+              key={blocker.id}
+              className="card"
+              style={{
+                borderLeft: `4px solid ${blocker.status === 'open' ? ageColor(blocker.age_days) : '#9ca3af'}`,
+                opacity: blocker.status === 'resolved' ? 0.75 : 1
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                <AlertOctagon size={18} style={{ color: blocker.status === 'open' ? ageColor(blocker.age_days) : '#9ca3af', flexShrink: 0 }} />
+                <div style={{ flex: 1, color: '#fff', wordWrap: 'break-word' }}>{blocker.description}</div>
+                <span style={{
+                  fontSize: '0.75rem',
+                  padding: '0.15rem 0.5rem',
+                  borderRadius: '10px',
+                  whiteSpace: 'nowrap',
+                  fontFamily: 'JetBrains Mono, monospace',
+                  background: blocker.status === 'open' ? `${ageColor(blocker.age_days)}33` : 'rgba(156, 163, 175, 0.2)',
+                  color: blocker.status === 'open' ? ageColor(blocker.age_days) : '#9ca3af'
+                }}>
+                  {blocker.age_days}d
+                </span>
+              </div>
+              <div style={{ fontSize: '0.85rem', color: '#a5b4fc', display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+                <div>Raised by {blocker.employee_name}{blocker.raised_on && ` on ${new Date(`${blocker.raised_on}T00:00:00`).toLocaleDateString()}`}</div>
+                {blocker.project && <div>📱 {blocker.project}</div>}
+                {blocker.report_count > 1 && <div>Listed in {blocker.report_count} reports</div>}
+                {blocker.status === 'resolved' && blocker.resolved_at && (
+                  <div>Resolved {new Date(blocker.resolved_at).toLocaleDateString()}</div>
+                )}
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '1rem' }}>
+                {readOnly ? (
+                  <span style={{ fontSize: '0.85rem', color: '#c7d2fe' }}>Owner: {blocker.owner_name || 'Unassigned'}</span>
+                ) : (
+                  <>
+                    <select
+                      className="filter-select"
+                      value={blocker.owner_id || ''}
+                      onChange={(e) => updateBlocker(blocker, { owner_id: e.target.value || null })}
+                      title="Owner"
+                      style={{ flex: 1 }}
+                    >
+                      <option value="">Unassigned</option>
+                      {employees.map(employee => (
+                        <option key={employee.id} value={employee.id}>{employee.name}</option>
+                      ))}
+                    </select>
+                    {blocker.status === 'open' ? (
+                      <button className="btn btn-primary" onClick={() => updateBlocker(blocker, { status: 'resolved' })}>
+                        <CheckCircle size={16} />
+                        Resolve
+                      </button>
+                    ) : (
+                      <button className="btn btn-secondary" onClick={() => updateBlocker(blocker, { status: 'open' })}>
+                        <RotateCcw size={16} />
+                        Reopen
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BlockersBoard;
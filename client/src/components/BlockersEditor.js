@@ -0,0 +1,122 @@
+import React from 'react';
+import { Plus, Trash2, AlertOctagon } from 'lucide-react';
+
+export const EMPTY_BLOCKER = { id: null, description: '', owner_id: '', project: '', status: 'open' };
+
+// Blockers of a saved report, or carried over from the API, as editor rows
+export const toBlockerRows = (blockers = []) => blockers.map(blocker => ({
+  id: blocker.id,
+  description: blocker.description,
+  owner_id: blocker.owner_id ? String(blocker.owner_id) : '',
+  project: blocker.project || '',
+  status: blocker.status,
+  age_days: blocker.age_days
+}));
+
+// Blockers as sent to the server
+export const blockersPayload = (rows) => rows
+  .filter(row => row.id || row.description.trim())
+  .map(row => ({
+    id: row.id,
+    description: row.description,
+    owner_id: row.owner_id || null,
+    project: row.project,
+    status: row.status
+  }));
+
+// Blockers of a report form: the employee's open blockers carried over from
+// earlier reports and new ones. Removing a carried-over blocker only leaves it
+// off this report; it stays open until resolved. owners are the employees a
+// blocker can be assigned to; listId names the project datalist to suggest
+// from.
+const BlockersEditor = ({ blockers, onChange, owners, listId }) => {
+  const updateBlocker = (index, field, value) => {
+    onChange(blockers.map((blocker, i) => (i === index ? { ...blocker, [field]: value } : blocker)));
+  };
+
+  return (
+    <div className="form-group">
+      <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <AlertOctagon size={16} />
+        Blockers
+      </label>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+        {blockers.map((blocker, index) => (
+          <div
+            key={blocker.id || `new-${index}`}
+            style={{
+              padding: '0.75rem',
+              background: blocker.status === 'resolved' ? 'rgba(16, 185, 129, 0.08)' : 'rgba(239, 68, 68, 0.08)',
+              border: `1px solid ${blocker.status === 'resolved' ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)'}`,
+              borderRadius: '8px',
+              display: 'grid',
+              gridTemplateColumns: '3fr 2fr 2fr auto auto',
+              gap: '0.5rem',
+              alignItems: 'center'
+            }}
+          >
+            <input
+              type="text"
+              className="form-input"
+              value={blocker.description}
+              onChange={(e) => updateBlocker(index, 'description', e.target.value)}
+              required={!!blocker.id}
+              placeholder="What's blocking you?"
+            />
+            <select
+              className="form-select"
+              value={blocker.owner_id}
+              onChange={(e) => updateBlocker(index, 'owner_id', e.target.value)}
+              title="Who can unblock it"
+            >
+              <option value="">No owner</option>
+              {owners.map(owner => (
+                <option key={owner.id} value={owner.id}>{owner.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              list={listId}
+              className="form-input"
+              value={blocker.project}
+              onChange={(e) => updateBlocker(index, 'project', e.target.value)}
+              placeholder="Project (optional)"
+            />
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', cursor: 'pointer', fontSize: '0.85rem', color: '#c7d2fe' }}>
+              <input
+                type="checkbox"
+                checked={blocker.status === 'resolved'}
+                onChange={(e) => updateBlocker(index, 'status', e.target.checked ? 'resolved' : 'open')}
+              />
+              Resolved
+            </label>
+            <button
+              type="button"
+              className="icon-btn danger"
+              onClick={() => onChange(blockers.filter((_, i) => i !== index))}
+              title="Remove from this report"
+            >
+              <Trash2 size={16} />
+            </button>
+            {blocker.id && (
+              <div style={{ gridColumn: '1 / -1', fontSize: '0.75rem', color: '#9fa8da' }}>
+                {blocker.age_days} day(s) old
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        className="btn btn-secondary"
+        onClick={() => onChange([...blockers, EMPTY_BLOCKER])}
+        style={{ fontSize: '0.85rem', marginTop: '0.5rem' }}
+      >
+        <Plus size={16} />
+        Add Blocker
+      </button>
+    </div>
+  );
+};
+
+export default BlockersEditor;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+export const EMPTY_LINE_ITEM = { project: '', task: '', hours: '', note: '' };
+
+// Repeatable line items of a report form (project, task, hours, note). The
+// report's hours are their total. parseHours turns an hours field (8.5 or
+// 7:30) into decimal hours; listId names the project datalist to suggest from.
+const LineItemsEditor = ({ entries, onChange, parseHours, projectNames, listId }) => {
+  const updateEntry = (index, field, value) => {
+    onChange(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const removeEntry = (index) => {
+    onChange(entries.filter((_, i) => i !== index));
+  };
+
+  const total = entries.reduce((sum, entry) => sum + (parseFloat(parseHours(entry.hours)) || 0), 0);
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Line Items *</label>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+        {entries.map((entry, index) => (
+          <div
+            key={index}
+            style={{
+              padding: '0.75rem',
+              background: 'rgba(102, 126, 234, 0.08)',
+              border: '1px solid rgba(102, 126, 234, 0.2)',
+              borderRadius: '8px',
+              display: 'grid',
+              gridTemplateColumns: '2fr 2fr 1fr auto',
+              gap: '0.5rem',
+              alignItems: 'center'
+            }}
+          >
+            <input
+              type="text"
+              list={listId}
+              className="form-input"
+              value={entry.project}
+              onChange={(e) => updateEntry(index, 'project', e.target.value)}
+              required
+              placeholder="Project/App"
+            />
+            <input
+              type="text"
+              className="form-input"
+              value={entry.task}
+              onChange={(e) => updateEntry(index, 'task', e.target.value)}
+              placeholder="Task"
+            />
+            <input
+              type="text"
+              className="form-input"
+              value={entry.hours}
+              onChange={(e) => updateEntry(index, 'hours', e.target.value)}
+              required
+              placeholder="8 or 7:30"
+            />
+            <button
+              type="button"
+              className="icon-btn danger"
+              onClick={() => removeEntry(index)}
+              disabled={entries.length === 1}
+              title="Remove line item"
+            >
+              <Trash2 size={16} />
+            </button>
+            <input
+              type="text"
+              className="form-input"
+              value={entry.note}
+              onChange={(e) => updateEntry(index, 'note', e.target.value)}
+              placeholder="Note (optional)"
+              style={{ gridColumn: '1 / 4' }}
+            />
+          </div>
+        ))}
+      </div>
+      <datalist id={listId}>
+        {projectNames.map(proj => (
+          <option key={proj} value={proj} />
+        ))}
+      </datalist>
+      <div style={{ display: 'flex', alignItems: 'center', marginTop: '0.5rem' }}>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => onChange([...entries, EMPTY_LINE_ITEM])}
+          style={{ fontSize: '0.85rem' }}
+        >
+          <Plus size={16} />
+          Add Line Item
+        </button>
+        <span style={{ marginLeft: 'auto', fontSize: '0.9rem', color: '#c7d2fe', fontFamily: 'JetBrains Mono, monospace' }}>
+          Total: {total.toFixed(2)}h
+        </span>
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '0.25rem' }}>
+        Enter hours as decimal (8.5) or time format (7:30:00)
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
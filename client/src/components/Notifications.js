@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { Bell, CheckCheck } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+// How often the unread count is refreshed while the page is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Bell for the header with the unread notification count and a dropdown of
+// the latest notifications. Opening one marks it read; onOpenReport gets the
+// report id of notifications about a report that still exists.
+const Notifications = ({ onOpenReport }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/notifications`, { withCredentials: true });
+        setNotifications(response.data.notifications);
+        setUnreadCount(response.data.unread_count);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch notifications');
+      }
+    };
+
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [reloadKey]);
+
+  // Close the dropdown on clicks outside it
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = () => {
+    // Pick up anything new since the last poll
+    if (!open) setReloadKey(key => key + 1);
+    setOpen(!open);
+  };
+
+  const openNotification = async (notification) => {
+    if (!notification.read_at) {
+      try {
+        await axios.post(`${API_URL}/notifications/${notification.id}/read`, {}, { withCredentials: true });
+        setReloadKey(key => key + 1);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to mark notification read');
+      }
+    }
+    if (notification.report_id && notification.type !== 'report_deleted') {
+      setOpen(false);
+      onOpenReport(notification.report_id);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.post(`${API_URL}/notifications/read-all`, {}, { withCredentials: true });
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to mark notifications read');
+    }
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <button
+        className="icon-btn"
+        onClick={toggle}
+        title={unreadCount > 0 ? `${unreadCount} unread notification(s)` : 'Notifications'}
+        style={{ position: 'relative' }}
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span style={{
+            position: 'absolute',
+            top: '-4px',
+            right: '-4px',
+            minWidth: '18px',
+            height: '18px',
+            padding: '0 4px',
+            borderRadius: '9px',
+            background: '#ef4444',
+            color: '#fff',
+            fontSize: '0.7rem',
+            fontWeight: 700,
+            lineHeight: '18px',
+            textAlign: 'center'
+          }}>
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: 'calc(100% + 0.5rem)',
+          right: 0,
+          width: '340px',
+          maxHeight: '420px',
+          overflowY: 'auto',
+          background: 'rgba(20, 25, 45, 0.98)',
+          border: '1px solid rgba(255, 255, 255, 0.1)',
+          borderRadius: '8px',
+          boxShadow: '0 10px 30px rgba(0, 0, 0, 0.4)',
+          zIndex: 1000
+        }}>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            padding: '0.75rem 1rem',
+            borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+          }}>
+            <strong style={{ color: '#e8eaf6' }}>Notifications</strong>
+            {unreadCount > 0 && (
+              <button className="icon-btn" onClick={markAllRead} title="Mark all read">
+                <CheckCheck size={16} />
+              </button>
+            )}
+          </div>
+          {error && (
+            <div style={{ padding: '0.75rem 1rem', fontSize: '0.85rem', color: '#fca5a5' }}>{error}</div>
+          )}
+          {notifications.length === 0 && !error && (
+            <div style={{ padding: '1rem', fontSize: '0.85rem', color: '#9fa8da' }}>No notifications</div>
+          )}
+          {notifications.map(notification => (
+            <div
+              key={notification.id}
+              onClick={() => openNotification(notification)}
+              style={{
+                padding: '0.75rem 1rem',
+                borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+                background: notification.read_at ? 'transparent' : 'rgba(102, 126, 234, 0.12)',
+                cursor: 'pointer'
+              }}
+            >
+              <div style={{ fontSize: '0.85rem', color: notification.read_at ? '#9fa8da' : '#e8eaf6' }}>
+                {notification.message}
+              </div>
+              <div style={{ fontSize: '0.75rem', color: '#9fa8da', marginTop: '0.25rem' }}>
+                {new Date(notification.created_at).toLocaleString()}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
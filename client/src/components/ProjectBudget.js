@@ -0,0 +1,118 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const ALERT_STYLES = {
+  warning: { color: '#f59e0b', background: 'rgba(245, 158, 11, 0.2)', label: '80% of budget used' },
+  exceeded: { color: '#ef4444', background: 'rgba(239, 68, 68, 0.2)', label: 'Over budget' }
+};
+
+const METRICS = [
+  { key: 'hours', label: 'Hours', cumulative: 'cumulative_hours', format: (value) => `${value.toFixed(1)}h` },
+  { key: 'amount', label: 'Cost', cumulative: 'cumulative_cost', format: (value) => value.toFixed(2) }
+];
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 60;
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString();
+
+// When a metric runs out: the day it did, the projected day at the recent
+// run rate, or that it won't at that rate
+const exhaustionText = (metric, period) => {
+  if (metric.used >= metric.budget) {
+    return `Ran out on ${formatDate(metric.projected_exhaustion)}`;
+  }
+  if (metric.projected_exhaustion) {
+    return `Runs out around ${formatDate(metric.projected_exhaustion)}`;
+  }
+  return metric.run_rate > 0 && period === 'monthly' ? 'Lasts the month at the current pace' : 'No recent usage';
+};
+
+// Cumulative usage line against the budget line
+const Burndown = ({ points, metric, cumulative }) => {
+  if (points.length === 0) return null;
+
+  const max = Math.max(metric.budget, metric.used) || 1;
+  const y = (value) => CHART_HEIGHT - (value / max) * CHART_HEIGHT;
+  // Days are placed by date, so quiet stretches show as flat lines
+  const first = Date.parse(points[0].date);
+  const span = Date.parse(points[points.length - 1].date) - first;
+  const x = (point) => (span > 0 ? ((Date.parse(point.date) - first) / span) * CHART_WIDTH : 0);
+  const line = points.map(point => `${x(point)},${y(point[cumulative])}`).join(' ');
+
+  return (
+    <svg
+      width="100%"
+      height={CHART_HEIGHT}
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      style={{ display: 'block', marginTop: '0.5rem' }}
+    >
+      <line x1="0" x2={CHART_WIDTH} y1={y(metric.budget)} y2={y(metric.budget)} stroke="#ef4444" strokeDasharray="4 4" strokeWidth="1" />
+      <polyline
+        points={span > 0 ? line : `0,${y(points[0][cumulative])} ${CHART_WIDTH},${y(points[0][cumulative])}`}
+        fill="none"
+        stroke="#667eea"
+        strokeWidth="2"
+      />
+    </svg>
+  );
+};
+
+// Budget section of an Analytics project card: usage of the hour and money
+// budgets, their 80%/100% alerts, projected exhaustion and burn-down (a
+// /api/budgets entry)
+const ProjectBudget = ({ budget }) => {
+  const metrics = METRICS.filter(metric => budget[metric.key]);
+
+  return (
+    <div style={{ marginTop: '1rem', paddingTop: '1rem', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+      <div style={{ fontSize: '0.8rem', color: '#a5b4fc', marginBottom: '0.75rem' }}>
+        Budget {budget.period === 'monthly' ? `for ${new Date(`${budget.period_start}T00:00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}` : '(whole project)'}
+      </div>
+      {metrics.map(({ key, label, cumulative, format }) => {
+        const metric = budget[key];
+        const alert = ALERT_STYLES[metric.alert];
+        return (
+          <div key={key} style={{ marginBottom: '1rem' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.35rem', flexWrap: 'wrap' }}>
+              <span style={{ fontSize: '0.9rem', color: '#fff', fontWeight: 600 }}>{label}</span>
+              <span style={{ fontSize: '0.85rem', color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}>
+                {format(metric.used)} / {format(metric.budget)} ({Math.round(metric.percent)}%)
+              </span>
+              {alert && (
+                <span style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '0.25rem',
+                  fontSize: '0.75rem',
+                  padding: '0.15rem 0.5rem',
+                  borderRadius: '10px',
+                  background: alert.background,
+                  color: alert.color
+                }}>
+                  <AlertTriangle size={12} />
+                  {alert.label}
+                </span>
+              )}
+              <span style={{ marginLeft: 'auto', fontSize: '0.8rem', color: '#a5b4fc' }}>
+                {exhaustionText(metric, budget.period)}
+              </span>
+            </div>
+            <div style={{ width: '100%', height: '8px', background: 'rgba(255, 255, 255, 0.08)', borderRadius: '10px', overflow: 'hidden' }}>
+              <div style={{
+                width: `${Math.min(metric.percent, 100)}%`,
+                height: '100%',
+                background: alert ? alert.color : '#10b981',
+                transition: 'width 0.5s ease'
+              }} />
+            </div>
+            <Burndown points={budget.burndown} metric={metric} cumulative={cumulative} />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ProjectBudget;
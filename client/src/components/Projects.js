@@ -0,0 +1,563 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, Archive, RotateCcw, GitMerge, Check, X, AlertCircle } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const EMPTY_PROJECT = {
+  name: '', code: '', client_id: '', status: 'active', color: '#667eea', billable: true,
+  budget_hours: '', budget_amount: '', budget_period: 'total'
+};
+
+const cellStyle = { padding: '0.75rem 1rem' };
+const headerCellStyle = { padding: '0.75rem 1rem', textAlign: 'left', color: '#9fa8da' };
+const mutedCellStyle = { padding: '0.75rem 1rem', fontSize: '0.85rem', color: '#9fa8da' };
+
+// Admin projects and clients: create, rename, archive, set hour and money
+// budgets, and merge duplicate projects (their reports move to the project
+// that is kept). onChange lets the rest of the app reload project names and
+// reports.
+const Projects = ({ onChange }) => {
+  const [projects, setProjects] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [budgets, setBudgets] = useState({});
+  const [projectForm, setProjectForm] = useState(EMPTY_PROJECT);
+  const [editingProject, setEditingProject] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [clientName, setClientName] = useState('');
+  const [editingClient, setEditingClient] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchProjects = async () => {
+      try {
+        const [projectsResponse, clientsResponse, budgetsResponse] = await Promise.all([
+          axios.get(`${API_URL}/projects`, { withCredentials: true }),
+          axios.get(`${API_URL}/clients`, { withCredentials: true }),
+          axios.get(`${API_URL}/budgets`, { withCredentials: true })
+        ]);
+        setProjects(projectsResponse.data);
+        setClients(clientsResponse.data);
+        setBudgets(Object.fromEntries(budgetsResponse.data.map(budget => [budget.project_id, budget])));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch projects');
+      }
+    };
+
+    fetchProjects();
+  }, [reloadKey]);
+
+  const afterChange = (message) => {
+    setSuccess(message);
+    setReloadKey(key => key + 1);
+    if (onChange) onChange();
+  };
+
+  const resetProjectForm = () => {
+    setProjectForm(EMPTY_PROJECT);
+    setEditingProject(null);
+  };
+
+  const handleSaveProject = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const { budget_hours, budget_amount, budget_period, ...fields } = projectForm;
+    const payload = { ...fields, client_id: fields.client_id || null };
+    try {
+      let projectId;
+      if (editingProject) {
+        await axios.put(`${API_URL}/projects/${editingProject.id}`, payload, { withCredentials: true });
+        projectId = editingProject.id;
+      } else {
+        const response = await axios.post(`${API_URL}/projects`, payload, { withCredentials: true });
+        projectId = response.data.id;
+      }
+
+      // The budget is saved on its own; clearing both figures removes it
+      if (budget_hours || budget_amount) {
+        await axios.put(
+          `${API_URL}/projects/${projectId}/budget`,
+          { budget_hours, budget_amount, period: budget_period },
+          { withCredentials: true }
+        );
+      } else if (budgets[projectId]) {
+        await axios.delete(`${API_URL}/projects/${projectId}/budget`, { withCredentials: true });
+      }
+
+      if (editingProject) {
+        afterChange(editingProject.name !== projectForm.name
+          ? `${editingProject.name} renamed to ${projectForm.name}`
+          : `${projectForm.name} updated`);
+      } else {
+        afterChange(`${projectForm.name} added`);
+      }
+      resetProjectForm();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save project');
+    }
+  };
+
+  const startEditProject = (project) => {
+    const budget = budgets[project.id];
+    setEditingProject(project);
+    setProjectForm({
+      name: project.name,
+      code: project.code || '',
+      client_id: project.client_id || '',
+      status: project.status,
+      color: project.color || '#667eea',
+      billable: project.billable,
+      budget_hours: budget && budget.hours ? String(budget.hours.budget) : '',
+      budget_amount: budget && budget.amount ? String(budget.amount.budget) : '',
+      budget_period: budget ? budget.period : 'total'
+    });
+  };
+
+  const handleSetStatus = async (project, status) => {
+    setError('');
+    setSuccess('');
+    try {
+      await axios.put(`${API_URL}/projects/${project.id}`, { status }, { withCredentials: true });
+      afterChange(`${project.name} ${status === 'archived' ? 'archived' : 'reactivated'}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update project');
+    }
+  };
+
+  const handleDeleteProject = async (project) => {
+    if (!window.confirm(`Delete project ${project.name}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await axios.delete(`${API_URL}/projects/${project.id}`, { withCredentials: true });
+      afterChange(`${project.name} deleted`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete project');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(ids => ids.includes(id) ? ids.filter(selected => selected !== id) : [...ids, id]);
+  };
+
+  const selectedProjects = projects.filter(project => selectedIds.includes(project.id));
+
+  const handleMerge = async () => {
+    const target = selectedProjects.find(project => project.id === parseInt(mergeTargetId));
+    if (!target) return;
+    const sources = selectedProjects.filter(project => project.id !== target.id);
+
+    if (!window.confirm(`Merge ${sources.map(project => project.name).join(', ')} into ${target.name}? Their reports move to ${target.name} and the merged projects are deleted.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      const response = await axios.post(
+        `${API_URL}/projects/${target.id}/merge`,
+        { source_ids: sources.map(project => project.id) },
+        { withCredentials: true }
+      );
+      setSelectedIds([]);
+      setMergeTargetId('');
+      const unmoved = response.data.unmoved_reports > 0
+        ? `, ${response.data.unmoved_reports} in closed pay periods left unmoved`
+        : '';
+      afterChange(`Merged into ${target.name} (${response.data.moved_reports} report(s) moved${unmoved})`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to merge projects');
+    }
+  };
+
+  const handleSaveClient = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    try {
+      if (editingClient) {
+        await axios.put(`${API_URL}/clients/${editingClient.id}`, { name: clientName }, { withCredentials: true });
+        afterChange(`Client renamed to ${clientName}`);
+      } else {
+        await axios.post(`${API_URL}/clients`, { name: clientName }, { withCredentials: true });
+        afterChange(`Client ${clientName} added`);
+      }
+      setClientName('');
+      setEditingClient(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save client');
+    }
+  };
+
+  const handleDeleteClient = async (client) => {
+    if (!window.confirm(`Delete client ${client.name}? Its projects are kept without a client.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await axios.delete(`${API_URL}/clients/${client.id}`, { withCredentials: true });
+      afterChange(`Client ${client.name} deleted`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete client');
+    }
+  };
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2 className="section-title">Projects</h2>
+        <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+          Reports can only be filed under active projects
+        </span>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#c00'
+        }}>
+          <AlertCircle size={18} />
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#c00', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {success && (
+        <div style={{
+          background: '#efe',
+          border: '1px solid #cfc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#060'
+        }}>
+          <span>✓ {success}</span>
+          <button
+            onClick={() => setSuccess('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#060', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <h3 style={{ marginBottom: '1rem' }}>{editingProject ? `Edit ${editingProject.name}` : 'Add Project'}</h3>
+        <form onSubmit={handleSaveProject} style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+          gap: '1rem',
+          alignItems: 'end'
+        }}>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Name *</label>
+            <input
+              type="text"
+              className="form-input"
+              value={projectForm.name}
+              onChange={(e) => setProjectForm({ ...projectForm, name: e.target.value })}
+              required
+              placeholder="Mobile App"
+            />
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Code</label>
+            <input
+              type="text"
+              className="form-input"
+              maxLength={20}
+              value={projectForm.code}
+              onChange={(e) => setProjectForm({ ...projectForm, code: e.target.value.toUpperCase() })}
+              placeholder="MOB"
+            />
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Client</label>
+            <select
+              className="form-select"
+              value={projectForm.client_id}
+              onChange={(e) => setProjectForm({ ...projectForm, client_id: e.target.value })}
+            >
+              <option value="">No client</option>
+              {clients.map(client => (
+                <option key={client.id} value={client.id}>{client.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Color</label>
+            <input
+              type="color"
+              className="form-input"
+              value={projectForm.color}
+              onChange={(e) => setProjectForm({ ...projectForm, color: e.target.value })}
+              style={{ padding: '0.25rem', height: '42px' }}
+            />
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', paddingBottom: '0.75rem', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={projectForm.billable}
+              onChange={(e) => setProjectForm({ ...projectForm, billable: e.target.checked })}
+            />
+            Billable
+          </label>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Hour Budget</label>
+            <input
+              type="number"
+              className="form-input"
+              min="0"
+              step="0.5"
+              value={projectForm.budget_hours}
+              onChange={(e) => setProjectForm({ ...projectForm, budget_hours: e.target.value })}
+              placeholder="No limit"
+            />
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Money Budget</label>
+            <input
+              type="number"
+              className="form-input"
+              min="0"
+              step="0.01"
+              value={projectForm.budget_amount}
+              onChange={(e) => setProjectForm({ ...projectForm, budget_amount: e.target.value })}
+              placeholder="No limit"
+            />
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label className="form-label">Budget Period</label>
+            <select
+              className="form-select"
+              value={projectForm.budget_period}
+              onChange={(e) => setProjectForm({ ...projectForm, budget_period: e.target.value })}
+            >
+              <option value="total">Whole project</option>
+              <option value="monthly">Per month</option>
+            </select>
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button type="submit" className="btn btn-primary">
+              {editingProject ? <Check size={18} /> : <Plus size={18} />}
+              {editingProject ? 'Save' : 'Add'}
+            </button>
+            {editingProject && (
+              <button type="button" className="btn btn-secondary" onClick={resetProjectForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+          <h3 style={{ margin: 0 }}>All Projects ({projects.length})</h3>
+          {selectedProjects.length >= 2 && (
+            <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>Merge {selectedProjects.length} projects into</span>
+              <select
+                className="filter-select"
+                value={mergeTargetId}
+                onChange={(e) => setMergeTargetId(e.target.value)}
+              >
+                <option value="">Choose project to keep</option>
+                {selectedProjects.map(project => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+              <button className="btn btn-primary" onClick={handleMerge} disabled={!mergeTargetId}>
+                <GitMerge size={18} />
+                Merge
+              </button>
+            </div>
+          )}
+        </div>
+
+        {projects.length === 0 ? (
+          <div style={{ textAlign: 'center', color: '#9fa8da', padding: '1rem' }}>No projects yet</div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={headerCellStyle}></th>
+                <th style={headerCellStyle}>Project</th>
+                <th style={headerCellStyle}>Client</th>
+                <th style={headerCellStyle}>Status</th>
+                <th style={headerCellStyle}>Reports</th>
+                <th style={headerCellStyle}>Budget</th>
+                <th style={headerCellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {projects.map(project => (
+                <tr
+                  key={project.id}
+                  style={{
+                    borderBottom: '1px solid rgba(255, 255, 255, 0.05)',
+                    opacity: project.status === 'archived' ? 0.7 : 1
+                  }}
+                >
+                  <td style={cellStyle}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(project.id)}
+                      onChange={() => toggleSelected(project.id)}
+                      title="Select for merge"
+                    />
+                  </td>
+                  <td style={cellStyle}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <span style={{
+                        width: '12px',
+                        height: '12px',
+                        borderRadius: '50%',
+                        background: project.color || '#667eea',
+                        flexShrink: 0
+                      }} />
+                      <span>{project.name}</span>
+                      {project.code && (
+                        <span style={{ fontSize: '0.75rem', color: '#9fa8da', fontFamily: 'JetBrains Mono, monospace' }}>
+                          {project.code}
+                        </span>
+                      )}
+                    </div>
+                    {!project.billable && (
+                      <div style={{ fontSize: '0.75rem', color: '#9fa8da' }}>Non-billable</div>
+                    )}
+                  </td>
+                  <td style={mutedCellStyle}>{project.client_name || '-'}</td>
+                  <td style={cellStyle}>
+                    <span style={{
+                      fontSize: '0.75rem',
+                      padding: '0.2rem 0.6rem',
+                      borderRadius: '10px',
+                      background: project.status === 'active' ? 'rgba(16, 185, 129, 0.2)' : 'rgba(156, 163, 175, 0.2)',
+                      color: project.status === 'active' ? '#10b981' : '#9ca3af'
+                    }}>
+                      {project.status === 'active' ? 'Active' : 'Archived'}
+                    </span>
+                  </td>
+                  <td style={mutedCellStyle}>
+                    {project.report_count} · {parseFloat(project.total_hours).toFixed(1)}h
+                  </td>
+                  <td style={mutedCellStyle}>
+                    {budgets[project.id] ? (
+                      <>
+                        {[budgets[project.id].hours, budgets[project.id].amount]
+                          .map((metric, i) => metric && `${Math.round(metric.percent)}% of ${i === 0 ? `${metric.budget}h` : metric.budget.toLocaleString()}`)
+                          .filter(Boolean)
+                          .join(' · ')}
+                        {budgets[project.id].period === 'monthly' && ' this month'}
+                      </>
+                    ) : '-'}
+                  </td>
+                  <td style={cellStyle}>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button className="icon-btn" onClick={() => startEditProject(project)} title="Edit or rename">
+                        <Edit size={16} />
+                      </button>
+                      {project.status === 'active' ? (
+                        <button className="icon-btn" onClick={() => handleSetStatus(project, 'archived')} title="Archive">
+                          <Archive size={16} />
+                        </button>
+                      ) : (
+                        <button className="icon-btn" onClick={() => handleSetStatus(project, 'active')} title="Reactivate">
+                          <RotateCcw size={16} />
+                        </button>
+                      )}
+                      <button className="icon-btn danger" onClick={() => handleDeleteProject(project)} title="Delete">
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <h3 style={{ marginBottom: '1rem' }}>Clients ({clients.length})</h3>
+        <form onSubmit={handleSaveClient} style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+          <input
+            type="text"
+            className="form-input"
+            value={clientName}
+            onChange={(e) => setClientName(e.target.value)}
+            required
+            placeholder={editingClient ? `Rename ${editingClient.name}` : 'Client name'}
+          />
+          <button type="submit" className="btn btn-primary">
+            {editingClient ? <Check size={18} /> : <Plus size={18} />}
+            {editingClient ? 'Rename' : 'Add'}
+          </button>
+          {editingClient && (
+            <button type="button" className="btn btn-secondary" onClick={() => { setEditingClient(null); setClientName(''); }}>
+              Cancel
+            </button>
+          )}
+        </form>
+
+        {clients.map(client => (
+          <div
+            key={client.id}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '1rem',
+              padding: '0.5rem 0',
+              borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+            }}
+          >
+            <span>{client.name}</span>
+            <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>{client.project_count} project(s)</span>
+            <div style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem' }}>
+              <button
+                className="icon-btn"
+                onClick={() => { setEditingClient(client); setClientName(client.name); }}
+                title="Rename"
+              >
+                <Edit size={16} />
+              </button>
+              <button className="icon-btn danger" onClick={() => handleDeleteClient(client)} title="Delete">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Projects;
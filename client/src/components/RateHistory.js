@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, Check, X, AlertCircle } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const EMPTY_RATE = { hourly_rate: '', currency: '', effective_from: '' };
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const formatRate = (rate) => `${parseFloat(rate.hourly_rate).toFixed(2)}${rate.currency ? ` ${rate.currency}` : ''}/h`;
+
+// Rate history of an employee on the employee form. Each rate applies from its
+// effective date until the next one; changes are saved immediately and
+// onChange lets the app reload the employee's current rate.
+const RateHistory = ({ employeeId, onChange }) => {
+  const [rates, setRates] = useState([]);
+  const [newRate, setNewRate] = useState({ ...EMPTY_RATE, effective_from: todayString() });
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(EMPTY_RATE);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchRates = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/employees/${employeeId}/rates`, { withCredentials: true });
+        setRates(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch rates');
+      }
+    };
+
+    fetchRates();
+  }, [employeeId, reloadKey]);
+
+  const today = todayString();
+  // Rates are newest first: the current one is the first that has started
+  const currentRate = rates.find(rate => rate.effective_from <= today) || rates[rates.length - 1];
+
+  const afterChange = () => {
+    setReloadKey(key => key + 1);
+    if (onChange) onChange();
+  };
+
+  const handleAdd = async () => {
+    setError('');
+    try {
+      await axios.post(`${API_URL}/employees/${employeeId}/rates`, newRate, { withCredentials: true });
+      setNewRate({ ...EMPTY_RATE, effective_from: todayString() });
+      afterChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add rate');
+    }
+  };
+
+  const startEdit = (rate) => {
+    setEditingId(rate.id);
+    setEditForm({
+      hourly_rate: rate.hourly_rate,
+      currency: rate.currency || '',
+      effective_from: rate.effective_from
+    });
+  };
+
+  const handleUpdate = async () => {
+    setError('');
+    try {
+      await axios.put(`${API_URL}/employees/${employeeId}/rates/${editingId}`, editForm, { withCredentials: true });
+      setEditingId(null);
+      afterChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update rate');
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the rate effective from ${rate.effective_from}? Hours it priced fall back to the previous rate.`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      await axios.delete(`${API_URL}/employees/${employeeId}/rates/${rate.id}`, { withCredentials: true });
+      afterChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete rate');
+    }
+  };
+
+  const rowStyle = {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 0.7fr auto',
+    gap: '0.5rem',
+    alignItems: 'center',
+    padding: '0.5rem 0',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+  };
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Rate History</label>
+
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#ef4444', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+          <AlertCircle size={16} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {rates.map(rate => (
+        editingId === rate.id ? (
+          <div key={rate.id} style={rowStyle}>
+            <input
+              type="date"
+              className="form-input"
+              value={editForm.effective_from}
+              onChange={(e) => setEditForm({ ...editForm, effective_from: e.target.value })}
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              className="form-input"
+              value={editForm.hourly_rate}
+              onChange={(e) => setEditForm({ ...editForm, hourly_rate: e.target.value })}
+            />
+            <input
+              type="text"
+              className="form-input"
+              maxLength={3}
+              placeholder="USD"
+              value={editForm.currency}
+              onChange={(e) => setEditForm({ ...editForm, currency: e.target.value.toUpperCase() })}
+            />
+            <div style={{ display: 'flex', gap: '0.25rem' }}>
+              <button type="button" className="icon-btn" onClick={handleUpdate} title="Save">
+                <Check size={16} />
+              </button>
+              <button type="button" className="icon-btn" onClick={() => setEditingId(null)} title="Cancel">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div key={rate.id} style={rowStyle}>
+            <span style={{ fontSize: '0.9rem' }}>from {new Date(`${rate.effective_from}T00:00:00`).toLocaleDateString()}</span>
+            <span style={{ fontFamily: 'JetBrains Mono, monospace' }}>{formatRate(rate)}</span>
+            <span>
+              {rate === currentRate && (
+                <span style={{
+                  fontSize: '0.75rem',
+                  padding: '0.15rem 0.5rem',
+                  borderRadius: '10px',
+                  background: 'rgba(16, 185, 129, 0.2)',
+                  color: '#10b981'
+                }}>
+                  Current
+                </span>
+              )}
+            </span>
+            <div style={{ display: 'flex', gap: '0.25rem' }}>
+              <button type="button" className="icon-btn" onClick={() => startEdit(rate)} title="Edit rate">
+                <Edit size={16} />
+              </button>
+              <button type="button" className="icon-btn danger" onClick={() => handleDelete(rate)} title="Delete rate">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        )
+      ))}
+
+      <div style={{ ...rowStyle, borderBottom: 'none' }}>
+        <input
+          type="date"
+          className="form-input"
+          value={newRate.effective_from}
+          onChange={(e) => setNewRate({ ...newRate, effective_from: e.target.value })}
+          title="Effective from"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          className="form-input"
+          placeholder="Rate/h"
+          value={newRate.hourly_rate}
+          onChange={(e) => setNewRate({ ...newRate, hourly_rate: e.target.value })}
+        />
+        <input
+          type="text"
+          className="form-input"
+          maxLength={3}
+          placeholder="USD"
+          value={newRate.currency}
+          onChange={(e) => setNewRate({ ...newRate, currency: e.target.value.toUpperCase() })}
+        />
+        <button
+          type="button"
+          className="icon-btn"
+          onClick={handleAdd}
+          disabled={newRate.hourly_rate === '' || !newRate.effective_from}
+          title="Add rate"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+      <div style={{ fontSize: '0.8rem', color: '#9fa8da' }}>
+        Reports are costed at the rate in effect on their date
+      </div>
+    </div>
+  );
+};
+
+export default RateHistory;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { MessageSquare, Reply, Edit, Trash2, Send } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+// Comment text with its @mentions highlighted
+const CommentBody = ({ body }) => (
+  <div style={{ color: '#c7d2fe', whiteSpace: 'pre-wrap', wordWrap: 'break-word', marginTop: '0.25rem' }}>
+    {body.split(/(@[\w.-]+)/g).map((part, index) => (
+      part.startsWith('@')
+        ? <strong key={index} style={{ color: '#a5b4fc' }}>{part}</strong>
+        : <React.Fragment key={index}>{part}</React.Fragment>
+    ))}
+  </div>
+);
+
+const CommentForm = ({ initialBody = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialBody);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onSubmit(body);
+    setSaving(false);
+    if (saved && !initialBody) setBody('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginTop: '0.5rem' }}>
+      <textarea
+        className="form-textarea"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        style={{ flex: 1, minWidth: '200px', minHeight: 'auto' }}
+        required
+      />
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+        <button type="submit" className="btn btn-primary" disabled={saving || !body.trim()}>
+          <Send size={16} />
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Comment threads of a report for the Report Details modal. With canComment
+// the user can start threads and reply; authors edit and delete their own
+// comments. @username mentions email the mentioned user.
+const ReportComments = ({ reportId, canComment, currentUserId }) => {
+  const [threads, setThreads] = useState([]);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/reports/${reportId}/comments`, { withCredentials: true });
+        setThreads(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch comments');
+      }
+    };
+
+    fetchComments();
+  }, [reportId, reloadKey]);
+
+  // Run a comment request; returns whether it succeeded
+  const save = async (request, fallbackError) => {
+    setError('');
+    try {
+      await request();
+      setReloadKey(key => key + 1);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || fallbackError);
+      return false;
+    }
+  };
+
+  const addComment = (body, parentId = null) => save(async () => {
+    await axios.post(`${API_URL}/reports/${reportId}/comments`, { body, parent_id: parentId }, { withCredentials: true });
+    setReplyingTo(null);
+  }, 'Failed to add comment');
+
+  const updateComment = (comment, body) => save(async () => {
+    await axios.put(`${API_URL}/reports/${reportId}/comments/${comment.id}`, { body }, { withCredentials: true });
+    setEditing(null);
+  }, 'Failed to update comment');
+
+  const deleteComment = (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    save(
+      () => axios.delete(`${API_URL}/reports/${reportId}/comments/${comment.id}`, { withCredentials: true }),
+      'Failed to delete comment'
+    );
+  };
+
+  const commentCount = threads.reduce((count, thread) => count + 1 + thread.replies.length, 0);
+
+  const renderComment = (comment, thread) => (
+    <div key={comment.id} style={{
+      padding: '0.5rem 0.75rem',
+      background: 'rgba(102, 126, 234, 0.08)',
+      borderRadius: '8px',
+      marginLeft: comment.parent_id ? '1.5rem' : 0
+    }}>
+      {comment.deleted ? (
+        <div style={{ fontSize: '0.85rem', color: '#9fa8da', fontStyle: 'italic' }}>Comment deleted</div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: '#9fa8da' }}>
+            <strong style={{ color: '#fff' }}>{comment.username || 'Deleted user'}</strong>
+            <span>{new Date(comment.created_at).toLocaleString()}{comment.updated_at && ' (edited)'}</span>
+            <div style={{ marginLeft: 'auto', display: 'flex', gap: '0.25rem' }}>
+              {canComment && (
+                <button className="icon-btn" onClick={() => setReplyingTo(thread.id)} title="Reply">
+                  <Reply size={14} />
+                </button>
+              )}
+              {comment.user_id === currentUserId && (
+                <>
+                  <button className="icon-btn" onClick={() => setEditing(comment.id)} title="Edit">
+                    <Edit size={14} />
+                  </button>
+                  <button className="icon-btn danger" onClick={() => deleteComment(comment)} title="Delete">
+                    <Trash2 size={14} />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+          {editing === comment.id ? (
+            <CommentForm
+              initialBody={comment.body}
+              submitLabel="Save"
+              onSubmit={(body) => updateComment(comment, body)}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <CommentBody body={comment.body} />
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="detail-label" style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+        <MessageSquare size={14} />
+        Comments ({commentCount})
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '0.75rem' }}>
+        {threads.map(thread => (
+          <div key={thread.id} style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            {renderComment(thread, thread)}
+            {thread.replies.map(reply => renderComment(reply, thread))}
+            {replyingTo === thread.id && (
+              <div style={{ marginLeft: '1.5rem' }}>
+                <CommentForm
+                  placeholder="Reply..."
+                  submitLabel="Reply"
+                  onSubmit={(body) => addComment(body, thread.id)}
+                  onCancel={() => setReplyingTo(null)}
+                />
+              </div>
+            )}
+          </div>
+        ))}
+        {threads.length === 0 && !canComment && (
+          <div style={{ fontSize: '0.85rem', color: '#9fa8da' }}>No comments yet</div>
+        )}
+      </div>
+      {canComment && (
+        <CommentForm
+          placeholder="Add a comment. Mention someone with @username to email them."
+          submitLabel="Comment"
+          onSubmit={(body) => addComment(body)}
+        />
+      )}
+      {error && (
+        <div style={{ fontSize: '0.85rem', color: '#fca5a5', marginTop: '0.5rem' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default ReportComments;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { CheckCircle, MessageSquare } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+export const REPORT_STATUSES = {
+  submitted: { label: 'Submitted', color: '#9fa8da' },
+  approved: { label: 'Approved', color: '#10b981' },
+  changes_requested: { label: 'Changes Requested', color: '#f59e0b' }
+};
+
+export const ReportStatusBadge = ({ status }) => {
+  const { label, color } = REPORT_STATUSES[status] || REPORT_STATUSES.submitted;
+  return (
+    <span style={{
+      padding: '0.2rem 0.6rem',
+      borderRadius: '10px',
+      fontSize: '0.75rem',
+      fontWeight: 600,
+      whiteSpace: 'nowrap',
+      background: `${color}33`,
+      color
+    }}>
+      {label}
+    </span>
+  );
+};
+
+// Approval status of a report with its last review. With canReview the
+// report can be approved, or sent back with a note asking for changes;
+// onReviewed gets the new status and review fields.
+const ReportReview = ({ report, canReview, onReviewed }) => {
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const review = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/reports/${report.id}/${action}`, { note }, { withCredentials: true });
+      setNote('');
+      onReviewed(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to review report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="detail-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        Status <ReportStatusBadge status={report.status} />
+      </div>
+      {report.reviewed_at && (
+        <div style={{ fontSize: '0.85rem', color: '#9fa8da', marginTop: '0.5rem' }}>
+          Last reviewed by {report.reviewed_by_username || 'Unknown'} · {new Date(report.reviewed_at).toLocaleString()}
+          {report.review_note && (
+            <div style={{ color: '#c7d2fe', whiteSpace: 'pre-wrap', wordWrap: 'break-word', marginTop: '0.25rem' }}>
+              {report.review_note}
+            </div>
+          )}
+        </div>
+      )}
+      {canReview && (
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginTop: '0.75rem' }}>
+          <input
+            type="text"
+            className="form-input"
+            placeholder="Note (required to request changes)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            style={{ flex: 1, minWidth: '180px' }}
+          />
+          <button className="btn btn-primary" onClick={() => review('approve')} disabled={saving}>
+            <CheckCircle size={16} />
+            Approve
+          </button>
+          <button className="btn btn-secondary" onClick={() => review('request-changes')} disabled={saving || !note.trim()}>
+            <MessageSquare size={16} />
+            Request Changes
+          </button>
+        </div>
+      )}
+      {error && (
+        <div style={{ fontSize: '0.85rem', color: '#fca5a5', marginTop: '0.5rem' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default ReportReview;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { ClipboardList } from 'lucide-react';
+
+// Answers of a saved report (its responses array) as the form's values,
+// keyed by field key
+export const toResponseValues = (responses) => Object.fromEntries((responses || []).map(response => [
+  response.key,
+  response.type === 'checkbox' ? !!response.value : (response.value === null ? '' : String(response.value))
+]));
+
+// The template a report is filed against: that of the first line item project
+// with one, else the employee's role's, else the default. Mirrors
+// resolveTemplate on the server.
+export const resolveReportTemplate = (templates, employee, projectNames) => {
+  for (const name of projectNames) {
+    const template = templates.find(t => t.project && name && t.project.toLowerCase() === name.trim().toLowerCase());
+    if (template) return template;
+  }
+  const role = employee && employee.role ? employee.role.toLowerCase() : null;
+  return (role && templates.find(t => t.role && t.role.toLowerCase() === role)) ||
+    templates.find(t => !t.role && !t.project_id) ||
+    null;
+};
+
+// Inputs for the fields of a report template; values are keyed by field key
+const ReportTemplateFields = ({ template, values, onChange }) => {
+  if (!template) return null;
+
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  return (
+    <div className="form-group">
+      <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <ClipboardList size={16} />
+        {template.name}
+      </label>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+        {template.fields.map(field => {
+          const value = values[field.key];
+          const label = `${field.label}${field.required ? ' *' : ''}`;
+
+          if (field.type === 'checkbox') {
+            return (
+              <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', color: '#c7d2fe' }}>
+                <input
+                  type="checkbox"
+                  checked={!!value}
+                  onChange={(e) => setValue(field.key, e.target.checked)}
+                  required={field.required}
+                />
+                {label}
+              </label>
+            );
+          }
+
+          return (
+            <div key={field.key}>
+              <div style={{ fontSize: '0.85rem', color: '#c7d2fe', marginBottom: '0.25rem' }}>{label}</div>
+              {field.type === 'select' ? (
+                <select
+                  className="form-select"
+                  value={value || ''}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                  required={field.required}
+                >
+                  <option value="">Choose...</option>
+                  {field.options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              ) : field.type === 'number' ? (
+                <input
+                  type="number"
+                  step="any"
+                  className="form-input"
+                  value={value || ''}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                  required={field.required}
+                />
+              ) : (
+                <textarea
+                  className="form-textarea"
+                  rows={2}
+                  value={value || ''}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                  required={field.required}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ReportTemplateFields;
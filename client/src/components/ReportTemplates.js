@@ -0,0 +1,423 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, Check, X, AlertCircle, ArrowUp, ArrowDown } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const FIELD_TYPES = { text: 'Text', number: 'Number', checkbox: 'Checkbox', select: 'Select' };
+
+const EMPTY_FIELD = { key: '', label: '', type: 'text', required: false, options: '' };
+const EMPTY_TEMPLATE = { name: '', scope: 'default', role: '', project_id: '', fields: [EMPTY_FIELD] };
+
+const cellStyle = { padding: '0.75rem 1rem' };
+const headerCellStyle = { padding: '0.75rem 1rem', textAlign: 'left', color: '#9fa8da' };
+const mutedCellStyle = { padding: '0.75rem 1rem', fontSize: '0.85rem', color: '#9fa8da' };
+
+// Who a template applies to, for the list
+const describeScope = (template) => {
+  if (template.project_id) return `Project: ${template.project}`;
+  if (template.role) return `Role: ${template.role}`;
+  return 'Default';
+};
+
+// Admin report templates: the structured sections (text, number, checkbox and
+// select fields, required or optional) reports of a project, of an employee
+// role or, by default, every report answer. A report uses its first project's
+// template, else its employee's role's, else the default. onChange lets the
+// report forms pick up the changes.
+const ReportTemplates = ({ employees, onChange }) => {
+  const [templates, setTemplates] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [templateForm, setTemplateForm] = useState(EMPTY_TEMPLATE);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const [templatesResponse, projectsResponse] = await Promise.all([
+          axios.get(`${API_URL}/report-templates`, { withCredentials: true }),
+          axios.get(`${API_URL}/projects`, { withCredentials: true })
+        ]);
+        setTemplates(templatesResponse.data);
+        setProjects(projectsResponse.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch report templates');
+      }
+    };
+
+    fetchTemplates();
+  }, [reloadKey]);
+
+  const roles = [...new Set(employees.map(employee => employee.role).filter(Boolean))].sort();
+
+  const afterChange = (message) => {
+    setSuccess(message);
+    setReloadKey(key => key + 1);
+    if (onChange) onChange();
+  };
+
+  const resetTemplateForm = () => {
+    setTemplateForm(EMPTY_TEMPLATE);
+    setEditingTemplate(null);
+  };
+
+  const updateField = (index, changes) => {
+    setTemplateForm(form => ({
+      ...form,
+      fields: form.fields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    }));
+  };
+
+  const moveField = (index, offset) => {
+    setTemplateForm(form => {
+      const fields = [...form.fields];
+      [fields[index], fields[index + offset]] = [fields[index + offset], fields[index]];
+      return { ...form, fields };
+    });
+  };
+
+  const removeField = (index) => {
+    setTemplateForm(form => ({ ...form, fields: form.fields.filter((_, i) => i !== index) }));
+  };
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const payload = {
+      name: templateForm.name,
+      role: templateForm.scope === 'role' ? templateForm.role : null,
+      project_id: templateForm.scope === 'project' ? templateForm.project_id : null,
+      fields: templateForm.fields.map(field => ({
+        key: field.key || undefined,
+        label: field.label,
+        type: field.type,
+        required: field.required,
+        options: field.type === 'select' ? field.options.split(',').map(option => option.trim()).filter(Boolean) : undefined
+      }))
+    };
+
+    try {
+      if (editingTemplate) {
+        await axios.put(`${API_URL}/report-templates/${editingTemplate.id}`, payload, { withCredentials: true });
+        afterChange(`${templateForm.name} updated`);
+      } else {
+        await axios.post(`${API_URL}/report-templates`, payload, { withCredentials: true });
+        afterChange(`${templateForm.name} added`);
+      }
+      resetTemplateForm();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save report template');
+    }
+  };
+
+  const startEditTemplate = (template) => {
+    setEditingTemplate(template);
+    setTemplateForm({
+      name: template.name,
+      scope: template.project_id ? 'project' : template.role ? 'role' : 'default',
+      role: template.role || '',
+      project_id: template.project_id || '',
+      fields: template.fields.map(field => ({
+        key: field.key,
+        label: field.label,
+        type: field.type,
+        required: field.required,
+        options: (field.options || []).join(', ')
+      }))
+    });
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete template ${template.name}? Reports filed with it keep their answers.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await axios.delete(`${API_URL}/report-templates/${template.id}`, { withCredentials: true });
+      afterChange(`${template.name} deleted`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete report template');
+    }
+  };
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2 className="section-title">Report Templates</h2>
+        <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+          Project templates win over role templates, which win over the default
+        </span>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#c00'
+        }}>
+          <AlertCircle size={18} />
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#c00', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {success && (
+        <div style={{
+          background: '#efe',
+          border: '1px solid #cfc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#060'
+        }}>
+          <span>✓ {success}</span>
+          <button
+            onClick={() => setSuccess('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#060', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <h3 style={{ marginBottom: '1rem' }}>{editingTemplate ? `Edit ${editingTemplate.name}` : 'Add Template'}</h3>
+        <form onSubmit={handleSaveTemplate}>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+            gap: '1rem',
+            alignItems: 'end',
+            marginBottom: '1rem'
+          }}>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label className="form-label">Name *</label>
+              <input
+                type="text"
+                className="form-input"
+                value={templateForm.name}
+                onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                required
+                placeholder="Daily Update"
+              />
+            </div>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label className="form-label">Applies To</label>
+              <select
+                className="form-select"
+                value={templateForm.scope}
+                onChange={(e) => setTemplateForm({ ...templateForm, scope: e.target.value })}
+              >
+                <option value="default">Every report (default)</option>
+                <option value="role">An employee role</option>
+                <option value="project">A project</option>
+              </select>
+            </div>
+            {templateForm.scope === 'role' && (
+              <div className="form-group" style={{ margin: 0 }}>
+                <label className="form-label">Role *</label>
+                <input
+                  type="text"
+                  list="template-roles"
+                  className="form-input"
+                  value={templateForm.role}
+                  onChange={(e) => setTemplateForm({ ...templateForm, role: e.target.value })}
+                  required
+                  placeholder="Developer"
+                />
+                <datalist id="template-roles">
+                  {roles.map(role => (
+                    <option key={role} value={role} />
+                  ))}
+                </datalist>
+              </div>
+            )}
+            {templateForm.scope === 'project' && (
+              <div className="form-group" style={{ margin: 0 }}>
+                <label className="form-label">Project *</label>
+                <select
+                  className="form-select"
+                  value={templateForm.project_id}
+                  onChange={(e) => setTemplateForm({ ...templateForm, project_id: e.target.value })}
+                  required
+                >
+                  <option value="">Choose project</option>
+                  {projects.map(project => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <label className="form-label">Fields *</label>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+            {templateForm.fields.map((field, index) => (
+              <div
+                key={index}
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: '2fr 1fr 2fr auto auto',
+                  gap: '0.5rem',
+                  alignItems: 'center',
+                  padding: '0.5rem',
+                  background: 'rgba(102, 126, 234, 0.08)',
+                  borderRadius: '8px'
+                }}
+              >
+                <input
+                  type="text"
+                  className="form-input"
+                  value={field.label}
+                  onChange={(e) => updateField(index, { label: e.target.value })}
+                  required
+                  placeholder="Label (e.g. Blockers)"
+                />
+                <select
+                  className="form-select"
+                  value={field.type}
+                  onChange={(e) => updateField(index, { type: e.target.value })}
+                >
+                  {Object.entries(FIELD_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {field.type === 'select' ? (
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={field.options}
+                    onChange={(e) => updateField(index, { options: e.target.value })}
+                    required
+                    placeholder="Options, comma separated"
+                  />
+                ) : (
+                  <span style={{ fontSize: '0.8rem', color: '#9fa8da', fontFamily: 'JetBrains Mono, monospace' }}>
+                    {field.key || 'key set from label'}
+                  </span>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', cursor: 'pointer', fontSize: '0.85rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={field.required}
+                    onChange={(e) => updateField(index, { required: e.target.checked })}
+                  />
+                  Required
+                </label>
+                <div style={{ display: 'flex', gap: '0.25rem' }}>
+                  <button type="button" className="icon-btn" onClick={() => moveField(index, -1)} disabled={index === 0} title="Move up">
+                    <ArrowUp size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    className="icon-btn"
+                    onClick={() => moveField(index, 1)}
+                    disabled={index === templateForm.fields.length - 1}
+                    title="Move down"
+                  >
+                    <ArrowDown size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    className="icon-btn danger"
+                    onClick={() => removeField(index)}
+                    disabled={templateForm.fields.length === 1}
+                    title="Remove field"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setTemplateForm({ ...templateForm, fields: [...templateForm.fields, EMPTY_FIELD] })}
+            >
+              <Plus size={18} />
+              Add Field
+            </button>
+            <button type="submit" className="btn btn-primary" style={{ marginLeft: 'auto' }}>
+              {editingTemplate ? <Check size={18} /> : <Plus size={18} />}
+              {editingTemplate ? 'Save' : 'Add'}
+            </button>
+            {editingTemplate && (
+              <button type="button" className="btn btn-secondary" onClick={resetTemplateForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h3 style={{ marginBottom: '1rem' }}>All Templates ({templates.length})</h3>
+        {templates.length === 0 ? (
+          <div style={{ textAlign: 'center', color: '#9fa8da', padding: '1rem' }}>
+            No templates yet. Reports only have a description.
+          </div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={headerCellStyle}>Template</th>
+                <th style={headerCellStyle}>Applies To</th>
+                <th style={headerCellStyle}>Fields</th>
+                <th style={headerCellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={cellStyle}>{template.name}</td>
+                  <td style={mutedCellStyle}>{describeScope(template)}</td>
+                  <td style={mutedCellStyle}>
+                    {template.fields.map(field => `${field.label}${field.required ? ' *' : ''}`).join(', ')}
+                  </td>
+                  <td style={cellStyle}>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button className="icon-btn" onClick={() => startEditTemplate(template)} title="Edit">
+                        <Edit size={16} />
+                      </button>
+                      <button className="icon-btn danger" onClick={() => handleDeleteTemplate(template)} title="Delete">
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportTemplates;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, Check, X, AlertCircle } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const EMPTY_TEAM = { name: '', lead_user_id: '', member_ids: [] };
+
+const cellStyle = { padding: '0.75rem 1rem' };
+const headerCellStyle = { padding: '0.75rem 1rem', textAlign: 'left', color: '#9fa8da' };
+const mutedCellStyle = { padding: '0.75rem 1rem', fontSize: '0.85rem', color: '#9fa8da' };
+
+// Admin teams: a lead (a user with the manager role) and member employees.
+// A manager sees, comments on and approves the reports of the teams they
+// lead, and nobody else's.
+const Teams = ({ employees }) => {
+  const [teams, setTeams] = useState([]);
+  const [managers, setManagers] = useState([]);
+  const [teamForm, setTeamForm] = useState(EMPTY_TEAM);
+  const [editingTeam, setEditingTeam] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchTeams = async () => {
+      try {
+        const [teamsResponse, usersResponse] = await Promise.all([
+          axios.get(`${API_URL}/teams`, { withCredentials: true }),
+          axios.get(`${API_URL}/admin/users`, { withCredentials: true })
+        ]);
+        setTeams(teamsResponse.data);
+        setManagers(usersResponse.data.filter(user => user.role === 'manager'));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch teams');
+      }
+    };
+
+    fetchTeams();
+  }, [reloadKey]);
+
+  const afterChange = (message) => {
+    setSuccess(message);
+    setReloadKey(key => key + 1);
+  };
+
+  const resetTeamForm = () => {
+    setTeamForm(EMPTY_TEAM);
+    setEditingTeam(null);
+  };
+
+  const toggleMember = (employeeId) => {
+    setTeamForm(form => ({
+      ...form,
+      member_ids: form.member_ids.includes(employeeId)
+        ? form.member_ids.filter(id => id !== employeeId)
+        : [...form.member_ids, employeeId]
+    }));
+  };
+
+  const handleSaveTeam = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const payload = {
+      name: teamForm.name,
+      lead_user_id: teamForm.lead_user_id || null,
+      member_ids: teamForm.member_ids
+    };
+
+    try {
+      if (editingTeam) {
+        await axios.put(`${API_URL}/teams/${editingTeam.id}`, payload, { withCredentials: true });
+        afterChange(`${teamForm.name} updated`);
+      } else {
+        await axios.post(`${API_URL}/teams`, payload, { withCredentials: true });
+        afterChange(`${teamForm.name} added`);
+      }
+      resetTeamForm();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save team');
+    }
+  };
+
+  const startEditTeam = (team) => {
+    setEditingTeam(team);
+    setTeamForm({
+      name: team.name,
+      lead_user_id: team.lead_user_id || '',
+      member_ids: team.members.map(member => member.id)
+    });
+  };
+
+  const handleDeleteTeam = async (team) => {
+    if (!window.confirm(`Delete team ${team.name}? Its lead will no longer see its members' reports.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await axios.delete(`${API_URL}/teams/${team.id}`, { withCredentials: true });
+      afterChange(`${team.name} deleted`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete team');
+    }
+  };
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2 className="section-title">Teams</h2>
+        <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+          Managers only see the reports of the teams they lead
+        </span>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#c00'
+        }}>
+          <AlertCircle size={18} />
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#c00', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {success && (
+        <div style={{
+          background: '#efe',
+          border: '1px solid #cfc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#060'
+        }}>
+          <span>✓ {success}</span>
+          <button
+            onClick={() => setSuccess('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#060', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <h3 style={{ marginBottom: '1rem' }}>{editingTeam ? `Edit ${editingTeam.name}` : 'Add Team'}</h3>
+        <form onSubmit={handleSaveTeam}>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+            gap: '1rem',
+            alignItems: 'end',
+            marginBottom: '1rem'
+          }}>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label className="form-label">Name *</label>
+              <input
+                type="text"
+                className="form-input"
+                value={teamForm.name}
+                onChange={(e) => setTeamForm({ ...teamForm, name: e.target.value })}
+                required
+                placeholder="Mobile"
+              />
+            </div>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label className="form-label">Lead</label>
+              <select
+                className="form-select"
+                value={teamForm.lead_user_id}
+                onChange={(e) => setTeamForm({ ...teamForm, lead_user_id: e.target.value })}
+              >
+                <option value="">No lead</option>
+                {managers.map(manager => (
+                  <option key={manager.id} value={manager.id}>
+                    {manager.username}{manager.employee_name ? ` (${manager.employee_name})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {managers.length === 0 && (
+            <p style={{ fontSize: '0.85rem', color: '#9fa8da', marginBottom: '1rem' }}>
+              Give a user the Manager role under Management to make them a lead.
+            </p>
+          )}
+
+          <label className="form-label">Members ({teamForm.member_ids.length})</label>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+            gap: '0.5rem',
+            marginBottom: '1rem',
+            maxHeight: '240px',
+            overflowY: 'auto'
+          }}>
+            {employees.map(employee => (
+              <label
+                key={employee.id}
+                style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', fontSize: '0.9rem' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={teamForm.member_ids.includes(employee.id)}
+                  onChange={() => toggleMember(employee.id)}
+                />
+                {employee.name}
+              </label>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button type="submit" className="btn btn-primary" style={{ marginLeft: 'auto' }}>
+              {editingTeam ? <Check size={18} /> : <Plus size={18} />}
+              {editingTeam ? 'Save' : 'Add'}
+            </button>
+            {editingTeam && (
+              <button type="button" className="btn btn-secondary" onClick={resetTeamForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h3 style={{ marginBottom: '1rem' }}>All Teams ({teams.length})</h3>
+        {teams.length === 0 ? (
+          <div style={{ textAlign: 'center', color: '#9fa8da', padding: '1rem' }}>
+            No teams yet.
+          </div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={headerCellStyle}>Team</th>
+                <th style={headerCellStyle}>Lead</th>
+                <th style={headerCellStyle}>Members</th>
+                <th style={headerCellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {teams.map(team => (
+                <tr key={team.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={cellStyle}>{team.name}</td>
+                  <td style={mutedCellStyle}>{team.lead_username || 'No lead'}</td>
+                  <td style={mutedCellStyle}>
+                    {team.members.length > 0 ? team.members.map(member => member.name).join(', ') : '-'}
+                  </td>
+                  <td style={cellStyle}>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button className="icon-btn" onClick={() => startEditTeam(team)} title="Edit">
+                        <Edit size={16} />
+                      </button>
+                      <button className="icon-btn danger" onClick={() => handleDeleteTeam(team)} title="Delete">
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Teams;
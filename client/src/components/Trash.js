@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RotateCcw, Trash2, AlertCircle, X } from 'lucide-react';
+
+const API_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : (process.env.REACT_APP_API_URL || 'http://localhost:5000/api');
+
+const EMPTY_TRASH = { retention_days: 0, employees: [], reports: [], screenshots: [] };
+
+const cellStyle = { padding: '1rem' };
+const headerCellStyle = { padding: '1rem', textAlign: 'left', color: '#9fa8da' };
+const mutedCellStyle = { padding: '1rem', fontSize: '0.85rem', color: '#9fa8da' };
+
+// Who deleted an item and when the automatic purge will remove it
+const DeletedCell = ({ item }) => (
+  <td style={mutedCellStyle}>
+    <div>{new Date(item.deleted_at).toLocaleString()}{item.deleted_by_username ? ` by ${item.deleted_by_username}` : ''}</div>
+    {item.purge_at && (
+      <div style={{ fontSize: '0.8rem' }}>Purged {new Date(item.purge_at).toLocaleDateString()}</div>
+    )}
+  </td>
+);
+
+// Admin trash: deleted employees, reports and screenshots, with restore and
+// permanent delete. onChange lets the rest of the app reload restored data.
+const Trash = ({ onChange }) => {
+  const [trash, setTrash] = useState(EMPTY_TRASH);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/admin/trash`, { withCredentials: true });
+        setTrash(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch trash');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, [reloadKey]);
+
+  const handleRestore = async (type, id, label) => {
+    setError('');
+    setSuccess('');
+    try {
+      await axios.post(`${API_URL}/admin/trash/${type}/${id}/restore`, {}, { withCredentials: true });
+      setSuccess(`${label} restored`);
+      setReloadKey(key => key + 1);
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore item');
+    }
+  };
+
+  const handlePurge = async (type, id, label) => {
+    if (!window.confirm(`Permanently delete ${label}? This action cannot be undone.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await axios.delete(`${API_URL}/admin/trash/${type}/${id}`, { withCredentials: true });
+      setSuccess(`${label} permanently deleted`);
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete item');
+    }
+  };
+
+  const actionButtons = (type, id, label) => (
+    <td style={cellStyle}>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button className="icon-btn" onClick={() => handleRestore(type, id, label)} title="Restore">
+          <RotateCcw size={16} />
+        </button>
+        <button className="icon-btn danger" onClick={() => handlePurge(type, id, label)} title="Delete permanently">
+          <Trash2 size={16} />
+        </button>
+      </div>
+    </td>
+  );
+
+  const isEmpty = trash.employees.length === 0 && trash.reports.length === 0 && trash.screenshots.length === 0;
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2 className="section-title">Trash</h2>
+        <span style={{ fontSize: '0.85rem', color: '#9fa8da' }}>
+          {trash.retention_days > 0
+            ? `Items are permanently deleted ${trash.retention_days} day(s) after they were deleted`
+            : 'Items stay in the trash until they are deleted permanently'}
+        </span>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#c00'
+        }}>
+          <AlertCircle size={18} />
+          <span>{error}</span>
+          <button
+            onClick={() => setError('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#c00', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {success && (
+        <div style={{
+          background: '#efe',
+          border: '1px solid #cfc',
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '20px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          color: '#060'
+        }}>
+          <span>✓ {success}</span>
+          <button
+            onClick={() => setSuccess('')}
+            style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#060', cursor: 'pointer' }}
+          >
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {!loading && isEmpty && (
+        <div className="card" style={{ textAlign: 'center', color: '#9fa8da', padding: '2rem' }}>
+          The trash is empty
+        </div>
+      )}
+
+      {trash.employees.length > 0 && (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+          <h3 style={{ marginBottom: '1rem' }}>Employees ({trash.employees.length})</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={headerCellStyle}>Name</th>
+                <th style={headerCellStyle}>Email</th>
+                <th style={headerCellStyle}>Reports</th>
+                <th style={headerCellStyle}>Deleted</th>
+                <th style={headerCellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trash.employees.map(employee => (
+                <tr key={employee.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={cellStyle}>{employee.name}</td>
+                  <td style={mutedCellStyle}>{employee.email}</td>
+                  <td style={cellStyle}>{employee.report_count}</td>
+                  <DeletedCell item={employee} />
+                  {actionButtons('employees', employee.id, employee.name)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {trash.reports.length > 0 && (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+          <h3 style={{ marginBottom: '1rem' }}>Reports ({trash.reports.length})</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={headerCellStyle}>Employee</th>
+                <th style={headerCellStyle}>Date</th>
+                <th style={headerCellStyle}>Hours</th>
+                <th style={headerCellStyle}>Project</th>
+                <th style={headerCellStyle}>Deleted</th>
+                <th style={headerCellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trash.reports.map(report => (
+                <tr key={report.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={cellStyle}>
+                    {report.employee_name}
+                    {report.employee_deleted && (
+                      <div style={{ fontSize: '0.8rem', color: '#f59e0b' }}>Employee is in the trash</div>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{new Date(report.date).toLocaleDateString()}</td>
+                  <td style={cellStyle}>{parseFloat(report.hours)}h</td>
+                  <td style={mutedCellStyle}>
+                    {report.project || '-'}
+                    {report.screenshot_count > 0 && ` · ${report.screenshot_count} screenshot(s)`}
+                  </td>
+                  <DeletedCell item={report} />
+                  {actionButtons('reports', report.id, `report #${report.id}`)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {trash.screenshots.length > 0 && (
+        <div className="card">
+          <h3 style={{ marginBottom: '1rem' }}>Screenshots ({trash.screenshots.length})</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid rgba(255, 255, 255, 0.1)' }}>
+                <th style={headerCellStyle}>File</th>
+                <th style={headerCellStyle}>Report</th>
+                <th style={headerCellStyle}>Deleted</th>
+                <th style={headerCellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trash.screenshots.map(screenshot => (
+                <tr key={screenshot.id} style={{ borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+                  <td style={cellStyle}>
+                    {screenshot.filename}
+                    {screenshot.caption && (
+                      <div style={{ fontSize: '0.8rem', color: '#9fa8da' }}>{screenshot.caption}</div>
+                    )}
+                  </td>
+                  <td style={mutedCellStyle}>
+                    #{screenshot.report_id} · {screenshot.employee_name}, {new Date(screenshot.report_date).toLocaleDateString()}
+                  </td>
+                  <DeletedCell item={screenshot} />
+                  {actionButtons('screenshots', screenshot.id, screenshot.filename)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
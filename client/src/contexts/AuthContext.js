@@ -17,6 +17,7 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [elevation, setElevation] = useState(null);
   const [loading, setLoading] = useState(true);
 
   // Check if user is already logged in on mount
@@ -30,8 +31,10 @@ export const AuthProvider = ({ children }) => {
         withCredentials: true
       });
       setUser(response.data.user);
+      setElevation(response.data.elevation || null);
     } catch (error) {
       setUser(null);
+      setElevation(null);
     } finally {
       setLoading(false);
     }
@@ -63,6 +66,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       setUser(null);
+      setElevation(null);
     }
   };
 
@@ -82,11 +86,44 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Users re-verify their own password to unlock locked reports for a while
+  const elevate = async (password) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/auth/elevate`,
+        { password },
+        { withCredentials: true }
+      );
+      setElevation(response.data.elevation);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Elevation failed'
+      };
+    }
+  };
+
+  const endElevation = async () => {
+    try {
+      await axios.delete(`${API_URL}/auth/elevate`, {
+        withCredentials: true
+      });
+    } catch (error) {
+      console.error('End elevation error:', error);
+    } finally {
+      setElevation(null);
+    }
+  };
+
+  const isElevated = () => !!elevation && new Date(elevation.expires_at) > new Date();
+
   const hasRole = (...roles) => {
     return user && roles.includes(user.role);
   };
 
   const isAdmin = () => hasRole('admin');
+  const isManager = () => hasRole('manager');
   const isEmployee = () => hasRole('employee');
   const isViewer = () => hasRole('viewer');
 
@@ -96,8 +133,13 @@ export const AuthProvider = ({ children }) => {
     login,
     logout,
     changePassword,
+    elevation,
+    elevate,
+    endElevation,
+    isElevated,
     hasRole,
     isAdmin,
+    isManager,
     isEmployee,
     isViewer,
     checkAuth
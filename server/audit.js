@@ -0,0 +1,139 @@
+// Append-only audit log of administrative and security events (audit_events).
+// Routes record an event once the change has succeeded. Writing the event
+// never fails the request: errors are logged instead.
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+
+// Record an event for the request. actor defaults to the session user; pass
+// { id: null, username } for events without a session (e.g. failed logins),
+// and a null req for events the server does on its own.
+const recordAuditEvent = async (db, req, { action, targetType = null, targetId = null, payload = {}, actor }) => {
+  const user = actor !== undefined ? actor : (req && req.session && req.session.user);
+
+  try {
+    await db.query(
+      `INSERT INTO audit_events (actor_id, actor_username, action, target_type, target_id, ip, user_agent, payload)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        user ? user.id : null,
+        user ? user.username : null,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        (req && req.ip) || null,
+        (req && req.get('user-agent')) || null,
+        JSON.stringify(payload)
+      ]
+    );
+  } catch (err) {
+    console.error(`❌ Failed to record audit event ${action}:`, err.message);
+  }
+};
+
+// WHERE clause and params for the audit search filters
+const buildAuditFilter = ({ action, actor, target_type, target_id, q, start_date, end_date }) => {
+  let where = 'WHERE 1=1';
+  const params = [];
+  let paramCount = 1;
+
+  if (action) {
+    where += ` AND action = $${paramCount++}`;
+    params.push(action);
+  }
+
+  if (actor) {
+    where += ` AND actor_username ILIKE $${paramCount++}`;
+    params.push(`%${actor}%`);
+  }
+
+  if (target_type) {
+    where += ` AND target_type = $${paramCount++}`;
+    params.push(target_type);
+  }
+
+  if (target_id) {
+    where += ` AND target_id = $${paramCount++}`;
+    params.push(String(target_id));
+  }
+
+  // Free text search over everything a person would look for
+  if (q) {
+    where += ` AND (action ILIKE $${paramCount} OR actor_username ILIKE $${paramCount}
+      OR target_type ILIKE $${paramCount} OR target_id ILIKE $${paramCount}
+      OR ip ILIKE $${paramCount} OR payload::text ILIKE $${paramCount})`;
+    paramCount++;
+    params.push(`%${q}%`);
+  }
+
+  if (start_date) {
+    where += ` AND occurred_at::date >= $${paramCount++}`;
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    where += ` AND occurred_at::date <= $${paramCount++}`;
+    params.push(end_date);
+  }
+
+  return { where, params, paramCount };
+};
+
+// One page of matching events, newest first, with the total count and the
+// actions that exist (for filter dropdowns)
+const searchAuditEvents = async (db, filters) => {
+  const page = Math.max(1, parseInt(filters.page) || 1);
+  const pageSize = Math.min(AUDIT_MAX_PAGE_SIZE, Math.max(1, parseInt(filters.page_size) || AUDIT_PAGE_SIZE));
+  const { where, params, paramCount } = buildAuditFilter(filters);
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM audit_events ${where}`, params);
+  const eventsResult = await db.query(
+    `SELECT * FROM audit_events ${where}
+     ORDER BY occurred_at DESC, id DESC
+     LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+    [...params, pageSize, (page - 1) * pageSize]
+  );
+  const actionsResult = await db.query('SELECT DISTINCT action FROM audit_events ORDER BY action');
+
+  return {
+    events: eventsResult.rows,
+    total: parseInt(countResult.rows[0].count),
+    page,
+    page_size: pageSize,
+    actions: actionsResult.rows.map(row => row.action)
+  };
+};
+
+// A quoted CSV cell; empty for null and undefined
+const csvValue = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+
+// Every matching event as CSV, newest first
+const exportAuditEventsCsv = async (db, filters) => {
+  const { where, params } = buildAuditFilter(filters);
+  const result = await db.query(
+    `SELECT * FROM audit_events ${where} ORDER BY occurred_at DESC, id DESC`,
+    params
+  );
+
+  let csv = 'Time,Actor,Action,Target Type,Target ID,IP,User Agent,Details\n';
+  result.rows.forEach(row => {
+    csv += [
+      new Date(row.occurred_at).toISOString(),
+      row.actor_username,
+      row.action,
+      row.target_type,
+      row.target_id,
+      row.ip,
+      row.user_agent,
+      JSON.stringify(row.payload)
+    ].map(csvValue).join(',') + '\n';
+  });
+  return csv;
+};
+
+module.exports = {
+  recordAuditEvent,
+  searchAuditEvents,
+  exportAuditEventsCsv,
+  csvValue
+};
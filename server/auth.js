@@ -1,4 +1,6 @@
 const bcrypt = require('bcrypt');
+const policy = require('./policy');
+const { loadLockRules, reportLock } = require('./report-lock');
 
 // Middleware to check if user is authenticated
 const requireAuth = (req, res, next) => {
@@ -23,25 +25,76 @@ const requireRole = (...allowedRoles) => {
   };
 };
 
+// How long an elevation granted by POST /api/auth/elevate lasts
+const ELEVATION_MINUTES = parseInt(process.env.ELEVATION_MINUTES) || 15;
+
+// Record an elevation on the session once the user has re-verified their password
+const grantElevation = (session) => {
+  session.elevation = {
+    expires_at: new Date(Date.now() + ELEVATION_MINUTES * 60 * 1000).toISOString()
+  };
+  return session.elevation;
+};
+
+// Active elevation on the session, or null if there is none or it has expired
+const getElevation = (session) => {
+  const elevation = session && session.elevation;
+  if (!elevation || new Date(elevation.expires_at) <= new Date()) {
+    return null;
+  }
+  return elevation;
+};
+
+// Why the user may not modify (edit or delete) a report, as
+// { error, elevation_required }, or null if they may. report needs employee_id,
+// date and created_at; lockRules come from loadLockRules() and elevation from
+// getElevation().
+const reportEditError = (user, report, lockRules, elevation) => {
+  // Viewers and managers cannot edit
+  if (!policy.can(user, 'reports', 'update')) {
+    return { error: 'Viewers and managers cannot edit reports', elevation_required: false };
+  }
+
+  // Employees can only edit their own reports
+  if (!policy.canAccessEmployee(user, report.employee_id)) {
+    return { error: 'You can only edit your own reports', elevation_required: false };
+  }
+
+  // Closed pay periods are frozen for everyone, corrections need an amendment
+  const lock = reportLock(lockRules, report);
+  if (lock.frozen) {
+    return {
+      error: `Report is locked (${lock.reason}). Submit an amendment instead.`,
+      elevation_required: false,
+      period_closed: true
+    };
+  }
+
+  // Admins can edit everything else; once a lock policy applies other users
+  // need an elevation
+  if (lock.locked && !elevation && user.role !== 'admin') {
+    return {
+      error: `Report is locked (${lock.reason}). Elevated access is required to edit it.`,
+      elevation_required: true
+    };
+  }
+
+  return null;
+};
+
 // Middleware to check if user can edit a specific report
 const canEditReport = async (req, res, next, pool) => {
   try {
     const reportId = req.params.id;
     const user = req.session.user;
 
-    // Admin can edit everything
-    if (user.role === 'admin') {
-      return next();
+    // Viewers and managers cannot edit
+    if (!policy.can(user, 'reports', 'update')) {
+      return res.status(403).json({ error: 'Viewers and managers cannot edit reports' });
     }
 
-    // Viewers cannot edit
-    if (user.role === 'viewer') {
-      return res.status(403).json({ error: 'Viewers cannot edit reports' });
-    }
-
-    // Employees can only edit their own reports
     const reportResult = await pool.query(
-      'SELECT employee_id, created_at FROM eod_reports WHERE id = $1',
+      'SELECT employee_id, date, created_at FROM eod_reports WHERE id = $1 AND deleted_at IS NULL',
       [reportId]
     );
 
@@ -49,19 +102,10 @@ const canEditReport = async (req, res, next, pool) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    const report = reportResult.rows[0];
-
-    // Check if report belongs to this employee
-    if (report.employee_id !== user.employee_id) {
-      return res.status(403).json({ error: 'You can only edit your own reports' });
-    }
-
-    // Check if within 3-day edit window
-    const threeDaysAgo = new Date();
-    threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
-
-    if (new Date(report.created_at) < threeDaysAgo) {
-      return res.status(403).json({ error: 'Report is older than 3 days. Only admin can edit.' });
+    const lockRules = await loadLockRules(pool);
+    const denied = reportEditError(user, reportResult.rows[0], lockRules, getElevation(req.session));
+    if (denied) {
+      return res.status(403).json(denied);
     }
 
     next();
@@ -76,8 +120,15 @@ const hashPassword = async (password) => {
   return await bcrypt.hash(password, 10);
 };
 
-// Compare password
+// Stands in for a missing hash so a failed lookup costs as much as a wrong password
+const DUMMY_HASH = bcrypt.hashSync('no-such-user', 10);
+
+// Compare password. Without a hash it never matches.
 const comparePassword = async (password, hash) => {
+  if (!hash) {
+    await bcrypt.compare(password, DUMMY_HASH);
+    return false;
+  }
   return await bcrypt.compare(password, hash);
 };
 
@@ -118,6 +169,13 @@ const isViewerAccessValid = async (userId, pool) => {
 module.exports = {
   requireAuth,
   requireRole,
+  authorize: policy.authorize,
+  can: policy.can,
+  employeeFilter: policy.employeeFilter,
+  canAccessEmployee: policy.canAccessEmployee,
+  grantElevation,
+  getElevation,
+  reportEditError,
   canEditReport,
   hashPassword,
   comparePassword,
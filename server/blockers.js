@@ -0,0 +1,282 @@
+// Blockers raised in reports. A report lists blockers (new ones and the
+// employee's open ones carried over from earlier reports); each has an owner,
+// the employee expected to unblock it, and stays open until resolved, from a
+// report or the Blockers board.
+const { resolveReportProject } = require('./projects');
+
+const BLOCKER_STATUSES = ['open', 'resolved'];
+
+// Blocker columns with the names of the employees and project, the date of
+// the report it was raised in and its age in days (until resolved)
+const BLOCKER_COLUMNS = `
+      b.id,
+      b.employee_id,
+      e.name as employee_name,
+      b.owner_id,
+      o.name as owner_name,
+      b.project_id,
+      p.name as project,
+      b.description,
+      b.status,
+      b.report_id,
+      to_char(r.date, 'YYYY-MM-DD') as raised_on,
+      b.created_at,
+      b.resolved_at,
+      (COALESCE(b.resolved_at, CURRENT_TIMESTAMP)::date - b.created_at::date) as age_days,
+      (SELECT COUNT(*) FROM report_blockers rb WHERE rb.blocker_id = b.id)::int as report_count`;
+
+const BLOCKER_JOINS = `
+    JOIN employees e ON b.employee_id = e.id
+    LEFT JOIN employees o ON b.owner_id = o.id
+    LEFT JOIN projects p ON b.project_id = p.id
+    LEFT JOIN eod_reports r ON b.report_id = r.id`;
+
+// Check blocker fields, filling the ones not given from existing (a blocker
+// being changed). Returns { error } or { values }.
+const validateBlocker = (body, existing = {}) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : existing[name]);
+  // A project name replaces the project unless an id is given too
+  const byName = body.project !== undefined && !body.project_id;
+
+  const values = {
+    description: String(field('description') || '').trim(),
+    status: field('status') || 'open',
+    owner_id: field('owner_id') ? parseInt(field('owner_id')) : null,
+    project_id: !byName && field('project_id') ? parseInt(field('project_id')) : null,
+    project: byName && body.project ? String(body.project).trim() : null
+  };
+
+  if (!values.description) {
+    return { error: 'Description is required' };
+  }
+
+  if (!BLOCKER_STATUSES.includes(values.status)) {
+    return { error: `Status must be one of: ${BLOCKER_STATUSES.join(', ')}` };
+  }
+
+  return { values };
+};
+
+// Blockers from a request body: an array, or its JSON string from multipart
+// forms, of { id, description, owner_id, project_id or project, status }
+// (id for blockers carried over). Returns { blockers: null } when the body has
+// none, so a report keeps its blockers, otherwise { error } or { blockers }.
+const parseBlockers = (body) => {
+  let blockers = body.blockers;
+
+  if (blockers === undefined || blockers === null) {
+    return { blockers: null };
+  }
+
+  if (typeof blockers === 'string') {
+    try {
+      blockers = JSON.parse(blockers);
+    } catch (e) {
+      return { error: 'blockers must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(blockers)) {
+    return { error: 'blockers must be an array' };
+  }
+
+  const parsed = [];
+  for (const [index, blocker] of blockers.entries()) {
+    const { error, values } = validateBlocker(blocker);
+    if (error) {
+      return { error: `Blocker ${index + 1}: ${error}` };
+    }
+    parsed.push({ ...values, id: blocker.id ? parseInt(blocker.id) : null });
+  }
+
+  return { blockers: parsed };
+};
+
+// Check a blocker's owner exists and resolve its project by id or name (it
+// can stay in a project archived since). Returns { error } or { blocker } with
+// project_id set.
+const resolveBlocker = async (db, blocker, currentProjectId = null) => {
+  if (blocker.owner_id) {
+    const owner = await db.query('SELECT 1 FROM employees WHERE id = $1 AND deleted_at IS NULL', [blocker.owner_id]);
+    if (owner.rows.length === 0) {
+      return { error: 'Owner not found' };
+    }
+  }
+
+  const { project, error } = await resolveReportProject(db, blocker, currentProjectId ? [currentProjectId] : []);
+  if (error) {
+    return { error };
+  }
+  return { blocker: { ...blocker, project_id: project ? project.id : null } };
+};
+
+// Check a report's blockers: carried-over ones must be the employee's, each
+// listed once (see resolveBlocker for the rest). Returns { error } or
+// { blockers }.
+const resolveBlockers = async (db, employeeId, blockers) => {
+  const ids = blockers.filter(blocker => blocker.id).map(blocker => blocker.id);
+  const existing = await db.query(
+    'SELECT id, project_id FROM blockers WHERE id = ANY($1::int[]) AND employee_id = $2',
+    [ids, employeeId]
+  );
+
+  const resolved = [];
+  for (const [index, blocker] of blockers.entries()) {
+    const label = `Blocker ${index + 1}`;
+    const current = existing.rows.find(row => row.id === blocker.id);
+    if (blocker.id && !current) {
+      return { error: `${label}: not one of this employee's blockers` };
+    }
+    if (blocker.id && resolved.some(other => other.id === blocker.id)) {
+      return { error: `${label}: listed twice` };
+    }
+
+    const result = await resolveBlocker(db, blocker, current ? current.project_id : null);
+    if (result.error) {
+      return { error: `${label}: ${result.error}` };
+    }
+    resolved.push(result.blocker);
+  }
+
+  return { blockers: resolved };
+};
+
+// Set a blocker's fields. Resolving records when and by whom; reopening
+// clears that.
+const updateBlocker = async (db, id, blocker, userId) => {
+  const resolved = blocker.status === 'resolved';
+  const result = await db.query(
+    `UPDATE blockers
+     SET description = $1, owner_id = $2, project_id = $3, status = $4,
+         resolved_at = CASE WHEN $5 THEN COALESCE(resolved_at, CURRENT_TIMESTAMP) END,
+         resolved_by = CASE WHEN $5 THEN COALESCE(resolved_by, $6) END
+     WHERE id = $7
+     RETURNING *`,
+    [blocker.description, blocker.owner_id, blocker.project_id, blocker.status, resolved, userId, id]
+  );
+  return result.rows[0];
+};
+
+// Replace the blockers a report lists: carried-over ones are updated, new
+// ones raised in it. Blockers raised in the report that are no longer listed
+// are deleted, unless a later report carried them over.
+const saveReportBlockers = async (db, { reportId, employeeId, userId }, blockers) => {
+  const keptIds = blockers.filter(blocker => blocker.id).map(blocker => blocker.id);
+  await db.query(
+    `DELETE FROM blockers b
+     WHERE b.report_id = $1 AND NOT (b.id = ANY($2::int[]))
+       AND NOT EXISTS (SELECT 1 FROM report_blockers rb WHERE rb.blocker_id = b.id AND rb.report_id <> $1)`,
+    [reportId, keptIds]
+  );
+  await db.query('DELETE FROM report_blockers WHERE report_id = $1', [reportId]);
+
+  for (const blocker of blockers) {
+    let id = blocker.id;
+    if (id) {
+      await updateBlocker(db, id, blocker, userId);
+    } else {
+      const resolved = blocker.status === 'resolved';
+      const inserted = await db.query(
+        `INSERT INTO blockers (employee_id, report_id, project_id, owner_id, description, status, resolved_at, resolved_by)
+         VALUES ($1, $2, $3, $4, $5, $6, ${resolved ? 'CURRENT_TIMESTAMP' : 'NULL'}, $7)
+         RETURNING id`,
+        [employeeId, reportId, blocker.project_id, blocker.owner_id, blocker.description, blocker.status, resolved ? userId : null]
+      );
+      id = inserted.rows[0].id;
+    }
+    await db.query('INSERT INTO report_blockers (report_id, blocker_id) VALUES ($1, $2)', [reportId, id]);
+  }
+};
+
+// Blockers with filters, open ones first and oldest first. scope (an
+// employee's) limits them to the blockers they raised or own; employeeId and
+// ownerId filter by who raised and who owns them, projects by project name.
+const fetchBlockers = async (db, { scope = null, employeeId, ownerId, projects, projectId, status } = {}) => {
+  const params = [];
+  let where = 'WHERE e.deleted_at IS NULL';
+
+  if (scope) {
+    params.push(scope);
+    where += ` AND (b.employee_id = ANY($${params.length}::int[]) OR b.owner_id = ANY($${params.length}::int[]))`;
+  }
+
+  if (employeeId) {
+    params.push(employeeId);
+    where += ` AND b.employee_id = $${params.length}`;
+  }
+
+  if (ownerId) {
+    params.push(ownerId);
+    where += ` AND b.owner_id = $${params.length}`;
+  }
+
+  if (projects) {
+    params.push(projects);
+    where += ` AND p.name = ANY($${params.length})`;
+  }
+
+  if (projectId) {
+    params.push(projectId);
+    where += ` AND b.project_id = $${params.length}`;
+  }
+
+  if (status) {
+    params.push(status);
+    where += ` AND b.status = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT ${BLOCKER_COLUMNS}
+    FROM blockers b
+    ${BLOCKER_JOINS}
+    ${where}
+    ORDER BY b.status = 'resolved', b.created_at, b.id
+  `, params);
+  return result.rows;
+};
+
+const fetchBlocker = async (db, id) => {
+  const result = await db.query(`SELECT ${BLOCKER_COLUMNS} FROM blockers b ${BLOCKER_JOINS} WHERE b.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Add the blockers each report lists to it as blockers
+const attachBlockers = async (db, reports) => {
+  if (reports.length === 0) return reports;
+  const result = await db.query(`
+    SELECT rb.report_id as listed_in, ${BLOCKER_COLUMNS}
+    FROM report_blockers rb
+    JOIN blockers b ON rb.blocker_id = b.id
+    ${BLOCKER_JOINS}
+    WHERE rb.report_id = ANY($1::int[])
+    ORDER BY b.created_at, b.id
+  `, [reports.map(report => report.id)]);
+
+  const blockersByReport = new Map();
+  for (const { listed_in: reportId, ...blocker } of result.rows) {
+    if (!blockersByReport.has(reportId)) blockersByReport.set(reportId, []);
+    blockersByReport.get(reportId).push(blocker);
+  }
+
+  return reports.map(report => ({ ...report, blockers: blockersByReport.get(report.id) || [] }));
+};
+
+// One-line description of a report's blockers, for the revision history:
+// "Waiting on API keys (open); Staging is down (resolved)"
+const describeBlockers = (blockers) => blockers
+  .map(blocker => `${blocker.description} (${blocker.status})`)
+  .join('; ');
+
+module.exports = {
+  BLOCKER_STATUSES,
+  validateBlocker,
+  parseBlockers,
+  resolveBlocker,
+  resolveBlockers,
+  updateBlocker,
+  saveReportBlockers,
+  fetchBlockers,
+  fetchBlocker,
+  attachBlockers,
+  describeBlockers
+};
@@ -0,0 +1,218 @@
+// Project budgets and their burn-down. Usage comes from the cost aggregation
+// in costs.js: hours and cost of the project's reports, each priced at the
+// rate in effect on its date. A total budget covers every report of the
+// project, a monthly one the reports of the current month. Amendments aren't
+// counted, as in the per-period cost breakdowns.
+const { fetchCostsByPeriod } = require('./costs');
+
+const BUDGET_PERIODS = ['total', 'monthly'];
+const BUDGET_METRICS = { hours: 'budget_hours', amount: 'budget_amount' };
+
+// Usage percentages that raise an alert, lowest first
+const ALERT_THRESHOLDS = [80, 100];
+
+// Days of recent usage the run rate (and so the projected exhaustion date) is
+// averaged over
+const RUN_RATE_DAYS = 14;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+// Check budget fields. Returns { error } or { values }.
+const validateBudget = (body) => {
+  const parse = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+  const values = {
+    budget_hours: parse(body.budget_hours),
+    budget_amount: parse(body.budget_amount),
+    period: body.period || 'total'
+  };
+
+  for (const [label, value] of [['Hour budget', values.budget_hours], ['Money budget', values.budget_amount]]) {
+    if (value !== null && (isNaN(value) || value <= 0)) {
+      return { error: `${label} must be a positive number` };
+    }
+  }
+
+  if (values.budget_hours === null && values.budget_amount === null) {
+    return { error: 'Set an hour budget, a money budget or both' };
+  }
+
+  if (!BUDGET_PERIODS.includes(values.period)) {
+    return { error: `Period must be one of: ${BUDGET_PERIODS.join(', ')}` };
+  }
+
+  return { values };
+};
+
+// First and last day of the reports a budget covers on today's date (null
+// for unbounded)
+const budgetWindow = (budget, today) => {
+  if (budget.period !== 'monthly') {
+    return { start: null, end: null };
+  }
+  const start = `${today.slice(0, 7)}-01`;
+  const next = new Date(`${start}T00:00:00Z`);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  return { start, end: addDays(toDateString(next), -1) };
+};
+
+// Alert level for a usage percentage: null, 'warning' (80%) or 'exceeded'
+const alertLevel = (percent) => {
+  if (percent >= 100) return 'exceeded';
+  if (percent >= ALERT_THRESHOLDS[0]) return 'warning';
+  return null;
+};
+
+// Usage of one metric against its budget. series holds the cumulative usage
+// per day the project was reported on.
+const metricStatus = (budgetValue, series, key, window, today) => {
+  const budget = parseFloat(budgetValue);
+  const used = series.length > 0 ? series[series.length - 1][key] : 0;
+  const percent = budget > 0 ? (used / budget) * 100 : 0;
+
+  // Average daily usage over the last RUN_RATE_DAYS days up to today
+  const since = addDays(today, -RUN_RATE_DAYS);
+  const before = [...series].reverse().find(point => point.date <= since);
+  const upToToday = [...series].reverse().find(point => point.date <= today);
+  const recent = (upToToday ? upToToday[key] : 0) - (before ? before[key] : 0);
+  const runRate = recent / RUN_RATE_DAYS;
+
+  // The day usage reached the budget, or when it will at the current run
+  // rate (null if it won't, or not within a monthly budget's month)
+  let exhaustion = null;
+  if (used >= budget) {
+    const reached = series.find(point => point[key] >= budget);
+    exhaustion = reached ? reached.date : today;
+  } else if (runRate > 0) {
+    exhaustion = addDays(today, Math.ceil((budget - used) / runRate));
+    if (window.end && exhaustion > window.end) {
+      exhaustion = null;
+    }
+  }
+
+  return {
+    budget,
+    used,
+    remaining: budget - used,
+    percent,
+    alert: alertLevel(percent),
+    run_rate: runRate,
+    projected_exhaustion: exhaustion
+  };
+};
+
+// A project's budget with its usage, run rate, projected exhaustion date and
+// daily burn-down (cumulative hours and cost per reported day)
+const budgetStatus = async (db, budget, today = toDateString(new Date())) => {
+  const window = budgetWindow(budget, today);
+  const periods = await fetchCostsByPeriod(db, {
+    projectIds: [budget.project_id],
+    start_date: window.start,
+    end_date: window.end
+  }, 'day');
+
+  let hours = 0;
+  let cost = 0;
+  const burndown = periods.map(period => {
+    hours += period.total_hours;
+    cost += period.total_cost;
+    return { date: period.period_start, hours: period.total_hours, cost: period.total_cost, cumulative_hours: hours, cumulative_cost: cost };
+  });
+
+  const status = {
+    project_id: budget.project_id,
+    project: budget.project,
+    period: budget.period,
+    period_start: window.start,
+    period_end: window.end,
+    hours: null,
+    amount: null,
+    burndown
+  };
+  if (budget.budget_hours !== null) {
+    status.hours = metricStatus(budget.budget_hours, burndown, 'cumulative_hours', window, today);
+  }
+  if (budget.budget_amount !== null) {
+    status.amount = metricStatus(budget.budget_amount, burndown, 'cumulative_cost', window, today);
+  }
+  return status;
+};
+
+// Budgets with their project names, optionally only the given projects'
+const fetchBudgets = async (db, { projectIds = null, projects = null } = {}) => {
+  const params = [];
+  let where = 'WHERE TRUE';
+
+  if (projectIds) {
+    params.push(projectIds);
+    where += ` AND b.project_id = ANY($${params.length}::int[])`;
+  }
+
+  if (projects) {
+    params.push(projects);
+    where += ` AND p.name = ANY($${params.length})`;
+  }
+
+  const result = await db.query(`
+    SELECT b.*, p.name as project
+    FROM project_budgets b
+    JOIN projects p ON b.project_id = p.id
+    ${where}
+    ORDER BY LOWER(p.name)
+  `, params);
+  return result.rows;
+};
+
+// Alerts raised for a budget in its current window, oldest first
+const fetchBudgetAlerts = async (db, status) => {
+  const result = await db.query(`
+    SELECT metric, threshold, to_char(period_start, 'YYYY-MM-DD') as period_start, triggered_at
+    FROM budget_alerts
+    WHERE project_id = $1 AND period_start IS NOT DISTINCT FROM $2
+    ORDER BY triggered_at
+  `, [status.project_id, status.period_start]);
+  return result.rows;
+};
+
+// Record the thresholds a project's budget has newly reached. Returns the new
+// alerts; each crossing is only recorded once per budget window.
+const checkBudgetAlerts = async (db, projectId) => {
+  const [budget] = await fetchBudgets(db, { projectIds: [projectId] });
+  if (!budget) return [];
+
+  const status = await budgetStatus(db, budget);
+  const raised = [];
+  for (const metric of Object.keys(BUDGET_METRICS)) {
+    if (!status[metric]) continue;
+    for (const threshold of ALERT_THRESHOLDS) {
+      if (status[metric].percent < threshold) continue;
+      const result = await db.query(
+        `INSERT INTO budget_alerts (project_id, metric, threshold, period_start)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT DO NOTHING
+         RETURNING metric, threshold`,
+        [projectId, metric, threshold, status.period_start]
+      );
+      if (result.rows.length > 0) {
+        console.log(`⚠️  Project ${budget.project} reached ${threshold}% of its ${metric} budget`);
+        raised.push(result.rows[0]);
+      }
+    }
+  }
+  return raised;
+};
+
+module.exports = {
+  BUDGET_PERIODS,
+  ALERT_THRESHOLDS,
+  validateBudget,
+  budgetStatus,
+  fetchBudgets,
+  fetchBudgetAlerts,
+  checkBudgetAlerts
+};
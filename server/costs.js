@@ -0,0 +1,138 @@
+// Cost aggregation behind GET /api/costs and project budgets. Costs add up
+// report line items, so a project filter only counts the hours filed under
+// that project. Every line item is priced at its employee's rate in effect on
+// the report's date (see rates.js); rates all share one currency, so totals
+// can add them up.
+const { REPORT_RATE_JOIN, REPORT_RATE } = require('./rates');
+const { REPORT_ENTRIES_JOIN } = require('./report-entries');
+
+// Periods costs can be broken down by: the first and last day of the period
+// each report falls in
+const COST_PERIODS = {
+  day: {
+    start: 'r.date',
+    end: 'r.date'
+  },
+  week: {
+    start: "date_trunc('week', r.date)",
+    end: "date_trunc('week', r.date) + INTERVAL '6 days'"
+  },
+  month: {
+    start: "date_trunc('month', r.date)",
+    end: "date_trunc('month', r.date) + INTERVAL '1 month - 1 day'"
+  },
+  pay_period: {
+    // Reports outside every pay period are grouped with no dates
+    join: 'LEFT JOIN pay_periods p ON r.date BETWEEN p.start_date AND p.end_date',
+    start: 'p.start_date',
+    end: 'p.end_date'
+  }
+};
+
+// WHERE conditions and params for a cost query. employeeIds and projectIds
+// are arrays of ids, projects an array of project names.
+const costFilters = ({ employeeIds, projects, projectIds, start_date, end_date }) => {
+  let filters = '';
+  const params = [];
+
+  if (employeeIds) {
+    params.push(employeeIds);
+    filters += ` AND r.employee_id = ANY($${params.length}::int[])`;
+  }
+
+  if (projects) {
+    params.push(projects);
+    filters += ` AND proj.name = ANY($${params.length})`;
+  }
+
+  if (projectIds) {
+    params.push(projectIds);
+    filters += ` AND re.project_id = ANY($${params.length}::int[])`;
+  }
+
+  if (start_date) {
+    params.push(start_date);
+    filters += ` AND r.date >= $${params.length}`;
+  }
+
+  if (end_date) {
+    params.push(end_date);
+    filters += ` AND r.date <= $${params.length}`;
+  }
+
+  return { filters, params };
+};
+
+// Hours and cost per employee, most expensive first
+const fetchCostsByEmployee = async (db, options) => {
+  const { filters, params } = costFilters(options);
+  const result = await db.query(`
+    SELECT
+      r.employee_id,
+      e.name as employee_name,
+      e.hourly_rate,
+      SUM(re.hours) as total_hours,
+      COUNT(DISTINCT r.id) as report_count,
+      SUM(re.hours * ${REPORT_RATE}) as total_cost,
+      ARRAY_REMOVE(ARRAY_AGG(DISTINCT rate.currency), NULL) as currencies
+    FROM eod_reports r
+    JOIN employees e ON r.employee_id = e.id
+    ${REPORT_ENTRIES_JOIN}
+    ${REPORT_RATE_JOIN}
+    WHERE r.deleted_at IS NULL${filters}
+    GROUP BY r.employee_id, e.name, e.hourly_rate
+    ORDER BY total_cost DESC
+  `, params);
+  return result.rows;
+};
+
+// Hours and cost per period (one of COST_PERIODS), oldest first, each with
+// its per-employee split
+const fetchCostsByPeriod = async (db, options, period) => {
+  const { join = '', start, end } = COST_PERIODS[period];
+  const { filters, params } = costFilters(options);
+  const result = await db.query(`
+    SELECT
+      to_char(${start}, 'YYYY-MM-DD') as period_start,
+      to_char(${end}, 'YYYY-MM-DD') as period_end,
+      r.employee_id,
+      e.name as employee_name,
+      SUM(re.hours) as total_hours,
+      COUNT(DISTINCT r.id) as report_count,
+      SUM(re.hours * ${REPORT_RATE}) as total_cost
+    FROM eod_reports r
+    JOIN employees e ON r.employee_id = e.id
+    ${REPORT_ENTRIES_JOIN}
+    ${REPORT_RATE_JOIN}
+    ${join}
+    WHERE r.deleted_at IS NULL${filters}
+    GROUP BY 1, 2, r.employee_id, e.name
+    ORDER BY 1 NULLS LAST, total_cost DESC
+  `, params);
+
+  const periods = [];
+  for (const row of result.rows) {
+    let entry = periods[periods.length - 1];
+    if (!entry || entry.period_start !== row.period_start) {
+      entry = { period_start: row.period_start, period_end: row.period_end, total_hours: 0, total_cost: 0, report_count: 0, employees: [] };
+      periods.push(entry);
+    }
+    entry.total_hours += parseFloat(row.total_hours) || 0;
+    entry.total_cost += parseFloat(row.total_cost) || 0;
+    entry.report_count += parseInt(row.report_count);
+    entry.employees.push({
+      employee_id: row.employee_id,
+      employee_name: row.employee_name,
+      total_hours: parseFloat(row.total_hours) || 0,
+      total_cost: parseFloat(row.total_cost) || 0,
+      report_count: parseInt(row.report_count)
+    });
+  }
+  return periods;
+};
+
+module.exports = {
+  COST_PERIODS,
+  fetchCostsByEmployee,
+  fetchCostsByPeriod
+};
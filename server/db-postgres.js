@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { migrateUp } = require('./migrate');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -7,87 +8,11 @@ const pool = new Pool({
 
 // Initialize PostgreSQL database
 const initDB = async () => {
+  // Bring the schema up to date before anything else touches it
+  await migrateUp(pool);
+
   const client = await pool.connect();
   try {
-    // Create employees table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS employees (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        role VARCHAR(255) NOT NULL
-      )
-    `);
-
-    // Create eod_reports table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS eod_reports (
-        id SERIAL PRIMARY KEY,
-        employee_id INTEGER NOT NULL,
-        date DATE NOT NULL,
-        hours DECIMAL(10, 2) NOT NULL,
-        project VARCHAR(255),
-        description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create screenshots table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS screenshots (
-        id SERIAL PRIMARY KEY,
-        report_id INTEGER NOT NULL,
-        filepath VARCHAR(500) NOT NULL,
-        filename VARCHAR(255) NOT NULL,
-        caption TEXT,
-        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (report_id) REFERENCES eod_reports(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create users table for authentication
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        employee_id INTEGER,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'employee', 'viewer')),
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create session table for express-session
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS session (
-        sid VARCHAR NOT NULL PRIMARY KEY,
-        sess JSON NOT NULL,
-        expire TIMESTAMP(6) NOT NULL
-      )
-    `);
-
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS IDX_session_expire ON session (expire)
-    `);
-
-    // Create viewer_access table for tracking viewer access
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS viewer_access (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP NOT NULL,
-        revoked_at TIMESTAMP,
-        created_by INTEGER NOT NULL,
-        notes TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (created_by) REFERENCES users(id)
-      )
-    `);
-
     // Create default admin user if none exists
     const adminCheck = await client.query(`SELECT COUNT(*) FROM users WHERE role = 'admin'`);
     if (parseInt(adminCheck.rows[0].count) === 0) {
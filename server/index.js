@@ -3,29 +3,66 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const rateLimit = require('express-rate-limit');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 require('dotenv').config();
 
 const { pool, initDB } = require('./db-postgres');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const auth = require('./auth');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { reconcileScreenshots } = require('./screenshot-reconcile');
+const { attachDuplicates, findReusedScreenshots } = require('./screenshot-duplicates');
+const { loadLockRules, reportLock, attachLocks, validateLockPolicy } = require('./report-lock');
+const { diffReportFields, recordRevision, fetchRevisions } = require('./report-revisions');
+const { recordAuditEvent, searchAuditEvents, exportAuditEventsCsv, csvValue } = require('./audit');
+const {
+  TRASH_RETENTION_DAYS, TRASH_TYPES, trashEmployee, trashReports, trashScreenshots,
+  listTrash, restoreTrashItem, purgeTrashItem, purgeExpiredTrash
+} = require('./trash');
+const {
+  RATE_COLUMNS, REPORT_RATE_JOIN, REPORT_RATE, validateRate, currencyConflictError, fetchRates, upsertRate, syncCurrentRate, closedPeriodRepriceError
+} = require('./rates');
+const { COST_PERIODS, fetchCostsByEmployee, fetchCostsByPeriod } = require('./costs');
+const {
+  validateProject, duplicateProjectError, listProjects, mergeProjects
+} = require('./projects');
+const {
+  REPORT_ENTRIES_JOIN, REPORT_PROJECTS, REPORT_PROJECT_COLOR, reportInProjects,
+  parseEntries, resolveEntryProjects, totalHours, saveEntries, attachEntries, describeProjects, describeEntries
+} = require('./report-entries');
+const { validateBudget, budgetStatus, fetchBudgets, fetchBudgetAlerts, checkBudgetAlerts } = require('./budgets');
+const {
+  validateTemplate, duplicateTemplateError, listTemplates, fetchTemplate, resolveTemplate,
+  parseResponses, reportHasResponse, describeResponses
+} = require('./report-templates');
+const {
+  validateBlocker, parseBlockers, resolveBlocker, resolveBlockers, updateBlocker, saveReportBlockers,
+  fetchBlockers, fetchBlocker, attachBlockers, describeBlockers
+} = require('./blockers');
+const { REPORT_STATUSES, REPORT_REVIEWER, reviewError, reviewReports, resetReview } = require('./report-approvals');
+const {
+  validateComment, resolveMentions, saveMentions, listComments, fetchComment, resolveThread, deleteComment
+} = require('./report-comments');
+const { validateTeam, checkTeam, listTeams, fetchTeam, saveTeamMembers, fetchTeamEmployeeIds } = require('./teams');
+const { createStorage, buildStorageKey, describeImage } = require('./storage');
+const { saveVariants } = require('./storage/variants');
+const { createMailer } = require('./mailer');
+const {
+  notifyUsers, notifyReportOwners, listNotifications, markRead, markAllRead, notifyMissingEods, notifyExpiringViewerAccess
+} = require('./notifications');
+const { snapshotReports, snapshotEmployeeReports, snapshotEmployees, createLiveEvents } = require('./live-events');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Uploads directory (for backwards compatibility with any remaining local files)
-const uploadsDir = path.join(__dirname, 'uploads');
+// Screenshot storage driver (local, s3 or cloudinary - see server/storage)
+const storage = createStorage();
+
+// Outgoing email (SMTP, or only logged without SMTP_HOST - see server/mailer.js)
+const mailer = createMailer();
+
+// Uploads directory (local driver, and older local files from before other drivers existed)
+const uploadsDir = storage.name === 'local' ? storage.rootDir : path.join(__dirname, 'uploads');
 
 // Trust proxy - required for Render.com and other reverse proxies
 app.set('trust proxy', 1);
@@ -39,6 +76,17 @@ const corsOptions = {
 };
 
 // Rate Limiting
+// Reads an open dashboard makes on its own: the live event stream, the
+// refreshes after its events (changed reports by id, stats, missing EODs) and
+// the notification bell's polling. They are limited per user by
+// liveReadLimiter, more generously, so a busy team doesn't use up the general
+// limit.
+const LIVE_READ_PATHS = ['/events', '/stats', '/missing-eods', '/notifications'];
+
+const isLiveRead = (req) => Boolean(req.session && req.session.user) &&
+  req.method === 'GET' &&
+  (LIVE_READ_PATHS.includes(req.path) || (req.path === '/reports' && req.query.id !== undefined));
+
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes default
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
@@ -46,11 +94,34 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    // Skip rate limiting for static files (images)
-    return req.path.startsWith('/uploads');
+    // Skip rate limiting for static files (images) and live reads, which
+    // have their own limit
+    return req.path.startsWith('/uploads') || isLiveRead(req);
   }
 });
 
+// Live reads of a signed-in user
+const liveReadLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.LIVE_RATE_LIMIT_MAX_REQUESTS) || 3000,
+  message: 'Too many requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !isLiveRead(req),
+  keyGenerator: (req) => `user:${req.session.user.id}`
+});
+
+// Failed elevation attempts, per user: each one checks a password
+const elevateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.ELEVATE_RATE_LIMIT_MAX_ATTEMPTS) || 5,
+  message: { error: 'Too many elevation attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `user:${req.session.user.id}`
+});
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(bodyParser.json());
@@ -75,30 +146,214 @@ app.use(session({
 
 // Apply rate limiting to API routes only
 app.use('/api', limiter);
+app.use('/api', liveReadLimiter);
+
+// Load the employees of a manager's teams for employeeFilter(). It is set as a
+// non-enumerable property so it is neither saved with the session nor
+// returned by /api/auth/me, and team changes apply on the next request.
+app.use('/api', async (req, res, next) => {
+  const user = req.session && req.session.user;
+  if (!user || user.role !== 'manager') {
+    return next();
+  }
 
-// Configure Cloudinary storage for multer
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'eod-monitoring',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'],
-    transformation: [{ quality: 'auto', fetch_format: 'auto' }]
+  try {
+    Object.defineProperty(user, 'team_employee_ids', {
+      value: await fetchTeamEmployeeIds(pool, user.id),
+      enumerable: false
+    });
+    next();
+  } catch (err) {
+    next(err);
   }
 });
 
+// Serve locally stored screenshots
+app.use('/uploads', express.static(uploadsDir));
+
+// Keep uploads in memory; the storage driver persists them once permissions are checked
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
 const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const err = new Error('Only JPG, PNG and GIF images are allowed');
+      err.status = 400;
+      return cb(err);
+    }
+    cb(null, true);
+  }
 });
 
-console.log('☁️  Cloudinary configured for image uploads');
+console.log(`🗄️  Screenshot storage: ${storage.name}`);
 
-// Initialize Database
-initDB().catch(err => {
-  console.error('Failed to initialize database:', err);
-  process.exit(1);
+// Persist multer's in-memory files through the storage driver
+const uploadScreenshots = async (files = []) => {
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      const metadata = await describeImage(file.buffer);
+      const { key, url } = await storage.save(buildStorageKey(file.originalname), file.buffer, {
+        contentType: file.mimetype
+      });
+      console.log(`📸 Saved screenshot to ${storage.name} storage: ${key}`);
+
+      // Without variants the client falls back to the original image
+      let variants = {};
+      try {
+        variants = await saveVariants(storage, key, file.buffer);
+      } catch (err) {
+        console.error(`❌ Error generating thumbnails for ${key}:`, err.message);
+      }
+
+      uploaded.push({ file, key, url, metadata, variants });
+    }
+  } catch (err) {
+    await discardUploads(uploaded);
+    throw err;
+  }
+  return uploaded;
+};
+
+// Best-effort cleanup of files uploaded for a request that did not complete
+const discardUploads = async (uploaded) => {
+  for (const { key, variants = {} } of uploaded) {
+    for (const fileKey of [key, ...Object.values(variants).map(v => v.key)]) {
+      try {
+        await storage.remove(fileKey);
+      } catch (err) {
+        console.error(`❌ Error discarding upload: ${fileKey}`, err.message);
+      }
+    }
+  }
+};
+
+// Insert a screenshot row for a file persisted by uploadScreenshots
+const insertScreenshot = (client, reportId, { file, key, url, metadata, variants }, caption) => {
+  const { thumbnail = {}, preview = {} } = variants;
+  return client.query(
+    `INSERT INTO screenshots
+       (report_id, filename, filepath, caption, storage_provider, storage_key, mime_type, size_bytes, width, height, checksum,
+        thumbnail_key, thumbnail_url, preview_key, preview_url, phash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING id, filename`,
+    [
+      reportId, file.originalname, url, caption, storage.name, key, file.mimetype,
+      metadata.size_bytes, metadata.width, metadata.height, metadata.checksum,
+      thumbnail.key || null, thumbnail.url || null, preview.key || null, preview.url || null,
+      metadata.phash
+    ]
+  );
+};
+
+// Delete stored screenshot files by their recorded storage key. Rows from before
+// keys were recorded fall back to the key derived from filepath. Failures are
+// logged so one bad file doesn't block the rest.
+const deleteStoredScreenshots = async (screenshots) => {
+  for (const screenshot of screenshots) {
+    try {
+      const key = screenshot.storage_key || storage.keyFromFilepath(screenshot.filepath);
+      if (!key || (screenshot.storage_provider && screenshot.storage_provider !== storage.name)) {
+        console.log(`⏭️  Skipping file not managed by ${storage.name} storage: ${screenshot.filepath}`);
+        continue;
+      }
+      for (const fileKey of [key, screenshot.thumbnail_key, screenshot.preview_key].filter(Boolean)) {
+        await storage.remove(fileKey);
+        console.log(`🗑️  Deleted from ${storage.name} storage: ${fileKey}`);
+      }
+    } catch (err) {
+      console.error(`❌ Error deleting screenshot: ${screenshot.filepath}`, err.message);
+    }
+  }
+};
+
+// Live change events for open dashboards (GET /api/events). Managers' teams
+// are reloaded on every heartbeat, so team changes reach open streams too.
+const liveEvents = createLiveEvents({
+  loadScope: async (user) => ({
+    role: user.role,
+    employee_id: user.employee_id,
+    team_employee_ids: user.role === 'manager' ? await fetchTeamEmployeeIds(pool, user.id) : undefined
+  })
 });
 
+// Publish live events of one type ('report' or 'employee') for rows a request
+// changed, from their snapshots before the change and loadAfter() taking them
+// again. A failure here doesn't fail the request.
+const publishChanges = async (type, before, loadAfter) => {
+  try {
+    liveEvents.publish(type, before, await loadAfter());
+  } catch (err) {
+    console.error('❌ Error publishing live events:', err.message);
+  }
+};
+
+// How often the trash is checked for items past TRASH_RETENTION_DAYS
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Permanently delete everything that has been in the trash too long
+const purgeExpiredTrashNow = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const purged = await purgeExpiredTrash(client);
+    await client.query('COMMIT');
+
+    await deleteStoredScreenshots(purged.files);
+
+    if (purged.employees + purged.reports + purged.screenshots > 0) {
+      console.log(`🗑️  Purged expired trash: ${purged.employees} employee(s), ${purged.reports} report(s), ${purged.screenshots} screenshot(s)`);
+      await recordAuditEvent(pool, null, {
+        action: 'trash.auto_purge',
+        payload: {
+          retention_days: TRASH_RETENTION_DAYS,
+          employees: purged.employees,
+          reports: purged.reports,
+          screenshots: purged.screenshots
+        }
+      });
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error purging expired trash:', err.message);
+  } finally {
+    client.release();
+  }
+};
+
+// How often missing EOD and expiring viewer access notifications are checked
+// for; each is only created once, however often this runs
+const NOTIFICATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const checkScheduledNotificationsNow = async () => {
+  try {
+    const missing = await notifyMissingEods(pool);
+    const expiring = await notifyExpiringViewerAccess(pool);
+    if (missing + expiring > 0) {
+      console.log(`🔔 Sent ${missing} missing EOD and ${expiring} expiring viewer access notification(s)`);
+    }
+  } catch (err) {
+    console.error('❌ Error checking scheduled notifications:', err.message);
+  }
+};
+
+// Initialize Database
+initDB()
+  .then(() => {
+    if (TRASH_RETENTION_DAYS > 0) {
+      purgeExpiredTrashNow();
+      setInterval(purgeExpiredTrashNow, TRASH_PURGE_INTERVAL_MS);
+    }
+    checkScheduledNotificationsNow();
+    setInterval(checkScheduledNotificationsNow, NOTIFICATION_CHECK_INTERVAL_MS);
+  })
+  .catch(err => {
+    console.error('Failed to initialize database:', err);
+    process.exit(1);
+  });
+
 // ============ AUTHENTICATION ROUTES ============
 
 // Login
@@ -120,6 +375,11 @@ app.post('/api/auth/login', async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      await recordAuditEvent(pool, req, {
+        action: 'auth.login_failed',
+        actor: { id: null, username },
+        payload: { reason: 'unknown or inactive user' }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -128,6 +388,13 @@ app.post('/api/auth/login', async (req, res) => {
     // Verify password
     const validPassword = await auth.comparePassword(password, user.password_hash);
     if (!validPassword) {
+      await recordAuditEvent(pool, req, {
+        action: 'auth.login_failed',
+        actor: { id: user.id, username: user.username },
+        targetType: 'user',
+        targetId: user.id,
+        payload: { reason: 'wrong password' }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -135,6 +402,13 @@ app.post('/api/auth/login', async (req, res) => {
     if (user.role === 'viewer') {
       const isValid = await auth.isViewerAccessValid(user.id, pool);
       if (!isValid) {
+        await recordAuditEvent(pool, req, {
+          action: 'auth.login_failed',
+          actor: { id: user.id, username: user.username },
+          targetType: 'user',
+          targetId: user.id,
+          payload: { reason: 'viewer access expired or revoked' }
+        });
         return res.status(403).json({ error: 'Viewer access expired or revoked' });
       }
     }
@@ -150,6 +424,8 @@ app.post('/api/auth/login', async (req, res) => {
       employee_role: user.employee_role
     };
 
+    await recordAuditEvent(pool, req, { action: 'auth.login', targetType: 'user', targetId: user.id });
+
     res.json({
       user: req.session.user
     });
@@ -160,7 +436,11 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // Logout
-app.post('/api/auth/logout', (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
+  if (req.session.user) {
+    await recordAuditEvent(pool, req, { action: 'auth.logout', targetType: 'user', targetId: req.session.user.id });
+  }
+
   req.session.destroy(err => {
     if (err) {
       return res.status(500).json({ error: 'Logout failed' });
@@ -172,7 +452,57 @@ app.post('/api/auth/logout', (req, res) => {
 
 // Get current user
 app.get('/api/auth/me', auth.requireAuth, (req, res) => {
-  res.json({ user: req.session.user });
+  res.json({ user: req.session.user, elevation: auth.getElevation(req.session) });
+});
+
+// Elevate the session so reports outside the edit window can be changed for a
+// limited time. Every user re-verifies their own password.
+app.post('/api/auth/elevate', auth.authorize('reports', 'update'), elevateLimiter, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, username, password_hash FROM users WHERE id = $1 AND is_active = TRUE',
+      [req.session.user.id]
+    );
+
+    // Checked even without a user, so the response time doesn't tell a
+    // deactivated account from a wrong password
+    const user = result.rows[0];
+    const validPassword = await auth.comparePassword(password, user ? user.password_hash : null);
+    if (!user || !validPassword) {
+      await recordAuditEvent(pool, req, {
+        action: 'auth.elevate_failed',
+        targetType: 'user',
+        targetId: req.session.user.id
+      });
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    const elevation = auth.grantElevation(req.session);
+    console.log(`🔓 Elevated access for ${req.session.user.username} until ${elevation.expires_at}`);
+    await recordAuditEvent(pool, req, {
+      action: 'auth.elevate',
+      targetType: 'user',
+      targetId: req.session.user.id,
+      payload: elevation
+    });
+
+    res.json({ elevation });
+  } catch (err) {
+    console.error('Elevation error:', err);
+    res.status(500).json({ error: 'Failed to elevate access' });
+  }
+});
+
+// End elevated access early
+app.delete('/api/auth/elevate', auth.requireAuth, (req, res) => {
+  delete req.session.elevation;
+  res.json({ elevation: null });
 });
 
 // Change password (authenticated users)
@@ -197,6 +527,11 @@ app.post('/api/auth/change-password', auth.requireAuth, async (req, res) => {
     // Verify current password
     const validPassword = await auth.comparePassword(currentPassword, result.rows[0].password_hash);
     if (!validPassword) {
+      await recordAuditEvent(pool, req, {
+        action: 'auth.password_change_failed',
+        targetType: 'user',
+        targetId: req.session.user.id
+      });
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
@@ -209,6 +544,8 @@ app.post('/api/auth/change-password', auth.requireAuth, async (req, res) => {
       [newPasswordHash, req.session.user.id]
     );
 
+    await recordAuditEvent(pool, req, { action: 'auth.password_change', targetType: 'user', targetId: req.session.user.id });
+
     res.json({ message: 'Password changed successfully' });
   } catch (err) {
     console.error('Password change error:', err);
@@ -218,8 +555,10 @@ app.post('/api/auth/change-password', auth.requireAuth, async (req, res) => {
 
 // ============ ADMIN ROUTES ============
 
+const USER_ROLES = ['admin', 'manager', 'employee', 'viewer'];
+
 // Create user (admin only)
-app.post('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
+app.post('/api/admin/users', auth.authorize('users', 'manage'), async (req, res) => {
   try {
     const { username, password, role, employee_id } = req.body;
 
@@ -227,7 +566,7 @@ app.post('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
       return res.status(400).json({ error: 'Username, password, and role required' });
     }
 
-    if (!['admin', 'employee', 'viewer'].includes(role)) {
+    if (!USER_ROLES.includes(role)) {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
@@ -250,6 +589,13 @@ app.post('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
       [username, passwordHash, role, employee_id || null]
     );
 
+    await recordAuditEvent(pool, req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: result.rows[0].id,
+      payload: { username, role, employee_id: employee_id || null }
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (err) {
     console.error('Create user error:', err);
@@ -261,7 +607,7 @@ app.post('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
 });
 
 // Get all users (admin only)
-app.get('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
+app.get('/api/admin/users', auth.authorize('users', 'manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT u.id, u.username, u.role, u.employee_id, u.is_active, u.created_at,
@@ -279,7 +625,7 @@ app.get('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
 });
 
 // Update user (admin only)
-app.put('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
+app.put('/api/admin/users/:id', auth.authorize('users', 'manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { username, password, role, employee_id, is_active } = req.body;
@@ -300,7 +646,7 @@ app.put('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
     }
 
     if (role !== undefined) {
-      if (!['admin', 'employee', 'viewer'].includes(role)) {
+      if (!USER_ROLES.includes(role)) {
         return res.status(400).json({ error: 'Invalid role' });
       }
       updates.push(`role = $${paramCount++}`);
@@ -323,6 +669,7 @@ app.put('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
 
     values.push(id);
 
+    const previous = await pool.query('SELECT is_active FROM users WHERE id = $1', [id]);
     const result = await pool.query(
       `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
       values
@@ -332,6 +679,18 @@ app.put('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Deactivation and reactivation get their own action so they are easy to find
+    const wasActive = previous.rows.length > 0 && previous.rows[0].is_active;
+    const action = is_active === undefined || !!is_active === wasActive
+      ? 'user.update'
+      : (is_active ? 'user.activate' : 'user.deactivate');
+    await recordAuditEvent(pool, req, {
+      action,
+      targetType: 'user',
+      targetId: id,
+      payload: { username, role, employee_id, is_active, password_changed: !!password }
+    });
+
     res.json(result.rows[0]);
   } catch (err) {
     console.error('Update user error:', err);
@@ -343,7 +702,7 @@ app.put('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
 });
 
 // Delete user (admin only)
-app.delete('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
+app.delete('/api/admin/users/:id', auth.authorize('users', 'manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -358,6 +717,13 @@ app.delete('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) =
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAuditEvent(pool, req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: id,
+      payload: { username: result.rows[0].username, role: result.rows[0].role }
+    });
+
     res.json({ message: 'User deleted successfully' });
   } catch (err) {
     console.error('Delete user error:', err);
@@ -366,7 +732,7 @@ app.delete('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) =
 });
 
 // Create viewer access (admin only)
-app.post('/api/admin/viewer-access', auth.requireRole('admin'), async (req, res) => {
+app.post('/api/admin/viewer-access', auth.authorize('viewerAccess', 'manage'), async (req, res) => {
   try {
     const { username, password, notes } = req.body;
 
@@ -402,6 +768,13 @@ app.post('/api/admin/viewer-access', auth.requireRole('admin'), async (req, res)
 
       await client.query('COMMIT');
 
+      await recordAuditEvent(pool, req, {
+        action: 'viewer_access.grant',
+        targetType: 'user',
+        targetId: userId,
+        payload: { username, expires_at: expiresAt, notes: notes || null }
+      });
+
       res.status(201).json({
         message: 'Viewer access created',
         username,
@@ -423,7 +796,7 @@ app.post('/api/admin/viewer-access', auth.requireRole('admin'), async (req, res)
 });
 
 // Get all viewer accesses (admin only)
-app.get('/api/admin/viewer-access', auth.requireRole('admin'), async (req, res) => {
+app.get('/api/admin/viewer-access', auth.authorize('viewerAccess', 'manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT va.*, u.username,
@@ -449,7 +822,7 @@ app.get('/api/admin/viewer-access', auth.requireRole('admin'), async (req, res)
 });
 
 // Revoke viewer access (admin only)
-app.put('/api/admin/viewer-access/:id/revoke', auth.requireRole('admin'), async (req, res) => {
+app.put('/api/admin/viewer-access/:id/revoke', auth.authorize('viewerAccess', 'manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -462,6 +835,13 @@ app.put('/api/admin/viewer-access/:id/revoke', auth.requireRole('admin'), async
       return res.status(404).json({ error: 'Viewer access not found' });
     }
 
+    await recordAuditEvent(pool, req, {
+      action: 'viewer_access.revoke',
+      targetType: 'user',
+      targetId: result.rows[0].user_id,
+      payload: { viewer_access_id: result.rows[0].id }
+    });
+
     res.json({ message: 'Viewer access revoked', access: result.rows[0] });
   } catch (err) {
     console.error('Revoke viewer access error:', err);
@@ -469,206 +849,485 @@ app.put('/api/admin/viewer-access/:id/revoke', auth.requireRole('admin'), async
   }
 });
 
-// ============ EMPLOYEE ROUTES ============
-
-// Get all employees (authenticated users)
-app.get('/api/employees', auth.requireAuth, async (req, res) => {
+// Reconcile stored screenshot files with the screenshots table (admin only).
+// Dry run by default; pass { "dry_run": false } to purge orphans.
+app.post('/api/admin/storage/reconcile', auth.authorize('storage', 'manage'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM employees ORDER BY name');
-    res.json(result.rows);
+    const dryRun = req.body.dry_run !== false;
+    const summary = await reconcileScreenshots(pool, storage, { dryRun });
+    if (!dryRun) {
+      await recordAuditEvent(pool, req, {
+        action: 'storage.purge',
+        payload: { provider: summary.provider, purged_files: summary.purged_files, purged_rows: summary.purged_rows }
+      });
+    }
+    res.json(summary);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('Storage reconciliation error:', err);
+    res.status(500).json({ error: 'Failed to reconcile screenshot storage' });
   }
 });
 
-// Get single employee (authenticated users)
-app.get('/api/employees/:id', auth.requireAuth, async (req, res) => {
+// Screenshots that look like ones the same employee attached to another report (admin only)
+app.get('/api/admin/screenshots/duplicates', auth.authorize('screenshots', 'reviewDuplicates'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM employees WHERE id = $1', [req.params.id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
-    }
-    res.json(result.rows[0]);
+    const { employee_id, start_date, end_date } = req.query;
+    res.json(await findReusedScreenshots(pool, { employee_id, start_date, end_date }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('Duplicate screenshots error:', err);
+    res.status(500).json({ error: 'Failed to find reused screenshots' });
   }
 });
 
-// Create new employee (admin only)
-app.post('/api/employees', auth.requireRole('admin'), async (req, res) => {
-  const { name, email, role, hourly_rate } = req.body;
-
-  if (!name || !email || !role) {
-    return res.status(400).json({ error: 'Name, email, and role are required' });
-  }
-
+// Audit log (admin only), filtered by action, actor, target, free text and date range
+app.get('/api/admin/audit-events', auth.authorize('audit', 'read'), async (req, res) => {
   try {
-    const result = await pool.query(
-      'INSERT INTO employees (name, email, role, hourly_rate) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, email, role, hourly_rate || 0]
-    );
-    res.status(201).json(result.rows[0]);
+    res.json(await searchAuditEvents(pool, req.query));
   } catch (err) {
-    if (err.code === '23505') { // Unique constraint violation
-      return res.status(400).json({ error: 'Email already exists' });
-    }
-    res.status(500).json({ error: err.message });
+    console.error('Audit log error:', err);
+    res.status(500).json({ error: 'Failed to fetch audit events' });
   }
 });
 
-// Update employee (admin only)
-app.put('/api/employees/:id', auth.requireRole('admin'), async (req, res) => {
-  const { name, email, role, hourly_rate } = req.body;
-
+app.get('/api/admin/audit-events/export/csv', auth.authorize('audit', 'read'), async (req, res) => {
   try {
-    const result = await pool.query(
-      'UPDATE employees SET name = $1, email = $2, role = $3, hourly_rate = $4 WHERE id = $5 RETURNING *',
-      [name, email, role, hourly_rate || 0, req.params.id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
-    }
-    res.json(result.rows[0]);
+    const csv = await exportAuditEventsCsv(pool, req.query);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=audit_events.csv');
+    res.send(csv);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('Audit export error:', err);
+    res.status(500).json({ error: 'Failed to export audit events' });
   }
 });
 
-// Delete employee (admin only)
-app.delete('/api/employees/:id', auth.requireRole('admin'), async (req, res) => {
+// Deleted employees, reports and screenshots (admin only)
+app.get('/api/admin/trash', auth.authorize('trash', 'manage'), async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM employees WHERE id = $1', [req.params.id]);
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
-    }
-    res.json({ message: 'Employee deleted successfully' });
+    res.json(await listTrash(pool));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('Get trash error:', err);
+    res.status(500).json({ error: 'Failed to fetch trash' });
   }
 });
 
-// ============ EOD REPORT ROUTES ============
+// Restore an employee, report or screenshot from the trash (admin only)
+app.post('/api/admin/trash/:type/:id/restore', auth.authorize('trash', 'manage'), async (req, res) => {
+  const { type, id } = req.params;
 
-// Get all reports with filters (authenticated users)
-app.get('/api/reports', auth.requireAuth, async (req, res) => {
-  const { employee_id, start_date, end_date, project } = req.query;
+  if (!TRASH_TYPES[type]) {
+    return res.status(400).json({ error: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+  }
 
-  let query = `
-    SELECT
-      r.*,
-      e.name as employee_name,
-      e.email as employee_email,
-      e.role as employee_role
-    FROM eod_reports r
-    JOIN employees e ON r.employee_id = e.id
-    WHERE 1=1
-  `;
+  const client = await pool.connect();
 
-  const params = [];
-  let paramCount = 1;
+  try {
+    await client.query('BEGIN');
+    const result = await restoreTrashItem(client, type, id);
 
-  // Employees can only see their own reports
-  if (req.session.user.role === 'employee') {
-    query += ` AND r.employee_id = $${paramCount++}`;
-    params.push(req.session.user.employee_id);
-  } else if (employee_id) {
-    // Admin and viewers can filter by employee
-    query += ` AND r.employee_id = $${paramCount++}`;
-    params.push(employee_id);
-  }
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
 
-  if (start_date) {
-    query += ` AND r.date >= $${paramCount++}`;
-    params.push(start_date);
-  }
+    await client.query('COMMIT');
 
-  if (end_date) {
-    query += ` AND r.date <= $${paramCount++}`;
-    params.push(end_date);
+    // An employee comes back with the reports trashed along with them
+    if (type === 'employees') {
+      await publishChanges('employee', [], () => snapshotEmployees(pool, [result.item.id]));
+      await publishChanges('report', [], () => snapshotEmployeeReports(pool, result.item.id));
+    } else if (type === 'reports') {
+      await publishChanges('report', [], () => snapshotReports(pool, [result.item.id]));
+    }
+
+    await recordAuditEvent(pool, req, { action: 'trash.restore', targetType: TRASH_TYPES[type], targetId: id });
+    console.log(`♻️  Restored ${TRASH_TYPES[type]} ${id} from trash by ${req.session.user.username}`);
+
+    res.json(result.item);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Restore from trash error:', err);
+    res.status(500).json({ error: 'Failed to restore item' });
+  } finally {
+    client.release();
   }
+});
 
-  if (project) {
-    query += ` AND r.project = $${paramCount++}`;
-    params.push(project);
+// Permanently delete an item from the trash, with its screenshots' files (admin only)
+app.delete('/api/admin/trash/:type/:id', auth.authorize('trash', 'manage'), async (req, res) => {
+  const { type, id } = req.params;
+
+  if (!TRASH_TYPES[type]) {
+    return res.status(400).json({ error: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
   }
 
-  query += ' ORDER BY r.date DESC, r.created_at DESC';
+  const client = await pool.connect();
 
   try {
-    const reportsResult = await pool.query(query, params);
+    await client.query('BEGIN');
+    const purged = await purgeTrashItem(client, type, id);
 
-    if (reportsResult.rows.length === 0) {
-      return res.json([]);
+    if (!purged) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Item not found in trash' });
     }
 
-    const reportIds = reportsResult.rows.map(r => r.id);
-    const placeholders = reportIds.map((_, i) => `$${i + 1}`).join(',');
-    const screenshotsResult = await pool.query(
-      `SELECT * FROM screenshots WHERE report_id IN (${placeholders})`,
-      reportIds
-    );
+    await client.query('COMMIT');
 
-    const reportsWithScreenshots = reportsResult.rows.map(report => ({
-      ...report,
-      screenshots: screenshotsResult.rows.filter(s => s.report_id === report.id)
-    }));
+    await deleteStoredScreenshots(purged.files);
 
-    res.json(reportsWithScreenshots);
+    await recordAuditEvent(pool, req, {
+      action: 'trash.purge',
+      targetType: TRASH_TYPES[type],
+      targetId: id,
+      payload: { ...purged.item, screenshots: purged.files.length }
+    });
+
+    res.json({ message: 'Permanently deleted', screenshots: purged.files.length });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    await client.query('ROLLBACK');
+    console.error('Purge from trash error:', err);
+    res.status(500).json({ error: 'Failed to delete item' });
+  } finally {
+    client.release();
   }
 });
 
-// Get single report
-app.get('/api/reports/:id', async (req, res) => {
+// Report lock policies (admin only). Every enabled policy applies to every
+// report; the lock status is returned with each report as `lock`.
+app.get('/api/admin/report-lock-policies', auth.authorize('reportLocks', 'manage'), async (req, res) => {
   try {
-    const reportResult = await pool.query(
-      `SELECT
-        r.*,
-        e.name as employee_name,
-        e.email as employee_email,
-        e.role as employee_role
-      FROM eod_reports r
-      JOIN employees e ON r.employee_id = e.id
-      WHERE r.id = $1`,
-      [req.params.id]
-    );
+    const result = await pool.query('SELECT * FROM report_lock_policies ORDER BY id');
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get lock policies error:', err);
+    res.status(500).json({ error: 'Failed to fetch lock policies' });
+  }
+});
 
-    if (reportResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+app.post('/api/admin/report-lock-policies', auth.authorize('reportLocks', 'manage'), async (req, res) => {
+  const { error, values } = validateLockPolicy(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    const screenshotsResult = await pool.query(
-      'SELECT * FROM screenshots WHERE report_id = $1',
-      [req.params.id]
+  try {
+    const result = await pool.query(
+      `INSERT INTO report_lock_policies (name, type, days, cutoff_weekday, cutoff_time, closed_through, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [values.name, values.type, values.days, values.cutoff_weekday, values.cutoff_time, values.closed_through, values.enabled]
     );
-
-    res.json({
-      ...reportResult.rows[0],
-      screenshots: screenshotsResult.rows
+    await recordAuditEvent(pool, req, {
+      action: 'lock_policy.create',
+      targetType: 'report_lock_policy',
+      targetId: result.rows[0].id,
+      payload: values
     });
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('Create lock policy error:', err);
+    res.status(500).json({ error: 'Failed to create lock policy' });
   }
 });
 
-// Create new EOD report with screenshots (authenticated users)
-app.post('/api/reports', auth.requireAuth, upload.array('screenshots', 10), async (req, res) => {
-  const { employee_id, date, hours, project, description, captions } = req.body;
-
-  if (!employee_id || !date || !hours) {
-    return res.status(400).json({ error: 'Employee ID, date, and hours are required' });
+app.put('/api/admin/report-lock-policies/:id', auth.authorize('reportLocks', 'manage'), async (req, res) => {
+  const { error, values } = validateLockPolicy(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  // Employees can only create reports for themselves
-  if (req.session.user.role === 'employee' && parseInt(employee_id) !== req.session.user.employee_id) {
-    return res.status(403).json({ error: 'You can only create reports for yourself' });
-  }
+  try {
+    const result = await pool.query(
+      `UPDATE report_lock_policies
+       SET name = $1, type = $2, days = $3, cutoff_weekday = $4, cutoff_time = $5,
+           closed_through = $6, enabled = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [values.name, values.type, values.days, values.cutoff_weekday, values.cutoff_time, values.closed_through, values.enabled, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lock policy not found' });
+    }
+
+    await recordAuditEvent(pool, req, {
+      action: 'lock_policy.update',
+      targetType: 'report_lock_policy',
+      targetId: req.params.id,
+      payload: values
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Update lock policy error:', err);
+    res.status(500).json({ error: 'Failed to update lock policy' });
+  }
+});
+
+app.delete('/api/admin/report-lock-policies/:id', auth.authorize('reportLocks', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM report_lock_policies WHERE id = $1', [req.params.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Lock policy not found' });
+    }
+
+    await recordAuditEvent(pool, req, {
+      action: 'lock_policy.delete',
+      targetType: 'report_lock_policy',
+      targetId: req.params.id
+    });
+
+    res.json({ message: 'Lock policy deleted successfully' });
+  } catch (err) {
+    console.error('Delete lock policy error:', err);
+    res.status(500).json({ error: 'Failed to delete lock policy' });
+  }
+});
+
+// Pay periods (admin only). Closing a period freezes every report dated inside
+// it; corrections are then recorded as amendments.
+app.get('/api/admin/pay-periods', auth.authorize('payPeriods', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        p.*,
+        u.username as closed_by_username,
+        (SELECT COUNT(*) FROM eod_reports r
+          WHERE r.date BETWEEN p.start_date AND p.end_date AND r.deleted_at IS NULL) as report_count,
+        (SELECT COALESCE(SUM(r.hours), 0) FROM eod_reports r
+          WHERE r.date BETWEEN p.start_date AND p.end_date AND r.deleted_at IS NULL) as total_hours,
+        (SELECT COUNT(*) FROM report_amendments a WHERE a.pay_period_id = p.id) as amendment_count
+      FROM pay_periods p
+      LEFT JOIN users u ON p.closed_by = u.id
+      ORDER BY p.start_date DESC
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get pay periods error:', err);
+    res.status(500).json({ error: 'Failed to fetch pay periods' });
+  }
+});
+
+// A calendar date written as YYYY-MM-DD
+const isDateString = (value) => typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().slice(0, 10) === value;
+
+app.post('/api/admin/pay-periods', auth.authorize('payPeriods', 'manage'), async (req, res) => {
+  const { start_date, end_date } = req.body;
+
+  if (!start_date || !end_date) {
+    return res.status(400).json({ error: 'Start date and end date are required' });
+  }
+
+  for (const [field, value] of Object.entries({ start_date, end_date })) {
+    if (!isDateString(value)) {
+      return res.status(400).json({ error: `${field} must be a date (YYYY-MM-DD)` });
+    }
+  }
+
+  if (end_date < start_date) {
+    return res.status(400).json({ error: 'End date must be on or after start date' });
+  }
+
+  try {
+    const overlap = await pool.query(
+      'SELECT id FROM pay_periods WHERE start_date <= $2 AND end_date >= $1',
+      [start_date, end_date]
+    );
+
+    if (overlap.rows.length > 0) {
+      return res.status(400).json({ error: 'Pay period overlaps an existing period' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO pay_periods (start_date, end_date) VALUES ($1, $2) RETURNING *',
+      [start_date, end_date]
+    );
+    await recordAuditEvent(pool, req, {
+      action: 'pay_period.create',
+      targetType: 'pay_period',
+      targetId: result.rows[0].id,
+      payload: { start_date, end_date }
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Create pay period error:', err);
+    res.status(500).json({ error: 'Failed to create pay period' });
+  }
+});
+
+app.post('/api/admin/pay-periods/:id/close', auth.authorize('payPeriods', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE pay_periods
+       SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = $1
+       WHERE id = $2 AND status = 'open'
+       RETURNING *`,
+      [req.session.user.id, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Open pay period not found' });
+    }
+
+    console.log(`🔒 Pay period ${req.params.id} closed by ${req.session.user.username}`);
+    await recordAuditEvent(pool, req, { action: 'pay_period.close', targetType: 'pay_period', targetId: req.params.id });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Close pay period error:', err);
+    res.status(500).json({ error: 'Failed to close pay period' });
+  }
+});
+
+app.post('/api/admin/pay-periods/:id/reopen', auth.authorize('payPeriods', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE pay_periods
+       SET status = 'open', closed_at = NULL, closed_by = NULL
+       WHERE id = $1 AND status = 'closed'
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Closed pay period not found' });
+    }
+
+    console.log(`🔓 Pay period ${req.params.id} reopened by ${req.session.user.username}`);
+    await recordAuditEvent(pool, req, { action: 'pay_period.reopen', targetType: 'pay_period', targetId: req.params.id });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Reopen pay period error:', err);
+    res.status(500).json({ error: 'Failed to reopen pay period' });
+  }
+});
+
+app.delete('/api/admin/pay-periods/:id', auth.authorize('payPeriods', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM pay_periods WHERE id = $1 AND status = 'open'`,
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(400).json({ error: 'Only open pay periods can be deleted' });
+    }
+
+    await recordAuditEvent(pool, req, { action: 'pay_period.delete', targetType: 'pay_period', targetId: req.params.id });
+
+    res.json({ message: 'Pay period deleted successfully' });
+  } catch (err) {
+    console.error('Delete pay period error:', err);
+    res.status(500).json({ error: 'Failed to delete pay period' });
+  }
+});
+
+// ============ EMPLOYEE ROUTES ============
+
+const EMPLOYMENT_STATUSES = ['active', 'on_leave', 'archived'];
+
+// Check the employment fields of an employee, filling the ones not given from
+// existing (an employee being changed). Returns { error } or { values };
+// archiving without an end date ends the employment today.
+const validateEmployment = (body, existing = {}) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : existing[name]);
+  const values = {
+    status: field('status') || 'active',
+    start_date: field('start_date') || null,
+    end_date: field('end_date') || null
+  };
+
+  if (!EMPLOYMENT_STATUSES.includes(values.status)) {
+    return { error: `Status must be one of: ${EMPLOYMENT_STATUSES.join(', ')}` };
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (values[field] && !isDateString(values[field])) {
+      return { error: `${field} must be a date (YYYY-MM-DD)` };
+    }
+  }
+
+  if (values.status === 'archived' && !values.end_date) {
+    values.end_date = new Date().toISOString().split('T')[0];
+  }
+
+  if (values.start_date && values.end_date && values.end_date < values.start_date) {
+    return { error: 'End date can\'t be before the start date' };
+  }
+
+  return { values };
+};
+
+// The employment fields of an employee outside the trash, as
+// validateEmployment() takes them, or null
+const fetchEmployment = async (db, employeeId) => {
+  const result = await db.query(
+    `SELECT status, to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date
+     FROM employees WHERE id = $1 AND deleted_at IS NULL`,
+    [employeeId]
+  );
+  return result.rows[0] || null;
+};
+
+// Get all employees (authenticated users), optionally only some statuses
+// (?status=active,on_leave)
+app.get('/api/employees', auth.authorize('employees', 'list'), async (req, res) => {
+  let query = 'SELECT * FROM employees WHERE deleted_at IS NULL';
+  const params = [];
+
+  if (req.query.status) {
+    query += ' AND status = ANY($1)';
+    params.push(req.query.status.split(',').map(status => status.trim()));
+  }
+
+  query += ' ORDER BY name';
+
+  try {
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get single employee (authenticated users)
+app.get('/api/employees/:id', auth.authorize('employees', 'read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM employees WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create new employee (admin only). The starting rate (hourly_rate, currency)
+// opens the employee's rate history from their start date.
+app.post('/api/employees', auth.authorize('employees', 'create'), async (req, res) => {
+  const { name, email, role, hourly_rate, currency } = req.body;
+
+  if (!name || !email || !role) {
+    return res.status(400).json({ error: 'Name, email, and role are required' });
+  }
 
-  // Viewers cannot create reports
-  if (req.session.user.role === 'viewer') {
-    return res.status(403).json({ error: 'Viewers cannot create reports' });
+  const { error, values: employment } = validateEmployment(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { error: rateError, values: rate } = validateRate({
+    hourly_rate: hourly_rate || 0,
+    currency,
+    effective_from: employment.start_date || new Date().toISOString().split('T')[0]
+  });
+  if (rateError) {
+    return res.status(400).json({ error: rateError });
   }
 
   const client = await pool.connect();
@@ -676,279 +1335,2015 @@ app.post('/api/reports', auth.requireAuth, upload.array('screenshots', 10), asyn
   try {
     await client.query('BEGIN');
 
-    const reportResult = await client.query(
-      'INSERT INTO eod_reports (employee_id, date, hours, project, description) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [employee_id, date, hours, project || '', description || '']
+    const currencyError = await currencyConflictError(client, rate.currency);
+    if (currencyError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: currencyError });
+    }
+
+    const result = await client.query(
+      `INSERT INTO employees (name, email, role, hourly_rate, status, start_date, end_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [name, email, role, rate.hourly_rate, employment.status, employment.start_date, employment.end_date]
     );
+    await upsertRate(client, result.rows[0].id, rate, req.session.user.id);
+    await client.query('COMMIT');
+    await publishChanges('employee', [], () => snapshotEmployees(pool, [result.rows[0].id]));
 
-    const reportId = reportResult.rows[0].id;
+    await recordAuditEvent(pool, req, {
+      action: 'employee.create',
+      targetType: 'employee',
+      targetId: result.rows[0].id,
+      payload: { name, email, role, hourly_rate: rate.hourly_rate, currency: rate.currency, ...employment }
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
-    // Insert screenshots if any
-    if (req.files && req.files.length > 0) {
-      let captionsArray = [];
-      try {
-        captionsArray = captions ? JSON.parse(captions) : [];
-      } catch (e) {
-        captionsArray = [];
-      }
+// Update employee (admin only). Archiving an employee deactivates the user
+// accounts linked to them. Rates are edited through the rate history; an
+// hourly_rate that differs from the current one is recorded as effective today.
+app.put('/api/employees/:id', auth.authorize('employees', 'update'), async (req, res) => {
+  const { name, email, role, hourly_rate } = req.body;
 
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const caption = captionsArray[i] || '';
-        // file.path contains the Cloudinary URL
-        // file.filename contains the Cloudinary public_id
-        console.log(`📸 Saving screenshot to Cloudinary: ${file.filename} for report ${reportId}`);
-        await client.query(
-          'INSERT INTO screenshots (report_id, filename, filepath, caption) VALUES ($1, $2, $3, $4)',
-          [reportId, file.originalname, file.path, caption]
-        );
-      }
+  const today = new Date().toISOString().split('T')[0];
+  let rate = null;
+  if (hourly_rate !== undefined && hourly_rate !== null && hourly_rate !== '') {
+    const { error: rateError, values } = validateRate({ hourly_rate, effective_from: today });
+    if (rateError) {
+      return res.status(400).json({ error: rateError });
     }
+    rate = values;
+  }
 
-    // Fetch the created screenshots to return complete data
-    const screenshotsResult = await client.query(
-      'SELECT * FROM screenshots WHERE report_id = $1',
-      [reportId]
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await fetchEmployment(client, req.params.id);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    // Employment fields not given keep their values, so an edit without a
+    // status doesn't bring an archived employee back
+    const { error, values: employment } = validateEmployment(req.body, existing);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error });
+    }
+
+    const before = await snapshotEmployees(client, [req.params.id]);
+
+    // The joined copy still holds the status from before this statement
+    const result = await client.query(
+      `UPDATE employees e
+       SET name = $1, email = $2, role = $3, status = $4, start_date = $5, end_date = $6
+       FROM employees old
+       WHERE old.id = e.id AND e.id = $7 AND e.deleted_at IS NULL
+       RETURNING e.*, old.status as previous_status`,
+      [name, email, role, employment.status, employment.start_date, employment.end_date, req.params.id]
     );
 
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { previous_status, ...employee } = result.rows[0];
+
+    const rateChanged = rate && parseFloat(employee.hourly_rate) !== rate.hourly_rate;
+    if (rateChanged) {
+      const repricedError = await closedPeriodRepriceError(client, employee.id, [today]);
+      if (repricedError) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: repricedError });
+      }
+      await upsertRate(client, employee.id, rate, req.session.user.id);
+      await syncCurrentRate(client, employee.id);
+      employee.hourly_rate = rate.hourly_rate;
+    }
+    const archived = employee.status === 'archived' && previous_status !== 'archived';
+
+    let deactivatedUsers = [];
+    if (archived) {
+      const usersResult = await client.query(
+        'UPDATE users SET is_active = FALSE WHERE employee_id = $1 AND is_active RETURNING id, username',
+        [employee.id]
+      );
+      deactivatedUsers = usersResult.rows;
+    }
+
     await client.query('COMMIT');
+    await publishChanges('employee', before, () => snapshotEmployees(pool, [employee.id]));
 
-    res.status(201).json({
-      ...reportResult.rows[0],
-      screenshots: screenshotsResult.rows
+    await recordAuditEvent(pool, req, {
+      action: archived ? 'employee.archive' : 'employee.update',
+      targetType: 'employee',
+      targetId: req.params.id,
+      payload: { name, email, role, ...employment, ...(rateChanged ? { hourly_rate: rate.hourly_rate } : {}) }
+    });
+    for (const user of deactivatedUsers) {
+      await recordAuditEvent(pool, req, {
+        action: 'user.deactivate',
+        targetType: 'user',
+        targetId: user.id,
+        payload: { username: user.username, reason: 'employee archived' }
+      });
+    }
+    if (archived) {
+      console.log(`📦 Employee ${employee.name} archived, ${deactivatedUsers.length} linked user(s) deactivated`);
+    }
+
+    res.json({ ...employee, deactivated_users: deactivatedUsers.map(user => user.username) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Rate history of an employee, newest first (admins and viewers)
+app.get('/api/employees/:id/rates', auth.authorize('rates', 'list'), async (req, res) => {
+  try {
+    if (!(await employeeExists(pool, req.params.id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(await fetchRates(pool, req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a rate effective from a date (admin only). A rate already effective
+// from that date is replaced.
+app.post('/api/employees/:id/rates', auth.authorize('rates', 'manage'), async (req, res) => {
+  const { error, values } = validateRate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (!(await employeeExists(client, req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const repricedError = await closedPeriodRepriceError(client, req.params.id, [values.effective_from]);
+    if (repricedError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: repricedError });
+    }
+
+    const currencyError = await currencyConflictError(client, values.currency, {
+      employeeId: req.params.id,
+      effectiveFrom: values.effective_from
+    });
+    if (currencyError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: currencyError });
+    }
+
+    const rate = await upsertRate(client, req.params.id, values, req.session.user.id);
+    await syncCurrentRate(client, req.params.id);
+    await client.query('COMMIT');
+
+    await recordAuditEvent(pool, req, {
+      action: 'rate.create',
+      targetType: 'employee',
+      targetId: req.params.id,
+      payload: values
     });
+    res.status(201).json(rate);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Change a rate or its effective date (admin only)
+app.put('/api/employees/:id/rates/:rateId', auth.authorize('rates', 'manage'), async (req, res) => {
+  const { error, values } = validateRate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id, to_char(effective_from, 'YYYY-MM-DD') as effective_from
+       FROM employee_rates WHERE id = $1 AND employee_id = $2 FOR UPDATE`,
+      [req.params.rateId, req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    const repricedError = await closedPeriodRepriceError(
+      client, req.params.id, [existing.rows[0].effective_from, values.effective_from], existing.rows[0].id
+    );
+    if (repricedError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: repricedError });
+    }
+
+    const currencyError = await currencyConflictError(client, values.currency, { excludeId: existing.rows[0].id });
+    if (currencyError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: currencyError });
+    }
+
+    const result = await client.query(
+      `UPDATE employee_rates SET hourly_rate = $1, currency = $2, effective_from = $3
+       WHERE id = $4 RETURNING ${RATE_COLUMNS}`,
+      [values.hourly_rate, values.currency, values.effective_from, req.params.rateId]
+    );
+    await syncCurrentRate(client, req.params.id);
+    await client.query('COMMIT');
+
+    await recordAuditEvent(pool, req, {
+      action: 'rate.update',
+      targetType: 'employee',
+      targetId: req.params.id,
+      payload: { rate_id: result.rows[0].id, previous_effective_from: existing.rows[0].effective_from, ...values }
+    });
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: `Another rate is already effective from ${values.effective_from}` });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Remove a rate (admin only). The hours it priced fall back to the rate
+// before it, so an employee's only rate can't be removed.
+app.delete('/api/employees/:id/rates/:rateId', auth.authorize('rates', 'manage'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id, hourly_rate, currency, to_char(effective_from, 'YYYY-MM-DD') as effective_from
+       FROM employee_rates WHERE id = $1 AND employee_id = $2 FOR UPDATE`,
+      [req.params.rateId, req.params.id]
+    );
+    const rate = existing.rows[0];
+    if (!rate) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    const countResult = await client.query('SELECT COUNT(*) FROM employee_rates WHERE employee_id = $1', [req.params.id]);
+    if (parseInt(countResult.rows[0].count) <= 1) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'An employee\'s only rate can\'t be deleted, change it instead' });
+    }
+
+    const repricedError = await closedPeriodRepriceError(client, req.params.id, [rate.effective_from], rate.id);
+    if (repricedError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: repricedError });
+    }
+
+    await client.query('DELETE FROM employee_rates WHERE id = $1', [rate.id]);
+    await syncCurrentRate(client, req.params.id);
+    await client.query('COMMIT');
+
+    await recordAuditEvent(pool, req, {
+      action: 'rate.delete',
+      targetType: 'employee',
+      targetId: req.params.id,
+      payload: rate
+    });
+    res.json({ message: 'Rate deleted' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Move an employee and their reports to the trash (admin only). Employees with
+// reports in closed pay periods are refused with a 409; archive them instead.
+app.delete('/api/employees/:id', auth.authorize('employees', 'delete'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const before = await snapshotEmployees(client, [req.params.id]);
+    const reportsBefore = await snapshotEmployeeReports(client, req.params.id);
+    const result = await trashEmployee(client, req.params.id, req.session.user.id);
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const employee = result.item;
+    await client.query('COMMIT');
+    await publishChanges('employee', before, () => snapshotEmployees(pool, [employee.id]));
+    await publishChanges('report', reportsBefore, () => snapshotReports(pool, reportsBefore.map(report => report.id)));
+
+    await recordAuditEvent(pool, req, {
+      action: 'employee.delete',
+      targetType: 'employee',
+      targetId: req.params.id,
+      payload: { name: employee.name, email: employee.email, trashed_reports: employee.trashed_reports }
+    });
+    res.json({ message: 'Employee moved to trash', trashed_reports: employee.trashed_reports });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ============ EOD REPORT ROUTES ============
+
+// Reports can only be filed for employees that aren't in the trash
+const employeeExists = async (db, employeeId) => {
+  const result = await db.query('SELECT 1 FROM employees WHERE id = $1 AND deleted_at IS NULL', [employeeId]);
+  return result.rows.length > 0;
+};
+
+// Record budget alerts the projects of a saved report's line items have
+// reached. A failure here doesn't fail the save.
+const checkProjectBudgets = async (entries) => {
+  const projectIds = [...new Set(entries.map(entry => entry.project_id).filter(Boolean))];
+  try {
+    for (const projectId of projectIds) {
+      await checkBudgetAlerts(pool, projectId);
+    }
+  } catch (err) {
+    console.error('❌ Error checking project budget:', err.message);
+  }
+};
+
+// Notify the users of reports' employees about something the session user did
+// to them ("jane approved your EOD report for 2024-05-01"), with an optional
+// detail such as a review note. A failure here doesn't fail the request.
+const notifyReportUsers = async (req, reportIds, { type, action, detail }) => {
+  try {
+    await notifyReportOwners(pool, reportIds, req.session.user.id, {
+      type,
+      message: (report) => `${req.session.user.username} ${action} your EOD report for ${report.date}` +
+        (detail ? `: ${detail}` : '')
+    });
+  } catch (err) {
+    console.error('❌ Error creating notifications:', err.message);
+  }
+};
+
+// Reports can't be created in, or moved to, a closed pay period, nor (except
+// by admins) a date a lock policy has already locked without an elevation
+const lockedDateError = (lockRules, session, date) => {
+  const lock = reportLock(lockRules, { date, created_at: new Date() });
+  if (lock.frozen) {
+    return {
+      error: `Reports dated ${date} are locked (${lock.reason}).`,
+      elevation_required: false,
+      period_closed: true
+    };
+  }
+  if (!lock.locked || session.user.role === 'admin' || auth.getElevation(session)) {
+    return null;
+  }
+  return {
+    error: `Reports dated ${date} are locked (${lock.reason}). Elevated access is required.`,
+    elevation_required: true
+  };
+};
+
+const fetchAmendments = async (db, reportId) => {
+  const result = await db.query(
+    `SELECT a.*, u.username as created_by_username
+     FROM report_amendments a
+     LEFT JOIN users u ON a.created_by = u.id
+     WHERE a.report_id = $1
+     ORDER BY a.created_at`,
+    [reportId]
+  );
+  return result.rows;
+};
+
+// Amendments recorded between start_date and end_date (by the day they were
+// made, so corrections to closed periods land in the period that pays them),
+// priced at the rate in effect on the amended report's date
+const fetchAmendmentsForPeriod = async (db, { employee_id, employeeIds, project, start_date, end_date }) => {
+  let query = `
+    SELECT
+      a.id,
+      a.report_id,
+      a.pay_period_id,
+      r.date as report_date,
+      r.employee_id,
+      e.name as employee_name,
+      e.email as employee_email,
+      ${REPORT_PROJECTS} as project,
+      ${REPORT_RATE} as hourly_rate,
+      rate.currency,
+      a.hours_delta,
+      (a.hours_delta * ${REPORT_RATE}) as cost_delta,
+      a.reason,
+      a.created_at
+    FROM report_amendments a
+    JOIN eod_reports r ON a.report_id = r.id
+    JOIN employees e ON r.employee_id = e.id
+    ${REPORT_RATE_JOIN}
+    WHERE r.deleted_at IS NULL
+  `;
+
+  const params = [];
+  let paramCount = 1;
+
+  if (employeeIds) {
+    query += ` AND r.employee_id = ANY($${paramCount++}::int[])`;
+    params.push(employeeIds);
+  } else if (employee_id) {
+    query += ` AND r.employee_id = $${paramCount++}`;
+    params.push(employee_id);
+  }
+
+  // Amendments change a whole report, so they follow it into every project
+  // of its line items
+  if (project) {
+    query += ` AND ${reportInProjects(`$${paramCount++}`)}`;
+    params.push([].concat(project));
+  }
+
+  if (start_date) {
+    query += ` AND a.created_at::date >= $${paramCount++}`;
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    query += ` AND a.created_at::date <= $${paramCount++}`;
+    params.push(end_date);
+  }
+
+  query += ' ORDER BY a.created_at DESC';
+
+  const result = await db.query(query, params);
+  return result.rows;
+};
+
+// Get all reports with filters (authenticated users). project filters by
+// project name, project_id by id: reports with a line item in that project.
+// has_response=<field key> (repeatable) keeps reports that answered the
+// template field, e.g. ?has_response=blockers. status (repeatable) filters by
+// approval status, and id (repeatable) picks reports by id.
+app.get('/api/reports', auth.authorize('reports', 'list'), async (req, res) => {
+  const { id, employee_id, start_date, end_date, project, project_id, has_response, status } = req.query;
+
+  const statuses = [].concat(status || []);
+  if (statuses.some(value => !REPORT_STATUSES.includes(value))) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
+
+  let query = `
+    SELECT
+      r.*,
+      e.name as employee_name,
+      e.email as employee_email,
+      e.role as employee_role,
+      ${REPORT_PROJECTS} as project,
+      ${REPORT_PROJECT_COLOR} as project_color,
+      ${REPORT_REVIEWER} as reviewed_by_username
+    FROM eod_reports r
+    JOIN employees e ON r.employee_id = e.id
+    WHERE r.deleted_at IS NULL
+  `;
+
+  const params = [];
+  let paramCount = 1;
+
+  // Restrict to the employees this user may see (and the requested one, if any)
+  const employeeIds = auth.employeeFilter(req.session.user, employee_id);
+  if (employeeIds) {
+    query += ` AND r.employee_id = ANY($${paramCount++}::int[])`;
+    params.push(employeeIds);
+  }
+
+  if (id) {
+    query += ` AND r.id = ANY($${paramCount++}::int[])`;
+    params.push([].concat(id).map(value => parseInt(value)).filter(Number.isInteger));
+  }
+
+  if (start_date) {
+    query += ` AND r.date >= $${paramCount++}`;
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    query += ` AND r.date <= $${paramCount++}`;
+    params.push(end_date);
+  }
+
+  if (project) {
+    query += ` AND ${reportInProjects(`$${paramCount++}`)}`;
+    params.push([project]);
+  }
+
+  if (project_id) {
+    query += ` AND ${reportInProjects(`$${paramCount++}`, true)}`;
+    params.push([project_id]);
+  }
+
+  for (const key of [].concat(has_response || [])) {
+    query += ` AND ${reportHasResponse(`$${paramCount++}`)}`;
+    params.push(key);
+  }
+
+  if (statuses.length > 0) {
+    query += ` AND r.status = ANY($${paramCount++})`;
+    params.push(statuses);
+  }
+
+  query += ' ORDER BY r.date DESC, r.created_at DESC';
+
+  try {
+    const reportsResult = await pool.query(query, params);
+
+    if (reportsResult.rows.length === 0) {
+      return res.json([]);
+    }
+
+    const reportIds = reportsResult.rows.map(r => r.id);
+    const placeholders = reportIds.map((_, i) => `$${i + 1}`).join(',');
+    const screenshotsResult = await pool.query(
+      `SELECT * FROM screenshots WHERE report_id IN (${placeholders}) AND deleted_at IS NULL`,
+      reportIds
+    );
+    const screenshots = await attachDuplicates(pool, screenshotsResult.rows);
+    const reports = attachLocks(await loadLockRules(pool), await attachBlockers(pool, await attachEntries(pool, reportsResult.rows)));
+
+    const reportsWithScreenshots = reports.map(report => ({
+      ...report,
+      screenshots: screenshots.filter(s => s.report_id === report.id)
+    }));
+
+    res.json(reportsWithScreenshots);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get single report
+app.get('/api/reports/:id', auth.authorize('reports', 'read'), async (req, res) => {
+  try {
+    const reportResult = await pool.query(
+      `SELECT
+        r.*,
+        e.name as employee_name,
+        e.email as employee_email,
+        e.role as employee_role,
+        ${REPORT_PROJECTS} as project,
+        ${REPORT_PROJECT_COLOR} as project_color,
+        ${REPORT_REVIEWER} as reviewed_by_username
+      FROM eod_reports r
+      JOIN employees e ON r.employee_id = e.id
+      WHERE r.id = $1 AND r.deleted_at IS NULL`,
+      [req.params.id]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!auth.canAccessEmployee(req.session.user, reportResult.rows[0].employee_id)) {
+      return res.status(403).json({ error: 'You can only view your own reports' });
+    }
+
+    const screenshotsResult = await pool.query(
+      'SELECT * FROM screenshots WHERE report_id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+
+    const lockRules = await loadLockRules(pool);
+    const [report] = await attachBlockers(pool, await attachEntries(pool, reportResult.rows));
+
+    res.json({
+      ...report,
+      lock: reportLock(lockRules, report),
+      amendments: await fetchAmendments(pool, req.params.id),
+      screenshots: await attachDuplicates(pool, screenshotsResult.rows)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create new EOD report with screenshots (authenticated users). Its hours are
+// split into line items (entries); see parseEntries. responses answers the
+// template that applies to it; see parseResponses. blockers lists new blockers
+// and the employee's carried-over ones; see parseBlockers.
+app.post('/api/reports', auth.authorize('reports', 'create'), upload.array('screenshots', 10), async (req, res) => {
+  const { employee_id, date, description, captions } = req.body;
+
+  if (!employee_id || !date) {
+    return res.status(400).json({ error: 'Employee ID and date are required' });
+  }
+
+  const parsed = parseEntries(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const parsedBlockers = parseBlockers(req.body);
+  if (parsedBlockers.error) {
+    return res.status(400).json({ error: parsedBlockers.error });
+  }
+
+  // Employees can only create reports for themselves
+  if (!auth.canAccessEmployee(req.session.user, employee_id)) {
+    return res.status(403).json({ error: 'You can only create reports for yourself' });
+  }
+
+  let lockRules;
+  let entries;
+  let template;
+  let responses = null;
+  let blockers = null;
+  try {
+    if (!(await employeeExists(pool, employee_id))) {
+      return res.status(400).json({ error: 'Employee not found' });
+    }
+    const resolved = await resolveEntryProjects(pool, parsed.entries);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    entries = resolved.entries;
+
+    template = await resolveTemplate(pool, {
+      employeeId: employee_id,
+      projectIds: entries.map(entry => entry.project_id).filter(Boolean)
+    });
+    if (template) {
+      const answered = parseResponses(template, req.body.responses);
+      if (answered.error) {
+        return res.status(400).json({ error: answered.error });
+      }
+      responses = answered.responses;
+    }
+
+    if (parsedBlockers.blockers) {
+      const resolvedBlockers = await resolveBlockers(pool, employee_id, parsedBlockers.blockers);
+      if (resolvedBlockers.error) {
+        return res.status(400).json({ error: resolvedBlockers.error });
+      }
+      blockers = resolvedBlockers.blockers;
+    }
+    lockRules = await loadLockRules(pool);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  const dateError = lockedDateError(lockRules, req.session, date);
+  if (dateError) {
+    return res.status(403).json(dateError);
+  }
+
+  let uploaded = [];
+  try {
+    uploaded = await uploadScreenshots(req.files);
+  } catch (err) {
+    console.error('❌ Error uploading screenshots:', err.message);
+    return res.status(500).json({ error: 'Failed to upload screenshots' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const reportResult = await client.query(
+      `INSERT INTO eod_reports (employee_id, date, hours, description, template_id, responses)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [employee_id, date, totalHours(entries), description || '', template ? template.id : null, responses && JSON.stringify(responses)]
+    );
+
+    const reportId = reportResult.rows[0].id;
+    const savedEntries = await saveEntries(client, reportId, entries);
+    if (blockers) {
+      await saveReportBlockers(client, { reportId, employeeId: employee_id, userId: req.session.user.id }, blockers);
+    }
+
+    // Insert screenshots if any
+    if (uploaded.length > 0) {
+      let captionsArray = [];
+      try {
+        captionsArray = captions ? JSON.parse(captions) : [];
+      } catch (e) {
+        captionsArray = [];
+      }
+
+      for (let i = 0; i < uploaded.length; i++) {
+        await insertScreenshot(client, reportId, uploaded[i], captionsArray[i] || '');
+      }
+    }
+
+    // Fetch the created screenshots to return complete data
+    const screenshotsResult = await client.query(
+      'SELECT * FROM screenshots WHERE report_id = $1 AND deleted_at IS NULL',
+      [reportId]
+    );
+    const screenshots = await attachDuplicates(client, screenshotsResult.rows);
+
+    const [saved] = await attachBlockers(client, reportResult.rows);
+
+    await client.query('COMMIT');
+    await checkProjectBudgets(entries);
+    await publishChanges('report', [], () => snapshotReports(pool, [saved.id]));
+
+    res.status(201).json({
+      ...saved,
+      project: describeProjects(savedEntries),
+      entries: savedEntries,
+      lock: reportLock(lockRules, reportResult.rows[0]),
+      screenshots
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await discardUploads(uploaded);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Update report (auth required, with edit permission check). responses are
+// checked against the template the report was filed with; reports without
+// one, and requests that don't send responses, keep their answers. Likewise
+// requests without blockers keep the report's blockers.
+app.put('/api/reports/:id', auth.authorize('reports', 'update'), upload.array('screenshots', 10), async (req, res, next) => {
+  // Check permission before proceeding
+  await auth.canEditReport(req, res, next, pool);
+}, async (req, res) => {
+  const { employee_id, date, description, captions, deleted_screenshot_ids, updated_captions } = req.body;
+
+  // Employees can't move a report to someone else
+  if (!auth.canAccessEmployee(req.session.user, employee_id)) {
+    return res.status(403).json({ error: 'You can only edit your own reports' });
+  }
+
+  const parsed = parseEntries(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const parsedBlockers = parseBlockers(req.body);
+  if (parsedBlockers.error) {
+    return res.status(400).json({ error: parsedBlockers.error });
+  }
+
+  let lockRules;
+  let entries;
+  let responses;
+  let blockers = null;
+  try {
+    if (!(await employeeExists(pool, employee_id))) {
+      return res.status(400).json({ error: 'Employee not found' });
+    }
+    const current = await pool.query('SELECT DISTINCT project_id FROM report_entries WHERE report_id = $1', [req.params.id]);
+    const previousProjectIds = current.rows.map(row => row.project_id).filter(Boolean);
+    const resolved = await resolveEntryProjects(pool, parsed.entries, previousProjectIds);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    entries = resolved.entries;
+
+    const templateResult = await pool.query('SELECT template_id FROM eod_reports WHERE id = $1', [req.params.id]);
+    const templateId = templateResult.rows[0] && templateResult.rows[0].template_id;
+    const template = templateId && req.body.responses !== undefined ? await fetchTemplate(pool, templateId) : null;
+    if (template) {
+      const answered = parseResponses(template, req.body.responses);
+      if (answered.error) {
+        return res.status(400).json({ error: answered.error });
+      }
+      responses = answered.responses;
+    }
+
+    if (parsedBlockers.blockers) {
+      const resolvedBlockers = await resolveBlockers(pool, employee_id, parsedBlockers.blockers);
+      if (resolvedBlockers.error) {
+        return res.status(400).json({ error: resolvedBlockers.error });
+      }
+      blockers = resolvedBlockers.blockers;
+    }
+    lockRules = await loadLockRules(pool);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  const dateError = lockedDateError(lockRules, req.session, date);
+  if (dateError) {
+    return res.status(403).json(dateError);
+  }
+
+  let uploaded = [];
+  try {
+    uploaded = await uploadScreenshots(req.files);
+  } catch (err) {
+    console.error('❌ Error uploading screenshots:', err.message);
+    return res.status(500).json({ error: 'Failed to upload screenshots' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Previous version, for the revision history
+    const beforeResult = await client.query(
+      `SELECT r.*
+       FROM eod_reports r
+       WHERE r.id = $1 AND r.deleted_at IS NULL
+       FOR UPDATE`,
+      [req.params.id]
+    );
+
+    if (beforeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await discardUploads(uploaded);
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const previous = await snapshotReports(client, [req.params.id]);
+    const [before] = await attachBlockers(client, await attachEntries(client, beforeResult.rows));
+    before.project = describeProjects(before.entries);
+    before.line_items = describeEntries(before.entries);
+    before.sections = describeResponses(before.responses);
+    before.blocker_list = describeBlockers(before.blockers);
+
+    const result = await client.query(
+      `UPDATE eod_reports
+       SET employee_id = $1, date = $2, hours = $3, description = $4, responses = COALESCE($5, responses)
+       WHERE id = $6 RETURNING *`,
+      [employee_id, date, totalHours(entries), description, responses ? JSON.stringify(responses) : null, req.params.id]
+    );
+    const savedEntries = await saveEntries(client, req.params.id, entries);
+    if (blockers) {
+      await saveReportBlockers(client, { reportId: req.params.id, employeeId: employee_id, userId: req.session.user.id }, blockers);
+    }
+    const [updated] = await attachBlockers(client, result.rows);
+    result.rows[0] = updated;
+    result.rows[0].project = describeProjects(savedEntries);
+    result.rows[0].entries = savedEntries;
+    result.rows[0].line_items = describeEntries(savedEntries);
+    result.rows[0].sections = describeResponses(result.rows[0].responses);
+    result.rows[0].blocker_list = describeBlockers(updated.blockers);
+
+    const revision = {
+      fields: diffReportFields(before, result.rows[0]),
+      screenshots_added: [],
+      screenshots_removed: [],
+      captions_changed: []
+    };
+
+    // Handle deleted screenshots
+    if (deleted_screenshot_ids) {
+      let deletedIds = [];
+      try {
+        deletedIds = JSON.parse(deleted_screenshot_ids);
+      } catch (e) {
+        deletedIds = [];
+      }
+
+      if (deletedIds.length > 0) {
+        // Only screenshots belonging to this report can be removed through it
+        revision.screenshots_removed = await trashScreenshots(client, req.params.id, deletedIds, req.session.user.id);
+      }
+    }
+
+    // Handle updated captions for existing screenshots
+    if (updated_captions) {
+      let captionsObj = {};
+      try {
+        captionsObj = JSON.parse(updated_captions);
+      } catch (e) {
+        captionsObj = {};
+      }
+
+      for (const [screenshotId, caption] of Object.entries(captionsObj)) {
+        // The joined copy still holds the caption from before this statement
+        const captionResult = await client.query(
+          `UPDATE screenshots s SET caption = $1
+           FROM screenshots old
+           WHERE old.id = s.id AND s.id = $2 AND s.report_id = $3 AND s.deleted_at IS NULL
+           RETURNING s.id, s.filename, old.caption as old_caption`,
+          [caption, screenshotId, req.params.id]
+        );
+        const changed = captionResult.rows[0];
+        if (changed && (changed.old_caption || '') !== (caption || '')) {
+          revision.captions_changed.push({
+            id: changed.id,
+            filename: changed.filename,
+            old: changed.old_caption || null,
+            new: caption || null
+          });
+        }
+      }
+    }
+
+    // Insert new screenshots if any
+    if (uploaded.length > 0) {
+      let captionsArray = [];
+      try {
+        captionsArray = captions ? JSON.parse(captions) : [];
+      } catch (e) {
+        captionsArray = [];
+      }
+
+      for (let i = 0; i < uploaded.length; i++) {
+        const inserted = await insertScreenshot(client, req.params.id, uploaded[i], captionsArray[i] || '');
+        revision.screenshots_added.push(inserted.rows[0]);
+      }
+    }
+
+    // A report its employee changed needs another review; fixes by admins
+    // don't undo one
+    const recorded = await recordRevision(client, req.params.id, req.session.user.id, revision);
+    const editedByOwner = req.session.user.employee_id === before.employee_id;
+    if (recorded && editedByOwner && await resetReview(client, req.params.id)) {
+      result.rows[0].status = 'submitted';
+    }
+
+    const screenshotsResult = await client.query(
+      'SELECT * FROM screenshots WHERE report_id = $1 AND deleted_at IS NULL',
+      [req.params.id]
+    );
+    const screenshots = await attachDuplicates(client, screenshotsResult.rows);
+
+    await client.query('COMMIT');
+    await checkProjectBudgets(entries);
+    if (recorded) {
+      await notifyReportUsers(req, [req.params.id], { type: 'report_edited', action: 'edited' });
+    }
+    await publishChanges('report', previous, () => snapshotReports(pool, [req.params.id]));
+
+    res.json({
+      ...result.rows[0],
+      lock: reportLock(lockRules, result.rows[0]),
+      screenshots,
+      screenshots_added: uploaded.length
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await discardUploads(uploaded);
+    console.error('❌ Error updating report:', err.message);
+    console.error('Stack trace:', err.stack);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Move a report to the trash (its screenshots come back with it if restored)
+app.delete('/api/reports/:id', auth.authorize('reports', 'delete'), async (req, res, next) => {
+  // Check permission before proceeding
+  await auth.canEditReport(req, res, next, pool);
+}, async (req, res) => {
+  try {
+    const before = await snapshotReports(pool, [req.params.id]);
+    const trashed = await trashReports(pool, [req.params.id], req.session.user.id);
+
+    if (trashed.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    await recordAuditEvent(pool, req, { action: 'report.delete', targetType: 'report', targetId: req.params.id });
+    await notifyReportUsers(req, trashed, { type: 'report_deleted', action: 'deleted' });
+    await publishChanges('report', before, () => snapshotReports(pool, trashed));
+
+    res.json({ message: 'Report moved to trash' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revision history of a report, newest first
+app.get('/api/reports/:id/revisions', auth.authorize('reports', 'read'), async (req, res) => {
+  try {
+    const reportResult = await pool.query('SELECT employee_id FROM eod_reports WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!auth.canAccessEmployee(req.session.user, reportResult.rows[0].employee_id)) {
+      return res.status(403).json({ error: 'You can only view your own reports' });
+    }
+
+    res.json(await fetchRevisions(pool, req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Amendments to a report in a closed pay period
+app.get('/api/reports/:id/amendments', auth.authorize('amendments', 'list'), async (req, res) => {
+  try {
+    const reportResult = await pool.query('SELECT employee_id FROM eod_reports WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!auth.canAccessEmployee(req.session.user, reportResult.rows[0].employee_id)) {
+      return res.status(403).json({ error: 'You can only view your own reports' });
+    }
+
+    res.json(await fetchAmendments(pool, req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Record a correction to a report whose pay period is closed. The report
+// itself stays as it was sent to payroll; the hours change is reported separately.
+app.post('/api/reports/:id/amendments', auth.authorize('amendments', 'create'), async (req, res) => {
+  const { hours_delta, reason } = req.body;
+  const delta = parseFloat(hours_delta);
+
+  if (!Number.isFinite(delta) || delta === 0) {
+    return res.status(400).json({ error: 'Hours change must be a non-zero number' });
+  }
+
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const reportResult = await pool.query(
+      `SELECT r.id, r.employee_id, r.date, r.hours, r.created_at,
+        COALESCE((SELECT SUM(a.hours_delta) FROM report_amendments a WHERE a.report_id = r.id), 0) as amended_hours
+       FROM eod_reports r WHERE r.id = $1 AND r.deleted_at IS NULL`,
+      [req.params.id]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reportResult.rows[0];
+
+    if (!auth.canAccessEmployee(req.session.user, report.employee_id)) {
+      return res.status(403).json({ error: 'You can only amend your own reports' });
+    }
+
+    const lock = reportLock(await loadLockRules(pool), report);
+    if (!lock.frozen) {
+      return res.status(400).json({ error: 'Report is not in a closed pay period. Edit the report instead.' });
+    }
+
+    if (parseFloat(report.hours) + parseFloat(report.amended_hours) + delta < 0) {
+      return res.status(400).json({ error: 'Amendment would make the report\'s hours negative' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO report_amendments (report_id, pay_period_id, hours_delta, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [report.id, lock.pay_period_id, delta, reason.trim(), req.session.user.id]
+    );
+
+    const amendment = result.rows[0];
+    console.log(`📝 Amendment of ${delta}h recorded for report ${report.id} by ${req.session.user.username}`);
+    await recordAuditEvent(pool, req, {
+      action: 'report.amend',
+      targetType: 'report',
+      targetId: report.id,
+      payload: {
+        amendment_id: amendment.id,
+        pay_period_id: amendment.pay_period_id,
+        hours_delta: delta,
+        reason: amendment.reason
+      }
+    });
+    res.status(201).json({ ...amendment, created_by_username: req.session.user.username });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve a report or request changes to it (admins, and managers for their
+// teams), with an optional note; requesting changes needs one
+const reviewReport = async (req, res, status) => {
+  const note = req.body.note ? String(req.body.note).trim() : '';
+  if (status === 'changes_requested' && !note) {
+    return res.status(400).json({ error: 'A note is required when requesting changes' });
+  }
+
+  try {
+    const reportResult = await pool.query('SELECT id, employee_id FROM eod_reports WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const denied = reviewError(req.session.user, reportResult.rows[0]);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    const before = await snapshotReports(pool, [req.params.id]);
+    const [report] = await reviewReports(pool, [req.params.id], { status, note, userId: req.session.user.id });
+    await recordAuditEvent(pool, req, {
+      action: status === 'approved' ? 'report.approve' : 'report.request_changes',
+      targetType: 'report',
+      targetId: req.params.id,
+      payload: { note: note || null }
+    });
+    await notifyReportUsers(req, [req.params.id], {
+      type: 'report_reviewed',
+      action: status === 'approved' ? 'approved' : 'requested changes to',
+      detail: note
+    });
+    await publishChanges('report', before, () => snapshotReports(pool, [req.params.id]));
+    res.json({ ...report, reviewed_by_username: req.session.user.username });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+app.post('/api/reports/:id/approve', auth.authorize('reports', 'review'), (req, res) => reviewReport(req, res, 'approved'));
+
+app.post('/api/reports/:id/request-changes', auth.authorize('reports', 'review'), (req, res) => reviewReport(req, res, 'changes_requested'));
+
+// ============ COMMENT ROUTES ============
+
+// A comment's report with what the comment routes need, or null
+const fetchCommentReport = async (reportId) => {
+  const result = await pool.query(
+    `SELECT r.id, r.employee_id, to_char(r.date, 'YYYY-MM-DD') as date, e.name as employee_name
+     FROM eod_reports r
+     JOIN employees e ON r.employee_id = e.id
+     WHERE r.id = $1 AND r.deleted_at IS NULL`,
+    [reportId]
+  );
+  return result.rows[0] || null;
+};
+
+// The users a comment mentions who may see its report; others are ignored
+const mentionsOnReport = async (text, report) => {
+  const mentioned = [];
+  for (const user of await resolveMentions(pool, text)) {
+    const account = await pool.query('SELECT id, role, employee_id FROM users WHERE id = $1', [user.id]);
+    const candidate = account.rows[0];
+    if (candidate.role === 'manager') {
+      candidate.team_employee_ids = await fetchTeamEmployeeIds(pool, candidate.id);
+    }
+    if (auth.canAccessEmployee(candidate, report.employee_id)) {
+      mentioned.push(user);
+    }
+  }
+  return mentioned;
+};
+
+// Email the users a comment newly mentions. Failures are only logged: the
+// comment is saved either way.
+const emailMentions = async (req, report, comment, users) => {
+  const author = req.session.user.username;
+  for (const user of users) {
+    if (!user.email || user.id === req.session.user.id) continue;
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: `${author} mentioned you on ${report.employee_name}'s EOD report for ${report.date}`,
+        text: `${author} wrote:\n\n${comment.body}\n\n` +
+          (process.env.APP_URL ? `Open EOD Monitor: ${process.env.APP_URL}\n` : '')
+      });
+    } catch (err) {
+      console.error(`❌ Error emailing mention to ${user.username}:`, err.message);
+    }
+  }
+};
+
+// Notify the users a comment newly mentions in the app as well. A failure
+// here doesn't fail the request.
+const notifyMentions = async (req, report, users) => {
+  try {
+    await notifyUsers(pool, users.map(user => user.id).filter(id => id !== req.session.user.id), {
+      type: 'comment_mention',
+      message: `${req.session.user.username} mentioned you on ${report.employee_name}'s EOD report for ${report.date}`,
+      reportId: report.id
+    });
+  } catch (err) {
+    console.error('❌ Error creating notifications:', err.message);
+  }
+};
+
+// Comment threads of a report (anyone who may see the report)
+app.get('/api/reports/:id/comments', auth.authorize('comments', 'list'), async (req, res) => {
+  try {
+    const report = await fetchCommentReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (!auth.canAccessEmployee(req.session.user, report.employee_id)) {
+      return res.status(403).json({ error: 'You can only view your own reports' });
+    }
+
+    res.json(await listComments(pool, req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Comment on a report, or reply to a comment with parent_id. Employees only
+// comment on their own reports, managers on their teams'; viewers can't.
+app.post('/api/reports/:id/comments', auth.authorize('comments', 'create'), async (req, res) => {
+  const { error, values } = validateComment(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const report = await fetchCommentReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (!auth.canAccessEmployee(req.session.user, report.employee_id)) {
+      return res.status(403).json({ error: 'You can only comment on your own reports' });
+    }
+
+    const thread = await resolveThread(pool, req.params.id, values.parent_id);
+    if (thread.error) {
+      return res.status(400).json({ error: thread.error });
+    }
+
+    const mentions = await mentionsOnReport(values.body, report);
+    const inserted = await pool.query(
+      `INSERT INTO report_comments (report_id, parent_id, user_id, body)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [req.params.id, thread.parentId, req.session.user.id, values.body]
+    );
+    const commentId = inserted.rows[0].id;
+    const mentionedIds = await saveMentions(pool, commentId, mentions.map(user => user.id));
+
+    const comment = await fetchComment(pool, commentId);
+    const mentioned = mentions.filter(user => mentionedIds.includes(user.id));
+    emailMentions(req, report, comment, mentioned);
+    await notifyMentions(req, report, mentioned);
+    res.status(201).json(comment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit a comment (its author only). Users newly mentioned are emailed and
+// notified.
+app.put('/api/reports/:id/comments/:commentId', auth.authorize('comments', 'create'), async (req, res) => {
+  const { error, values } = validateComment(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const existing = await fetchComment(pool, req.params.commentId);
+    if (!existing || existing.deleted || existing.report_id !== parseInt(req.params.id)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (existing.user_id !== req.session.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const report = await fetchCommentReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const mentions = await mentionsOnReport(values.body, report);
+    await pool.query(
+      'UPDATE report_comments SET body = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [values.body, req.params.commentId]
+    );
+    const mentionedIds = await saveMentions(pool, req.params.commentId, mentions.map(user => user.id));
+
+    const comment = await fetchComment(pool, req.params.commentId);
+    const mentioned = mentions.filter(user => mentionedIds.includes(user.id));
+    emailMentions(req, report, comment, mentioned);
+    await notifyMentions(req, report, mentioned);
+    res.json(comment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a comment (its author only)
+app.delete('/api/reports/:id/comments/:commentId', auth.authorize('comments', 'create'), async (req, res) => {
+  try {
+    const existing = await fetchComment(pool, req.params.commentId);
+    if (!existing || existing.deleted || existing.report_id !== parseInt(req.params.id)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (existing.user_id !== req.session.user.id) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    await deleteComment(pool, existing);
+    res.json({ message: 'Comment deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ LIVE EVENT ROUTES ============
+
+// Stream report and employee changes as Server-Sent Events, for dashboards to
+// merge in without reloading (see live-events.js). Reports are limited to
+// those the user may see, as in GET /api/reports.
+app.get('/api/events', auth.authorize('events', 'stream'), async (req, res) => {
+  try {
+    await liveEvents.subscribe(req, res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ NOTIFICATION ROUTES ============
+
+// The session user's notifications, newest first, with their unread count.
+// ?unread=true lists only unread ones; ?limit (default 50, at most 100).
+app.get('/api/notifications', auth.authorize('notifications', 'list'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+  try {
+    res.json(await listNotifications(pool, req.session.user.id, { unreadOnly: req.query.unread === 'true', limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark one of the session user's notifications read
+app.post('/api/notifications/:id/read', auth.authorize('notifications', 'update'), async (req, res) => {
+  try {
+    const notification = await markRead(pool, req.session.user.id, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark all of the session user's notifications read
+app.post('/api/notifications/read-all', auth.authorize('notifications', 'update'), async (req, res) => {
+  try {
+    res.json({ marked_read: await markAllRead(pool, req.session.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ TEAM ROUTES ============
+
+// Teams with their lead and members: all of them for admins, the ones they
+// lead for managers
+app.get('/api/teams', auth.authorize('teams', 'list'), async (req, res) => {
+  try {
+    const user = req.session.user;
+    res.json(await listTeams(pool, { leadUserId: user.role === 'manager' ? user.id : null }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a team (admin only) from name, lead_user_id (a manager) and
+// member_ids (employees)
+app.post('/api/teams', auth.authorize('teams', 'manage'), async (req, res) => {
+  const { error, values } = validateTeam(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+  try {
+    const invalid = await checkTeam(client, values);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      'INSERT INTO teams (name, lead_user_id) VALUES ($1, $2) RETURNING *',
+      [values.name, values.lead_user_id]
+    );
+    await saveTeamMembers(client, result.rows[0].id, values.member_ids);
+    await client.query('COMMIT');
+
+    await recordAuditEvent(pool, req, {
+      action: 'team.create',
+      targetType: 'team',
+      targetId: result.rows[0].id,
+      payload: values
+    });
+    res.status(201).json({ ...result.rows[0], member_ids: values.member_ids });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'Another team already has this name' });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a team (admin only). member_ids, when given, replaces its members.
+app.put('/api/teams/:id', auth.authorize('teams', 'manage'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const existing = await fetchTeam(client, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { error, values } = validateTeam(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const invalid = await checkTeam(client, values);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE teams SET name = $1, lead_user_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [values.name, values.lead_user_id, req.params.id]
+    );
+    await saveTeamMembers(client, req.params.id, values.member_ids);
+    await client.query('COMMIT');
+
+    await recordAuditEvent(pool, req, {
+      action: 'team.update',
+      targetType: 'team',
+      targetId: req.params.id,
+      payload: values
+    });
+    res.json({ ...result.rows[0], member_ids: values.member_ids });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'Another team already has this name' });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a team (admin only). Its members and lead stay; the lead no longer
+// sees their reports.
+app.delete('/api/teams/:id', auth.authorize('teams', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM teams WHERE id = $1 RETURNING id, name', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    await recordAuditEvent(pool, req, {
+      action: 'team.delete',
+      targetType: 'team',
+      targetId: req.params.id,
+      payload: { name: result.rows[0].name }
+    });
+    res.json({ message: 'Team deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ PROJECT ROUTES ============
+
+// Projects with their client and report totals (authenticated users).
+// ?status=active,archived filters by status; employees only see active
+// projects and those they reported on.
+app.get('/api/projects', auth.authorize('projects', 'list'), async (req, res) => {
+  try {
+    const projects = await listProjects(pool, {
+      employeeIds: auth.employeeFilter(req.session.user),
+      status: req.query.status ? req.query.status.split(',').map(status => status.trim()) : null
+    });
+    res.json(projects);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/projects', auth.authorize('projects', 'manage'), async (req, res) => {
+  const { error, values } = validateProject(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO projects (name, code, client_id, status, color, billable)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [values.name, values.code, values.client_id, values.status, values.color, values.billable]
+    );
+    await recordAuditEvent(pool, req, {
+      action: 'project.create',
+      targetType: 'project',
+      targetId: result.rows[0].id,
+      payload: values
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: duplicateProjectError(err) });
+    }
+    if (err.code === '23503') { // Foreign key violation
+      return res.status(400).json({ error: 'Client not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a project (admin only). Fields that aren't sent keep their value, so
+// renaming only needs { name }. Reports follow the rename since they
+// reference the project by id.
+app.put('/api/projects/:id', auth.authorize('projects', 'manage'), async (req, res) => {
+  try {
+    const existing = await pool.query('SELECT * FROM projects WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { error, values } = validateProject(req.body, existing.rows[0]);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET name = $1, code = $2, client_id = $3, status = $4, color = $5, billable = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 RETURNING *`,
+      [values.name, values.code, values.client_id, values.status, values.color, values.billable, req.params.id]
+    );
+    const previousName = existing.rows[0].name;
+    await recordAuditEvent(pool, req, {
+      action: previousName !== values.name ? 'project.rename' : 'project.update',
+      targetType: 'project',
+      targetId: req.params.id,
+      payload: { ...values, previous_name: previousName }
+    });
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: duplicateProjectError(err) });
+    }
+    if (err.code === '23503') { // Foreign key violation
+      return res.status(400).json({ error: 'Client not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Merge duplicate projects into this one (admin only): their reports, trashed
+// ones included, move here and the duplicates are deleted. Reports in closed
+// pay periods stay, and a duplicate that still has some is archived.
+app.post('/api/projects/:id/merge', auth.authorize('projects', 'manage'), async (req, res) => {
+  const { source_ids } = req.body;
+
+  if (!Array.isArray(source_ids) || source_ids.length === 0) {
+    return res.status(400).json({ error: 'source_ids array is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await mergeProjects(client, req.params.id, source_ids);
+
+    if (!result) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await client.query('COMMIT');
+
+    const movedReports = result.merged.reduce((sum, source) => sum + source.moved_reports, 0);
+    const unmovedReports = result.merged.reduce((sum, source) => sum + source.unmoved_reports, 0);
+    console.log(`🔀 Merged ${result.merged.length} project(s) into ${result.target.name}, ${movedReports} report(s) moved, ${unmovedReports} left in closed pay periods`);
+    await recordAuditEvent(pool, req, {
+      action: 'project.merge',
+      targetType: 'project',
+      targetId: req.params.id,
+      payload: { name: result.target.name, merged: result.merged }
+    });
+    res.json({ project: result.target, merged: result.merged, moved_reports: movedReports, unmoved_reports: unmovedReports });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a project (admin only). Projects with reports, even trashed ones,
+// can only be archived or merged into another project.
+app.delete('/api/projects/:id', auth.authorize('projects', 'manage'), async (req, res) => {
+  try {
+    const reports = await pool.query('SELECT COUNT(*) FROM report_entries WHERE project_id = $1', [req.params.id]);
+    if (parseInt(reports.rows[0].count) > 0) {
+      return res.status(409).json({ error: 'This project has reports. Archive it or merge it into another project instead.' });
+    }
+
+    const result = await pool.query('DELETE FROM projects WHERE id = $1 RETURNING id, name', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await recordAuditEvent(pool, req, {
+      action: 'project.delete',
+      targetType: 'project',
+      targetId: req.params.id,
+      payload: { name: result.rows[0].name }
+    });
+    res.json({ message: 'Project deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Budgets with their usage and burn-down (admin and viewer). ?project=Name
+// (repeatable) limits them to the given projects.
+app.get('/api/budgets', auth.authorize('budgets', 'read'), async (req, res) => {
+  try {
+    const budgets = await fetchBudgets(pool, { projects: req.query.project ? [].concat(req.query.project) : null });
+    const statuses = [];
+    for (const budget of budgets) {
+      const status = await budgetStatus(pool, budget);
+      status.alerts = await fetchBudgetAlerts(pool, status);
+      statuses.push(status);
+    }
+    res.json(statuses);
   } catch (err) {
-    await client.query('ROLLBACK');
     res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
   }
 });
 
-// Update report (auth required, with edit permission check)
-app.put('/api/reports/:id', auth.requireAuth, upload.array('screenshots', 10), async (req, res, next) => {
-  // Check permission before proceeding
-  await auth.canEditReport(req, res, next, pool);
-}, async (req, res) => {
-  const { employee_id, date, hours, project, description, captions, deleted_screenshot_ids, updated_captions } = req.body;
-
-  const client = await pool.connect();
+// Set a project's budget (admin only). Alerts already raised are cleared, so
+// thresholds reached against the new budget are reported again.
+app.put('/api/projects/:id/budget', auth.authorize('budgets', 'manage'), async (req, res) => {
+  const { error, values } = validateBudget(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
   try {
-    await client.query('BEGIN');
+    const project = await pool.query('SELECT id, name FROM projects WHERE id = $1', [req.params.id]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-    const result = await client.query(
-      'UPDATE eod_reports SET employee_id = $1, date = $2, hours = $3, project = $4, description = $5 WHERE id = $6 RETURNING *',
-      [employee_id, date, hours, project || '', description, req.params.id]
+    const result = await pool.query(
+      `INSERT INTO project_budgets (project_id, budget_hours, budget_amount, period)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (project_id) DO UPDATE
+       SET budget_hours = EXCLUDED.budget_hours, budget_amount = EXCLUDED.budget_amount,
+           period = EXCLUDED.period, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [req.params.id, values.budget_hours, values.budget_amount, values.period]
     );
+    await pool.query('DELETE FROM budget_alerts WHERE project_id = $1', [req.params.id]);
+    await checkBudgetAlerts(pool, project.rows[0].id);
+
+    await recordAuditEvent(pool, req, {
+      action: 'budget.update',
+      targetType: 'project',
+      targetId: req.params.id,
+      payload: { name: project.rows[0].name, ...values }
+    });
+
+    const status = await budgetStatus(pool, { ...result.rows[0], project: project.rows[0].name });
+    status.alerts = await fetchBudgetAlerts(pool, status);
+    res.json(status);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Remove a project's budget (admin only)
+app.delete('/api/projects/:id/budget', auth.authorize('budgets', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM project_budgets WHERE project_id = $1 RETURNING *', [req.params.id]);
     if (result.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Report not found' });
+      return res.status(404).json({ error: 'This project has no budget' });
     }
+    await pool.query('DELETE FROM budget_alerts WHERE project_id = $1', [req.params.id]);
 
-    // Handle deleted screenshots
-    if (deleted_screenshot_ids) {
-      let deletedIds = [];
-      try {
-        deletedIds = JSON.parse(deleted_screenshot_ids);
-      } catch (e) {
-        deletedIds = [];
-      }
+    await recordAuditEvent(pool, req, {
+      action: 'budget.delete',
+      targetType: 'project',
+      targetId: req.params.id,
+      payload: { budget_hours: result.rows[0].budget_hours, budget_amount: result.rows[0].budget_amount, period: result.rows[0].period }
+    });
+    res.json({ message: 'Budget removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      if (deletedIds.length > 0) {
-        // Get screenshot filepaths before deleting
-        const placeholders = deletedIds.map((_, i) => `$${i + 1}`).join(',');
-        const screenshotsToDelete = await client.query(
-          `SELECT filepath FROM screenshots WHERE id IN (${placeholders})`,
-          deletedIds
-        );
+// Clients projects can belong to (list: authenticated users, changes: admin only)
+app.get('/api/clients', auth.authorize('clients', 'list'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.*, (SELECT COUNT(*) FROM projects p WHERE p.client_id = c.id) as project_count
+      FROM clients c
+      ORDER BY LOWER(c.name)
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-        // Delete screenshot files from Cloudinary (only if it's a Cloudinary URL)
-        for (const screenshot of screenshotsToDelete.rows) {
-          try {
-            // Only delete from Cloudinary if it's a Cloudinary URL
-            if (screenshot.filepath.startsWith('http://') || screenshot.filepath.startsWith('https://')) {
-              // Extract public_id from Cloudinary URL
-              // URL format: https://res.cloudinary.com/cloud_name/image/upload/v123456/eod-monitoring/filename.jpg
-              const urlParts = screenshot.filepath.split('/');
-              const filenameWithExt = urlParts[urlParts.length - 1];
-              const filename = filenameWithExt.split('.')[0];
-              const public_id = `eod-monitoring/${filename}`;
-
-              await cloudinary.uploader.destroy(public_id);
-              console.log(`🗑️  Deleted from Cloudinary: ${public_id}`);
-            } else {
-              console.log(`⏭️  Skipping local file (not on Cloudinary): ${screenshot.filepath}`);
-            }
-          } catch (err) {
-            console.error(`❌ Error deleting from Cloudinary: ${screenshot.filepath}`, err.message);
-          }
-        }
+app.post('/api/clients', auth.authorize('clients', 'manage'), async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Client name is required' });
+  }
 
-        // Delete from database
-        await client.query(
-          `DELETE FROM screenshots WHERE id IN (${placeholders})`,
-          deletedIds
-        );
-      }
+  try {
+    const result = await pool.query('INSERT INTO clients (name) VALUES ($1) RETURNING *', [name]);
+    await recordAuditEvent(pool, req, { action: 'client.create', targetType: 'client', targetId: result.rows[0].id, payload: { name } });
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'Another client already has this name' });
     }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Handle updated captions for existing screenshots
-    if (updated_captions) {
-      let captionsObj = {};
-      try {
-        captionsObj = JSON.parse(updated_captions);
-      } catch (e) {
-        captionsObj = {};
-      }
+app.put('/api/clients/:id', auth.authorize('clients', 'manage'), async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Client name is required' });
+  }
 
-      for (const [screenshotId, caption] of Object.entries(captionsObj)) {
-        await client.query(
-          'UPDATE screenshots SET caption = $1 WHERE id = $2',
-          [caption, screenshotId]
-        );
-      }
+  try {
+    const result = await pool.query('UPDATE clients SET name = $1 WHERE id = $2 RETURNING *', [name, req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
     }
-
-    // Insert new screenshots if any
-    if (req.files && req.files.length > 0) {
-      let captionsArray = [];
-      try {
-        captionsArray = captions ? JSON.parse(captions) : [];
-      } catch (e) {
-        captionsArray = [];
-      }
-
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const caption = captionsArray[i] || '';
-        // file.path contains the Cloudinary URL
-        console.log(`📸 Saving screenshot to Cloudinary: ${file.filename} for report ${req.params.id}`);
-        await client.query(
-          'INSERT INTO screenshots (report_id, filename, filepath, caption) VALUES ($1, $2, $3, $4)',
-          [req.params.id, file.originalname, file.path, caption]
-        );
-      }
+    await recordAuditEvent(pool, req, { action: 'client.update', targetType: 'client', targetId: req.params.id, payload: { name } });
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'Another client already has this name' });
     }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    await client.query('COMMIT');
-
-    res.json({
-      ...result.rows[0],
-      screenshots_added: req.files ? req.files.length : 0
+// Delete a client (admin only); its projects are kept without a client
+app.delete('/api/clients/:id', auth.authorize('clients', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM clients WHERE id = $1 RETURNING id, name', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    await recordAuditEvent(pool, req, {
+      action: 'client.delete',
+      targetType: 'client',
+      targetId: req.params.id,
+      payload: { name: result.rows[0].name }
     });
+    res.json({ message: 'Client deleted' });
   } catch (err) {
-    await client.query('ROLLBACK');
-    console.error('❌ Error updating report:', err.message);
-    console.error('Stack trace:', err.stack);
     res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
   }
 });
 
-// Delete report
-app.delete('/api/reports/:id', auth.requireAuth, async (req, res, next) => {
-  // Check permission before proceeding
-  await auth.canEditReport(req, res, next, pool);
-}, async (req, res) => {
-  const client = await pool.connect();
+// ============ REPORT TEMPLATE ROUTES ============
 
+// Report templates with their project names (authenticated users, who need
+// them to fill in reports)
+app.get('/api/report-templates', auth.authorize('reportTemplates', 'list'), async (req, res) => {
   try {
-    await client.query('BEGIN');
+    res.json(await listTemplates(pool));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Get screenshots to delete files
-    const screenshotsResult = await client.query(
-      'SELECT filepath FROM screenshots WHERE report_id = $1',
-      [req.params.id]
+// Create a template (admin only) for a project (project_id), an employee role
+// (role) or, with neither, the default template
+app.post('/api/report-templates', auth.authorize('reportTemplates', 'manage'), async (req, res) => {
+  const { error, values } = validateTemplate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO report_templates (name, role, project_id, fields)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [values.name, values.role, values.project_id, JSON.stringify(values.fields)]
     );
+    await recordAuditEvent(pool, req, {
+      action: 'report_template.create',
+      targetType: 'report_template',
+      targetId: result.rows[0].id,
+      payload: values
+    });
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: duplicateTemplateError(err) });
+    }
+    if (err.code === '23503') { // Foreign key violation
+      return res.status(400).json({ error: 'Project not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Delete screenshot files from Cloudinary or local storage
-    for (const screenshot of screenshotsResult.rows) {
-      try {
-        // Check if it's a Cloudinary URL
-        if (screenshot.filepath && (screenshot.filepath.startsWith('http://') || screenshot.filepath.startsWith('https://'))) {
-          // Delete from Cloudinary
-          const urlParts = screenshot.filepath.split('/');
-          const filenameWithExt = urlParts[urlParts.length - 1];
-          const filename = filenameWithExt.split('.')[0];
-          const public_id = `eod-monitoring/${filename}`;
-
-          await cloudinary.uploader.destroy(public_id);
-          console.log(`🗑️  Deleted from Cloudinary: ${public_id}`);
-        } else {
-          // Delete local file (for backwards compatibility)
-          const filePath = path.join(uploadsDir, screenshot.filepath);
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-            console.log(`🗑️  Deleted local file: ${screenshot.filepath}`);
-          }
-        }
-      } catch (err) {
-        console.error(`❌ Error deleting screenshot: ${screenshot.filepath}`, err.message);
-        // Continue deleting other files even if one fails
-      }
+// Update a template (admin only). Reports already filed keep their answers
+// with the labels they were given under.
+app.put('/api/report-templates/:id', auth.authorize('reportTemplates', 'manage'), async (req, res) => {
+  try {
+    const existing = await fetchTemplate(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Delete report (screenshots will be deleted via CASCADE)
-    const result = await client.query('DELETE FROM eod_reports WHERE id = $1', [req.params.id]);
+    const { error, values } = validateTemplate(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (result.rowCount === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Report not found' });
+    const result = await pool.query(
+      `UPDATE report_templates
+       SET name = $1, role = $2, project_id = $3, fields = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 RETURNING *`,
+      [values.name, values.role, values.project_id, JSON.stringify(values.fields), req.params.id]
+    );
+    await recordAuditEvent(pool, req, {
+      action: 'report_template.update',
+      targetType: 'report_template',
+      targetId: req.params.id,
+      payload: values
+    });
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: duplicateTemplateError(err) });
+    }
+    if (err.code === '23503') { // Foreign key violation
+      return res.status(400).json({ error: 'Project not found' });
     }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    await client.query('COMMIT');
-    res.json({ message: 'Report deleted successfully' });
+// Delete a template (admin only). Its reports keep their answers.
+app.delete('/api/report-templates/:id', auth.authorize('reportTemplates', 'manage'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM report_templates WHERE id = $1 RETURNING id, name', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await recordAuditEvent(pool, req, {
+      action: 'report_template.delete',
+      targetType: 'report_template',
+      targetId: req.params.id,
+      payload: { name: result.rows[0].name }
+    });
+    res.json({ message: 'Template deleted' });
   } catch (err) {
-    await client.query('ROLLBACK');
     res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
   }
 });
 
-// ============ STATISTICS ROUTES ============
+// ============ BLOCKER ROUTES ============
+
+// Blockers with their age in days, open ones first (authenticated users;
+// employees see the blockers they raised or own). Filters: employee_id (who
+// raised it), owner_id, project (name, repeatable), project_id and
+// status=open|resolved. The report form carries over
+// ?employee_id=<id>&status=open.
+app.get('/api/blockers', auth.authorize('blockers', 'list'), async (req, res) => {
+  const { employee_id, owner_id, project, project_id, status } = req.query;
+
+  try {
+    const blockers = await fetchBlockers(pool, {
+      scope: auth.employeeFilter(req.session.user),
+      employeeId: employee_id,
+      ownerId: owner_id,
+      projects: project ? [].concat(project) : null,
+      projectId: project_id,
+      status
+    });
+    res.json(blockers);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-app.get('/api/projects', auth.requireAuth, async (req, res) => {
+// Update a blocker, e.g. resolve or reassign it from the Blockers board.
+// Employees can change the blockers they raised or own.
+app.put('/api/blockers/:id', auth.authorize('blockers', 'update'), async (req, res) => {
   try {
-    let query = 'SELECT DISTINCT project FROM eod_reports WHERE project IS NOT NULL AND project != \'\'';
+    const existing = await fetchBlocker(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Blocker not found' });
+    }
 
-    // Employees only see their own projects
-    if (req.session.user.role === 'employee') {
-      query += ` AND employee_id = ${req.session.user.employee_id}`;
+    const user = req.session.user;
+    if (!auth.canAccessEmployee(user, existing.employee_id) &&
+        !(existing.owner_id && auth.canAccessEmployee(user, existing.owner_id))) {
+      return res.status(403).json({ error: 'You can only change blockers you raised or own' });
     }
 
-    query += ' ORDER BY project';
+    const { error, values } = validateBlocker(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const result = await pool.query(query);
-    const projects = result.rows.map(row => row.project);
-    res.json(projects);
+    const resolved = await resolveBlocker(pool, values, existing.project_id);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+
+    await updateBlocker(pool, req.params.id, resolved.blocker, user.id);
+    await recordAuditEvent(pool, req, {
+      action: existing.status !== values.status ? `blocker.${values.status === 'resolved' ? 'resolve' : 'reopen'}` : 'blocker.update',
+      targetType: 'blocker',
+      targetId: req.params.id,
+      payload: { description: values.description, owner_id: values.owner_id, status: values.status }
+    });
+    res.json(await fetchBlocker(pool, req.params.id));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/stats', auth.requireAuth, async (req, res) => {
+// ============ STATISTICS ROUTES ============
+
+app.get('/api/stats', auth.authorize('stats', 'read'), async (req, res) => {
   try {
-    const employeesResult = await pool.query('SELECT COUNT(*) as count FROM employees');
+    const employeesResult = await pool.query(
+      `SELECT COUNT(*) as count FROM employees WHERE deleted_at IS NULL AND status <> 'archived'`
+    );
 
-    let reportsQuery = 'SELECT COUNT(*) as count FROM eod_reports';
-    let hoursQuery = 'SELECT SUM(hours) as total FROM eod_reports';
-    let todayQuery = 'SELECT COUNT(*) as count FROM eod_reports WHERE date = CURRENT_DATE';
+    let reportsQuery = 'SELECT COUNT(*) as count FROM eod_reports WHERE deleted_at IS NULL';
+    let hoursQuery = 'SELECT SUM(hours) as total FROM eod_reports WHERE deleted_at IS NULL';
+    let todayQuery = 'SELECT COUNT(*) as count FROM eod_reports WHERE date = CURRENT_DATE AND deleted_at IS NULL';
+    const params = [];
 
     // Employees only see their own stats
-    if (req.session.user.role === 'employee') {
-      const employeeFilter = ` WHERE employee_id = ${req.session.user.employee_id}`;
-      reportsQuery += employeeFilter;
-      hoursQuery += employeeFilter;
-      todayQuery += ` AND employee_id = ${req.session.user.employee_id}`;
+    const employeeIds = auth.employeeFilter(req.session.user);
+    if (employeeIds) {
+      const employeeCondition = ' AND employee_id = ANY($1::int[])';
+      reportsQuery += employeeCondition;
+      hoursQuery += employeeCondition;
+      todayQuery += employeeCondition;
+      params.push(employeeIds);
     }
 
-    const reportsResult = await pool.query(reportsQuery);
-    const hoursResult = await pool.query(hoursQuery);
-    const todayResult = await pool.query(todayQuery);
+    const reportsResult = await pool.query(reportsQuery, params);
+    const hoursResult = await pool.query(hoursQuery, params);
+    const todayResult = await pool.query(todayQuery, params);
 
     res.json({
       totalEmployees: parseInt(employeesResult.rows[0].count),
@@ -964,7 +3359,7 @@ app.get('/api/stats', auth.requireAuth, async (req, res) => {
 // ============ GALLERY ROUTES ============
 
 // Get all screenshots with filters for gallery view (authenticated users)
-app.get('/api/gallery', auth.requireAuth, async (req, res) => {
+app.get('/api/gallery', auth.authorize('screenshots', 'list'), async (req, res) => {
   const { employee_id, start_date, end_date } = req.query;
 
   let query = `
@@ -973,24 +3368,21 @@ app.get('/api/gallery', auth.requireAuth, async (req, res) => {
       e.name as employee_name,
       e.email as employee_email,
       r.date as report_date,
-      r.project
+      ${REPORT_PROJECTS} as project
     FROM screenshots s
     JOIN eod_reports r ON s.report_id = r.id
     JOIN employees e ON r.employee_id = e.id
-    WHERE 1=1
+    WHERE s.deleted_at IS NULL AND r.deleted_at IS NULL
   `;
 
   const params = [];
   let paramCount = 1;
 
-  // Employees can only see their own gallery
-  if (req.session.user.role === 'employee') {
-    query += ` AND r.employee_id = $${paramCount++}`;
-    params.push(req.session.user.employee_id);
-  } else if (employee_id) {
-    // Admin and viewers can filter by employee
-    query += ` AND r.employee_id = $${paramCount++}`;
-    params.push(employee_id);
+  // Restrict to the employees this user may see (and the requested one, if any)
+  const employeeIds = auth.employeeFilter(req.session.user, employee_id);
+  if (employeeIds) {
+    query += ` AND r.employee_id = ANY($${paramCount++}::int[])`;
+    params.push(employeeIds);
   }
 
   if (start_date) {
@@ -1007,7 +3399,7 @@ app.get('/api/gallery', auth.requireAuth, async (req, res) => {
 
   try {
     const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await attachDuplicates(pool, result.rows));
   } catch (err) {
     console.error('Gallery fetch error:', err);
     res.status(500).json({ error: err.message });
@@ -1016,8 +3408,15 @@ app.get('/api/gallery', auth.requireAuth, async (req, res) => {
 
 // ============ EXPORT ROUTES ============
 
-app.get('/api/reports/export/csv', async (req, res) => {
-  const { employee_id, start_date, end_date, project } = req.query;
+// One row per report line item; a project filter keeps only that project's
+// line items. has_response and status filter like GET /api/reports.
+app.get('/api/reports/export/csv', auth.authorize('reports', 'export'), async (req, res) => {
+  const { employee_id, start_date, end_date, project, has_response, status } = req.query;
+
+  const statuses = [].concat(status || []);
+  if (statuses.some(value => !REPORT_STATUSES.includes(value))) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+  }
 
   let query = `
     SELECT
@@ -1025,20 +3424,26 @@ app.get('/api/reports/export/csv', async (req, res) => {
       e.name as employee_name,
       e.email as employee_email,
       e.role as employee_role,
-      r.hours,
-      r.project,
-      r.description
+      re.hours,
+      proj.name as project,
+      re.task,
+      re.note,
+      r.description,
+      r.responses,
+      r.status
     FROM eod_reports r
     JOIN employees e ON r.employee_id = e.id
-    WHERE 1=1
+    ${REPORT_ENTRIES_JOIN}
+    WHERE r.deleted_at IS NULL
   `;
 
   const params = [];
   let paramCount = 1;
 
-  if (employee_id) {
-    query += ` AND r.employee_id = $${paramCount++}`;
-    params.push(employee_id);
+  const employeeIds = auth.employeeFilter(req.session.user, employee_id);
+  if (employeeIds) {
+    query += ` AND r.employee_id = ANY($${paramCount++}::int[])`;
+    params.push(employeeIds);
   }
 
   if (start_date) {
@@ -1052,20 +3457,60 @@ app.get('/api/reports/export/csv', async (req, res) => {
   }
 
   if (project) {
-    query += ` AND r.project = $${paramCount++}`;
+    query += ` AND proj.name = $${paramCount++}`;
     params.push(project);
   }
 
-  query += ' ORDER BY r.date DESC';
+  for (const key of [].concat(has_response || [])) {
+    query += ` AND ${reportHasResponse(`$${paramCount++}`)}`;
+    params.push(key);
+  }
+
+  if (statuses.length > 0) {
+    query += ` AND r.status = ANY($${paramCount++})`;
+    params.push(statuses);
+  }
+
+  query += ' ORDER BY r.date DESC, r.id, re.position, re.id';
 
   try {
     const result = await pool.query(query, params);
+    const amendments = await fetchAmendmentsForPeriod(pool, { employeeIds, project, start_date, end_date });
 
-    let csv = 'Date,Employee Name,Email,Role,Hours,Project/App,Description\n';
+    let csv = 'Date,Employee Name,Email,Role,Hours,Project/App,Task,Note,Description,Sections,Status\n';
     result.rows.forEach(row => {
-      csv += `"${row.date}","${row.employee_name}","${row.employee_email}","${row.employee_role}",${row.hours},"${row.project || ''}","${row.description || ''}"\n`;
+      csv += [
+        csvValue(row.date),
+        csvValue(row.employee_name),
+        csvValue(row.employee_email),
+        csvValue(row.employee_role),
+        row.hours,
+        csvValue(row.project),
+        csvValue(row.task),
+        csvValue(row.note),
+        csvValue(row.description),
+        csvValue(describeResponses(row.responses)),
+        csvValue(row.status)
+      ].join(',') + '\n';
     });
 
+    // Corrections to closed pay periods are listed after the reports, not merged into them
+    if (amendments.length > 0) {
+      csv += '\nAmendments\n';
+      csv += 'Amended On,Report Date,Employee Name,Email,Hours Change,Project/App,Reason\n';
+      amendments.forEach(row => {
+        csv += [
+          csvValue(row.created_at),
+          csvValue(row.report_date),
+          csvValue(row.employee_name),
+          csvValue(row.employee_email),
+          row.hours_delta,
+          csvValue(row.project),
+          csvValue(row.reason)
+        ].join(',') + '\n';
+      });
+    }
+
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', 'attachment; filename=eod_reports.csv');
     res.send(csv);
@@ -1080,15 +3525,28 @@ app.get('/api/health', (req, res) => {
 });
 
 // Get missing EODs
-app.get('/api/missing-eods', async (req, res) => {
+app.get('/api/missing-eods', auth.authorize('analytics', 'missingEods'), async (req, res) => {
   const { date } = req.query;
   const targetDate = date || new Date().toISOString().split('T')[0];
 
   try {
-    const employeesResult = await pool.query('SELECT id, name, role FROM employees ORDER BY name');
+    // Only employees working on that day are expected to report; managers
+    // only hear about their teams
+    const employeeIds = auth.employeeFilter(req.session.user);
+    const employeesResult = await pool.query(
+      `SELECT id, name, role FROM employees
+       WHERE deleted_at IS NULL
+         AND status = 'active'
+         AND (start_date IS NULL OR start_date <= $1)
+         AND (end_date IS NULL OR end_date >= $1)
+         AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+       ORDER BY name`,
+      [targetDate, employeeIds]
+    );
     const reportsResult = await pool.query(
-      'SELECT DISTINCT employee_id FROM eod_reports WHERE date = $1',
-      [targetDate]
+      `SELECT DISTINCT employee_id FROM eod_reports
+       WHERE date = $1 AND deleted_at IS NULL AND ($2::int[] IS NULL OR employee_id = ANY($2::int[]))`,
+      [targetDate, employeeIds]
     );
 
     const reportedEmployeeIds = reportsResult.rows.map(r => r.employee_id);
@@ -1106,69 +3564,56 @@ app.get('/api/missing-eods', async (req, res) => {
   }
 });
 
-// Get cost calculation
-app.get('/api/costs', async (req, res) => {
-  const { employee_id, project, start_date, end_date } = req.query;
-
-  let query = `
-    SELECT
-      r.employee_id,
-      e.name as employee_name,
-      e.hourly_rate,
-      SUM(r.hours) as total_hours,
-      COUNT(r.id) as report_count,
-      (SUM(r.hours) * e.hourly_rate) as total_cost
-    FROM eod_reports r
-    JOIN employees e ON r.employee_id = e.id
-    WHERE 1=1
-  `;
-
-  const params = [];
-  let paramCount = 1;
-
-  if (employee_id) {
-    query += ` AND r.employee_id = $${paramCount++}`;
-    params.push(employee_id);
-  }
-
-  if (project) {
-    query += ` AND r.project = $${paramCount++}`;
-    params.push(project);
-  }
-
-  if (start_date) {
-    query += ` AND r.date >= $${paramCount++}`;
-    params.push(start_date);
-  }
+// Get cost calculation. Every report is priced at the employee's rate in
+// effect on its date; ?period=day|week|month|pay_period adds a breakdown per
+// period. employee_id and project may be repeated to cost several at once.
+app.get('/api/costs', auth.authorize('analytics', 'costs'), async (req, res) => {
+  const { employee_id, project, start_date, end_date, period } = req.query;
 
-  if (end_date) {
-    query += ` AND r.date <= $${paramCount++}`;
-    params.push(end_date);
+  if (period && !COST_PERIODS[period]) {
+    return res.status(400).json({ error: `period must be one of: ${Object.keys(COST_PERIODS).join(', ')}` });
   }
 
-  query += ' GROUP BY r.employee_id, e.name, e.hourly_rate ORDER BY total_cost DESC';
+  // Managers only cost their teams
+  const employeeIds = auth.employeeFilter(req.session.user, employee_id);
+  const options = { employeeIds, projects: project ? [].concat(project) : null, start_date, end_date };
 
   try {
-    const result = await pool.query(query, params);
-
-    const grand_total = result.rows.reduce((sum, row) => sum + (parseFloat(row.total_cost) || 0), 0);
-    const total_hours = result.rows.reduce((sum, row) => sum + (parseFloat(row.total_hours) || 0), 0);
-
-    res.json({
-      employees: result.rows,
+    const employees = await fetchCostsByEmployee(pool, options);
+    const amendments = await fetchAmendmentsForPeriod(pool, { employeeIds, project, start_date, end_date });
+
+    const grand_total = employees.reduce((sum, row) => sum + (parseFloat(row.total_cost) || 0), 0);
+    const total_hours = employees.reduce((sum, row) => sum + (parseFloat(row.total_hours) || 0), 0);
+    const amendment_cost = amendments.reduce((sum, row) => sum + (parseFloat(row.cost_delta) || 0), 0);
+    const amendment_hours = amendments.reduce((sum, row) => sum + (parseFloat(row.hours_delta) || 0), 0);
+    const currencies = [...new Set(employees.flatMap(row => row.currencies))];
+
+    const response = {
+      employees,
+      amendments,
       summary: {
         total_cost: grand_total,
         total_hours: total_hours,
-        average_rate: total_hours > 0 ? grand_total / total_hours : 0
+        average_rate: total_hours > 0 ? grand_total / total_hours : 0,
+        amendment_cost,
+        amendment_hours,
+        currencies
       }
-    });
+    };
+
+    if (period) {
+      response.period = period;
+      response.periods = await fetchCostsByPeriod(pool, options, period);
+    }
+
+    res.json(response);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Bulk delete reports
-app.post('/api/reports/bulk-delete', async (req, res) => {
+app.post('/api/reports/bulk-delete', auth.authorize('reports', 'bulkDelete'), async (req, res) => {
   const { report_ids } = req.body;
 
   if (!report_ids || !Array.isArray(report_ids) || report_ids.length === 0) {
@@ -1181,13 +3626,36 @@ app.post('/api/reports/bulk-delete', async (req, res) => {
     await client.query('BEGIN');
 
     const placeholders = report_ids.map((_, i) => `$${i + 1}`).join(',');
-    const result = await client.query(
-      `DELETE FROM eod_reports WHERE id IN (${placeholders})`,
+
+    // Every report must be deletable by this user, same as single deletes
+    const reportsResult = await client.query(
+      `SELECT id, employee_id, date, created_at FROM eod_reports WHERE id IN (${placeholders}) AND deleted_at IS NULL FOR UPDATE`,
       report_ids
     );
+    const lockRules = await loadLockRules(client);
+    const elevation = auth.getElevation(req.session);
+    for (const report of reportsResult.rows) {
+      const denied = auth.reportEditError(req.session.user, report, lockRules, elevation);
+      if (denied) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ ...denied, error: `Report ${report.id}: ${denied.error}` });
+      }
+    }
+
+    const before = await snapshotReports(client, reportsResult.rows.map(report => report.id));
+    const trashed = await trashReports(client, report_ids, req.session.user.id);
 
     await client.query('COMMIT');
-    res.json({ deleted: result.rowCount, report_ids });
+
+    await recordAuditEvent(pool, req, {
+      action: 'report.bulk_delete',
+      targetType: 'report',
+      payload: { report_ids, deleted: trashed.length }
+    });
+    await notifyReportUsers(req, trashed, { type: 'report_deleted', action: 'deleted' });
+    await publishChanges('report', before, () => snapshotReports(pool, trashed));
+
+    res.json({ deleted: trashed.length, report_ids });
   } catch (err) {
     await client.query('ROLLBACK');
     res.status(500).json({ error: err.message });
@@ -1196,22 +3664,78 @@ app.post('/api/reports/bulk-delete', async (req, res) => {
   }
 });
 
+// Bulk approve reports. Every report must be one the user may review, same as
+// single approvals.
+app.post('/api/reports/bulk-approve', auth.authorize('reports', 'review'), async (req, res) => {
+  const { report_ids, note } = req.body;
+
+  if (!report_ids || !Array.isArray(report_ids) || report_ids.length === 0) {
+    return res.status(400).json({ error: 'report_ids array is required' });
+  }
+
+  try {
+    const reportsResult = await pool.query(
+      'SELECT id, employee_id FROM eod_reports WHERE id = ANY($1::int[]) AND deleted_at IS NULL',
+      [report_ids]
+    );
+    for (const report of reportsResult.rows) {
+      const denied = reviewError(req.session.user, report);
+      if (denied) {
+        return res.status(403).json({ error: `Report ${report.id}: ${denied}` });
+      }
+    }
+
+    const before = await snapshotReports(pool, reportsResult.rows.map(report => report.id));
+    const approved = await reviewReports(pool, reportsResult.rows.map(report => report.id), {
+      status: 'approved',
+      note: note ? String(note).trim() : null,
+      userId: req.session.user.id
+    });
+
+    await recordAuditEvent(pool, req, {
+      action: 'report.bulk_approve',
+      targetType: 'report',
+      payload: { report_ids, approved: approved.length }
+    });
+    await notifyReportUsers(req, approved.map(report => report.id), { type: 'report_reviewed', action: 'approved' });
+    await publishChanges('report', before, () => snapshotReports(pool, approved.map(report => report.id)));
+
+    res.json({ approved: approved.length, report_ids });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get last report for employee (for quick entry templates)
-app.get('/api/employees/:id/last-report', async (req, res) => {
+app.get('/api/employees/:id/last-report', auth.authorize('employees', 'lastReport'), async (req, res) => {
+  if (!auth.canAccessEmployee(req.session.user, req.params.id)) {
+    return res.status(403).json({ error: 'You can only view your own reports' });
+  }
+
   try {
     const result = await pool.query(
-      `SELECT * FROM eod_reports
-       WHERE employee_id = $1
-       ORDER BY date DESC, created_at DESC
+      `SELECT r.*, ${REPORT_PROJECTS} as project
+       FROM eod_reports r
+       WHERE r.employee_id = $1 AND r.deleted_at IS NULL
+       ORDER BY r.date DESC, r.created_at DESC
        LIMIT 1`,
       [req.params.id]
     );
-    res.json(result.rows[0] || null);
+    const [report] = await attachEntries(pool, result.rows);
+    res.json(report || null);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Reject invalid uploads (wrong file type, too large, too many files) with a 400
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  next(err);
+});
+
 // Serve React build in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
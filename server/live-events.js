@@ -0,0 +1,130 @@
+// Live change events over Server-Sent Events, so open dashboards pick up
+// reports and employees changed by others. Routes publish a change as the
+// snapshots of the changed rows from before and after it; each stream gets
+// report.created/updated/deleted and employee.created/updated/deleted events
+// with { id, before, after }. Reports are scoped like GET /api/reports: a
+// report moved out of what a user may see is deleted for them.
+const policy = require('./policy');
+
+// Comment lines keep proxies from closing idle streams; each heartbeat also
+// ends streams whose session is gone and reloads the user's scope
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Reports as events describe them, those among reportIds not in the trash
+const snapshotReports = async (db, reportIds) => {
+  if (reportIds.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT id, employee_id, to_char(date, 'YYYY-MM-DD') as date, status
+     FROM eod_reports
+     WHERE id = ANY($1::int[]) AND deleted_at IS NULL`,
+    [reportIds]
+  );
+  return result.rows;
+};
+
+// Reports of an employee not in the trash, as events describe them
+const snapshotEmployeeReports = async (db, employeeId) => {
+  const result = await db.query(
+    'SELECT id FROM eod_reports WHERE employee_id = $1 AND deleted_at IS NULL',
+    [employeeId]
+  );
+  return snapshotReports(db, result.rows.map(row => row.id));
+};
+
+// Employees as GET /api/employees lists them, those among employeeIds not in
+// the trash
+const snapshotEmployees = async (db, employeeIds) => {
+  if (employeeIds.length === 0) return [];
+
+  const result = await db.query(
+    'SELECT * FROM employees WHERE id = ANY($1::int[]) AND deleted_at IS NULL',
+    [employeeIds]
+  );
+  return result.rows;
+};
+
+// loadScope(sessionUser) returns what policy.canAccessEmployee needs to know
+// about the user (role, employee_id and, for managers, team_employee_ids)
+const createLiveEvents = ({ loadScope }) => {
+  const streams = new Set();
+
+  const write = (stream, event, data) => {
+    stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stream events to an authenticated request until it disconnects
+  const subscribe = async (req, res) => {
+    const stream = { res, scope: await loadScope(req.session.user) };
+    if (req.socket.destroyed) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    streams.add(stream);
+
+    const heartbeat = setInterval(() => {
+      req.sessionStore.get(req.sessionID, async (err, session) => {
+        if (err || !streams.has(stream)) return;
+        if (!session || !session.user) {
+          streams.delete(stream);
+          res.end();
+          return;
+        }
+        try {
+          stream.scope = await loadScope(session.user);
+        } catch (scopeErr) {
+          console.error('❌ Error reloading live event scope:', scopeErr.message);
+        }
+        // The stream may have closed while the scope loaded
+        if (streams.has(stream)) {
+          res.write(': heartbeat\n\n');
+        }
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      streams.delete(stream);
+    });
+  };
+
+  // Publish the changes of one type ('report' or 'employee') between the
+  // before and after snapshots of the changed rows
+  const publish = (type, before, after) => {
+    const ids = [...new Set([...before, ...after].map(row => row.id))];
+    const changes = ids.map(id => ({
+      id,
+      before: before.find(row => row.id === id) || null,
+      after: after.find(row => row.id === id) || null
+    }));
+
+    for (const stream of streams) {
+      const visible = (row) => row && (type !== 'report' || policy.canAccessEmployee(stream.scope, row.employee_id))
+        ? row
+        : null;
+
+      for (const change of changes) {
+        const was = visible(change.before);
+        const is = visible(change.after);
+        if (!was && !is) continue;
+
+        const action = !was ? 'created' : !is ? 'deleted' : 'updated';
+        write(stream, `${type}.${action}`, { id: change.id, before: was, after: is });
+      }
+    }
+  };
+
+  return { subscribe, publish };
+};
+
+module.exports = {
+  snapshotReports,
+  snapshotEmployeeReports,
+  snapshotEmployees,
+  createLiveEvents
+};
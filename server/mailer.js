@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email. With SMTP_HOST set mail goes out over SMTP; otherwise it is
+// only logged, so development and deployments without a mail server still
+// work. Both expose send({ to, subject, text }).
+const createMailer = (env = process.env) => {
+  if (!env.SMTP_HOST) {
+    return {
+      send: async ({ to, subject }) => {
+        console.log(`📧 Email to ${to} not sent (SMTP_HOST not set): ${subject}`);
+      }
+    };
+  }
+
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+  });
+  const from = env.SMTP_FROM || env.SMTP_USER;
+
+  return {
+    send: ({ to, subject, text }) => transport.sendMail({ from, to, subject, text })
+  };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Application-wide key for pg_advisory_lock so two instances starting at the
+// same time never run migrations concurrently
+const MIGRATION_LOCK_KEY = 4242001;
+
+// Load migration files named like 001_initial_schema.js, ordered by version
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return { version: parseInt(version), name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const migrationLabel = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+};
+
+// Run fn with a dedicated client holding the migration advisory lock
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Each migration runs in its own transaction together with its bookkeeping row
+const runMigration = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migrationLabel(migration)} (${direction}) failed: ${err.message}`);
+  }
+};
+
+// Apply all pending migrations, returns the list of applied migrations
+const migrateUp = async (pool) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.includes(m.version));
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+      console.log(`⬆️  Applied migration ${migrationLabel(migration)}`);
+    }
+
+    return pending;
+  });
+};
+
+// Roll back the most recent `steps` applied migrations
+const migrateDown = async (pool, steps = 1) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const version of toRevert) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+      await runMigration(client, migration, 'down');
+      console.log(`⬇️  Reverted migration ${migrationLabel(migration)}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+// List every known migration with its applied timestamp (null if pending)
+const migrationStatus = async (pool) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = {};
+    result.rows.forEach(row => {
+      appliedAt[row.version] = row.applied_at;
+    });
+
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: appliedAt[m.version] || null
+    }));
+  });
+};
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
+
+// CLI: node server/migrate.js up | down [steps] | status
+if (require.main === module) {
+  require('dotenv').config();
+  const { pool } = require('./db-postgres');
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) applied` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(arg) || 1;
+      const reverted = await migrateDown(pool, steps);
+      console.log(`✅ ${reverted.length} migration(s) reverted`);
+    } else if (command === 'status') {
+      const status = await migrationStatus(pool);
+      status.forEach(m => {
+        const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        console.log(`${migrationLabel(m)}  ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error('❌ Migration error:', err.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,88 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before the
+// migration runner existed are adopted without changes.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employees (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      role VARCHAR(255) NOT NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS eod_reports (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER NOT NULL,
+      date DATE NOT NULL,
+      hours DECIMAL(10, 2) NOT NULL,
+      project VARCHAR(255),
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS screenshots (
+      id SERIAL PRIMARY KEY,
+      report_id INTEGER NOT NULL,
+      filepath VARCHAR(500) NOT NULL,
+      filename VARCHAR(255) NOT NULL,
+      caption TEXT,
+      uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES eod_reports(id) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER,
+      username VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'employee', 'viewer')),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Session table for express-session (connect-pg-simple)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session (
+      sid VARCHAR NOT NULL PRIMARY KEY,
+      sess JSON NOT NULL,
+      expire TIMESTAMP(6) NOT NULL
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS IDX_session_expire ON session (expire)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS viewer_access (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_by INTEGER NOT NULL,
+      notes TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS viewer_access');
+  await client.query('DROP TABLE IF EXISTS session');
+  await client.query('DROP TABLE IF EXISTS users');
+  await client.query('DROP TABLE IF EXISTS screenshots');
+  await client.query('DROP TABLE IF EXISTS eod_reports');
+  await client.query('DROP TABLE IF EXISTS employees');
+};
+
+module.exports = { up, down };
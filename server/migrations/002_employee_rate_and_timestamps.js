@@ -0,0 +1,21 @@
+// hourly_rate is used by POST/PUT /api/employees and GET /api/costs but was
+// never part of the original CREATE TABLE
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE employees
+      ADD COLUMN IF NOT EXISTS hourly_rate DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query('UPDATE employees SET hourly_rate = 0 WHERE hourly_rate IS NULL');
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE employees
+      DROP COLUMN IF EXISTS hourly_rate,
+      DROP COLUMN IF EXISTS created_at
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+const { keyFromCloudinaryUrl } = require('../storage/cloudinary');
+const { mimeTypeFor } = require('../storage');
+
+// Record where each screenshot lives instead of parsing it back out of the URL
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE screenshots
+      ADD COLUMN IF NOT EXISTS storage_provider VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS storage_key TEXT,
+      ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS size_bytes INTEGER,
+      ADD COLUMN IF NOT EXISTS width INTEGER,
+      ADD COLUMN IF NOT EXISTS height INTEGER,
+      ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)
+  `);
+
+  // Backfill what can be derived from the stored path alone. Other URLs (S3) and
+  // file size/dimensions/checksum are filled by `npm run screenshots:backfill`.
+  const result = await client.query(
+    'SELECT id, filename, filepath FROM screenshots WHERE storage_key IS NULL'
+  );
+
+  for (const row of result.rows) {
+    let provider = null;
+    let key = null;
+
+    if (/^https?:\/\//.test(row.filepath)) {
+      key = keyFromCloudinaryUrl(row.filepath);
+      if (key) provider = 'cloudinary';
+    } else if (row.filepath) {
+      provider = 'local';
+      key = row.filepath.replace(/^\/uploads\//, '');
+    }
+
+    await client.query(
+      'UPDATE screenshots SET storage_provider = $1, storage_key = $2, mime_type = $3 WHERE id = $4',
+      [provider, key, mimeTypeFor(row.filename) || mimeTypeFor(row.filepath), row.id]
+    );
+  }
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE screenshots
+      DROP COLUMN IF EXISTS storage_provider,
+      DROP COLUMN IF EXISTS storage_key,
+      DROP COLUMN IF EXISTS mime_type,
+      DROP COLUMN IF EXISTS size_bytes,
+      DROP COLUMN IF EXISTS width,
+      DROP COLUMN IF EXISTS height,
+      DROP COLUMN IF EXISTS checksum
+  `);
+};
+
+module.exports = { up, down };
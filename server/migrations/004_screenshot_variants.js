@@ -0,0 +1,23 @@
+// Thumbnail and preview copies generated at upload time (see server/storage/variants.js).
+// Existing screenshots are filled by `npm run screenshots:thumbnails`.
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE screenshots
+      ADD COLUMN IF NOT EXISTS thumbnail_key TEXT,
+      ADD COLUMN IF NOT EXISTS thumbnail_url TEXT,
+      ADD COLUMN IF NOT EXISTS preview_key TEXT,
+      ADD COLUMN IF NOT EXISTS preview_url TEXT
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE screenshots
+      DROP COLUMN IF EXISTS thumbnail_key,
+      DROP COLUMN IF EXISTS thumbnail_url,
+      DROP COLUMN IF EXISTS preview_key,
+      DROP COLUMN IF EXISTS preview_url
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Perceptual hash used to flag screenshots reused across an employee's reports.
+// Existing screenshots are filled by `npm run screenshots:backfill`.
+const up = async (client) => {
+  await client.query('ALTER TABLE screenshots ADD COLUMN IF NOT EXISTS phash VARCHAR(16)');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE screenshots DROP COLUMN IF EXISTS phash');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Admin-configurable rules for when a report stops being editable without
+// elevated access. Seeded with the 3-day window that used to be hard-coded.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_lock_policies (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('rolling_days', 'weekly_cutoff', 'period_close')),
+      days INTEGER,
+      cutoff_weekday SMALLINT CHECK (cutoff_weekday BETWEEN 0 AND 6),
+      cutoff_time TIME,
+      closed_through DATE,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const existing = await client.query('SELECT COUNT(*) FROM report_lock_policies');
+  if (parseInt(existing.rows[0].count) === 0) {
+    await client.query(
+      `INSERT INTO report_lock_policies (name, type, days) VALUES ('3 days after submission', 'rolling_days', 3)`
+    );
+  }
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS report_lock_policies');
+};
+
+module.exports = { up, down };
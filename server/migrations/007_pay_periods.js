@@ -0,0 +1,38 @@
+// Pay periods are closed once their hours are sent to payroll. Reports dated
+// inside a closed period are frozen for every role; corrections are recorded
+// as amendments that reference the original report.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pay_periods (
+      id SERIAL PRIMARY KEY,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+      closed_at TIMESTAMP,
+      closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (end_date >= start_date)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_amendments (
+      id SERIAL PRIMARY KEY,
+      report_id INTEGER NOT NULL REFERENCES eod_reports(id) ON DELETE CASCADE,
+      pay_period_id INTEGER REFERENCES pay_periods(id) ON DELETE SET NULL,
+      hours_delta DECIMAL(10, 2) NOT NULL,
+      reason TEXT NOT NULL,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_amendments_report_id ON report_amendments(report_id)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS report_amendments');
+  await client.query('DROP TABLE IF EXISTS pay_periods');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// One row per report update, recording what changed and who changed it
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_revisions (
+      id SERIAL PRIMARY KEY,
+      report_id INTEGER NOT NULL REFERENCES eod_reports(id) ON DELETE CASCADE,
+      changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      changes JSONB NOT NULL
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_revisions_report_id ON report_revisions(report_id)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS report_revisions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+// Append-only log of administrative and security events. actor_id is not a
+// foreign key so deleting a user never rewrites their history; a trigger
+// rejects UPDATE and DELETE.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id BIGSERIAL PRIMARY KEY,
+      occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      actor_id INTEGER,
+      actor_username VARCHAR(255),
+      action VARCHAR(100) NOT NULL,
+      target_type VARCHAR(50),
+      target_id VARCHAR(100),
+      ip VARCHAR(64),
+      user_agent TEXT,
+      payload JSONB NOT NULL DEFAULT '{}'
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_occurred_at ON audit_events(occurred_at)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action)');
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await client.query('DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events');
+  await client.query(`
+    CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE PROCEDURE audit_events_append_only()
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS audit_events');
+  await client.query('DROP FUNCTION IF EXISTS audit_events_append_only()');
+};
+
+module.exports = { up, down };
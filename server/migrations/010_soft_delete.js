@@ -0,0 +1,34 @@
+// Soft deletion: deleted employees, reports and screenshots keep their rows
+// (deleted_at/deleted_by) until they are purged from the trash. Email only has
+// to be unique among employees that aren't in the trash.
+const TABLES = ['employees', 'eod_reports', 'screenshots'];
+
+const up = async (client) => {
+  for (const table of TABLES) {
+    await client.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table}(deleted_at) WHERE deleted_at IS NOT NULL`);
+  }
+
+  await client.query('ALTER TABLE employees DROP CONSTRAINT IF EXISTS employees_email_key');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_employees_email_active ON employees(email) WHERE deleted_at IS NULL');
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_employees_email_active');
+  // Trashed rows would otherwise reappear as if they were never deleted
+  await client.query('DELETE FROM employees WHERE deleted_at IS NOT NULL');
+  await client.query('DELETE FROM eod_reports WHERE deleted_at IS NOT NULL');
+  await client.query('DELETE FROM screenshots WHERE deleted_at IS NOT NULL');
+  await client.query('ALTER TABLE employees ADD CONSTRAINT employees_email_key UNIQUE (email)');
+
+  for (const table of TABLES) {
+    await client.query(`DROP INDEX IF EXISTS idx_${table}_deleted_at`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at, DROP COLUMN IF EXISTS deleted_by`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Employment status: employees who are on leave or have left (archived) keep
+// their reports and costs but are no longer expected to submit EODs
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE employees
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'on_leave', 'archived')),
+      ADD COLUMN IF NOT EXISTS start_date DATE,
+      ADD COLUMN IF NOT EXISTS end_date DATE
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_employees_status ON employees(status)');
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_employees_status');
+  await client.query(`
+    ALTER TABLE employees
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS start_date,
+      DROP COLUMN IF EXISTS end_date
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Hourly rate history: each rate applies from its effective_from date until the
+// next one, so a raise doesn't reprice earlier reports. employees.hourly_rate
+// is kept as the rate in effect today.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employee_rates (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      hourly_rate DECIMAL(10, 2) NOT NULL CHECK (hourly_rate >= 0),
+      currency VARCHAR(3),
+      effective_from DATE NOT NULL,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (employee_id, effective_from)
+    )
+  `);
+
+  // Existing rates become the first entry of each history, effective early
+  // enough to cover every report already filed
+  await client.query(`
+    INSERT INTO employee_rates (employee_id, hourly_rate, effective_from)
+    SELECT e.id, COALESCE(e.hourly_rate, 0),
+      LEAST(
+        COALESCE(e.created_at::date, CURRENT_DATE),
+        COALESCE((SELECT MIN(r.date) FROM eod_reports r WHERE r.employee_id = e.id), CURRENT_DATE)
+      )
+    FROM employees e
+    WHERE NOT EXISTS (SELECT 1 FROM employee_rates er WHERE er.employee_id = e.id)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS employee_rates');
+};
+
+module.exports = { up, down };
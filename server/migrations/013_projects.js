@@ -0,0 +1,69 @@
+// Projects and clients become tables. Reports reference a project by id
+// instead of repeating its name, so projects can be renamed and duplicates
+// merged. Existing names are folded case-insensitively (ignoring surrounding
+// spaces) into one project named after the most used spelling.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS clients (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_name ON clients(LOWER(name))');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      code VARCHAR(20),
+      client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+      color VARCHAR(7),
+      billable BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_name ON projects(LOWER(name))');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_code ON projects(LOWER(code)) WHERE code IS NOT NULL');
+
+  await client.query('ALTER TABLE eod_reports ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_eod_reports_project_id ON eod_reports(project_id)');
+
+  await client.query(`
+    INSERT INTO projects (name)
+    SELECT DISTINCT ON (LOWER(name)) name
+    FROM (
+      SELECT TRIM(project) as name, COUNT(*) as uses
+      FROM eod_reports
+      WHERE TRIM(COALESCE(project, '')) <> ''
+      GROUP BY TRIM(project)
+    ) names
+    ORDER BY LOWER(name), uses DESC, name
+    ON CONFLICT DO NOTHING
+  `);
+
+  await client.query(`
+    UPDATE eod_reports r SET project_id = p.id
+    FROM projects p
+    WHERE LOWER(TRIM(r.project)) = LOWER(p.name)
+  `);
+
+  await client.query('ALTER TABLE eod_reports DROP COLUMN IF EXISTS project');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE eod_reports ADD COLUMN IF NOT EXISTS project VARCHAR(255)');
+  await client.query(`
+    UPDATE eod_reports r SET project = p.name
+    FROM projects p
+    WHERE r.project_id = p.id
+  `);
+  await client.query('DROP INDEX IF EXISTS idx_eod_reports_project_id');
+  await client.query('ALTER TABLE eod_reports DROP COLUMN IF EXISTS project_id');
+  await client.query('DROP TABLE IF EXISTS projects');
+  await client.query('DROP TABLE IF EXISTS clients');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// Project budgets: an hour and/or money budget per project, either for the
+// project's whole life or renewed every month. Budget alerts record the first
+// time a project's usage reaches 80% or 100% of a budget (per month for
+// monthly budgets), so each crossing is reported once.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS project_budgets (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+      budget_hours DECIMAL(10, 2) CHECK (budget_hours > 0),
+      budget_amount DECIMAL(12, 2) CHECK (budget_amount > 0),
+      period VARCHAR(10) NOT NULL DEFAULT 'total' CHECK (period IN ('total', 'monthly')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (budget_hours IS NOT NULL OR budget_amount IS NOT NULL)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS budget_alerts (
+      id SERIAL PRIMARY KEY,
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      metric VARCHAR(10) NOT NULL CHECK (metric IN ('hours', 'amount')),
+      threshold INTEGER NOT NULL,
+      period_start DATE,
+      triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // period_start is the month of a monthly budget and NULL for a total one
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_alerts_crossing
+    ON budget_alerts(project_id, metric, threshold, COALESCE(period_start, DATE '0001-01-01'))
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS budget_alerts');
+  await client.query('DROP TABLE IF EXISTS project_budgets');
+};
+
+module.exports = { up, down };
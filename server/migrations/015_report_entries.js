@@ -0,0 +1,47 @@
+// Report line items: a report can split its hours across projects and tasks.
+// eod_reports.hours stays as the report's total (the sum of its line items)
+// and the report-level project moves to the line items, so every existing
+// report becomes a report with a single line item.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_entries (
+      id SERIAL PRIMARY KEY,
+      report_id INTEGER NOT NULL REFERENCES eod_reports(id) ON DELETE CASCADE,
+      project_id INTEGER REFERENCES projects(id),
+      task VARCHAR(255),
+      hours DECIMAL(10, 2) NOT NULL CHECK (hours >= 0),
+      note TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_entries_report_id ON report_entries(report_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_entries_project_id ON report_entries(project_id)');
+
+  await client.query(`
+    INSERT INTO report_entries (report_id, project_id, hours, position)
+    SELECT r.id, r.project_id, r.hours, 0
+    FROM eod_reports r
+    WHERE NOT EXISTS (SELECT 1 FROM report_entries re WHERE re.report_id = r.id)
+  `);
+
+  await client.query('DROP INDEX IF EXISTS idx_eod_reports_project_id');
+  await client.query('ALTER TABLE eod_reports DROP COLUMN IF EXISTS project_id');
+};
+
+// Reports keep the project of their first line item
+const down = async (client) => {
+  await client.query('ALTER TABLE eod_reports ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id)');
+  await client.query(`
+    UPDATE eod_reports r SET project_id = (
+      SELECT re.project_id FROM report_entries re
+      WHERE re.report_id = r.id
+      ORDER BY re.position, re.id
+      LIMIT 1
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_eod_reports_project_id ON eod_reports(project_id)');
+  await client.query('DROP TABLE IF EXISTS report_entries');
+};
+
+module.exports = { up, down };
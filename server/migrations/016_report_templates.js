@@ -0,0 +1,52 @@
+// Structured EOD templates. A template is a list of fields (text, number,
+// checkbox or select, each required or optional) that applies to reports of
+// one project, of one employee role, or to every report (the default). A
+// report keeps the template it was filed with and its answers in responses:
+// [{ key, label, type, value }], so later template edits don't change it.
+// The default template's fields start out optional, so existing clients keep
+// working until an admin makes some required.
+const DEFAULT_FIELDS = [
+  { key: 'completed', label: 'Completed', type: 'text', required: false },
+  { key: 'in_progress', label: 'In Progress', type: 'text', required: false },
+  { key: 'blockers', label: 'Blockers', type: 'text', required: false },
+  { key: 'tomorrow', label: 'Plan for Tomorrow', type: 'text', required: false }
+];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_templates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      role VARCHAR(255),
+      project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+      fields JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (role IS NULL OR project_id IS NULL)
+    )
+  `);
+  // At most one template per project, per role and one default
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_report_templates_project ON report_templates(project_id) WHERE project_id IS NOT NULL');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_report_templates_role ON report_templates(LOWER(role)) WHERE role IS NOT NULL');
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_report_templates_default ON report_templates((TRUE))
+    WHERE role IS NULL AND project_id IS NULL
+  `);
+
+  await client.query('ALTER TABLE eod_reports ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES report_templates(id) ON DELETE SET NULL');
+  await client.query('ALTER TABLE eod_reports ADD COLUMN IF NOT EXISTS responses JSONB');
+
+  await client.query(`
+    INSERT INTO report_templates (name, fields)
+    SELECT 'Daily Update', $1::jsonb
+    WHERE NOT EXISTS (SELECT 1 FROM report_templates WHERE role IS NULL AND project_id IS NULL)
+  `, [JSON.stringify(DEFAULT_FIELDS)]);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE eod_reports DROP COLUMN IF EXISTS responses');
+  await client.query('ALTER TABLE eod_reports DROP COLUMN IF EXISTS template_id');
+  await client.query('DROP TABLE IF EXISTS report_templates');
+};
+
+module.exports = { up, down };
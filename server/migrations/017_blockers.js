@@ -0,0 +1,39 @@
+// Blockers as tracked items instead of sentences in report descriptions. A
+// blocker is raised by an employee in a report, has an owner (the employee
+// expected to unblock it) and stays open, carried over to the employee's
+// following reports, until resolved. report_blockers links a blocker to every
+// report that listed it.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blockers (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      report_id INTEGER REFERENCES eod_reports(id) ON DELETE SET NULL,
+      project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+      owner_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+      description TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP,
+      resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_blockers_employee_status ON blockers(employee_id, status)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_blockers_owner_id ON blockers(owner_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_blockers (
+      report_id INTEGER NOT NULL REFERENCES eod_reports(id) ON DELETE CASCADE,
+      blocker_id INTEGER NOT NULL REFERENCES blockers(id) ON DELETE CASCADE,
+      PRIMARY KEY (report_id, blocker_id)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_blockers_blocker_id ON report_blockers(blocker_id)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS report_blockers');
+  await client.query('DROP TABLE IF EXISTS blockers');
+};
+
+module.exports = { up, down };
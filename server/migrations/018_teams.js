@@ -0,0 +1,47 @@
+// Teams and the manager role. A team has a lead (a user with the manager
+// role) and member employees; a manager sees, comments on and approves the
+// reports of the employees in the teams they lead, instead of everyone's
+// (admin) or only their own (employee).
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      lead_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_name ON teams(LOWER(name))');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_teams_lead_user_id ON teams(lead_user_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      PRIMARY KEY (team_id, employee_id)
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_team_members_employee_id ON team_members(employee_id)');
+
+  await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+  await client.query(`
+    ALTER TABLE users ADD CONSTRAINT users_role_check
+      CHECK (role IN ('admin', 'manager', 'employee', 'viewer'))
+  `);
+};
+
+const down = async (client) => {
+  // Managers go back to being employees, who at least see their own reports
+  await client.query(`UPDATE users SET role = 'employee' WHERE role = 'manager'`);
+  await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+  await client.query(`
+    ALTER TABLE users ADD CONSTRAINT users_role_check
+      CHECK (role IN ('admin', 'employee', 'viewer'))
+  `);
+
+  await client.query('DROP TABLE IF EXISTS team_members');
+  await client.query('DROP TABLE IF EXISTS teams');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// Report approval. A report starts out submitted; an admin, or the manager of
+// the employee's team, approves it or requests changes with a note. Editing
+// the report puts it back to submitted. reviewed_by, reviewed_at and
+// review_note describe the last review.
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE eod_reports
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'submitted'
+        CHECK (status IN ('submitted', 'approved', 'changes_requested')),
+      ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS review_note TEXT
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_eod_reports_status ON eod_reports(status)');
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_eod_reports_status');
+  await client.query(`
+    ALTER TABLE eod_reports
+      DROP COLUMN IF EXISTS review_note,
+      DROP COLUMN IF EXISTS reviewed_at,
+      DROP COLUMN IF EXISTS reviewed_by,
+      DROP COLUMN IF EXISTS status
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// Comments on reports. A comment either starts a thread (parent_id NULL) or
+// replies to one. report_comment_mentions records the users a comment
+// @mentions, who are emailed about it. A comment deleted while it has
+// replies keeps its row, with deleted_at set, so the thread stays readable.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_comments (
+      id SERIAL PRIMARY KEY,
+      report_id INTEGER NOT NULL REFERENCES eod_reports(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES report_comments(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP,
+      deleted_at TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_comments_report_id ON report_comments(report_id, created_at)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_report_comments_parent_id ON report_comments(parent_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS report_comment_mentions (
+      comment_id INTEGER NOT NULL REFERENCES report_comments(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      PRIMARY KEY (comment_id, user_id)
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS report_comment_mentions');
+  await client.query('DROP TABLE IF EXISTS report_comments');
+};
+
+module.exports = { up, down };
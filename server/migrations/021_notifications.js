@@ -0,0 +1,29 @@
+// In-app notifications for a user: their report was edited, reviewed or
+// deleted by someone else, they were @mentioned, yesterday's EOD is missing,
+// or their viewer access expires tomorrow. Scheduled notifications carry a
+// dedupe_key so the periodic check creates each one only once per user.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      message TEXT NOT NULL,
+      report_id INTEGER REFERENCES eod_reports(id) ON DELETE SET NULL,
+      dedupe_key VARCHAR(100),
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC)');
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe_key
+    ON notifications(user_id, dedupe_key) WHERE dedupe_key IS NOT NULL
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS notifications');
+};
+
+module.exports = { up, down };
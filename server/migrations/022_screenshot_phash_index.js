@@ -0,0 +1,18 @@
+// Indexes for the near-duplicate screenshot lookup. The Hamming distance
+// between two phashes can't use an index, so these narrow the comparison to
+// the hashed screenshots of the employee's other reports: their reports by
+// employee, then their screenshots with the phash read from the index.
+const up = async (client) => {
+  await client.query('CREATE INDEX IF NOT EXISTS idx_eod_reports_employee_id ON eod_reports(employee_id, date)');
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_screenshots_report_id_phash
+    ON screenshots(report_id, phash) WHERE phash IS NOT NULL AND deleted_at IS NULL
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_screenshots_report_id_phash');
+  await client.query('DROP INDEX IF EXISTS idx_eod_reports_employee_id');
+};
+
+module.exports = { up, down };
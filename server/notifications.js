@@ -0,0 +1,141 @@
+// In-app notifications. Routes notify users when someone else edits,
+// reviews or deletes their report or @mentions them; a periodic check
+// reminds employees of yesterday's missing EOD and viewers (and the admin who
+// granted them access) of access expiring tomorrow.
+const policy = require('./policy');
+
+// Notify users. With a dedupeKey a user already holding a notification with
+// that key isn't notified again. Returns how many notifications were created.
+const notifyUsers = async (db, userIds, { type, message, reportId = null, dedupeKey = null }) => {
+  if (userIds.length === 0) return 0;
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, message, report_id, dedupe_key)
+     SELECT unnest($1::int[]), $2, $3, $4, $5
+     ON CONFLICT (user_id, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING`,
+    [userIds, type, message, reportId, dedupeKey]
+  );
+  return result.rowCount;
+};
+
+// Notify the users linked to the employees of reports about something
+// actorId did to them; the actor isn't notified about their own reports.
+// message builds the text from the report's id and date.
+const notifyReportOwners = async (db, reportIds, actorId, { type, message }) => {
+  const result = await db.query(
+    `SELECT r.id, to_char(r.date, 'YYYY-MM-DD') as date, array_agg(u.id) as user_ids
+     FROM eod_reports r
+     JOIN users u ON u.employee_id = r.employee_id AND u.is_active = TRUE AND u.id <> $2
+     WHERE r.id = ANY($1::int[])
+     GROUP BY r.id, r.date`,
+    [reportIds, actorId]
+  );
+
+  for (const report of result.rows) {
+    await notifyUsers(db, report.user_ids, { type, message: message(report), reportId: report.id });
+  }
+};
+
+// A user's notifications, newest first, with their unread count
+const listNotifications = async (db, userId, { unreadOnly = false, limit = 50 } = {}) => {
+  const result = await db.query(
+    `SELECT id, type, message, report_id, read_at, created_at
+     FROM notifications
+     WHERE user_id = $1 AND ($2::boolean = FALSE OR read_at IS NULL)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3`,
+    [userId, unreadOnly, limit]
+  );
+  const unread = await db.query(
+    'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+
+  return { notifications: result.rows, unread_count: parseInt(unread.rows[0].count) };
+};
+
+// Mark one of a user's notifications read. Returns it, or null if the user
+// has no such notification.
+const markRead = async (db, userId, id) => {
+  const result = await db.query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND user_id = $2
+     RETURNING id, type, message, report_id, read_at, created_at`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Mark all of a user's notifications read. Returns how many were unread.
+const markAllRead = async (db, userId) => {
+  const result = await db.query(
+    'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+};
+
+// Remind the users of employees who were expected to report yesterday (same
+// rules as GET /api/missing-eods) but didn't. Returns how many were notified.
+const notifyMissingEods = async (db) => {
+  const result = await db.query(
+    `SELECT u.id as user_id, to_char(CURRENT_DATE - 1, 'YYYY-MM-DD') as date
+     FROM employees e
+     JOIN users u ON u.employee_id = e.id AND u.is_active = TRUE AND u.role = ANY($1)
+     WHERE e.deleted_at IS NULL
+       AND e.status = 'active'
+       AND (e.start_date IS NULL OR e.start_date <= CURRENT_DATE - 1)
+       AND (e.end_date IS NULL OR e.end_date >= CURRENT_DATE - 1)
+       AND NOT EXISTS (
+         SELECT 1 FROM eod_reports r
+         WHERE r.employee_id = e.id AND r.date = CURRENT_DATE - 1 AND r.deleted_at IS NULL
+       )`,
+    [policy.POLICIES.reports.create]
+  );
+
+  if (result.rows.length === 0) return 0;
+
+  const { date } = result.rows[0];
+  return notifyUsers(db, result.rows.map(row => row.user_id), {
+    type: 'missing_eod',
+    message: `You haven't submitted your EOD report for ${date}`,
+    dedupeKey: `missing_eod:${date}`
+  });
+};
+
+// Warn viewers whose access expires tomorrow, and the admins who granted it.
+// Returns how many were notified.
+const notifyExpiringViewerAccess = async (db) => {
+  const result = await db.query(
+    `SELECT va.id, va.user_id, va.created_by, u.username, to_char(va.expires_at, 'YYYY-MM-DD HH24:MI') as expires_at
+     FROM viewer_access va
+     JOIN users u ON va.user_id = u.id AND u.is_active = TRUE
+     WHERE va.revoked_at IS NULL AND va.expires_at::date = CURRENT_DATE + 1`
+  );
+
+  let notified = 0;
+  for (const access of result.rows) {
+    const dedupeKey = `viewer_access_expiring:${access.id}`;
+    notified += await notifyUsers(db, [access.user_id], {
+      type: 'viewer_access_expiring',
+      message: `Your viewer access expires tomorrow (${access.expires_at})`,
+      dedupeKey
+    });
+    notified += await notifyUsers(db, [access.created_by], {
+      type: 'viewer_access_expiring',
+      message: `Viewer access for ${access.username} expires tomorrow (${access.expires_at})`,
+      dedupeKey
+    });
+  }
+  return notified;
+};
+
+module.exports = {
+  notifyUsers,
+  notifyReportOwners,
+  listNotifications,
+  markRead,
+  markAllRead,
+  notifyMissingEods,
+  notifyExpiringViewerAccess
+};
@@ -0,0 +1,179 @@
+// Central authorization policy: which roles may perform each action on each
+// resource, and which employees' data a user may see. Every API route goes
+// through authorize() and, where it returns employee data, employeeFilter().
+
+const ALL_ROLES = ['admin', 'manager', 'employee', 'viewer'];
+
+const POLICIES = {
+  users: {
+    manage: ['admin']
+  },
+  viewerAccess: {
+    manage: ['admin']
+  },
+  storage: {
+    manage: ['admin']
+  },
+  reportLocks: {
+    manage: ['admin']
+  },
+  payPeriods: {
+    manage: ['admin']
+  },
+  audit: {
+    read: ['admin']
+  },
+  trash: {
+    manage: ['admin']
+  },
+  teams: {
+    list: ['admin', 'manager'],
+    manage: ['admin']
+  },
+  employees: {
+    list: ALL_ROLES,
+    read: ALL_ROLES,
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin'],
+    lastReport: ['admin', 'employee']
+  },
+  rates: {
+    list: ['admin', 'viewer'],
+    manage: ['admin']
+  },
+  reports: {
+    list: ALL_ROLES,
+    read: ALL_ROLES,
+    create: ['admin', 'employee'],
+    update: ['admin', 'employee'],
+    delete: ['admin', 'employee'],
+    bulkDelete: ['admin', 'employee'],
+    export: ALL_ROLES,
+    review: ['admin', 'manager']
+  },
+  comments: {
+    list: ALL_ROLES,
+    create: ['admin', 'manager', 'employee']
+  },
+  notifications: {
+    list: ALL_ROLES,
+    update: ALL_ROLES
+  },
+  events: {
+    stream: ALL_ROLES
+  },
+  amendments: {
+    list: ALL_ROLES,
+    create: ['admin', 'employee']
+  },
+  screenshots: {
+    list: ALL_ROLES,
+    reviewDuplicates: ['admin']
+  },
+  projects: {
+    list: ALL_ROLES,
+    manage: ['admin']
+  },
+  clients: {
+    list: ALL_ROLES,
+    manage: ['admin']
+  },
+  budgets: {
+    read: ['admin', 'viewer'],
+    manage: ['admin']
+  },
+  reportTemplates: {
+    list: ALL_ROLES,
+    manage: ['admin']
+  },
+  blockers: {
+    list: ALL_ROLES,
+    update: ['admin', 'manager', 'employee']
+  },
+  stats: {
+    read: ALL_ROLES
+  },
+  analytics: {
+    missingEods: ['admin', 'manager', 'viewer'],
+    costs: ['admin', 'manager', 'viewer']
+  }
+};
+
+// Whether the user's role may perform action on resource
+const can = (user, resource, action) => {
+  const roles = POLICIES[resource] && POLICIES[resource][action];
+  if (!roles) {
+    throw new Error(`No policy defined for ${resource}.${action}`);
+  }
+  return !!user && roles.includes(user.role);
+};
+
+// Employees whose data the user may see: null means everyone, otherwise a
+// list of employee ids (empty when an employee account isn't linked yet).
+// Managers see the members of the teams they lead, loaded onto the session
+// user as team_employee_ids for each request, and themselves.
+const employeeScope = (user) => {
+  if (user.role === 'employee') {
+    return user.employee_id ? [user.employee_id] : [];
+  }
+  if (user.role === 'manager') {
+    const ids = user.team_employee_ids || [];
+    return user.employee_id && !ids.includes(user.employee_id) ? [...ids, user.employee_id] : ids;
+  }
+  return null;
+};
+
+// Whether the user may see data belonging to a single employee
+const canAccessEmployee = (user, employeeId) => {
+  const scope = employeeScope(user);
+  return scope === null || scope.includes(parseInt(employeeId));
+};
+
+// Employee ids a query must be restricted to, combining the user's scope with
+// an optional employee_id filter from the request (one id or, when repeated,
+// several). Requested values that aren't ids match no employee. null means no
+// restriction.
+const employeeFilter = (user, requestedEmployeeIds) => {
+  const scope = employeeScope(user);
+  const requested = requestedEmployeeIds
+    ? [].concat(requestedEmployeeIds).map(id => Number(id)).filter(id => Number.isInteger(id))
+    : null;
+
+  if (scope === null) {
+    return requested;
+  }
+  if (requested) {
+    return requested.filter(id => scope.includes(id));
+  }
+  return scope;
+};
+
+// Middleware enforcing POLICIES[resource][action] for the session user
+const authorize = (resource, action) => {
+  // Fail at startup rather than on the first request for a typo'd policy
+  if (!POLICIES[resource] || !POLICIES[resource][action]) {
+    throw new Error(`No policy defined for ${resource}.${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.session || !req.session.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!can(req.session.user, resource, action)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  POLICIES,
+  can,
+  authorize,
+  employeeScope,
+  employeeFilter,
+  canAccessEmployee
+};
@@ -0,0 +1,165 @@
+// Projects and clients. Report line items reference a project by id
+// (report_entries.project_id) and project names are unique ignoring case, so a
+// typo can't quietly start a new project. Archived projects keep their reports
+// but can't be picked for new ones. Duplicates are fixed by merging them;
+// reports in closed pay periods are paid as filed and stay where they are.
+const { loadLockRules, reportLock } = require('./report-lock');
+
+const PROJECT_STATUSES = ['active', 'archived'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Check project fields, filling the ones not given from existing (a project
+// being changed). Returns { error } or { values }.
+const validateProject = (body, existing = {}) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : existing[name]);
+
+  const values = {
+    name: String(field('name') || '').trim(),
+    code: field('code') ? String(field('code')).trim().toUpperCase() : null,
+    client_id: field('client_id') ? parseInt(field('client_id')) : null,
+    status: field('status') || 'active',
+    color: field('color') || null,
+    billable: field('billable') === undefined || field('billable') === null ? true : !!field('billable')
+  };
+
+  if (!values.name) {
+    return { error: 'Project name is required' };
+  }
+
+  if (values.code && values.code.length > 20) {
+    return { error: 'Project code can be at most 20 characters' };
+  }
+
+  if (!PROJECT_STATUSES.includes(values.status)) {
+    return { error: `Status must be one of: ${PROJECT_STATUSES.join(', ')}` };
+  }
+
+  if (values.color && !COLOR_PATTERN.test(values.color)) {
+    return { error: 'Color must be a hex color (e.g. #667eea)' };
+  }
+
+  return { values };
+};
+
+// Message for a unique violation on projects (name or code taken)
+const duplicateProjectError = (err) => (
+  err.constraint === 'idx_projects_code' ? 'Another project already uses this code' : 'Another project already has this name'
+);
+
+// Projects with their client and report totals, by name. Totals add up the
+// line items filed under the project; report_count counts reports with at
+// least one. employeeIds (an employee's scope) limits the list to active
+// projects, which they can report on, and those they reported on, with totals
+// of their own reports only.
+const listProjects = async (db, { employeeIds = null, status = null } = {}) => {
+  const params = [];
+  let reportFilter = 're.project_id = p.id AND r.deleted_at IS NULL';
+  let where = 'WHERE TRUE';
+  const entries = 'FROM report_entries re JOIN eod_reports r ON re.report_id = r.id';
+
+  if (employeeIds) {
+    params.push(employeeIds);
+    reportFilter += ` AND r.employee_id = ANY($${params.length}::int[])`;
+    where += ` AND (p.status = 'active' OR EXISTS (SELECT 1 ${entries} WHERE ${reportFilter}))`;
+  }
+
+  if (status) {
+    params.push(status);
+    where += ` AND p.status = ANY($${params.length})`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      p.*,
+      c.name as client_name,
+      (SELECT COUNT(DISTINCT r.id) ${entries} WHERE ${reportFilter}) as report_count,
+      (SELECT COALESCE(SUM(re.hours), 0) ${entries} WHERE ${reportFilter}) as total_hours
+    FROM projects p
+    LEFT JOIN clients c ON p.client_id = c.id
+    ${where}
+    ORDER BY LOWER(p.name)
+  `, params);
+  return result.rows;
+};
+
+// The project a report line item is filed under, from project_id or a
+// project name (matched ignoring case). currentProjectIds are the report's
+// projects before an edit: a report may keep work in an archived project but
+// not move any into one. Returns { project } (null for no project) or { error }.
+const resolveReportProject = async (db, { project_id, project }, currentProjectIds = []) => {
+  let result;
+  if (project_id) {
+    result = await db.query('SELECT id, name, status FROM projects WHERE id = $1', [project_id]);
+  } else if (project && String(project).trim()) {
+    result = await db.query('SELECT id, name, status FROM projects WHERE LOWER(name) = LOWER($1)', [String(project).trim()]);
+  } else {
+    return { project: null };
+  }
+
+  const found = result.rows[0];
+  if (!found) {
+    return { error: `Unknown project "${project_id || project}". An admin can add it under Admin → Projects.` };
+  }
+
+  if (found.status !== 'active' && !currentProjectIds.includes(found.id)) {
+    return { error: `Project ${found.name} is archived` };
+  }
+
+  return { project: found };
+};
+
+// Move every report line item of the source projects to target and delete the
+// sources. Reports in closed pay periods keep their project, so a source that
+// still has some is archived instead of deleted. Returns the merged projects
+// with how many reports each moved and left unmoved, or null if the target
+// doesn't exist.
+const mergeProjects = async (db, targetId, sourceIds) => {
+  const target = await db.query('SELECT id, name FROM projects WHERE id = $1 FOR UPDATE', [targetId]);
+  if (target.rows.length === 0) return null;
+
+  const sources = await db.query(
+    'SELECT id, name FROM projects WHERE id = ANY($1::int[]) AND id <> $2 FOR UPDATE',
+    [sourceIds, targetId]
+  );
+  const lockRules = await loadLockRules(db);
+
+  const merged = [];
+  for (const source of sources.rows) {
+    const reports = await db.query(
+      `SELECT DISTINCT r.id, r.date
+       FROM report_entries re
+       JOIN eod_reports r ON re.report_id = r.id
+       WHERE re.project_id = $1`,
+      [source.id]
+    );
+    const frozen = reports.rows.filter(report => reportLock(lockRules, report).frozen).map(report => report.id);
+
+    await db.query(
+      'UPDATE report_entries SET project_id = $1 WHERE project_id = $2 AND NOT (report_id = ANY($3::int[]))',
+      [targetId, source.id, frozen]
+    );
+    merged.push({
+      id: source.id,
+      name: source.name,
+      moved_reports: reports.rows.length - frozen.length,
+      unmoved_reports: frozen.length
+    });
+  }
+
+  const kept = merged.filter(source => source.unmoved_reports > 0).map(source => source.id);
+  await db.query(
+    'DELETE FROM projects WHERE id = ANY($1::int[]) AND NOT (id = ANY($2::int[]))',
+    [sources.rows.map(source => source.id), kept]
+  );
+  await db.query(`UPDATE projects SET status = 'archived' WHERE id = ANY($1::int[])`, [kept]);
+
+  return { target: target.rows[0], merged };
+};
+
+module.exports = {
+  validateProject,
+  duplicateProjectError,
+  listProjects,
+  resolveReportProject,
+  mergeProjects
+};
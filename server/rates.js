@@ -0,0 +1,166 @@
+// Hourly rate history (employee_rates). A rate applies from its effective_from
+// date until the next rate of the same employee, and reports dated before an
+// employee's first rate are priced at that first rate. Costs price every report
+// at the rate in effect on its date; employees.hourly_rate mirrors today's rate
+// so it stays right for anything that only needs the current one.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Columns of an employee_rates row, with effective_from as a plain date
+const RATE_COLUMNS = `id, employee_id, hourly_rate, currency,
+  to_char(effective_from, 'YYYY-MM-DD') as effective_from, created_by, created_at`;
+
+// The rate in effect on day (YYYY-MM-DD) among an employee's rates: the latest
+// one effective on or before it, else the earliest. null without rates.
+// rateInEffectOrder() applies the same rule in SQL.
+const rateInEffect = (rates, day) => {
+  const sorted = [...rates].sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+  const started = sorted.filter(rate => rate.effective_from <= day);
+  return started.length > 0 ? started[started.length - 1] : sorted[0] || null;
+};
+
+// Orders an employee's rates so the one in effect on `day` comes first
+const rateInEffectOrder = (day) => `
+  er.effective_from <= ${day} DESC,
+  CASE WHEN er.effective_from <= ${day} THEN er.effective_from END DESC,
+  er.effective_from
+`;
+
+// Lateral join exposing the rate in effect on each report's date as
+// rate.hourly_rate and rate.currency. Needs eod_reports as r.
+const REPORT_RATE_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT er.hourly_rate, er.currency
+    FROM employee_rates er
+    WHERE er.employee_id = r.employee_id
+    ORDER BY ${rateInEffectOrder('r.date')}
+    LIMIT 1
+  ) rate ON TRUE
+`;
+
+// Hourly rate of a report; employees without a rate history (employees as e)
+// fall back to their current rate
+const REPORT_RATE = 'COALESCE(rate.hourly_rate, e.hourly_rate, 0)';
+
+// Check a rate entry. Returns { error } or { values }.
+const validateRate = ({ hourly_rate, currency, effective_from }) => {
+  const rate = parseFloat(hourly_rate);
+  if (hourly_rate === undefined || hourly_rate === null || hourly_rate === '' || isNaN(rate) || rate < 0) {
+    return { error: 'hourly_rate must be a number of 0 or more' };
+  }
+
+  if (!effective_from || !DATE_PATTERN.test(effective_from)) {
+    return { error: 'effective_from must be a date (YYYY-MM-DD)' };
+  }
+
+  const code = currency ? String(currency).trim().toUpperCase() : null;
+  if (code && !CURRENCY_PATTERN.test(code)) {
+    return { error: 'currency must be a three-letter code (e.g. USD)' };
+  }
+
+  return { values: { hourly_rate: rate, currency: code, effective_from } };
+};
+
+// An employee's rate history, newest first
+const fetchRates = async (db, employeeId) => {
+  const result = await db.query(
+    `SELECT er.id, er.employee_id, er.hourly_rate, er.currency,
+       to_char(er.effective_from, 'YYYY-MM-DD') as effective_from,
+       er.created_by, er.created_at, u.username as created_by_username
+     FROM employee_rates er
+     LEFT JOIN users u ON er.created_by = u.id
+     WHERE er.employee_id = $1
+     ORDER BY er.effective_from DESC`,
+    [employeeId]
+  );
+  return result.rows;
+};
+
+// Cost totals add up the rates of every employee, so all rates share one
+// currency (rates without one go with any). Returns an error message if
+// currency differs from the other rates, ignoring the rate excludeId and the
+// one a new rate of employeeId effective from effectiveFrom would replace.
+const currencyConflictError = async (db, currency, { excludeId = null, employeeId = null, effectiveFrom = null } = {}) => {
+  if (!currency) return null;
+
+  const result = await db.query(
+    `SELECT currency FROM employee_rates
+     WHERE currency IS NOT NULL AND currency <> $1
+       AND id IS DISTINCT FROM $2
+       AND NOT (employee_id IS NOT DISTINCT FROM $3 AND effective_from IS NOT DISTINCT FROM $4::date)
+     LIMIT 1`,
+    [currency, excludeId, employeeId, effectiveFrom]
+  );
+  const other = result.rows[0];
+  return other ? `Rates are in ${other.currency}; all rates must use the same currency` : null;
+};
+
+// Add a rate, or replace the one already effective from that date
+const upsertRate = async (db, employeeId, { hourly_rate, currency, effective_from }, userId) => {
+  const result = await db.query(
+    `INSERT INTO employee_rates (employee_id, hourly_rate, currency, effective_from, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (employee_id, effective_from)
+     DO UPDATE SET hourly_rate = EXCLUDED.hourly_rate, currency = EXCLUDED.currency
+     RETURNING ${RATE_COLUMNS}`,
+    [employeeId, hourly_rate, currency, effective_from, userId]
+  );
+  return result.rows[0];
+};
+
+// Point employees.hourly_rate at the rate in effect today
+const syncCurrentRate = async (db, employeeId, today = new Date().toISOString().split('T')[0]) => {
+  const rate = rateInEffect(await fetchRates(db, employeeId), today);
+  if (!rate) return;
+  await db.query('UPDATE employees SET hourly_rate = $1 WHERE id = $2', [rate.hourly_rate, employeeId]);
+};
+
+// Closed pay periods hold paid hours, so a rate change may not reprice them.
+// dates are the effective dates being added, moved or removed (ignoring the
+// rate excludeId); the reports repriced run from the earliest of them (or from
+// the beginning when none of the other rates is older) to the next other rate.
+// Returns an error message naming the first closed period affected, or null.
+const closedPeriodRepriceError = async (db, employeeId, dates, excludeId = null) => {
+  const sorted = [...dates].sort();
+  const result = await db.query(
+    `WITH bounds AS (
+       SELECT
+         CASE WHEN EXISTS (
+           SELECT 1 FROM employee_rates
+           WHERE employee_id = $1 AND id IS DISTINCT FROM $4 AND effective_from < $2::date
+         ) THEN $2::date END as from_date,
+         (SELECT MIN(effective_from) FROM employee_rates
+          WHERE employee_id = $1 AND id IS DISTINCT FROM $4 AND effective_from > $3::date) as to_date
+     )
+     SELECT to_char(p.start_date, 'YYYY-MM-DD') as start_date, to_char(p.end_date, 'YYYY-MM-DD') as end_date
+     FROM pay_periods p, bounds b
+     WHERE p.status = 'closed'
+       AND EXISTS (
+         SELECT 1 FROM eod_reports r
+         WHERE r.employee_id = $1 AND r.deleted_at IS NULL
+           AND r.date BETWEEN p.start_date AND p.end_date
+           AND (b.from_date IS NULL OR r.date >= b.from_date)
+           AND (b.to_date IS NULL OR r.date < b.to_date)
+       )
+     ORDER BY p.start_date
+     LIMIT 1`,
+    [employeeId, sorted[0], sorted[sorted.length - 1], excludeId]
+  );
+  const period = result.rows[0];
+  return period
+    ? `The rate change would reprice hours in the closed pay period ${period.start_date} to ${period.end_date}`
+    : null;
+};
+
+module.exports = {
+  RATE_COLUMNS,
+  REPORT_RATE_JOIN,
+  REPORT_RATE,
+  validateRate,
+  rateInEffect,
+  currencyConflictError,
+  fetchRates,
+  upsertRate,
+  syncCurrentRate,
+  closedPeriodRepriceError
+};
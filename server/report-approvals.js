@@ -0,0 +1,51 @@
+// Report approval: reports are submitted, then approved or sent back with
+// changes requested by an admin or the manager of the employee's team. Any
+// edit to the report puts it back to submitted for another review.
+const policy = require('./policy');
+
+const REPORT_STATUSES = ['submitted', 'approved', 'changes_requested'];
+
+// Username of the last reviewer, for report queries on eod_reports r
+const REPORT_REVIEWER = '(SELECT u.username FROM users u WHERE u.id = r.reviewed_by)';
+
+// Why the user may not review a report (needs employee_id), or null if they
+// may. Managers review their teams' reports but not their own.
+const reviewError = (user, report) => {
+  if (!policy.canAccessEmployee(user, report.employee_id)) {
+    return 'You can only review reports of your teams';
+  }
+  if (user.role !== 'admin' && user.employee_id && parseInt(report.employee_id) === user.employee_id) {
+    return 'You cannot review your own reports';
+  }
+  return null;
+};
+
+// Set the status of reports as reviewed by userId. Returns the updated rows.
+const reviewReports = async (db, reportIds, { status, note, userId }) => {
+  const result = await db.query(
+    `UPDATE eod_reports
+     SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($4::int[]) AND deleted_at IS NULL
+     RETURNING id, employee_id, status, review_note, reviewed_by, reviewed_at`,
+    [status, note || null, userId, reportIds]
+  );
+  return result.rows;
+};
+
+// Put a report its employee edited back to submitted, keeping its last review
+// for reference. Returns whether its status changed.
+const resetReview = async (db, reportId) => {
+  const result = await db.query(
+    `UPDATE eod_reports SET status = 'submitted' WHERE id = $1 AND status <> 'submitted' RETURNING id`,
+    [reportId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  REPORT_STATUSES,
+  REPORT_REVIEWER,
+  reviewError,
+  reviewReports,
+  resetReview
+};
@@ -0,0 +1,138 @@
+// Comment threads on reports. A comment starts a thread or replies to one
+// (replies to a reply join the same thread). Authors can edit and delete
+// their comments; @username mentions are recorded and the mentioned users
+// emailed.
+const MAX_COMMENT_LENGTH = 5000;
+const MENTION_PATTERN = /@([\w.-]+)/g;
+
+// Check a comment's text. Returns { error } or { values }.
+const validateComment = (body) => {
+  const text = String(body.body || '').trim();
+
+  if (!text) {
+    return { error: 'Comment is required' };
+  }
+
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+
+  return { values: { body: text, parent_id: body.parent_id ? parseInt(body.parent_id) : null } };
+};
+
+// Active users @mentioned in a comment (usernames matched ignoring case),
+// with the email of their employee, if linked
+const resolveMentions = async (db, text) => {
+  // A mention ending a sentence ("thanks @jane.") doesn't take the period
+  const usernames = [...new Set([...text.matchAll(MENTION_PATTERN)]
+    .map(match => match[1].replace(/\.+$/, '').toLowerCase()))];
+  if (usernames.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT u.id, u.username, e.email
+     FROM users u
+     LEFT JOIN employees e ON u.employee_id = e.id AND e.deleted_at IS NULL
+     WHERE LOWER(u.username) = ANY($1) AND u.is_active = TRUE`,
+    [usernames]
+  );
+  return result.rows;
+};
+
+// Replace the users a comment mentions. Returns the ids that weren't
+// mentioned before, who still need to hear about it.
+const saveMentions = async (db, commentId, userIds) => {
+  const previous = await db.query('SELECT user_id FROM report_comment_mentions WHERE comment_id = $1', [commentId]);
+  const previousIds = previous.rows.map(row => row.user_id);
+
+  await db.query('DELETE FROM report_comment_mentions WHERE comment_id = $1', [commentId]);
+  await db.query(
+    `INSERT INTO report_comment_mentions (comment_id, user_id)
+     SELECT $1, unnest($2::int[])`,
+    [commentId, userIds]
+  );
+
+  return userIds.filter(id => !previousIds.includes(id));
+};
+
+const COMMENT_COLUMNS = `
+      c.id,
+      c.report_id,
+      c.parent_id,
+      c.user_id,
+      u.username,
+      u.role as user_role,
+      CASE WHEN c.deleted_at IS NULL THEN c.body END as body,
+      c.deleted_at IS NOT NULL as deleted,
+      c.created_at,
+      c.updated_at`;
+
+// A report's comments as threads, oldest first: top-level comments with
+// their replies
+const listComments = async (db, reportId) => {
+  const result = await db.query(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM report_comments c
+    LEFT JOIN users u ON c.user_id = u.id
+    WHERE c.report_id = $1
+    ORDER BY c.created_at, c.id
+  `, [reportId]);
+
+  return result.rows
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({
+      ...comment,
+      replies: result.rows.filter(reply => reply.parent_id === comment.id)
+    }));
+};
+
+const fetchComment = async (db, id) => {
+  const result = await db.query(
+    `SELECT ${COMMENT_COLUMNS} FROM report_comments c LEFT JOIN users u ON c.user_id = u.id WHERE c.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// The thread a new comment joins: the top-level comment of parentId, which
+// must be a comment on the same report. Returns { parentId } or { error }.
+const resolveThread = async (db, reportId, parentId) => {
+  if (!parentId) return { parentId: null };
+
+  const result = await db.query('SELECT id, parent_id, report_id FROM report_comments WHERE id = $1', [parentId]);
+  const parent = result.rows[0];
+  if (!parent || parent.report_id !== parseInt(reportId)) {
+    return { error: 'Comment to reply to not found' };
+  }
+  return { parentId: parent.parent_id || parent.id };
+};
+
+// Delete a comment. One with replies is only blanked so its thread stays;
+// a thread whose blanked first comment loses its last reply goes with it.
+const deleteComment = async (db, comment) => {
+  const replies = await db.query('SELECT 1 FROM report_comments WHERE parent_id = $1 LIMIT 1', [comment.id]);
+  if (replies.rows.length > 0) {
+    await db.query(`UPDATE report_comments SET body = '', deleted_at = CURRENT_TIMESTAMP WHERE id = $1`, [comment.id]);
+    await db.query('DELETE FROM report_comment_mentions WHERE comment_id = $1', [comment.id]);
+    return;
+  }
+
+  await db.query('DELETE FROM report_comments WHERE id = $1', [comment.id]);
+  if (comment.parent_id) {
+    await db.query(
+      `DELETE FROM report_comments p
+       WHERE p.id = $1 AND p.deleted_at IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM report_comments r WHERE r.parent_id = p.id)`,
+      [comment.parent_id]
+    );
+  }
+};
+
+module.exports = {
+  validateComment,
+  resolveMentions,
+  saveMentions,
+  listComments,
+  fetchComment,
+  resolveThread,
+  deleteComment
+};
@@ -0,0 +1,166 @@
+// Report line items. A report splits its hours into line items (project,
+// task, hours, note) and eod_reports.hours is kept as their total, so report
+// totals and stats can keep reading the report row while costs and project
+// totals aggregate the line items.
+const { resolveReportProject } = require('./projects');
+
+// Each line item of the reports with its project as proj (needs eod_reports
+// as r); a report appears once per line item
+const REPORT_ENTRIES_JOIN = `JOIN report_entries re ON re.report_id = r.id
+    LEFT JOIN projects proj ON re.project_id = proj.id`;
+
+// Names of the projects of a report's line items, comma separated (needs
+// eod_reports as r)
+const REPORT_PROJECTS = `(
+      SELECT STRING_AGG(DISTINCT lp.name, ', ')
+      FROM report_entries li JOIN projects lp ON li.project_id = lp.id
+      WHERE li.report_id = r.id
+    )`;
+
+// Color of the project of a report's first line item
+const REPORT_PROJECT_COLOR = `(
+      SELECT lp.color
+      FROM report_entries li JOIN projects lp ON li.project_id = lp.id
+      WHERE li.report_id = r.id
+      ORDER BY li.position, li.id
+      LIMIT 1
+    )`;
+
+// Condition matching reports with a line item in one of the projects named by
+// the parameter (an array of names, or of ids with byId)
+const reportInProjects = (placeholder, byId = false) => `EXISTS (
+      SELECT 1 FROM report_entries li JOIN projects lp ON li.project_id = lp.id
+      WHERE li.report_id = r.id AND ${byId ? `lp.id = ANY(${placeholder}::int[])` : `lp.name = ANY(${placeholder})`}
+    )`;
+
+// Line items from a request body: entries as an array, or as a JSON string
+// from multipart forms. Older clients send a single hours and project, which
+// become one line item. Returns { error } or { entries }.
+const parseEntries = (body) => {
+  let entries = body.entries;
+
+  if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries);
+    } catch (e) {
+      return { error: 'entries must be a JSON array' };
+    }
+  }
+
+  if (entries === undefined || entries === null) {
+    if (!body.hours) {
+      return { error: 'At least one line item with hours is required' };
+    }
+    entries = [{ project_id: body.project_id, project: body.project, hours: body.hours }];
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: 'At least one line item with hours is required' };
+  }
+
+  const parsed = [];
+  for (const [index, entry] of entries.entries()) {
+    const hours = parseFloat(entry.hours);
+    if (isNaN(hours) || hours <= 0) {
+      return { error: `Line item ${index + 1}: hours must be a positive number` };
+    }
+    parsed.push({
+      project_id: entry.project_id || null,
+      project: entry.project ? String(entry.project).trim() : null,
+      task: entry.task && String(entry.task).trim() ? String(entry.task).trim().slice(0, 255) : null,
+      hours,
+      note: entry.note && String(entry.note).trim() ? String(entry.note).trim() : null
+    });
+  }
+
+  return { entries: parsed };
+};
+
+// Look up the project of each line item (see resolveReportProject).
+// currentProjectIds are the report's projects before an edit, which may stay
+// archived. Returns { error } or { entries } with project_id and project set.
+const resolveEntryProjects = async (db, entries, currentProjectIds = []) => {
+  const resolved = [];
+  for (const [index, entry] of entries.entries()) {
+    const { project, error } = await resolveReportProject(db, entry, currentProjectIds);
+    if (error) {
+      return { error: entries.length > 1 ? `Line item ${index + 1}: ${error}` : error };
+    }
+    resolved.push({ ...entry, project_id: project ? project.id : null, project: project ? project.name : null });
+  }
+  return { entries: resolved };
+};
+
+// Total hours of line items
+const totalHours = (entries) => Math.round(entries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100;
+
+// Replace a report's line items and set its hours to their total. Returns the
+// saved line items.
+const saveEntries = async (db, reportId, entries) => {
+  await db.query('DELETE FROM report_entries WHERE report_id = $1', [reportId]);
+
+  const saved = [];
+  for (const [position, entry] of entries.entries()) {
+    const result = await db.query(
+      `INSERT INTO report_entries (report_id, project_id, task, hours, note, position)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [reportId, entry.project_id, entry.task, entry.hours, entry.note, position]
+    );
+    saved.push({ ...result.rows[0], project: entry.project });
+  }
+
+  await db.query('UPDATE eod_reports SET hours = $1 WHERE id = $2', [totalHours(entries), reportId]);
+  return saved;
+};
+
+// Line items of the given reports, in order, with their project names
+const fetchEntries = async (db, reportIds) => {
+  const result = await db.query(
+    `SELECT e.*, p.name as project, p.color as project_color
+     FROM report_entries e
+     LEFT JOIN projects p ON e.project_id = p.id
+     WHERE e.report_id = ANY($1::int[])
+     ORDER BY e.report_id, e.position, e.id`,
+    [reportIds]
+  );
+  return result.rows;
+};
+
+// Add each report's line items to it as entries
+const attachEntries = async (db, reports) => {
+  if (reports.length === 0) return reports;
+  const entries = await fetchEntries(db, reports.map(report => report.id));
+  return reports.map(report => ({
+    ...report,
+    entries: entries.filter(entry => entry.report_id === report.id)
+  }));
+};
+
+// Names of the projects of line items, comma separated like REPORT_PROJECTS
+// (null if none has a project)
+const describeProjects = (entries) => {
+  const names = [...new Set(entries.map(entry => entry.project).filter(Boolean))].sort();
+  return names.length > 0 ? names.join(', ') : null;
+};
+
+// One-line description of line items, for the revision history:
+// "Mobile App · Login screen 3h; Website 5h (call with client)"
+const describeEntries = (entries) => entries.map(entry => {
+  const label = [entry.project, entry.task].filter(Boolean).join(' · ') || 'No project';
+  return `${label} ${parseFloat(entry.hours)}h${entry.note ? ` (${entry.note})` : ''}`;
+}).join('; ');
+
+module.exports = {
+  REPORT_ENTRIES_JOIN,
+  REPORT_PROJECTS,
+  REPORT_PROJECT_COLOR,
+  reportInProjects,
+  parseEntries,
+  resolveEntryProjects,
+  totalHours,
+  saveEntries,
+  fetchEntries,
+  attachEntries,
+  describeProjects,
+  describeEntries
+};
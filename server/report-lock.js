@@ -0,0 +1,183 @@
+// Report lock policies decide when a report stops being editable without
+// elevated access. They are stored in report_lock_policies and every enabled
+// policy applies: a report locks as soon as the first of them says so.
+//   rolling_days:  N days after the report was submitted (created_at)
+//   weekly_cutoff: the first given weekday and time after the report's date
+//   period_close:  reports dated on or before closed_through are locked
+// Separately, reports dated inside a closed pay period are frozen: no elevation
+// unlocks them and corrections go through report_amendments instead.
+const LOCK_POLICY_TYPES = ['rolling_days', 'weekly_cutoff', 'period_close'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local midnight of a DATE column (a Date from pg) or a YYYY-MM-DD string
+const toLocalDate = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Everything reportLock() needs: enabled lock policies and closed pay periods
+const loadLockRules = async (db) => {
+  const policies = await db.query('SELECT * FROM report_lock_policies WHERE enabled ORDER BY id');
+  const closedPeriods = await db.query(
+    `SELECT id, start_date, end_date, closed_at FROM pay_periods WHERE status = 'closed' ORDER BY start_date`
+  );
+  return { policies: policies.rows, closedPeriods: closedPeriods.rows };
+};
+
+// The closed pay period containing a report date, if any
+const closedPeriodFor = (closedPeriods, date) => {
+  const day = toLocalDate(date);
+  return closedPeriods.find(period =>
+    toLocalDate(period.start_date) <= day && day <= toLocalDate(period.end_date)
+  ) || null;
+};
+
+// When a single policy locks the report ({ locks_at, reason }), or null if it never does.
+// report needs date and created_at (a report being created has no created_at yet).
+const policyLock = (policy, report) => {
+  switch (policy.type) {
+    case 'rolling_days': {
+      const locksAt = report.created_at ? new Date(report.created_at) : new Date();
+      locksAt.setDate(locksAt.getDate() + policy.days);
+      return { locks_at: locksAt, reason: `${policy.days} day(s) after submission` };
+    }
+    case 'weekly_cutoff': {
+      const locksAt = toLocalDate(report.date);
+      do {
+        locksAt.setDate(locksAt.getDate() + 1);
+      } while (locksAt.getDay() !== policy.cutoff_weekday);
+      const [hours, minutes] = policy.cutoff_time.split(':').map(Number);
+      locksAt.setHours(hours, minutes, 0, 0);
+      return {
+        locks_at: locksAt,
+        reason: `weekly cutoff (${WEEKDAYS[policy.cutoff_weekday]} ${pad(hours)}:${pad(minutes)})`
+      };
+    }
+    case 'period_close': {
+      if (!policy.closed_through || toLocalDate(report.date) > toLocalDate(policy.closed_through)) {
+        return null;
+      }
+      // Locked from the moment the period was closed
+      return {
+        locks_at: new Date(policy.updated_at),
+        reason: `period closed through ${formatDate(toLocalDate(policy.closed_through))}`
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Lock status of a report: { locked, frozen, locks_at, reason, policy_id, pay_period_id },
+// with locks_at null when nothing will lock it. frozen means a closed pay period
+// holds the report and elevated access can't unlock it.
+const reportLock = ({ policies, closedPeriods }, report, now = new Date()) => {
+  const period = closedPeriodFor(closedPeriods, report.date);
+  if (period) {
+    return {
+      locked: true,
+      frozen: true,
+      locks_at: new Date(period.closed_at).toISOString(),
+      reason: `pay period ${formatDate(toLocalDate(period.start_date))} to ${formatDate(toLocalDate(period.end_date))} is closed`,
+      policy_id: null,
+      pay_period_id: period.id
+    };
+  }
+
+  let earliest = null;
+
+  for (const policy of policies) {
+    const lock = policyLock(policy, report);
+    if (lock && (!earliest || lock.locks_at < earliest.locks_at)) {
+      earliest = { ...lock, policy_id: policy.id };
+    }
+  }
+
+  if (!earliest) {
+    return { locked: false, frozen: false, locks_at: null, reason: null, policy_id: null, pay_period_id: null };
+  }
+
+  return {
+    locked: earliest.locks_at <= now,
+    frozen: false,
+    locks_at: earliest.locks_at.toISOString(),
+    reason: earliest.reason,
+    policy_id: earliest.policy_id,
+    pay_period_id: null
+  };
+};
+
+// Add a lock status to each report
+const attachLocks = (rules, reports) => reports.map(report => ({
+  ...report,
+  lock: reportLock(rules, report)
+}));
+
+// Check an admin-submitted policy. Returns { error } or { values } with the
+// columns that don't apply to its type cleared.
+const validateLockPolicy = (body) => {
+  const { name, type, days, cutoff_weekday, cutoff_time, closed_through, enabled } = body;
+
+  if (!name || !name.trim()) {
+    return { error: 'Name is required' };
+  }
+  if (!LOCK_POLICY_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${LOCK_POLICY_TYPES.join(', ')}` };
+  }
+
+  const values = {
+    name: name.trim(),
+    type,
+    days: null,
+    cutoff_weekday: null,
+    cutoff_time: null,
+    closed_through: null,
+    enabled: enabled !== false
+  };
+
+  if (type === 'rolling_days') {
+    values.days = parseInt(days);
+    if (!Number.isInteger(values.days) || values.days < 1) {
+      return { error: 'Days must be a whole number of 1 or more' };
+    }
+  }
+
+  if (type === 'weekly_cutoff') {
+    values.cutoff_weekday = parseInt(cutoff_weekday);
+    if (!Number.isInteger(values.cutoff_weekday) || values.cutoff_weekday < 0 || values.cutoff_weekday > 6) {
+      return { error: 'Cutoff weekday must be 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(cutoff_time || '')) {
+      return { error: 'Cutoff time must be HH:MM' };
+    }
+    values.cutoff_time = cutoff_time;
+  }
+
+  if (type === 'period_close') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(closed_through || '')) {
+      return { error: 'Closed through must be a date (YYYY-MM-DD)' };
+    }
+    values.closed_through = closed_through;
+  }
+
+  return { values };
+};
+
+module.exports = {
+  LOCK_POLICY_TYPES,
+  loadLockRules,
+  closedPeriodFor,
+  reportLock,
+  attachLocks,
+  validateLockPolicy
+};
@@ -0,0 +1,86 @@
+// Report revision history. Every PUT /api/reports/:id that changes something
+// stores one report_revisions row whose changes column looks like:
+//   {
+//     fields: { hours: { old: 8, new: 10 }, ... },
+//     screenshots_added: [{ id, filename }],
+//     screenshots_removed: [{ id, filename }],
+//     captions_changed: [{ id, filename, old, new }]
+//   }
+// The line_items, sections and blocker_list fields hold one-line descriptions
+// of the report's line items, template responses and blockers.
+const REVISION_FIELDS = ['employee_id', 'date', 'hours', 'project', 'line_items', 'description', 'sections', 'blocker_list'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Comparable form of a report column: DATE columns come back from pg as Dates,
+// hours as DECIMAL strings, and unset text as null or ''
+const normalizeField = (field, value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (field === 'date') {
+    if (value instanceof Date) {
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).split('T')[0];
+  }
+  if (field === 'hours' || field === 'employee_id') {
+    return parseFloat(value);
+  }
+  return String(value);
+};
+
+// Field-level differences between two versions of an eod_reports row
+const diffReportFields = (before, after) => {
+  const fields = {};
+  for (const field of REVISION_FIELDS) {
+    const oldValue = normalizeField(field, before[field]);
+    const newValue = normalizeField(field, after[field]);
+    if (oldValue !== newValue) {
+      fields[field] = { old: oldValue, new: newValue };
+    }
+  }
+  return fields;
+};
+
+// Store a revision unless nothing changed. Returns the row, or null.
+const recordRevision = async (db, reportId, userId, changes) => {
+  const {
+    fields = {},
+    screenshots_added = [],
+    screenshots_removed = [],
+    captions_changed = []
+  } = changes;
+
+  if (Object.keys(fields).length === 0 && screenshots_added.length === 0 &&
+      screenshots_removed.length === 0 && captions_changed.length === 0) {
+    return null;
+  }
+
+  const result = await db.query(
+    `INSERT INTO report_revisions (report_id, changed_by, changes)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [reportId, userId, JSON.stringify({ fields, screenshots_added, screenshots_removed, captions_changed })]
+  );
+  return result.rows[0];
+};
+
+// Revisions of a report, newest first
+const fetchRevisions = async (db, reportId) => {
+  const result = await db.query(
+    `SELECT rv.*, u.username as changed_by_username
+     FROM report_revisions rv
+     LEFT JOIN users u ON rv.changed_by = u.id
+     WHERE rv.report_id = $1
+     ORDER BY rv.changed_at DESC, rv.id DESC`,
+    [reportId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  diffReportFields,
+  recordRevision,
+  fetchRevisions
+};
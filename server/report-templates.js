@@ -0,0 +1,196 @@
+// Structured EOD templates. A template lists the fields a report answers
+// besides its free-text description; it applies to one project, one employee
+// role, or every report (the default). A report is filed against the template
+// of the first of its line items' projects that has one, else its employee's
+// role's, else the default, and stores its answers in responses as
+// [{ key, label, type, value }].
+const FIELD_TYPES = ['text', 'number', 'checkbox', 'select'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Key for a field without one: its label in snake case
+const fieldKey = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Check template fields, filling the ones not given from existing (a template
+// being changed). Returns { error } or { values }.
+const validateTemplate = (body, existing = {}) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : existing[name]);
+
+  const values = {
+    name: String(field('name') || '').trim(),
+    role: field('role') && String(field('role')).trim() ? String(field('role')).trim() : null,
+    project_id: field('project_id') ? parseInt(field('project_id')) : null,
+    fields: []
+  };
+
+  if (!values.name) {
+    return { error: 'Template name is required' };
+  }
+
+  if (values.role && values.project_id) {
+    return { error: 'A template applies to a role or to a project, not both' };
+  }
+
+  const fields = field('fields');
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return { error: 'A template needs at least one field' };
+  }
+
+  for (const [index, raw] of fields.entries()) {
+    const label = String(raw.label || '').trim();
+    const key = raw.key ? String(raw.key).trim() : fieldKey(label);
+    const name = label || `Field ${index + 1}`;
+
+    if (!label) {
+      return { error: `Field ${index + 1}: label is required` };
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `${name}: key must be lowercase letters, digits and underscores` };
+    }
+    if (values.fields.some(other => other.key === key)) {
+      return { error: `${name}: another field already uses the key ${key}` };
+    }
+    if (!FIELD_TYPES.includes(raw.type)) {
+      return { error: `${name}: type must be one of: ${FIELD_TYPES.join(', ')}` };
+    }
+
+    const parsed = { key, label, type: raw.type, required: !!raw.required };
+    if (raw.type === 'select') {
+      const options = Array.isArray(raw.options)
+        ? [...new Set(raw.options.map(option => String(option).trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) {
+        return { error: `${name}: a select field needs options` };
+      }
+      parsed.options = options;
+    }
+    values.fields.push(parsed);
+  }
+
+  return { values };
+};
+
+// Message for a unique violation on report_templates (scope already taken)
+const duplicateTemplateError = (err) => {
+  if (err.constraint === 'idx_report_templates_project') return 'This project already has a template';
+  if (err.constraint === 'idx_report_templates_role') return 'This role already has a template';
+  return 'There already is a default template';
+};
+
+// Templates with the name of their project, defaults first
+const listTemplates = async (db) => {
+  const result = await db.query(`
+    SELECT t.*, p.name as project
+    FROM report_templates t
+    LEFT JOIN projects p ON t.project_id = p.id
+    ORDER BY (t.role IS NOT NULL OR t.project_id IS NOT NULL), LOWER(t.name)
+  `);
+  return result.rows;
+};
+
+const fetchTemplate = async (db, id) => {
+  const result = await db.query('SELECT * FROM report_templates WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+// The template a report of the employee with line items in projectIds (in
+// line item order) is filed against, or null if none applies
+const resolveTemplate = async (db, { employeeId, projectIds = [] }) => {
+  const result = await db.query(`
+    SELECT t.*
+    FROM report_templates t
+    WHERE t.project_id = ANY($1::int[])
+       OR LOWER(t.role) = (SELECT LOWER(role) FROM employees WHERE id = $2)
+       OR (t.role IS NULL AND t.project_id IS NULL)
+    ORDER BY t.project_id IS NULL, array_position($1::int[], t.project_id), t.role IS NULL
+    LIMIT 1
+  `, [projectIds, employeeId]);
+  return result.rows[0] || null;
+};
+
+// Answer of a field as stored: trimmed text, a number, true/false for a
+// checkbox or one of a select's options; null when not answered. Returns
+// { error } or { value }.
+const parseResponse = (field, raw) => {
+  const blank = raw === undefined || raw === null || String(raw).trim() === '';
+
+  if (field.type === 'checkbox') {
+    return { value: raw === true || raw === 'true' };
+  }
+  if (blank) {
+    return { value: null };
+  }
+  if (field.type === 'number') {
+    const value = Number(raw);
+    return isNaN(value) ? { error: `${field.label} must be a number` } : { value };
+  }
+  if (field.type === 'select') {
+    const value = String(raw).trim();
+    return field.options.includes(value)
+      ? { value }
+      : { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+  }
+  return { value: String(raw).trim() };
+};
+
+// Answers to a template from a request body's responses: an object keyed by
+// field key, or its JSON string from multipart forms. Required fields must be
+// answered (a required checkbox checked). Returns { error } or { responses }.
+const parseResponses = (template, raw) => {
+  let answers = raw;
+
+  if (typeof answers === 'string') {
+    try {
+      answers = JSON.parse(answers);
+    } catch (e) {
+      return { error: 'responses must be a JSON object' };
+    }
+  }
+
+  if (answers === undefined || answers === null) {
+    answers = {};
+  }
+
+  if (typeof answers !== 'object' || Array.isArray(answers)) {
+    return { error: 'responses must be an object keyed by field' };
+  }
+
+  const responses = [];
+  for (const field of template.fields) {
+    const { error, value } = parseResponse(field, answers[field.key]);
+    if (error) {
+      return { error };
+    }
+    if (field.required && (value === null || value === false)) {
+      return { error: `${field.label} is required` };
+    }
+    responses.push({ key: field.key, label: field.label, type: field.type, value });
+  }
+
+  return { responses };
+};
+
+// Condition matching reports that answered the field named by the parameter
+// (not blank, and checked for a checkbox; needs eod_reports as r)
+const reportHasResponse = (placeholder) => `EXISTS (
+      SELECT 1 FROM jsonb_array_elements(COALESCE(r.responses, '[]'::jsonb)) rf
+      WHERE rf->>'key' = ${placeholder} AND COALESCE(rf->>'value', '') NOT IN ('', 'false')
+    )`;
+
+// One-line description of responses, for the revision history:
+// "Completed: Login screen; Blockers: waiting on API keys"
+const describeResponses = (responses) => (responses || [])
+  .filter(response => response.value !== null && response.value !== false)
+  .map(response => (response.type === 'checkbox' ? response.label : `${response.label}: ${response.value}`))
+  .join('; ');
+
+module.exports = {
+  FIELD_TYPES,
+  validateTemplate,
+  duplicateTemplateError,
+  listTemplates,
+  fetchTemplate,
+  resolveTemplate,
+  parseResponses,
+  reportHasResponse,
+  describeResponses
+};
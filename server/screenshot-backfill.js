@@ -0,0 +1,132 @@
+const { describeImage, mimeTypeFor } = require('./storage');
+const { saveVariants } = require('./storage/variants');
+
+// Fill storage provider/key, size, dimensions, checksum and phash for screenshots
+// uploaded before they were recorded. Files are read through the configured
+// storage driver, so rows stored by a different provider are left alone.
+const backfillScreenshotMetadata = async (pool, storage) => {
+  const result = await pool.query(`
+    SELECT id, filename, filepath, storage_provider, storage_key, mime_type
+    FROM screenshots
+    WHERE storage_key IS NULL OR checksum IS NULL OR phash IS NULL
+    ORDER BY id
+  `);
+
+  const summary = { total: result.rows.length, updated: 0, skipped: 0, failed: 0 };
+
+  for (const row of result.rows) {
+    const key = row.storage_key || storage.keyFromFilepath(row.filepath);
+
+    if (!key || (row.storage_provider && row.storage_provider !== storage.name)) {
+      console.log(`⏭️  Skipping screenshot ${row.id}: not managed by ${storage.name} storage`);
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const buffer = await storage.read(key);
+      const metadata = await describeImage(buffer);
+
+      await pool.query(
+        `UPDATE screenshots
+         SET storage_provider = $1, storage_key = $2, mime_type = $3,
+             size_bytes = $4, width = $5, height = $6, checksum = $7, phash = $8
+         WHERE id = $9`,
+        [
+          storage.name,
+          key,
+          row.mime_type || mimeTypeFor(row.filename) || mimeTypeFor(key),
+          metadata.size_bytes,
+          metadata.width,
+          metadata.height,
+          metadata.checksum,
+          metadata.phash,
+          row.id
+        ]
+      );
+      summary.updated++;
+    } catch (err) {
+      console.error(`❌ Error backfilling screenshot ${row.id} (${row.filepath}):`, err.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Generate the thumbnail and preview for screenshots uploaded before they
+// were created at upload time
+const backfillScreenshotThumbnails = async (pool, storage) => {
+  const result = await pool.query(`
+    SELECT id, filepath, storage_provider, storage_key
+    FROM screenshots
+    WHERE thumbnail_key IS NULL OR preview_key IS NULL
+    ORDER BY id
+  `);
+
+  const summary = { total: result.rows.length, updated: 0, skipped: 0, failed: 0 };
+
+  for (const row of result.rows) {
+    const key = row.storage_key || storage.keyFromFilepath(row.filepath);
+
+    if (!key || (row.storage_provider && row.storage_provider !== storage.name)) {
+      console.log(`⏭️  Skipping screenshot ${row.id}: not managed by ${storage.name} storage`);
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const buffer = await storage.read(key);
+      const { thumbnail, preview } = await saveVariants(storage, key, buffer);
+
+      await pool.query(
+        `UPDATE screenshots
+         SET thumbnail_key = $1, thumbnail_url = $2, preview_key = $3, preview_url = $4
+         WHERE id = $5`,
+        [thumbnail.key, thumbnail.url, preview.key, preview.url, row.id]
+      );
+      summary.updated++;
+    } catch (err) {
+      console.error(`❌ Error generating thumbnails for screenshot ${row.id} (${row.filepath}):`, err.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  backfillScreenshotMetadata,
+  backfillScreenshotThumbnails
+};
+
+// CLI: node server/screenshot-backfill.js [metadata|thumbnails]
+if (require.main === module) {
+  require('dotenv').config();
+  const { pool } = require('./db-postgres');
+  const { createStorage } = require('./storage');
+  const [command = 'metadata'] = process.argv.slice(2);
+
+  const backfills = {
+    metadata: backfillScreenshotMetadata,
+    thumbnails: backfillScreenshotThumbnails
+  };
+
+  const run = async () => {
+    if (!backfills[command]) {
+      throw new Error(`Unknown backfill "${command}". Use metadata or thumbnails.`);
+    }
+    return backfills[command](pool, createStorage());
+  };
+
+  run()
+    .then(async (summary) => {
+      console.log(`✅ ${summary.updated} of ${summary.total} screenshot(s) updated, ${summary.skipped} skipped, ${summary.failed} failed`);
+      await pool.end();
+    })
+    .catch(async (err) => {
+      console.error('❌ Backfill error:', err.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
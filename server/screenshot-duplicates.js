@@ -0,0 +1,111 @@
+const { REPORT_PROJECTS } = require('./report-entries');
+
+// Screenshots whose perceptual hashes differ by at most this many bits (out of
+// 64) are treated as possible duplicates
+const PHASH_MAX_DISTANCE = 6;
+
+// Hamming distance between two phash columns, in SQL
+const phashDistance = (a, b) =>
+  `length(replace((('x' || ${a})::bit(64) # ('x' || ${b})::bit(64))::text, '0', ''))`;
+
+// Near-duplicates of the given screenshots among other reports of the same
+// employee, keyed by screenshot id
+const findDuplicates = async (db, screenshotIds) => {
+  if (screenshotIds.length === 0) return {};
+
+  const result = await db.query(
+    `SELECT
+       s.id,
+       d.id AS duplicate_id,
+       d.report_id,
+       dr.date AS report_date,
+       d.filepath,
+       d.thumbnail_url,
+       ${phashDistance('s.phash', 'd.phash')} AS distance
+     FROM screenshots s
+     JOIN eod_reports r ON r.id = s.report_id
+     JOIN eod_reports dr ON dr.employee_id = r.employee_id AND dr.id <> r.id
+     JOIN screenshots d ON d.report_id = dr.id
+     WHERE s.id = ANY($1::int[])
+       AND s.phash IS NOT NULL
+       AND d.phash IS NOT NULL
+       AND d.deleted_at IS NULL
+       AND dr.deleted_at IS NULL
+       AND ${phashDistance('s.phash', 'd.phash')} <= $2
+     ORDER BY dr.date, d.id`,
+    [screenshotIds, PHASH_MAX_DISTANCE]
+  );
+
+  const duplicates = {};
+  result.rows.forEach(row => {
+    const { id, duplicate_id, ...duplicate } = row;
+    if (!duplicates[id]) duplicates[id] = [];
+    duplicates[id].push({ id: duplicate_id, ...duplicate });
+  });
+  return duplicates;
+};
+
+// Add a `duplicates` array to each screenshot (empty when none were found)
+const attachDuplicates = async (db, screenshots) => {
+  const duplicates = await findDuplicates(db, screenshots.map(s => s.id));
+  return screenshots.map(s => ({ ...s, duplicates: duplicates[s.id] || [] }));
+};
+
+// Screenshots that have at least one near-duplicate in another report of the
+// same employee, in the same shape as GET /api/gallery
+const findReusedScreenshots = async (pool, { employee_id, start_date, end_date } = {}) => {
+  let query = `
+    SELECT
+      s.*,
+      e.name as employee_name,
+      e.email as employee_email,
+      r.date as report_date,
+      ${REPORT_PROJECTS} as project
+    FROM screenshots s
+    JOIN eod_reports r ON s.report_id = r.id
+    JOIN employees e ON r.employee_id = e.id
+    WHERE s.phash IS NOT NULL
+      AND s.deleted_at IS NULL
+      AND r.deleted_at IS NULL
+      AND EXISTS (
+        SELECT 1
+        FROM screenshots d
+        JOIN eod_reports dr ON dr.id = d.report_id
+        WHERE dr.employee_id = r.employee_id
+          AND dr.id <> r.id
+          AND d.phash IS NOT NULL
+          AND d.deleted_at IS NULL
+          AND dr.deleted_at IS NULL
+          AND ${phashDistance('s.phash', 'd.phash')} <= $1
+      )
+  `;
+
+  const params = [PHASH_MAX_DISTANCE];
+  let paramCount = 2;
+
+  if (employee_id) {
+    query += ` AND r.employee_id = $${paramCount++}`;
+    params.push(employee_id);
+  }
+
+  if (start_date) {
+    query += ` AND r.date >= $${paramCount++}`;
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    query += ` AND r.date <= $${paramCount++}`;
+    params.push(end_date);
+  }
+
+  query += ' ORDER BY e.name, r.date DESC, s.id';
+
+  const result = await pool.query(query, params);
+  return attachDuplicates(pool, result.rows);
+};
+
+module.exports = {
+  PHASH_MAX_DISTANCE,
+  attachDuplicates,
+  findReusedScreenshots
+};
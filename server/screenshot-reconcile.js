@@ -0,0 +1,129 @@
+// Files newer than this are never treated as orphans: uploads are stored
+// before their screenshots row is committed
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Compare the files in storage with the screenshots table.
+//   orphaned_files: stored files no screenshots row points to
+//   missing_files:  screenshots rows whose file no longer exists
+// Nothing is changed unless dryRun is false, in which case orphaned files are
+// deleted from storage and rows with missing files are deleted from the database
+// together with their thumbnail and preview.
+// Screenshots in the trash still count as referencing their files.
+const reconcileScreenshots = async (pool, storage, { dryRun = true } = {}) => {
+  const storedFiles = await storage.list();
+  const rowsResult = await pool.query(
+    `SELECT id, report_id, filename, filepath, storage_provider, storage_key, thumbnail_key, preview_key
+     FROM screenshots ORDER BY id`
+  );
+
+  const referencedKeys = new Set();
+  const rows = [];
+  let otherProviderRows = 0;
+
+  for (const row of rowsResult.rows) {
+    if (row.storage_provider && row.storage_provider !== storage.name) {
+      otherProviderRows++;
+      continue;
+    }
+    const key = row.storage_key || storage.keyFromFilepath(row.filepath);
+    if (!key) {
+      otherProviderRows++;
+      continue;
+    }
+    [key, row.thumbnail_key, row.preview_key].filter(Boolean).forEach(k => referencedKeys.add(k));
+    rows.push({ ...row, key });
+  }
+
+  const storedKeys = new Set(storedFiles.map(file => file.key));
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+  const orphanedFiles = storedFiles
+    .filter(file => !referencedKeys.has(file.key))
+    .filter(file => !file.lastModified || new Date(file.lastModified).getTime() < cutoff)
+    .map(file => file.key);
+
+  const missingFiles = rows
+    .filter(row => !storedKeys.has(row.key))
+    .map(row => ({
+      id: row.id,
+      report_id: row.report_id,
+      filename: row.filename,
+      storage_key: row.key,
+      variant_keys: [row.thumbnail_key, row.preview_key].filter(k => k && storedKeys.has(k))
+    }));
+
+  const summary = {
+    provider: storage.name,
+    dry_run: dryRun,
+    stored_files: storedFiles.length,
+    screenshot_rows: rows.length,
+    other_provider_rows: otherProviderRows,
+    orphaned_files: orphanedFiles,
+    missing_files: missingFiles,
+    purged_files: 0,
+    purged_rows: 0,
+    errors: []
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  // Thumbnails and previews of rows being purged would be orphaned next time
+  const keysToPurge = [...orphanedFiles, ...missingFiles.flatMap(row => row.variant_keys)];
+
+  for (const key of keysToPurge) {
+    try {
+      await storage.remove(key);
+      console.log(`🗑️  Purged orphaned file from ${storage.name} storage: ${key}`);
+      summary.purged_files++;
+    } catch (err) {
+      console.error(`❌ Error purging orphaned file: ${key}`, err.message);
+      summary.errors.push(`${key}: ${err.message}`);
+    }
+  }
+
+  if (missingFiles.length > 0) {
+    const result = await pool.query(
+      'DELETE FROM screenshots WHERE id = ANY($1::int[])',
+      [missingFiles.map(row => row.id)]
+    );
+    summary.purged_rows = result.rowCount;
+    console.log(`🗑️  Purged ${result.rowCount} screenshot row(s) with missing files`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  reconcileScreenshots
+};
+
+// CLI: node server/screenshot-reconcile.js [--purge]
+if (require.main === module) {
+  require('dotenv').config();
+  const { pool } = require('./db-postgres');
+  const { createStorage } = require('./storage');
+  const dryRun = !process.argv.includes('--purge');
+
+  reconcileScreenshots(pool, createStorage(), { dryRun })
+    .then(async (summary) => {
+      console.log(`🗄️  ${summary.provider} storage: ${summary.stored_files} file(s), ${summary.screenshot_rows} screenshot row(s)`);
+      console.log(`Orphaned files (${summary.orphaned_files.length}):`);
+      summary.orphaned_files.forEach(key => console.log(`  ${key}`));
+      console.log(`Rows with missing files (${summary.missing_files.length}):`);
+      summary.missing_files.forEach(row => console.log(`  #${row.id} (report ${row.report_id}) ${row.storage_key}`));
+
+      if (dryRun) {
+        console.log('ℹ️  Dry run - nothing was changed. Re-run with --purge to delete them.');
+      } else {
+        console.log(`✅ Purged ${summary.purged_files} file(s) and ${summary.purged_rows} row(s), ${summary.errors.length} error(s)`);
+      }
+      await pool.end();
+    })
+    .catch(async (err) => {
+      console.error('❌ Reconciliation error:', err.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
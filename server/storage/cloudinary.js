@@ -0,0 +1,85 @@
+const cloudinary = require('cloudinary').v2;
+
+// URL format: https://res.cloudinary.com/cloud_name/image/upload/v123456/eod-monitoring/filename.jpg
+const keyFromCloudinaryUrl = (filepath) => {
+  if (!filepath || !filepath.includes('res.cloudinary.com/')) return null;
+  const match = filepath.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Stores screenshots in Cloudinary. Keys are Cloudinary public_ids.
+const createCloudinaryStorage = ({ cloudName, apiKey, apiSecret, folder }) => {
+  if (!cloudName || !apiKey || !apiSecret) {
+    throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver');
+  }
+
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret
+  });
+
+  const getUrl = (key) => cloudinary.url(key, { secure: true });
+
+  const save = (key, buffer) => {
+    // Cloudinary adds the extension itself, so the public_id is the key without it
+    const publicId = key.replace(/\.[^./]+$/, '');
+
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream({
+        public_id: publicId,
+        resource_type: 'image',
+        transformation: [{ quality: 'auto', fetch_format: 'auto' }]
+      }, (err, result) => {
+        if (err) return reject(err);
+        resolve({ key: result.public_id, url: result.secure_url });
+      });
+      stream.end(buffer);
+    });
+  };
+
+  // Fetch the original upload (no transformations) from the delivery URL
+  const read = async (key) => {
+    const response = await fetch(getUrl(key));
+    if (!response.ok) {
+      throw new Error(`Failed to download ${key} from Cloudinary: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  // Uploaded images under the app's folder (keys are public_ids)
+  const list = async () => {
+    const files = [];
+    let nextCursor;
+    do {
+      const result = await cloudinary.api.resources({
+        type: 'upload',
+        resource_type: 'image',
+        prefix: folder ? `${folder}/` : undefined,
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+      result.resources.forEach(resource => {
+        files.push({ key: resource.public_id, lastModified: new Date(resource.created_at) });
+      });
+      nextCursor = result.next_cursor;
+    } while (nextCursor);
+    return files;
+  };
+
+  const remove = async (key) => {
+    await cloudinary.uploader.destroy(key);
+  };
+
+  return {
+    name: 'cloudinary',
+    save,
+    read,
+    list,
+    remove,
+    getUrl,
+    keyFromFilepath: keyFromCloudinaryUrl
+  };
+};
+
+module.exports = { createCloudinaryStorage, keyFromCloudinaryUrl };
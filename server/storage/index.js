@@ -0,0 +1,120 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+const { createCloudinaryStorage } = require('./cloudinary');
+
+// Every storage driver exposes the same interface:
+//   save(key, buffer, { contentType }) -> { key, url }
+//   read(key) -> Buffer
+//   list() -> [{ key, lastModified }] for every file the app owns
+//   remove(key)
+//   getUrl(key) -> public URL or path
+//   keyFromFilepath(filepath) -> key, or null if the filepath isn't owned by this driver
+
+const STORAGE_FOLDER = 'eod-monitoring';
+
+// Pick the driver from STORAGE_DRIVER, falling back to Cloudinary when it is
+// configured and local disk otherwise
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        rootDir: env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads')
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+        publicUrl: env.S3_PUBLIC_URL,
+        folder: STORAGE_FOLDER
+      });
+    case 'cloudinary':
+      return createCloudinaryStorage({
+        cloudName: env.CLOUDINARY_CLOUD_NAME,
+        apiKey: env.CLOUDINARY_API_KEY,
+        apiSecret: env.CLOUDINARY_API_SECRET,
+        folder: STORAGE_FOLDER
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use local, s3 or cloudinary.`);
+  }
+};
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Best guess at a file's mime type from its name, for rows uploaded before it was recorded
+const mimeTypeFor = (filename) => MIME_TYPES[path.extname(filename || '').toLowerCase()] || null;
+
+// Unique storage key for an uploaded file, keeping its extension
+const buildStorageKey = (originalname) => {
+  const ext = path.extname(originalname || '').toLowerCase();
+  const id = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  return `${STORAGE_FOLDER}/${id}${ext}`;
+};
+
+// 64-bit difference hash (dHash) as 16 hex characters. Visually similar images
+// (re-encoded, resized, slightly cropped) get hashes a few bits apart.
+const perceptualHash = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+  let hash = '';
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (pixel(x, y) > pixel(x + 1, y) ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+};
+
+// Metadata stored alongside each screenshot. Dimensions and hash are best
+// effort - an image sharp can't decode still gets its size and checksum recorded.
+const describeImage = async (buffer) => {
+  let width = null;
+  let height = null;
+  let phash = null;
+  try {
+    const metadata = await sharp(buffer).metadata();
+    width = metadata.width || null;
+    height = metadata.height || null;
+    phash = await perceptualHash(buffer);
+  } catch (err) {
+    console.error('❌ Could not read image dimensions:', err.message);
+  }
+
+  return {
+    size_bytes: buffer.length,
+    width,
+    height,
+    checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+    phash
+  };
+};
+
+module.exports = {
+  createStorage,
+  buildStorageKey,
+  describeImage,
+  mimeTypeFor
+};
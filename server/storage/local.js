@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores screenshots on the local filesystem and serves them from /uploads
+const createLocalStorage = ({ rootDir, publicPath = '/uploads' }) => {
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Never touch anything outside the uploads directory
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const getUrl = (key) => `${publicPath}/${key}`;
+
+  const save = async (key, buffer) => {
+    const filePath = resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, url: getUrl(key) };
+  };
+
+  const read = (key) => fs.promises.readFile(resolvePath(key));
+
+  // Every file under the uploads directory, including legacy files stored at its root
+  const list = async () => {
+    const files = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(fullPath);
+          files.push({
+            key: path.relative(rootDir, fullPath).split(path.sep).join('/'),
+            lastModified: stats.mtime
+          });
+        }
+      }
+    };
+    await walk(rootDir);
+    return files;
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolvePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  };
+
+  // Accepts both "/uploads/<key>" and legacy bare filenames stored before URLs were saved
+  const keyFromFilepath = (filepath) => {
+    if (!filepath || /^https?:\/\//.test(filepath)) return null;
+    return filepath.startsWith(`${publicPath}/`) ? filepath.slice(publicPath.length + 1) : filepath;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+    publicPath,
+    save,
+    read,
+    list,
+    remove,
+    getUrl,
+    keyFromFilepath
+  };
+};
+
+module.exports = { createLocalStorage };
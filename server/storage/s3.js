@@ -0,0 +1,84 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Stores screenshots in any S3-compatible bucket (AWS S3, MinIO, R2, ...)
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl, folder }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Public base URL for objects; MinIO and other custom endpoints use path-style URLs
+  const baseUrl = (publicUrl
+    || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  const getUrl = (key) => `${baseUrl}/${key}`;
+
+  const save = async (key, buffer, { contentType } = {}) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return { key, url: getUrl(key) };
+  };
+
+  const read = async (key) => {
+    const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  };
+
+  // Objects under the app's folder; the bucket may be shared with other data
+  const list = async () => {
+    const files = [];
+    let ContinuationToken;
+    do {
+      const result = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: folder ? `${folder}/` : undefined,
+        ContinuationToken
+      }));
+      (result.Contents || []).forEach(object => {
+        files.push({ key: object.Key, lastModified: object.LastModified });
+      });
+      ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return files;
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  const keyFromFilepath = (filepath) => {
+    if (!filepath || !filepath.startsWith(`${baseUrl}/`)) return null;
+    return decodeURIComponent(filepath.slice(baseUrl.length + 1));
+  };
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+    save,
+    read,
+    list,
+    remove,
+    getUrl,
+    keyFromFilepath
+  };
+};
+
+module.exports = { createS3Storage };
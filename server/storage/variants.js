@@ -0,0 +1,54 @@
+const sharp = require('sharp');
+
+// Resized copies stored next to each screenshot. Thumbnails are cropped to a
+// fixed size for gallery tiles and report cards, previews keep the aspect ratio.
+const SCREENSHOT_VARIANTS = {
+  thumbnail: { width: 320, height: 240, fit: 'cover', quality: 70 },
+  preview: { width: 1280, height: 1280, fit: 'inside', quality: 80 }
+};
+
+// Storage key of a variant, e.g. eod-monitoring/123-abc.png -> eod-monitoring/123-abc_thumbnail.webp
+const variantKey = (key, name) => `${key.replace(/\.[^./]+$/, '')}_${name}.webp`;
+
+// Render every variant of an image; rejects if sharp can't decode it
+const renderVariants = async (buffer) => {
+  const rendered = {};
+  for (const [name, options] of Object.entries(SCREENSHOT_VARIANTS)) {
+    rendered[name] = await sharp(buffer)
+      .rotate()
+      .resize({
+        width: options.width,
+        height: options.height,
+        fit: options.fit,
+        withoutEnlargement: options.fit === 'inside'
+      })
+      .webp({ quality: options.quality })
+      .toBuffer();
+  }
+  return rendered;
+};
+
+// Render and save all variants of a stored screenshot. Returns
+// { thumbnail: { key, url }, preview: { key, url } }; already saved variants
+// are removed again if a later one fails.
+const saveVariants = async (storage, key, buffer) => {
+  const rendered = await renderVariants(buffer);
+  const saved = {};
+  try {
+    for (const [name, variantBuffer] of Object.entries(rendered)) {
+      saved[name] = await storage.save(variantKey(key, name), variantBuffer, { contentType: 'image/webp' });
+    }
+  } catch (err) {
+    for (const variant of Object.values(saved)) {
+      await storage.remove(variant.key).catch(() => {});
+    }
+    throw err;
+  }
+  return saved;
+};
+
+module.exports = {
+  SCREENSHOT_VARIANTS,
+  variantKey,
+  saveVariants
+};
@@ -0,0 +1,122 @@
+// Teams of employees led by a manager. A user with the manager role sees, and
+// reviews, the reports of the employees in the teams they lead (and their own,
+// when linked to an employee). Team membership is looked up on every request
+// rather than stored in the session, so changes apply at once.
+
+// Check team fields, filling the ones not given from existing (a team being
+// changed). Returns { error } or { values }.
+const validateTeam = (body, existing = {}) => {
+  const field = (name) => (body[name] !== undefined ? body[name] : existing[name]);
+  const memberIds = field('member_ids') || [];
+
+  if (!Array.isArray(memberIds)) {
+    return { error: 'member_ids must be employee ids' };
+  }
+
+  const values = {
+    name: String(field('name') || '').trim(),
+    lead_user_id: field('lead_user_id') ? parseInt(field('lead_user_id')) : null,
+    member_ids: [...new Set(memberIds.map(id => parseInt(id)))]
+  };
+
+  if (!values.name) {
+    return { error: 'Team name is required' };
+  }
+
+  if (values.member_ids.some(id => Number.isNaN(id))) {
+    return { error: 'member_ids must be employee ids' };
+  }
+
+  return { values };
+};
+
+// Check a team's lead is a manager and its members are employees. Returns an
+// error message or null.
+const checkTeam = async (db, { lead_user_id, member_ids }) => {
+  if (lead_user_id) {
+    const lead = await db.query('SELECT role FROM users WHERE id = $1', [lead_user_id]);
+    if (lead.rows.length === 0) {
+      return 'Lead not found';
+    }
+    if (lead.rows[0].role !== 'manager') {
+      return 'The team lead must have the manager role';
+    }
+  }
+
+  const members = await db.query(
+    'SELECT COUNT(*) as count FROM employees WHERE id = ANY($1::int[]) AND deleted_at IS NULL',
+    [member_ids]
+  );
+  if (parseInt(members.rows[0].count) !== member_ids.length) {
+    return 'Employee not found';
+  }
+
+  return null;
+};
+
+// Teams with their lead's username and members, by name. leadUserId (a
+// manager's) limits them to the teams that user leads.
+const listTeams = async (db, { leadUserId = null } = {}) => {
+  const params = [];
+  let where = '';
+
+  if (leadUserId) {
+    params.push(leadUserId);
+    where = `WHERE t.lead_user_id = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      t.*,
+      u.username as lead_username,
+      COALESCE((
+        SELECT json_agg(json_build_object('id', e.id, 'name', e.name) ORDER BY e.name)
+        FROM team_members tm
+        JOIN employees e ON tm.employee_id = e.id
+        WHERE tm.team_id = t.id AND e.deleted_at IS NULL
+      ), '[]') as members
+    FROM teams t
+    LEFT JOIN users u ON t.lead_user_id = u.id
+    ${where}
+    ORDER BY LOWER(t.name)
+  `, params);
+  return result.rows;
+};
+
+const fetchTeam = async (db, id) => {
+  const result = await db.query('SELECT * FROM teams WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+
+  const members = await db.query('SELECT employee_id FROM team_members WHERE team_id = $1', [id]);
+  return { ...result.rows[0], member_ids: members.rows.map(row => row.employee_id) };
+};
+
+// Replace a team's members
+const saveTeamMembers = async (db, teamId, memberIds) => {
+  await db.query('DELETE FROM team_members WHERE team_id = $1', [teamId]);
+  await db.query(
+    `INSERT INTO team_members (team_id, employee_id)
+     SELECT $1, unnest($2::int[])`,
+    [teamId, memberIds]
+  );
+};
+
+// Ids of the employees in the teams a user leads
+const fetchTeamEmployeeIds = async (db, userId) => {
+  const result = await db.query(`
+    SELECT DISTINCT tm.employee_id
+    FROM teams t
+    JOIN team_members tm ON tm.team_id = t.id
+    WHERE t.lead_user_id = $1
+  `, [userId]);
+  return result.rows.map(row => row.employee_id);
+};
+
+module.exports = {
+  validateTeam,
+  checkTeam,
+  listTeams,
+  fetchTeam,
+  saveTeamMembers,
+  fetchTeamEmployeeIds
+};
@@ -0,0 +1,73 @@
+// Tests for the cost breakdowns: the per-period split built from the database
+// rows and the filters passed to the query. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { COST_PERIODS, fetchCostsByPeriod } = require('../costs');
+
+// A db answering every query with rows, recording each call
+const fakeDb = (rows) => {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows };
+    }
+  };
+};
+
+// Rows as the per-period query returns them: one per period and employee,
+// with pg's numeric columns as strings
+const ROWS = [
+  { period_start: '2024-01-01', period_end: '2024-01-07', employee_id: 1, employee_name: 'Ada', total_hours: '10.50', report_count: '2', total_cost: '315.00' },
+  { period_start: '2024-01-01', period_end: '2024-01-07', employee_id: 2, employee_name: 'Grace', total_hours: '8.00', report_count: '1', total_cost: '200.00' },
+  { period_start: '2024-01-08', period_end: '2024-01-14', employee_id: 1, employee_name: 'Ada', total_hours: '4.00', report_count: '1', total_cost: null },
+  { period_start: null, period_end: null, employee_id: 2, employee_name: 'Grace', total_hours: '2.00', report_count: '1', total_cost: '50.00' }
+];
+
+test('fetchCostsByPeriod groups employee rows into periods with totals', async () => {
+  const periods = await fetchCostsByPeriod(fakeDb(ROWS), {}, 'week');
+
+  assert.strictEqual(periods.length, 3);
+  assert.deepStrictEqual(periods[0], {
+    period_start: '2024-01-01',
+    period_end: '2024-01-07',
+    total_hours: 18.5,
+    total_cost: 515,
+    report_count: 3,
+    employees: [
+      { employee_id: 1, employee_name: 'Ada', total_hours: 10.5, total_cost: 315, report_count: 2 },
+      { employee_id: 2, employee_name: 'Grace', total_hours: 8, total_cost: 200, report_count: 1 }
+    ]
+  });
+
+  // Hours without a rate cost nothing
+  assert.strictEqual(periods[1].total_cost, 0);
+  assert.strictEqual(periods[1].total_hours, 4);
+
+  // Reports outside every pay period come last, without dates
+  assert.strictEqual(periods[2].period_start, null);
+  assert.strictEqual(periods[2].total_cost, 50);
+});
+
+test('fetchCostsByPeriod without rows', async () => {
+  assert.deepStrictEqual(await fetchCostsByPeriod(fakeDb([]), {}, 'month'), []);
+});
+
+test('fetchCostsByPeriod passes each filter as a numbered parameter', async () => {
+  const db = fakeDb([]);
+  await fetchCostsByPeriod(db, {
+    employeeIds: [1, 2],
+    projects: ['Apollo'],
+    start_date: '2024-01-01',
+    end_date: '2024-01-31'
+  }, 'pay_period');
+
+  const [{ sql, params }] = db.calls;
+  assert.deepStrictEqual(params, [[1, 2], ['Apollo'], '2024-01-01', '2024-01-31']);
+  assert.match(sql, /r\.employee_id = ANY\(\$1::int\[\]\)/);
+  assert.match(sql, /proj\.name = ANY\(\$2\)/);
+  assert.match(sql, /r\.date >= \$3/);
+  assert.match(sql, /r\.date <= \$4/);
+  assert.ok(sql.includes(COST_PERIODS.pay_period.join));
+});
@@ -0,0 +1,178 @@
+// Tests for the authorization policy: the role matrix, employee scoping and
+// the authorize() middleware. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const policy = require('../policy');
+
+const ROLES = ['admin', 'manager', 'employee', 'viewer'];
+
+// Who may do what, as documented in API.md. Every action in POLICIES must be
+// listed here, so a new action can't be added without deciding its roles.
+const MATRIX = {
+  users: { manage: ['admin'] },
+  viewerAccess: { manage: ['admin'] },
+  storage: { manage: ['admin'] },
+  reportLocks: { manage: ['admin'] },
+  payPeriods: { manage: ['admin'] },
+  audit: { read: ['admin'] },
+  trash: { manage: ['admin'] },
+  teams: { list: ['admin', 'manager'], manage: ['admin'] },
+  employees: {
+    list: ROLES,
+    read: ROLES,
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin'],
+    lastReport: ['admin', 'employee']
+  },
+  rates: { list: ['admin', 'viewer'], manage: ['admin'] },
+  reports: {
+    list: ROLES,
+    read: ROLES,
+    create: ['admin', 'employee'],
+    update: ['admin', 'employee'],
+    delete: ['admin', 'employee'],
+    bulkDelete: ['admin', 'employee'],
+    export: ROLES,
+    review: ['admin', 'manager']
+  },
+  comments: { list: ROLES, create: ['admin', 'manager', 'employee'] },
+  notifications: { list: ROLES, update: ROLES },
+  events: { stream: ROLES },
+  amendments: { list: ROLES, create: ['admin', 'employee'] },
+  screenshots: { list: ROLES, reviewDuplicates: ['admin'] },
+  projects: { list: ROLES, manage: ['admin'] },
+  clients: { list: ROLES, manage: ['admin'] },
+  budgets: { read: ['admin', 'viewer'], manage: ['admin'] },
+  reportTemplates: { list: ROLES, manage: ['admin'] },
+  blockers: { list: ROLES, update: ['admin', 'manager', 'employee'] },
+  stats: { read: ROLES },
+  analytics: { missingEods: ['admin', 'manager', 'viewer'], costs: ['admin', 'manager', 'viewer'] }
+};
+
+const admin = { id: 1, role: 'admin' };
+const manager = { id: 2, role: 'manager', employee_id: 20, team_employee_ids: [21, 22] };
+const employee = { id: 3, role: 'employee', employee_id: 30 };
+const unlinkedEmployee = { id: 4, role: 'employee', employee_id: null };
+const viewer = { id: 5, role: 'viewer' };
+
+test('POLICIES covers exactly the documented resources and actions', () => {
+  assert.deepStrictEqual(
+    Object.keys(policy.POLICIES).sort(),
+    Object.keys(MATRIX).sort()
+  );
+  for (const [resource, actions] of Object.entries(MATRIX)) {
+    assert.deepStrictEqual(
+      Object.keys(policy.POLICIES[resource]).sort(),
+      Object.keys(actions).sort(),
+      `actions of ${resource}`
+    );
+  }
+});
+
+for (const [resource, actions] of Object.entries(MATRIX)) {
+  for (const [action, allowed] of Object.entries(actions)) {
+    for (const role of ROLES) {
+      const expected = allowed.includes(role);
+      test(`${role} ${expected ? 'may' : 'may not'} ${resource}.${action}`, () => {
+        assert.strictEqual(policy.can({ role }, resource, action), expected);
+      });
+    }
+  }
+}
+
+test('can() denies a missing user and unknown roles', () => {
+  assert.strictEqual(policy.can(null, 'reports', 'list'), false);
+  assert.strictEqual(policy.can({ role: 'guest' }, 'reports', 'list'), false);
+});
+
+test('can() throws for an undefined policy', () => {
+  assert.throws(() => policy.can(admin, 'reports', 'fly'), /No policy defined for reports.fly/);
+  assert.throws(() => policy.can(admin, 'nothing', 'list'), /No policy defined/);
+});
+
+test('employeeScope', () => {
+  assert.strictEqual(policy.employeeScope(admin), null);
+  assert.strictEqual(policy.employeeScope(viewer), null);
+  assert.deepStrictEqual(policy.employeeScope(employee), [30]);
+  assert.deepStrictEqual(policy.employeeScope(unlinkedEmployee), []);
+  assert.deepStrictEqual(policy.employeeScope(manager), [21, 22, 20]);
+  // A manager in one of their own teams isn't listed twice
+  assert.deepStrictEqual(policy.employeeScope({ ...manager, team_employee_ids: [20, 21] }), [20, 21]);
+  // Without teams loaded, or linked employee, a manager sees nobody
+  assert.deepStrictEqual(policy.employeeScope({ id: 6, role: 'manager' }), []);
+});
+
+test('canAccessEmployee', () => {
+  assert.strictEqual(policy.canAccessEmployee(admin, 99), true);
+  assert.strictEqual(policy.canAccessEmployee(viewer, 99), true);
+  assert.strictEqual(policy.canAccessEmployee(employee, 30), true);
+  assert.strictEqual(policy.canAccessEmployee(employee, '30'), true);
+  assert.strictEqual(policy.canAccessEmployee(employee, 31), false);
+  assert.strictEqual(policy.canAccessEmployee(unlinkedEmployee, 30), false);
+  assert.strictEqual(policy.canAccessEmployee(manager, 21), true);
+  assert.strictEqual(policy.canAccessEmployee(manager, 20), true);
+  assert.strictEqual(policy.canAccessEmployee(manager, 30), false);
+});
+
+test('employeeFilter', () => {
+  // No restriction unless asked for specific employees
+  assert.strictEqual(policy.employeeFilter(admin), null);
+  assert.strictEqual(policy.employeeFilter(viewer), null);
+  assert.deepStrictEqual(policy.employeeFilter(admin, '7'), [7]);
+  assert.deepStrictEqual(policy.employeeFilter(viewer, ['7', '8']), [7, 8]);
+
+  assert.deepStrictEqual(policy.employeeFilter(employee), [30]);
+  assert.deepStrictEqual(policy.employeeFilter(employee, '30'), [30]);
+  assert.deepStrictEqual(policy.employeeFilter(employee, '31'), []);
+  assert.deepStrictEqual(policy.employeeFilter(unlinkedEmployee), []);
+  assert.deepStrictEqual(policy.employeeFilter(unlinkedEmployee, '30'), []);
+
+  assert.deepStrictEqual(policy.employeeFilter(manager), [21, 22, 20]);
+  assert.deepStrictEqual(policy.employeeFilter(manager, ['21', '30', '20']), [21, 20]);
+});
+
+test('employeeFilter drops requested values that are not employee ids', () => {
+  // Postgres rejects NaN in an int[] parameter
+  assert.deepStrictEqual(policy.employeeFilter(admin, 'abc'), []);
+  assert.deepStrictEqual(policy.employeeFilter(admin, ['7', 'abc', '7.5', '8x']), [7]);
+  assert.deepStrictEqual(policy.employeeFilter(employee, ['abc', '30']), [30]);
+  assert.deepStrictEqual(policy.employeeFilter(manager, 'abc'), []);
+});
+
+// Runs the middleware and returns the status it answered with, or 'next'
+const runAuthorize = (middleware, session) => {
+  let outcome = null;
+  const res = {
+    status: (code) => {
+      outcome = code;
+      return res;
+    },
+    json: () => res
+  };
+  middleware({ session }, res, () => {
+    outcome = 'next';
+  });
+  return outcome;
+};
+
+test('authorize() answers 401 without a session user', () => {
+  const middleware = policy.authorize('reports', 'list');
+  assert.strictEqual(runAuthorize(middleware, undefined), 401);
+  assert.strictEqual(runAuthorize(middleware, {}), 401);
+});
+
+test('authorize() answers 403 for roles without permission', () => {
+  assert.strictEqual(runAuthorize(policy.authorize('users', 'manage'), { user: employee }), 403);
+  assert.strictEqual(runAuthorize(policy.authorize('reports', 'create'), { user: viewer }), 403);
+  assert.strictEqual(runAuthorize(policy.authorize('reports', 'update'), { user: manager }), 403);
+});
+
+test('authorize() lets permitted roles through', () => {
+  assert.strictEqual(runAuthorize(policy.authorize('users', 'manage'), { user: admin }), 'next');
+  assert.strictEqual(runAuthorize(policy.authorize('reports', 'review'), { user: manager }), 'next');
+});
+
+test('authorize() fails at startup for an undefined policy', () => {
+  assert.throws(() => policy.authorize('reports', 'fly'), /No policy defined/);
+});
@@ -0,0 +1,84 @@
+// Tests for hourly rate histories: which rate is in effect on a date, rate
+// validation and keeping employees.hourly_rate on today's rate. Run with
+// `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { rateInEffect, validateRate, syncCurrentRate, currencyConflictError } = require('../rates');
+
+// A db whose queries answer with the given rows in turn, recording each call
+const fakeDb = (...answers) => {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: answers.shift() || [] };
+    }
+  };
+};
+
+// Rates as fetchRates() returns them, deliberately out of order
+const RATES = [
+  { id: 2, hourly_rate: '30.00', effective_from: '2024-03-01' },
+  { id: 1, hourly_rate: '25.00', effective_from: '2024-01-01' },
+  { id: 3, hourly_rate: '35.00', effective_from: '2024-07-15' }
+];
+
+test('rateInEffect switches rates on their effective date', () => {
+  assert.strictEqual(rateInEffect(RATES, '2024-02-29').id, 1);
+  assert.strictEqual(rateInEffect(RATES, '2024-03-01').id, 2);
+  assert.strictEqual(rateInEffect(RATES, '2024-07-14').id, 2);
+  assert.strictEqual(rateInEffect(RATES, '2024-07-15').id, 3);
+  assert.strictEqual(rateInEffect(RATES, '2030-01-01').id, 3);
+});
+
+test('rateInEffect prices days before the first rate at that rate', () => {
+  assert.strictEqual(rateInEffect(RATES, '2023-12-31').id, 1);
+  assert.strictEqual(rateInEffect(RATES, '2024-01-01').id, 1);
+});
+
+test('rateInEffect without rates', () => {
+  assert.strictEqual(rateInEffect([], '2024-01-01'), null);
+});
+
+test('syncCurrentRate sets the employee to the rate in effect today', async () => {
+  const db = fakeDb(RATES);
+  await syncCurrentRate(db, 4, '2024-05-01');
+
+  assert.strictEqual(db.calls.length, 2);
+  assert.deepStrictEqual(db.calls[0].params, [4]);
+  assert.match(db.calls[1].sql, /UPDATE employees SET hourly_rate/);
+  assert.deepStrictEqual(db.calls[1].params, ['30.00', 4]);
+});
+
+test('syncCurrentRate leaves employees without a rate history alone', async () => {
+  const db = fakeDb([]);
+  await syncCurrentRate(db, 4, '2024-05-01');
+  assert.strictEqual(db.calls.length, 1);
+});
+
+test('validateRate', () => {
+  assert.deepStrictEqual(validateRate({ hourly_rate: '42.5', currency: ' usd ', effective_from: '2024-03-01' }), {
+    values: { hourly_rate: 42.5, currency: 'USD', effective_from: '2024-03-01' }
+  });
+  assert.deepStrictEqual(validateRate({ hourly_rate: 0, effective_from: '2024-03-01' }).values.currency, null);
+
+  assert.ok(validateRate({ hourly_rate: -1, effective_from: '2024-03-01' }).error);
+  assert.ok(validateRate({ hourly_rate: '', effective_from: '2024-03-01' }).error);
+  assert.ok(validateRate({ hourly_rate: 'abc', effective_from: '2024-03-01' }).error);
+  assert.ok(validateRate({ hourly_rate: 10, effective_from: '03/01/2024' }).error);
+  assert.ok(validateRate({ hourly_rate: 10, currency: 'US', effective_from: '2024-03-01' }).error);
+});
+
+test('currencyConflictError only checks rates that have a currency', async () => {
+  const db = fakeDb([], [{ currency: 'EUR' }]);
+  assert.strictEqual(await currencyConflictError(db, null), null);
+  assert.strictEqual(db.calls.length, 0);
+
+  assert.strictEqual(await currencyConflictError(db, 'USD'), null);
+  assert.strictEqual(
+    await currencyConflictError(db, 'USD', { excludeId: 9 }),
+    'Rates are in EUR; all rates must use the same currency'
+  );
+  assert.deepStrictEqual(db.calls[1].params, ['USD', 9, null, null]);
+});
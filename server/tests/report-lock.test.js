@@ -0,0 +1,144 @@
+// Tests for report lock policies and closed pay periods: when each policy
+// type locks a report, at the edges of its window. Dates are local, as
+// report-lock.js reads them. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { reportLock, closedPeriodFor, validateLockPolicy } = require('../report-lock');
+
+const rules = (policies, closedPeriods = []) => ({ policies, closedPeriods });
+
+const rollingDays = { id: 1, type: 'rolling_days', days: 3 };
+// Mondays at 09:00, as pg returns a TIME column
+const mondayCutoff = { id: 2, type: 'weekly_cutoff', cutoff_weekday: 1, cutoff_time: '09:00:00' };
+const periodClose = {
+  id: 3,
+  type: 'period_close',
+  closed_through: '2024-01-31',
+  updated_at: new Date(2024, 1, 2, 12, 0)
+};
+
+const januaryFirstHalf = {
+  id: 7,
+  start_date: new Date(2024, 0, 1),
+  end_date: new Date(2024, 0, 15),
+  closed_at: new Date(2024, 0, 16, 17, 0)
+};
+
+const justBefore = (date) => new Date(date.getTime() - 1);
+
+test('rolling_days locks the given number of days after submission', () => {
+  const report = { date: '2024-01-10', created_at: new Date(2024, 0, 10, 9, 30) };
+  const locksAt = new Date(2024, 0, 13, 9, 30);
+
+  const open = reportLock(rules([rollingDays]), report, justBefore(locksAt));
+  assert.strictEqual(open.locked, false);
+  assert.strictEqual(open.locks_at, locksAt.toISOString());
+  assert.strictEqual(open.policy_id, 1);
+
+  const locked = reportLock(rules([rollingDays]), report, locksAt);
+  assert.strictEqual(locked.locked, true);
+  assert.strictEqual(locked.frozen, false);
+  assert.strictEqual(locked.reason, '3 day(s) after submission');
+});
+
+test('rolling_days counts from now for a report not submitted yet', () => {
+  const now = new Date(2024, 0, 10, 9, 30);
+  const lock = reportLock(rules([rollingDays]), { date: '2024-01-10' }, now);
+  assert.strictEqual(lock.locked, false);
+  assert.ok(new Date(lock.locks_at) > now);
+});
+
+test('weekly_cutoff locks at the first cutoff after the report date', () => {
+  // Sunday: the next day is the cutoff
+  const sunday = reportLock(rules([mondayCutoff]), { date: '2024-01-07' }, new Date(2024, 0, 7));
+  assert.strictEqual(sunday.locks_at, new Date(2024, 0, 8, 9, 0).toISOString());
+  assert.strictEqual(sunday.reason, 'weekly cutoff (Monday 09:00)');
+
+  // A report dated on the cutoff day waits for the following week
+  const monday = reportLock(rules([mondayCutoff]), { date: '2024-01-08' }, new Date(2024, 0, 8, 10, 0));
+  assert.strictEqual(monday.locks_at, new Date(2024, 0, 15, 9, 0).toISOString());
+  assert.strictEqual(monday.locked, false);
+
+  // Saturday, with the date as pg returns a DATE column
+  const saturday = { date: new Date(2024, 0, 13) };
+  const cutoff = new Date(2024, 0, 15, 9, 0);
+  assert.strictEqual(reportLock(rules([mondayCutoff]), saturday, justBefore(cutoff)).locked, false);
+  assert.strictEqual(reportLock(rules([mondayCutoff]), saturday, cutoff).locked, true);
+});
+
+test('weekly_cutoff crosses month and year ends', () => {
+  const lock = reportLock(rules([mondayCutoff]), { date: '2023-12-31' }, new Date(2023, 11, 31));
+  assert.strictEqual(lock.locks_at, new Date(2024, 0, 1, 9, 0).toISOString());
+});
+
+test('period_close locks reports dated on or before closed_through', () => {
+  const now = new Date(2024, 1, 3);
+
+  const lastDay = reportLock(rules([periodClose]), { date: '2024-01-31' }, now);
+  assert.strictEqual(lastDay.locked, true);
+  assert.strictEqual(lastDay.locks_at, periodClose.updated_at.toISOString());
+  assert.strictEqual(lastDay.reason, 'period closed through 2024-01-31');
+
+  const nextDay = reportLock(rules([periodClose]), { date: '2024-02-01' }, now);
+  assert.deepStrictEqual(nextDay, {
+    locked: false, frozen: false, locks_at: null, reason: null, policy_id: null, pay_period_id: null
+  });
+});
+
+test('the earliest of several policies decides', () => {
+  const report = { date: '2024-01-07', created_at: new Date(2024, 0, 7, 18, 0) };
+  const lock = reportLock(rules([rollingDays, mondayCutoff]), report, new Date(2024, 0, 8, 9, 0));
+  assert.strictEqual(lock.policy_id, 2);
+  assert.strictEqual(lock.locked, true);
+});
+
+test('no policies leave a report open', () => {
+  const lock = reportLock(rules([]), { date: '2020-01-01', created_at: new Date(2020, 0, 1) });
+  assert.strictEqual(lock.locked, false);
+  assert.strictEqual(lock.locks_at, null);
+});
+
+test('a closed pay period freezes reports from its first to its last day', () => {
+  const closed = rules([], [januaryFirstHalf]);
+
+  for (const date of ['2024-01-01', '2024-01-15', new Date(2024, 0, 8)]) {
+    const lock = reportLock(closed, { date });
+    assert.strictEqual(lock.frozen, true, String(date));
+    assert.strictEqual(lock.locked, true);
+    assert.strictEqual(lock.pay_period_id, 7);
+    assert.strictEqual(lock.reason, 'pay period 2024-01-01 to 2024-01-15 is closed');
+  }
+
+  for (const date of ['2023-12-31', '2024-01-16']) {
+    assert.strictEqual(reportLock(closed, { date }).frozen, false, date);
+  }
+});
+
+test('a closed pay period overrides lock policies', () => {
+  const lock = reportLock(rules([rollingDays], [januaryFirstHalf]), { date: '2024-01-10', created_at: new Date() });
+  assert.strictEqual(lock.frozen, true);
+  assert.strictEqual(lock.policy_id, null);
+});
+
+test('closedPeriodFor finds the period holding a date', () => {
+  assert.strictEqual(closedPeriodFor([januaryFirstHalf], '2024-01-15'), januaryFirstHalf);
+  assert.strictEqual(closedPeriodFor([januaryFirstHalf], '2024-01-16'), null);
+});
+
+test('validateLockPolicy clears the columns of other types', () => {
+  const { values } = validateLockPolicy({ name: ' Weekly ', type: 'weekly_cutoff', cutoff_weekday: '1', cutoff_time: '09:00', days: 5 });
+  assert.deepStrictEqual(values, {
+    name: 'Weekly',
+    type: 'weekly_cutoff',
+    days: null,
+    cutoff_weekday: 1,
+    cutoff_time: '09:00',
+    closed_through: null,
+    enabled: true
+  });
+
+  assert.ok(validateLockPolicy({ name: 'Rolling', type: 'rolling_days', days: '0' }).error);
+  assert.ok(validateLockPolicy({ name: 'Cutoff', type: 'weekly_cutoff', cutoff_weekday: 7, cutoff_time: '09:00' }).error);
+  assert.ok(validateLockPolicy({ name: 'Cutoff', type: 'weekly_cutoff', cutoff_weekday: 1, cutoff_time: '24:00' }).error);
+  assert.ok(validateLockPolicy({ name: 'Close', type: 'period_close', closed_through: '31/01/2024' }).error);
+});
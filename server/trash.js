@@ -0,0 +1,320 @@
+// Soft deletion. Deleting an employee, report or screenshot moves it to the
+// trash (deleted_at/deleted_by) where an admin can restore it or purge it for
+// good; anything left in the trash longer than TRASH_RETENTION_DAYS is purged
+// automatically (0 keeps it until purged by hand).
+// Trashing an employee trashes their reports with the same deleted_at, so
+// restoring the employee brings back exactly those reports. Screenshots of a
+// trashed report stay as they are and come back with it.
+// Reports frozen by a closed pay period never go to the trash and never come
+// back from it: an employee with frozen reports can't be trashed (archive them
+// instead), and restoring an employee leaves any of their reports that a pay
+// period closed over in the meantime in the trash, just as restoring such a
+// report on its own is refused. Those reports are paid history, so the
+// automatic purge keeps them (and the employee they belong to) for good.
+const { loadLockRules, reportLock } = require('./report-lock');
+const { REPORT_PROJECTS } = require('./report-entries');
+
+const parsedRetention = parseInt(process.env.TRASH_RETENTION_DAYS);
+const TRASH_RETENTION_DAYS = Number.isInteger(parsedRetention) && parsedRetention >= 0 ? parsedRetention : 30;
+
+// Trash item types (as used in URLs) and the audit target type of each
+const TRASH_TYPES = {
+  employees: 'employee',
+  reports: 'report',
+  screenshots: 'screenshot'
+};
+
+// Ids of the reports (with date) that a closed pay period freezes
+const frozenReportIds = (lockRules, reports) =>
+  reports.filter(report => reportLock(lockRules, report).frozen).map(report => report.id);
+
+// Move an employee and their reports to the trash. Returns { item } with the
+// employee or { status, error }.
+const trashEmployee = async (db, employeeId, userId) => {
+  const reports = await db.query(
+    'SELECT id, date FROM eod_reports WHERE employee_id = $1 AND deleted_at IS NULL',
+    [employeeId]
+  );
+  const frozen = frozenReportIds(await loadLockRules(db), reports.rows);
+  if (frozen.length > 0) {
+    return {
+      status: 409,
+      error: `Employee has ${frozen.length} report(s) in closed pay periods and can't be deleted; archive them instead`
+    };
+  }
+
+  const result = await db.query(
+    `UPDATE employees SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING id, name, email`,
+    [employeeId, userId]
+  );
+  const employee = result.rows[0];
+  if (!employee) return { status: 404, error: 'Employee not found' };
+
+  // deleted_at is copied in SQL: a JS Date would lose the microseconds
+  const reportsResult = await db.query(
+    `UPDATE eod_reports SET deleted_at = (SELECT deleted_at FROM employees WHERE id = $1), deleted_by = $2
+     WHERE employee_id = $1 AND deleted_at IS NULL`,
+    [employeeId, userId]
+  );
+  return { item: { ...employee, trashed_reports: reportsResult.rowCount } };
+};
+
+// Move reports to the trash, returning the ids that were trashed
+const trashReports = async (db, reportIds, userId) => {
+  const result = await db.query(
+    `UPDATE eod_reports SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+     RETURNING id`,
+    [reportIds, userId]
+  );
+  return result.rows.map(row => row.id);
+};
+
+// Move screenshots of one report to the trash
+const trashScreenshots = async (db, reportId, screenshotIds, userId) => {
+  const result = await db.query(
+    `UPDATE screenshots SET deleted_at = NOW(), deleted_by = $3
+     WHERE report_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL
+     RETURNING id, filename`,
+    [reportId, screenshotIds, userId]
+  );
+  return result.rows;
+};
+
+// Everything in the trash, newest first. Reports trashed together with their
+// employee are counted under the employee rather than listed, and screenshots
+// of trashed reports come back with the report.
+const listTrash = async (db) => {
+  const employees = await db.query(`
+    SELECT e.id, e.name, e.email, e.role, e.deleted_at, u.username as deleted_by_username,
+      (SELECT COUNT(*) FROM eod_reports r WHERE r.employee_id = e.id AND r.deleted_at = e.deleted_at) as report_count
+    FROM employees e
+    LEFT JOIN users u ON e.deleted_by = u.id
+    WHERE e.deleted_at IS NOT NULL
+    ORDER BY e.deleted_at DESC
+  `);
+
+  const reports = await db.query(`
+    SELECT r.id, r.employee_id, e.name as employee_name, r.date, r.hours, ${REPORT_PROJECTS} as project, r.description,
+      r.deleted_at, u.username as deleted_by_username,
+      e.deleted_at IS NOT NULL as employee_deleted,
+      (SELECT COUNT(*) FROM screenshots s WHERE s.report_id = r.id AND s.deleted_at IS NULL) as screenshot_count
+    FROM eod_reports r
+    JOIN employees e ON r.employee_id = e.id
+    LEFT JOIN users u ON r.deleted_by = u.id
+    WHERE r.deleted_at IS NOT NULL
+      AND (e.deleted_at IS NULL OR r.deleted_at <> e.deleted_at)
+    ORDER BY r.deleted_at DESC
+  `);
+
+  const screenshots = await db.query(`
+    SELECT s.id, s.report_id, s.filename, s.filepath, s.thumbnail_url, s.caption,
+      s.deleted_at, u.username as deleted_by_username,
+      r.date as report_date, e.name as employee_name
+    FROM screenshots s
+    JOIN eod_reports r ON s.report_id = r.id
+    JOIN employees e ON r.employee_id = e.id
+    LEFT JOIN users u ON s.deleted_by = u.id
+    WHERE s.deleted_at IS NOT NULL AND r.deleted_at IS NULL
+    ORDER BY s.deleted_at DESC
+  `);
+
+  // When the automatic purge will remove each item
+  const withPurgeDate = (rows) => rows.map(row => {
+    if (!TRASH_RETENTION_DAYS) return { ...row, purge_at: null };
+    const purgeAt = new Date(row.deleted_at);
+    purgeAt.setDate(purgeAt.getDate() + TRASH_RETENTION_DAYS);
+    return { ...row, purge_at: purgeAt.toISOString() };
+  });
+
+  return {
+    retention_days: TRASH_RETENTION_DAYS,
+    employees: withPurgeDate(employees.rows),
+    reports: withPurgeDate(reports.rows),
+    screenshots: withPurgeDate(screenshots.rows)
+  };
+};
+
+// Take an item out of the trash. Returns { item } or { status, error }.
+const restoreTrashItem = async (db, type, id) => {
+  if (type === 'employees') {
+    const result = await db.query('SELECT * FROM employees WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+    const employee = result.rows[0];
+    if (!employee) return { status: 404, error: 'Employee not found in trash' };
+
+    const emailResult = await db.query(
+      'SELECT id FROM employees WHERE email = $1 AND deleted_at IS NULL',
+      [employee.email]
+    );
+    if (emailResult.rows.length > 0) {
+      return { status: 409, error: `Another employee already uses ${employee.email}` };
+    }
+
+    // deleted_at is compared in SQL: a JS Date would lose the microseconds
+    const trashedReports = await db.query(
+      `SELECT id, date FROM eod_reports
+       WHERE employee_id = $1 AND deleted_at = (SELECT deleted_at FROM employees WHERE id = $1)`,
+      [id]
+    );
+    const frozen = frozenReportIds(await loadLockRules(db), trashedReports.rows);
+    const reportIds = trashedReports.rows.map(report => report.id).filter(reportId => !frozen.includes(reportId));
+
+    const reportsResult = await db.query(
+      'UPDATE eod_reports SET deleted_at = NULL, deleted_by = NULL WHERE id = ANY($1::int[])',
+      [reportIds]
+    );
+    const restored = await db.query(
+      'UPDATE employees SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return {
+      item: { ...restored.rows[0], restored_reports: reportsResult.rowCount, frozen_reports: frozen.length }
+    };
+  }
+
+  if (type === 'reports') {
+    const result = await db.query(
+      `SELECT r.*, e.name as employee_name, e.deleted_at as employee_deleted_at
+       FROM eod_reports r
+       JOIN employees e ON r.employee_id = e.id
+       WHERE r.id = $1 AND r.deleted_at IS NOT NULL
+       FOR UPDATE OF r`,
+      [id]
+    );
+    const report = result.rows[0];
+    if (!report) return { status: 404, error: 'Report not found in trash' };
+
+    if (report.employee_deleted_at) {
+      return { status: 409, error: `Restore employee ${report.employee_name} first` };
+    }
+
+    // Putting hours back into a pay period that has been paid would change it
+    const lock = reportLock(await loadLockRules(db), report);
+    if (lock.frozen) {
+      return { status: 409, error: `Report can't be restored (${lock.reason})` };
+    }
+
+    const restored = await db.query(
+      'UPDATE eod_reports SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return { item: restored.rows[0] };
+  }
+
+  const result = await db.query(
+    `SELECT s.id, r.deleted_at as report_deleted_at
+     FROM screenshots s
+     JOIN eod_reports r ON s.report_id = r.id
+     WHERE s.id = $1 AND s.deleted_at IS NOT NULL`,
+    [id]
+  );
+  const screenshot = result.rows[0];
+  if (!screenshot) return { status: 404, error: 'Screenshot not found in trash' };
+
+  if (screenshot.report_deleted_at) {
+    return { status: 409, error: 'Restore the screenshot\'s report first' };
+  }
+
+  const restored = await db.query(
+    'UPDATE screenshots SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *',
+    [id]
+  );
+  return { item: restored.rows[0] };
+};
+
+// Screenshot rows (with their stored file columns) that go with the given
+// employees or reports when those are deleted for good
+const screenshotsOf = async (db, column, ids) => {
+  const result = await db.query(
+    `SELECT s.* FROM screenshots s
+     JOIN eod_reports r ON s.report_id = r.id
+     WHERE r.${column} = ANY($1::int[])`,
+    [ids]
+  );
+  return result.rows;
+};
+
+// Permanently delete an item from the trash. Returns { item, files } with the
+// screenshot rows whose stored files should be removed once this commits, or
+// null if the item isn't in the trash.
+const purgeTrashItem = async (db, type, id) => {
+  if (type === 'employees') {
+    const files = await screenshotsOf(db, 'employee_id', [id]);
+    const result = await db.query(
+      'DELETE FROM employees WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id, name, email',
+      [id]
+    );
+    return result.rows[0] ? { item: result.rows[0], files } : null;
+  }
+
+  if (type === 'reports') {
+    const files = await screenshotsOf(db, 'id', [id]);
+    const result = await db.query(
+      'DELETE FROM eod_reports WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id, employee_id, date',
+      [id]
+    );
+    return result.rows[0] ? { item: result.rows[0], files } : null;
+  }
+
+  const result = await db.query(
+    'DELETE FROM screenshots WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+    [id]
+  );
+  return result.rows[0] ? { item: { id: result.rows[0].id, filename: result.rows[0].filename }, files: result.rows } : null;
+};
+
+// Purge everything that has been in the trash longer than the retention period,
+// except reports in closed pay periods and employees who have any. Returns
+// counts per type and the screenshot rows whose files should be removed.
+const purgeExpiredTrash = async (db, retentionDays = TRASH_RETENTION_DAYS) => {
+  const cutoff = 'NOW() - make_interval(days => $1)';
+  const lockRules = await loadLockRules(db);
+
+  // Deleting an employee deletes all of their reports
+  const expiredEmployees = await db.query(
+    `SELECT id FROM employees WHERE deleted_at < ${cutoff}`,
+    [retentionDays]
+  );
+  const employeeIds = [];
+  for (const { id } of expiredEmployees.rows) {
+    const reports = await db.query('SELECT id, date FROM eod_reports WHERE employee_id = $1', [id]);
+    if (frozenReportIds(lockRules, reports.rows).length === 0) employeeIds.push(id);
+  }
+  const employeeFiles = employeeIds.length > 0 ? await screenshotsOf(db, 'employee_id', employeeIds) : [];
+  const employeesResult = await db.query('DELETE FROM employees WHERE id = ANY($1::int[])', [employeeIds]);
+
+  const expiredReports = await db.query(
+    `SELECT id, date FROM eod_reports WHERE deleted_at < ${cutoff}`,
+    [retentionDays]
+  );
+  const frozen = frozenReportIds(lockRules, expiredReports.rows);
+  const reportIds = expiredReports.rows.map(row => row.id).filter(id => !frozen.includes(id));
+  const reportFiles = reportIds.length > 0 ? await screenshotsOf(db, 'id', reportIds) : [];
+  const reportsResult = await db.query('DELETE FROM eod_reports WHERE id = ANY($1::int[])', [reportIds]);
+
+  const screenshotsResult = await db.query(
+    `DELETE FROM screenshots WHERE deleted_at < ${cutoff} RETURNING *`,
+    [retentionDays]
+  );
+
+  return {
+    employees: employeesResult.rowCount,
+    reports: reportsResult.rowCount,
+    screenshots: screenshotsResult.rowCount,
+    files: [...employeeFiles, ...reportFiles, ...screenshotsResult.rows]
+  };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  trashEmployee,
+  trashReports,
+  trashScreenshots,
+  listTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeExpiredTrash
+};